@@ -3,10 +3,15 @@
  * Allows users to configure and start a new backtest
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { X, Play, Plus, Trash2 } from 'lucide-react';
-import { getStrategies, runStrategySymbolBacktest, runStrategySymbolBacktestBulk } from '../data/strategies';
+import {
+  getStrategies,
+  runStrategySymbolBacktest,
+  runStrategySymbolBacktestBulk,
+  runStrategyParameterSweep,
+} from '../data/strategies';
 import { getSymbolDetails } from '../data/symbols';
 import { createBacktest, getHedgeLabSettings } from '../data/backtests';
 import {
@@ -14,18 +19,39 @@ import {
   HEDGE_FIELD_DEFS,
   parseHedgeField,
 } from '../data/hedgeConfig';
+import { DEFAULT_SIZING_MODEL, defaultSizingParams, sizingPayload } from '../data/sizingConfig';
+import { COST_DEFAULTS, costPayload } from '../data/costConfig';
 import { marketDataAPI } from '../data/api';
 import { getBrokers, getBrokerLinkedSymbolCount } from '../data/liveTrading';
 import TaskProgress from './TaskProgress';
+import ParameterSweepFields from './ParameterSweepFields';
+import PositionSizingFields from './PositionSizingFields';
+import CostModelFields from './CostModelFields';
+import ParameterSweepProgress from './ParameterSweepProgress';
+import { buildWalkForwardWindows, walkForwardWindowName } from '../utils/walkForward';
+import {
+  defaultSweepRange,
+  expandParameterGrid,
+  numericParameterKeys,
+  sweepCombinationLabel,
+} from '../utils/parameterSweep';
+
+const WF_DEFAULT_START_DATE = '2015-01-01';
+
+function isoDay(date) {
+  return date.toISOString().split('T')[0];
+}
 
 /**
  * @param {'portfolio' | 'single_symbol'} runMode - portfolio = standard POST /backtests; single_symbol = one ticker snapshot API
+ * @param {'split' | 'walk_forward'} defaultValidation - portfolio only: one train/test cut, or one backtest per walk-forward window
  */
 export default function BacktestConfig({
   onBacktestCreated,
   defaultStrategyId = null,
   runMode = 'portfolio',
   triggerLabel = null,
+  defaultValidation = 'split',
 }) {
   const navigate = useNavigate();
   const [showModal, setShowModal] = useState(false);
@@ -48,12 +74,31 @@ export default function BacktestConfig({
   const [splitRatio, setSplitRatio] = useState(0.7);
   const [initialCapital, setInitialCapital] = useState(10000.0);
   const [betSizePercentage, setBetSizePercentage] = useState(100.0);
+  const [sizingModel, setSizingModel] = useState(DEFAULT_SIZING_MODEL);
+  const [sizingParams, setSizingParams] = useState(defaultSizingParams);
+  const [costModel, setCostModel] = useState(() => ({ ...COST_DEFAULTS }));
   const [runPositionLong, setRunPositionLong] = useState(true);
   const [runPositionShort, setRunPositionShort] = useState(true);
   const [hedgeEnabled, setHedgeEnabled] = useState(false);
   const [runStrategyOnlyBaseline, setRunStrategyOnlyBaseline] = useState(true);
   const [hedgeParams, setHedgeParams] = useState(() => ({ ...HEDGE_DEFAULTS }));
   const [strategyParameters, setStrategyParameters] = useState({});
+
+  // Walk-forward (portfolio only): one createBacktest per window
+  const [validationMode, setValidationMode] = useState(defaultValidation);
+  const [wfAnchored, setWfAnchored] = useState(false);
+  const [wfStartDate, setWfStartDate] = useState(WF_DEFAULT_START_DATE);
+  const [wfEndDate, setWfEndDate] = useState(() => isoDay(new Date()));
+  const [wfTrainMonths, setWfTrainMonths] = useState(24);
+  const [wfTestMonths, setWfTestMonths] = useState(6);
+  const [wfStepMonths, setWfStepMonths] = useState(6);
+  const [wfQueuedCount, setWfQueuedCount] = useState(0);
+
+  // Parameter sweep (single-symbol only): one bulk run per parameter combination
+  const [sweepEnabled, setSweepEnabled] = useState(false);
+  const [sweepRanges, setSweepRanges] = useState({});
+  const [sweepTasks, setSweepTasks] = useState(null);
+  const [sweepQueuedCount, setSweepQueuedCount] = useState(0);
   
   // Broker filtering state
   const [useBrokerFilter, setUseBrokerFilter] = useState(false);
@@ -64,6 +109,21 @@ export default function BacktestConfig({
   const [brokerLinkedCountLoading, setBrokerLinkedCountLoading] = useState(false);
 
   const isSingleSymbol = runMode === 'single_symbol';
+  const isWalkForward = !isSingleSymbol && validationMode === 'walk_forward';
+  const walkForwardPlan = useMemo(
+    () =>
+      isWalkForward
+        ? buildWalkForwardWindows({
+            startDate: wfStartDate,
+            endDate: wfEndDate,
+            trainMonths: wfTrainMonths,
+            testMonths: wfTestMonths,
+            stepMonths: wfStepMonths,
+            anchored: wfAnchored,
+          })
+        : { windows: [], error: null },
+    [isWalkForward, wfStartDate, wfEndDate, wfTrainMonths, wfTestMonths, wfStepMonths, wfAnchored],
+  );
   const brokerHasNoLinks =
     useBrokerFilter && selectedBroker && brokerLinkedCount === 0 && !brokerLinkedCountLoading;
   const defaultTriggerLabel = isSingleSymbol
@@ -136,6 +196,7 @@ export default function BacktestConfig({
         if (strategy) {
           setSelectedStrategy(strategy);
           setStrategyParameters(strategy.default_parameters || {});
+          setSweepRanges({});
         }
       }
     } catch (error) {
@@ -150,6 +211,7 @@ export default function BacktestConfig({
     setSelectedStrategy(strategy);
     // Initialize parameters with default values
     setStrategyParameters(strategy?.default_parameters || {});
+    setSweepRanges({});
   };
 
   const handleAddTicker = async () => {
@@ -286,6 +348,29 @@ export default function BacktestConfig({
     }
   };
 
+  /** Untouched parameters default to a single value at their current setting. */
+  const effectiveSweepRanges = useMemo(() => {
+    const ranges = {};
+    numericParameterKeys(selectedStrategy?.default_parameters).forEach((key) => {
+      ranges[key] =
+        sweepRanges[key] ||
+        defaultSweepRange(strategyParameters[key] ?? selectedStrategy.default_parameters[key]);
+    });
+    return ranges;
+  }, [selectedStrategy, strategyParameters, sweepRanges]);
+
+  const sweepGrid = useMemo(
+    () =>
+      isSingleSymbol && sweepEnabled
+        ? expandParameterGrid(strategyParameters, effectiveSweepRanges)
+        : { combinations: [], sweptKeys: [], count: 0, error: null },
+    [isSingleSymbol, sweepEnabled, strategyParameters, effectiveSweepRanges],
+  );
+
+  const updateSweepRange = (key, patch) => {
+    setSweepRanges((prev) => ({ ...prev, [key]: { ...effectiveSweepRanges[key], ...patch } }));
+  };
+
   const updateParameter = (key, value) => {
     setStrategyParameters(prev => ({
       ...prev,
@@ -347,6 +432,14 @@ export default function BacktestConfig({
     }
   };
 
+  const handleSweepClose = () => {
+    setSweepTasks(null);
+    resetForm();
+    if (onBacktestCreated) {
+      onBacktestCreated(null, { runMode: 'parameter_sweep' });
+    }
+  };
+
   const handleTaskClose = () => {
     setShowProgress(false);
     setTaskId(null);
@@ -392,6 +485,8 @@ export default function BacktestConfig({
           split_ratio: splitRatio,
           initial_capital: initialCapital,
           bet_size_percentage: betSizePercentage,
+          ...sizingPayload(sizingModel, sizingParams[sizingModel]),
+          cost_model: costPayload(costModel),
           strategy_parameters: strategyParameters,
           position_modes: [
             ...(runPositionLong ? ['long'] : []),
@@ -416,6 +511,31 @@ export default function BacktestConfig({
           baseBody.hedge_config = hc;
         }
 
+        if (sweepEnabled) {
+          if (sweepGrid.error || !sweepGrid.combinations.length) {
+            alert(sweepGrid.error || 'Nothing to sweep.');
+            return;
+          }
+          setSweepQueuedCount(0);
+          const tasks = await runStrategyParameterSweep(
+            selectedStrategy.id,
+            {
+              ...baseBody,
+              name: name || `${selectedStrategy.name} — sweep`,
+              select_all_linked: !!selectAllActive,
+              symbol_tickers: selectAllActive ? [] : selectedSymbols,
+            },
+            sweepGrid.combinations.map((combo) => ({
+              label: sweepCombinationLabel(combo, sweepGrid.sweptKeys),
+              strategyParameters: combo,
+            })),
+            { onProgress: (done) => setSweepQueuedCount(done) },
+          );
+          setSweepTasks(tasks);
+          setShowModal(false);
+          return;
+        }
+
         if (selectAllActive || selectedSymbols.length > 1) {
           const bulkBody = {
             ...baseBody,
@@ -524,6 +644,8 @@ export default function BacktestConfig({
         split_ratio: splitRatio,
         initial_capital: initialCapital,
         bet_size_percentage: betSizePercentage,
+        ...sizingPayload(sizingModel, sizingParams[sizingModel]),
+        cost_model: costPayload(costModel),
         strategy_parameters: strategyParameters,
         position_modes: [
           ...(runPositionLong ? ['long'] : []),
@@ -551,6 +673,51 @@ export default function BacktestConfig({
         backtestData.hedge_config = hc;
       }
 
+      if (isWalkForward) {
+        const { windows, error, truncated } = walkForwardPlan;
+        if (!windows.length || truncated) {
+          alert(error || 'No walk-forward windows in the selected range.');
+          return;
+        }
+        const baseName = name || `${selectedStrategy.name} — walk-forward`;
+        const created = [];
+        const failed = [];
+        setWfQueuedCount(0);
+        for (const w of windows) {
+          try {
+            const windowBacktest = await createBacktest({
+              ...backtestData,
+              name: walkForwardWindowName(baseName, w.index, windows.length),
+              start_date: w.trainStart.toISOString(),
+              end_date: w.testEnd.toISOString(),
+              split_ratio: w.splitRatio,
+            });
+            created.push(windowBacktest);
+          } catch (e) {
+            failed.push({ index: w.index, error: e.message || 'Failed to create backtest' });
+          }
+          setWfQueuedCount(created.length + failed.length);
+        }
+        if (failed.length) {
+          alert(
+            `${failed.length} of ${windows.length} walk-forward windows failed to queue:\n` +
+              failed.map((f) => `WF ${f.index + 1}: ${f.error}`).join('\n'),
+          );
+        }
+        if (!created.length) return;
+        setShowModal(false);
+        resetForm();
+        if (onBacktestCreated) {
+          onBacktestCreated(null, {
+            runMode: 'walk_forward',
+            backtestIds: created.map((b) => b.id).filter(Boolean),
+            failedWindows: failed,
+            anchored: wfAnchored,
+          });
+        }
+        return;
+      }
+
       const backtest = await createBacktest(backtestData);
       
       // Capture task_id if available and show progress
@@ -583,12 +750,25 @@ export default function BacktestConfig({
     setSplitRatio(0.7);
     setInitialCapital(10000.0);
     setBetSizePercentage(100.0);
+    setSizingModel(DEFAULT_SIZING_MODEL);
+    setSizingParams(defaultSizingParams());
+    setCostModel({ ...COST_DEFAULTS });
     setRunPositionLong(true);
     setRunPositionShort(true);
     setHedgeEnabled(false);
     setRunStrategyOnlyBaseline(true);
     setHedgeParams({ ...HEDGE_DEFAULTS });
     setStrategyParameters({});
+    setValidationMode(defaultValidation);
+    setWfAnchored(false);
+    setWfStartDate(WF_DEFAULT_START_DATE);
+    setWfEndDate(isoDay(new Date()));
+    setWfTrainMonths(24);
+    setWfTestMonths(6);
+    setWfStepMonths(6);
+    setWfQueuedCount(0);
+    setSweepEnabled(false);
+    setSweepRanges({});
     setUseBrokerFilter(false);
     setSelectedBroker(null);
     setBrokerExchangeCode('');
@@ -607,6 +787,14 @@ export default function BacktestConfig({
         />
       )}
 
+      {sweepTasks && (
+        <ParameterSweepProgress
+          tasks={sweepTasks}
+          title={`Parameter sweep — ${sweepTasks.length} combinations`}
+          onClose={handleSweepClose}
+        />
+      )}
+
       <button
         type="button"
         onClick={() => setShowModal(true)}
@@ -1021,21 +1209,168 @@ export default function BacktestConfig({
                   )}
                 </div>
 
-                {/* Split Ratio */}
-                <div>
-                  <label className="block text-sm font-medium text-ink-secondary mb-2">
-                    Training/Test Split Ratio: {Math.round(splitRatio * 100)}% / {Math.round((1 - splitRatio) * 100)}%
-                  </label>
-                  <input
-                    type="range"
-                    min="0.1"
-                    max="0.9"
-                    step="0.1"
-                    value={splitRatio}
-                    onChange={(e) => setSplitRatio(parseFloat(e.target.value))}
-                    className="w-full"
-                  />
-                </div>
+                {/* Validation: single split or walk-forward windows (portfolio only) */}
+                {!isSingleSymbol && (
+                  <div>
+                    <label className="block text-sm font-medium text-ink-secondary mb-2">Validation</label>
+                    <div className="flex flex-col sm:flex-row gap-4">
+                      <label className="flex items-center gap-2 cursor-pointer rounded-lg border border-border px-4 py-3 hover:bg-bg">
+                        <input
+                          type="radio"
+                          name="validation-mode"
+                          checked={validationMode === 'split'}
+                          onChange={() => setValidationMode('split')}
+                          className="border-border-strong text-accent focus:ring-accent"
+                        />
+                        <div>
+                          <span className="text-sm font-medium text-ink">Single split</span>
+                          <p className="text-xs text-ink-tertiary">One train/test cut over all data</p>
+                        </div>
+                      </label>
+                      <label className="flex items-center gap-2 cursor-pointer rounded-lg border border-border px-4 py-3 hover:bg-bg">
+                        <input
+                          type="radio"
+                          name="validation-mode"
+                          checked={validationMode === 'walk_forward'}
+                          onChange={() => setValidationMode('walk_forward')}
+                          className="border-border-strong text-accent focus:ring-accent"
+                        />
+                        <div>
+                          <span className="text-sm font-medium text-ink">Walk-forward</span>
+                          <p className="text-xs text-ink-tertiary">One backtest per rolling or anchored window</p>
+                        </div>
+                      </label>
+                    </div>
+                  </div>
+                )}
+
+                {isWalkForward ? (
+                  <div className="border border-border rounded-lg p-4 bg-bg space-y-4">
+                    <div className="flex flex-col sm:flex-row gap-4">
+                      <label className="flex items-center gap-2 cursor-pointer">
+                        <input
+                          type="radio"
+                          name="walk-forward-window"
+                          checked={!wfAnchored}
+                          onChange={() => setWfAnchored(false)}
+                          className="border-border-strong text-accent focus:ring-accent"
+                        />
+                        <span className="text-sm text-ink">Rolling (fixed-length train window)</span>
+                      </label>
+                      <label className="flex items-center gap-2 cursor-pointer">
+                        <input
+                          type="radio"
+                          name="walk-forward-window"
+                          checked={wfAnchored}
+                          onChange={() => setWfAnchored(true)}
+                          className="border-border-strong text-accent focus:ring-accent"
+                        />
+                        <span className="text-sm text-ink">Anchored (train always starts at range start)</span>
+                      </label>
+                    </div>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-3">
+                      <div>
+                        <label className="block text-xs text-ink-secondary mb-1">Range start</label>
+                        <input
+                          type="date"
+                          value={wfStartDate}
+                          onChange={(e) => setWfStartDate(e.target.value)}
+                          className="w-full px-2 py-1.5 border border-border-strong rounded text-sm"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs text-ink-secondary mb-1">Range end</label>
+                        <input
+                          type="date"
+                          value={wfEndDate}
+                          onChange={(e) => setWfEndDate(e.target.value)}
+                          className="w-full px-2 py-1.5 border border-border-strong rounded text-sm"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs text-ink-secondary mb-1">Train (months)</label>
+                        <input
+                          type="number"
+                          min="1"
+                          value={wfTrainMonths}
+                          onChange={(e) => setWfTrainMonths(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                          className="w-full px-2 py-1.5 border border-border-strong rounded text-sm"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs text-ink-secondary mb-1">Test (months)</label>
+                        <input
+                          type="number"
+                          min="1"
+                          value={wfTestMonths}
+                          onChange={(e) => setWfTestMonths(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                          className="w-full px-2 py-1.5 border border-border-strong rounded text-sm"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs text-ink-secondary mb-1">Step (months)</label>
+                        <input
+                          type="number"
+                          min="1"
+                          value={wfStepMonths}
+                          onChange={(e) => setWfStepMonths(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                          className="w-full px-2 py-1.5 border border-border-strong rounded text-sm"
+                        />
+                      </div>
+                    </div>
+                    {walkForwardPlan.error && (
+                      <p className="text-sm text-loss">{walkForwardPlan.error}</p>
+                    )}
+                    {walkForwardPlan.windows.length > 0 && (
+                      <div>
+                        <p className="text-sm text-ink-secondary mb-2">
+                          {walkForwardPlan.windows.length} backtest{walkForwardPlan.windows.length === 1 ? '' : 's'} will
+                          be queued (one per window):
+                        </p>
+                        <div className="max-h-40 overflow-y-auto border border-border rounded bg-surface">
+                          <table className="min-w-full text-xs">
+                            <thead className="bg-bg">
+                              <tr>
+                                <th className="px-3 py-1.5 text-left font-medium text-ink-tertiary">#</th>
+                                <th className="px-3 py-1.5 text-left font-medium text-ink-tertiary">Train</th>
+                                <th className="px-3 py-1.5 text-left font-medium text-ink-tertiary">Test (out of sample)</th>
+                              </tr>
+                            </thead>
+                            <tbody className="divide-y divide-border">
+                              {walkForwardPlan.windows.map((w) => (
+                                <tr key={w.index}>
+                                  <td className="px-3 py-1 text-ink">{w.index + 1}</td>
+                                  <td className="px-3 py-1 text-ink font-mono">
+                                    {isoDay(w.trainStart)} → {isoDay(w.testStart)}
+                                  </td>
+                                  <td className="px-3 py-1 text-ink font-mono">
+                                    {isoDay(w.testStart)} → {isoDay(w.testEnd)}
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                ) : (
+                  /* Split Ratio */
+                  <div>
+                    <label className="block text-sm font-medium text-ink-secondary mb-2">
+                      Training/Test Split Ratio: {Math.round(splitRatio * 100)}% / {Math.round((1 - splitRatio) * 100)}%
+                    </label>
+                    <input
+                      type="range"
+                      min="0.1"
+                      max="0.9"
+                      step="0.1"
+                      value={splitRatio}
+                      onChange={(e) => setSplitRatio(parseFloat(e.target.value))}
+                      className="w-full"
+                    />
+                  </div>
+                )}
 
                 {/* Initial Capital */}
                 <div>
@@ -1054,21 +1389,41 @@ export default function BacktestConfig({
                   <p className="mt-1 text-xs text-ink-tertiary">Starting capital for the backtest</p>
                 </div>
 
-                {/* Bet Size Percentage */}
+                {/* Position sizing: model + its parameters; bet size only for fixed fraction */}
                 <div>
-                  <label className="block text-sm font-medium text-ink-secondary mb-2">
-                    Bet Size Per Trade (%): {betSizePercentage}%
-                  </label>
-                  <input
-                    type="range"
-                    min="0.1"
-                    max="100"
-                    step="0.1"
-                    value={betSizePercentage}
-                    onChange={(e) => setBetSizePercentage(parseFloat(e.target.value))}
-                    className="w-full"
-                  />
-                  <p className="mt-1 text-xs text-ink-tertiary">Percentage of available capital to bet per trade (0.1% - 100%)</p>
+                  <label className="block text-sm font-medium text-ink-secondary mb-2">Position Sizing</label>
+                  <PositionSizingFields
+                    model={sizingModel}
+                    params={sizingParams}
+                    onModelChange={setSizingModel}
+                    onParamsChange={setSizingParams}
+                  >
+                    <div>
+                      <label className="block text-sm font-medium text-ink-secondary mb-2">
+                        Bet Size Per Trade (%): {betSizePercentage}%
+                      </label>
+                      <input
+                        type="range"
+                        min="0.1"
+                        max="100"
+                        step="0.1"
+                        value={betSizePercentage}
+                        onChange={(e) => setBetSizePercentage(parseFloat(e.target.value))}
+                        className="w-full"
+                      />
+                      <p className="mt-1 text-xs text-ink-tertiary">Percentage of available capital to bet per trade (0.1% - 100%)</p>
+                    </div>
+                  </PositionSizingFields>
+                </div>
+
+                {/* Transaction costs: applied to every simulated fill */}
+                <div className="border border-border rounded-lg p-4 bg-bg">
+                  <label className="block text-sm font-medium text-ink-secondary mb-1">Transaction Costs</label>
+                  <p className="text-xs text-ink-tertiary mb-3">
+                    Commissions on entry and exit, slippage against each fill and borrow on short notional. All zero
+                    simulates frictionless fills.
+                  </p>
+                  <CostModelFields costs={costModel} onChange={setCostModel} />
                 </div>
 
                 {/* Position directions to simulate (multi-select) */}
@@ -1187,6 +1542,33 @@ export default function BacktestConfig({
                   </div>
                 )}
 
+                {/* Parameter sweep (single-symbol only) */}
+                {isSingleSymbol && selectedStrategy && numericParameterKeys(selectedStrategy.default_parameters).length > 0 && (
+                  <div className="border border-border rounded-lg p-4 bg-bg">
+                    <label className="flex items-center gap-2 cursor-pointer mb-1">
+                      <input
+                        type="checkbox"
+                        checked={sweepEnabled}
+                        onChange={(e) => setSweepEnabled(e.target.checked)}
+                        className="rounded border-border-strong text-accent focus:ring-accent"
+                      />
+                      <span className="text-sm font-medium text-ink">Parameter sweep</span>
+                    </label>
+                    <p className="text-xs text-ink-tertiary mb-3 ml-6">
+                      Runs every combination of the ranges below; each combination is queued as its own global test.
+                    </p>
+                    {sweepEnabled && (
+                      <ParameterSweepFields
+                        defaultParameters={selectedStrategy.default_parameters}
+                        ranges={effectiveSweepRanges}
+                        onRangeChange={updateSweepRange}
+                        grid={sweepGrid}
+                        symbolCount={selectAllActive ? 1 : Math.max(1, selectedSymbols.length)}
+                      />
+                    )}
+                  </div>
+                )}
+
                 {/* Actions */}
                 <div className="flex justify-end gap-3 pt-4 border-t">
                   <button
@@ -1211,18 +1593,30 @@ export default function BacktestConfig({
                           ? !(useBrokerFilter && selectedBroker)
                           : selectedSymbols.length === 0
                         : (!selectAllActive && !randomCountMode && selectedSymbols.length === 0) ||
-                          (randomCountMode && randomSelectedSymbols.length === 0))
+                          (randomCountMode && randomSelectedSymbols.length === 0)) ||
+                      (isWalkForward && (walkForwardPlan.windows.length === 0 || !!walkForwardPlan.truncated)) ||
+                      (isSingleSymbol && sweepEnabled && (!!sweepGrid.error || sweepGrid.count === 0))
                     }
                     className="px-6 py-2 bg-accent text-white rounded-lg hover:bg-accent-hover transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
                   >
-                    {creating ? 'Creating...' : (
+                    {creating ? (
+                      isWalkForward
+                        ? `Queuing ${wfQueuedCount}/${walkForwardPlan.windows.length}...`
+                        : isSingleSymbol && sweepEnabled
+                          ? `Queuing ${sweepQueuedCount}/${sweepGrid.count}...`
+                          : 'Creating...'
+                    ) : (
                       <>
                         <Play className="w-4 h-4" />
                         {isSingleSymbol
-                          ? 'Start single-symbol backtest'
-                          : defaultStrategyId != null
-                            ? 'Start portfolio backtest'
-                            : 'Start Backtest'}
+                          ? sweepEnabled
+                            ? `Queue ${sweepGrid.count} sweep run${sweepGrid.count === 1 ? '' : 's'}`
+                            : 'Start single-symbol backtest'
+                          : isWalkForward
+                            ? `Queue ${walkForwardPlan.windows.length} walk-forward backtests`
+                            : defaultStrategyId != null
+                              ? 'Start portfolio backtest'
+                              : 'Start Backtest'}
                       </>
                     )}
                   </button>
@@ -0,0 +1,210 @@
+/**
+ * Return correlation across the symbols of a portfolio backtest (StrategyBacktestSymbols): daily
+ * return series per symbol built from the backtest trades, a heatmap in clustered order and the
+ * groups of symbols that move together — a portfolio of many symbols can still be one bet.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { AlertTriangle, Loader, Network } from 'lucide-react';
+import { getAllBacktestTrades } from '../data/backtests';
+import { clusterCorrelation, correlationMatrix, effectiveBets, tradeDailyReturns } from '../utils/correlation';
+import CorrelationMatrix from './charts/CorrelationMatrix';
+import { StatCard } from './ui';
+import { formatWholeUsd } from '../lib/formatPnl';
+
+const THRESHOLDS = [0.5, 0.6, 0.7, 0.8, 0.9];
+/** Matrix and clustering are O(symbols² × days); past this the symbols with the largest gross P&L are kept. */
+const MAX_CORRELATION_SYMBOLS = 40;
+
+
+/**
+ * @param {{ backtestId: string|number, mode: 'long'|'short', capital?: number,
+ *   onSymbolClick?: (ticker: string) => void }} props - `capital` scales P&L into returns
+ */
+export default function BacktestCorrelationPanel({ backtestId, mode, capital = 10000, onSymbolClick = null }) {
+  // Loading every trade and building the matrix is heavy for large universes: only on request.
+  const [requested, setRequested] = useState(false);
+  const [trades, setTrades] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [threshold, setThreshold] = useState(0.7);
+
+  useEffect(() => {
+    if (!requested) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    getAllBacktestTrades(backtestId, null, mode)
+      .then((rows) => {
+        if (!cancelled) setTrades((rows || []).filter((t) => !t.metadata?.is_hedge_leg));
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setTrades([]);
+          setError(err.message || 'Failed to load trades');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [requested, backtestId, mode]);
+
+  const correlation = useMemo(() => {
+    const pnlByTicker = {};
+    const grossByTicker = {};
+    trades.forEach((t) => {
+      const ticker = t.symbol_ticker || t.symbol_info?.ticker || t.symbol;
+      pnlByTicker[ticker] = (pnlByTicker[ticker] || 0) + (Number(t.pnl) || 0);
+      grossByTicker[ticker] = (grossByTicker[ticker] || 0) + Math.abs(Number(t.pnl) || 0);
+    });
+    const returnsByTicker = tradeDailyReturns(trades, { capital });
+    const traded = Object.keys(returnsByTicker);
+    const kept = traded
+      .sort((a, b) => (grossByTicker[b] || 0) - (grossByTicker[a] || 0))
+      .slice(0, MAX_CORRELATION_SYMBOLS)
+      .sort();
+    const result = correlationMatrix(Object.fromEntries(kept.map((t) => [t, returnsByTicker[t]])));
+    const offDiagonal = result.matrix.flatMap((row, i) => row.filter((r, j) => j > i && r !== null));
+    return {
+      ...result,
+      pnlByTicker,
+      days: result.keys.length ? returnsByTicker[result.keys[0]].size : 0,
+      tradedCount: traded.length,
+      averagePairwise: offDiagonal.length ? offDiagonal.reduce((s, r) => s + r, 0) / offDiagonal.length : null,
+      effective: effectiveBets(result.matrix),
+    };
+  }, [trades, capital]);
+
+  const clusters = useMemo(
+    () => clusterCorrelation(correlation.matrix, { threshold }),
+    [correlation, threshold],
+  );
+
+  const { keys } = correlation;
+  const grossPnl = Object.values(correlation.pnlByTicker).reduce((s, v) => s + Math.abs(v), 0);
+  const renderLabel = onSymbolClick
+    ? (ticker) => (
+      <button type="button" onClick={() => onSymbolClick(ticker)} className="text-accent hover:underline">
+        {ticker}
+      </button>
+    )
+    : null;
+
+  return (
+    <div className="mb-6 bg-surface rounded-lg shadow-lg p-6">
+      <div className="flex items-center justify-between gap-3 flex-wrap mb-4">
+        <div className="flex items-center gap-2">
+          <Network className="w-5 h-5 text-ink-tertiary" />
+          <h2 className="text-xl font-bold text-ink">Return Correlation ({mode.toUpperCase()})</h2>
+          {loading && <Loader className="w-4 h-4 animate-spin text-ink-tertiary" />}
+        </div>
+        {requested && (
+          <label className="flex items-center gap-2 text-sm text-ink-secondary">
+            Flag groups at r ≥
+            <select
+              value={threshold}
+              onChange={(e) => setThreshold(Number(e.target.value))}
+              className="px-2 py-1 border border-border-strong rounded bg-surface"
+            >
+              {THRESHOLDS.map((t) => <option key={t} value={t}>{t.toFixed(1)}</option>)}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {!requested ? (
+        <div className="flex items-center justify-between gap-3 flex-wrap">
+          <p className="text-sm text-ink-tertiary">
+            Correlates daily returns across every symbol traded in this backtest; loads all trades of the
+            selected mode.
+          </p>
+          <button
+            type="button"
+            onClick={() => setRequested(true)}
+            className="px-4 py-2 rounded-lg bg-accent text-white text-sm font-medium hover:bg-accent-hover"
+          >
+            Compute correlation
+          </button>
+        </div>
+      ) : error ? (
+        <p className="text-sm text-status-failed">{error}</p>
+      ) : keys.length < 2 ? (
+        <p className="text-sm text-ink-tertiary">
+          {loading ? 'Loading trades…' : `Needs trades in at least two symbols (${mode.toUpperCase()}).`}
+        </p>
+      ) : (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <StatCard label="Symbols traded" value={correlation.tradedCount} sub={`${correlation.days} business days`} />
+            <StatCard
+              label="Avg pairwise r"
+              value={correlation.averagePairwise == null ? '—' : correlation.averagePairwise.toFixed(2)}
+              tone={correlation.averagePairwise >= threshold ? 'text-status-warning' : 'text-ink'}
+            />
+            <StatCard
+              label="Independent bets"
+              value={correlation.effective == null ? '—' : correlation.effective.toFixed(1)}
+              sub={`of ${keys.length} symbols, equal weight`}
+              tone={correlation.effective != null && correlation.effective < keys.length / 2 ? 'text-status-warning' : 'text-ink'}
+            />
+            <StatCard
+              label="Correlated groups"
+              value={clusters.groups.length}
+              sub={clusters.groups.length
+                ? `${clusters.groups.reduce((s, g) => s + g.members.length, 0)} symbols at r ≥ ${threshold.toFixed(1)}`
+                : `none at r ≥ ${threshold.toFixed(1)}`}
+              tone={clusters.groups.length ? 'text-status-warning' : 'text-ink'}
+            />
+          </div>
+
+          {clusters.groups.length > 0 && (
+            <ul className="space-y-2">
+              {clusters.groups.map((group) => {
+                const tickers = group.members.map((i) => keys[i]);
+                const pnl = tickers.reduce((s, t) => s + (correlation.pnlByTicker[t] || 0), 0);
+                const share = grossPnl > 0
+                  ? tickers.reduce((s, t) => s + Math.abs(correlation.pnlByTicker[t] || 0), 0) / grossPnl
+                  : 0;
+                return (
+                  <li
+                    key={tickers.join(',')}
+                    className="flex items-start gap-2 rounded-lg bg-status-warning-soft px-3 py-2 text-sm"
+                  >
+                    <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0 text-status-warning" />
+                    <div className="min-w-0">
+                      <div className="font-mono font-semibold text-ink break-words">{tickers.join(' · ')}</div>
+                      <div className="text-xs text-ink-secondary">
+                        avg r {group.averageCorrelation.toFixed(2)} · behaves like one position ·
+                        {' '}P&amp;L {formatWholeUsd(pnl)} ({(share * 100).toFixed(0)}% of gross symbol P&amp;L)
+                      </div>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          <CorrelationMatrix
+            keys={keys}
+            matrix={correlation.matrix}
+            overlap={correlation.overlap}
+            order={clusters.order}
+            renderLabel={renderLabel}
+          />
+
+          <p className="text-xs text-ink-tertiary">
+            Daily returns per symbol come from the backtest trades: each trade&apos;s P&amp;L is spread over
+            the business days it was held, and days without an open trade count as flat. Symbols are
+            ordered by average-linkage clustering on correlation, so correlated blocks sit on the
+            diagonal. Independent bets is N² / Σr for an equally weighted book. Hedge legs are left out.
+            {correlation.tradedCount > keys.length
+              && ` Limited to the ${keys.length} symbols with the largest gross P&L (of ${correlation.tradedCount} traded).`}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,6 +3,8 @@
  */
 
 import { Settings } from 'lucide-react';
+import { describeSizing } from '../data/sizingConfig';
+import { describeCosts } from '../data/costConfig';
 
 function fmtDate(iso) {
   if (!iso) return '—';
@@ -19,6 +21,7 @@ export default function BacktestParametersPanel({ backtest, title = 'Backtest pa
   if (!backtest) return null;
 
   const sp = backtest.strategy_parameters;
+  const sizing = describeSizing(backtest);
   const hedgeKeys =
     backtest.hedge_config && typeof backtest.hedge_config === 'object'
       ? Object.keys(backtest.hedge_config).filter((k) => backtest.hedge_config[k] !== '' && backtest.hedge_config[k] != null)
@@ -46,10 +49,13 @@ export default function BacktestParametersPanel({ backtest, title = 'Backtest pa
         <dd className="text-ink sm:col-span-2">
           {backtest.initial_capital != null ? `$${Number(backtest.initial_capital).toLocaleString()}` : '—'}
         </dd>
-        <dt className="text-ink-tertiary">Bet size per trade</dt>
+        <dt className="text-ink-tertiary">Position sizing</dt>
         <dd className="text-ink sm:col-span-2">
-          {backtest.bet_size_percentage != null ? `${Number(backtest.bet_size_percentage).toFixed(1)}%` : '—'}
+          <span className="font-medium">{sizing.label}</span>
+          <span className="text-ink-secondary"> · {sizing.detail}</span>
         </dd>
+        <dt className="text-ink-tertiary">Transaction costs</dt>
+        <dd className="text-ink sm:col-span-2">{describeCosts(backtest.cost_model)}</dd>
         <dt className="text-ink-tertiary">Position modes</dt>
         <dd className="text-ink sm:col-span-2">
           {Array.isArray(backtest.position_modes) && backtest.position_modes.length
@@ -0,0 +1,81 @@
+/**
+ * Benchmark picker and relative metrics under a backtest equity chart (StrategyBacktestDetail,
+ * StrategyBacktestSymbolDetail). The page owns the ticker and the bars, since it also overlays the
+ * benchmark curve on its chart; metrics come from utils/benchmarkMetrics.js relativeMetrics.
+ */
+
+import { useEffect, useState } from 'react';
+import { Loader } from 'lucide-react';
+import { MIN_BENCHMARK_DAYS } from '../utils/benchmarkMetrics';
+import { StatCard } from './ui';
+
+const pct = (value) => (value == null ? '—' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`);
+const ratio = (value, digits = 2) => (value == null ? '—' : value.toFixed(digits));
+const capture = (value) => (value == null ? '—' : `${(value * 100).toFixed(0)}%`);
+
+/**
+ * @param {object} props
+ * @param {string} props.ticker - current benchmark
+ * @param {(ticker: string) => void} props.onTickerChange
+ * @param {boolean} props.loading - benchmark bars loading
+ * @param {boolean} props.hasBars - benchmark has stored daily bars in the window
+ * @param {object|null} props.metrics - relativeMetrics(...) of the primary equity series
+ */
+export default function BenchmarkComparison({ ticker, onTickerChange, loading, hasBars, metrics }) {
+  const [draft, setDraft] = useState(ticker);
+
+  useEffect(() => {
+    setDraft(ticker);
+  }, [ticker]);
+
+  const apply = (e) => {
+    e.preventDefault();
+    const next = draft.trim().toUpperCase();
+    if (next && next !== ticker) onTickerChange(next);
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-border">
+      <div className="flex items-center justify-between gap-3 flex-wrap mb-3">
+        <form onSubmit={apply} className="flex items-center gap-2 text-sm">
+          <label htmlFor="benchmark-ticker" className="text-ink-secondary">Benchmark</label>
+          <input
+            id="benchmark-ticker"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={apply}
+            className="w-24 px-2 py-1 border border-border-strong rounded uppercase font-mono"
+          />
+          {loading && <Loader className="w-4 h-4 animate-spin text-ink-tertiary" />}
+        </form>
+        {metrics && (
+          <span className="text-xs text-ink-tertiary">
+            Strategy {pct(metrics.strategyReturn)} vs {ticker} {pct(metrics.benchmarkReturn)} over {metrics.days} common days
+          </span>
+        )}
+      </div>
+
+      {!loading && !hasBars ? (
+        <p className="text-sm text-ink-tertiary">
+          No stored daily bars for {ticker} in this window. Fetch its OHLCV on the Market Data page.
+        </p>
+      ) : !metrics ? (
+        !loading && (
+          <p className="text-sm text-ink-tertiary">
+            Needs at least {MIN_BENCHMARK_DAYS} days where both the strategy and {ticker} have returns.
+          </p>
+        )
+      ) : (
+        <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-3">
+          <StatCard label="Alpha (ann.)" value={pct(metrics.alpha)} hint="Jensen's alpha, risk-free rate 0" />
+          <StatCard label="Beta" value={ratio(metrics.beta)} />
+          <StatCard label="Correlation" value={ratio(metrics.correlation)} />
+          <StatCard label="Tracking error" value={pct(metrics.trackingError).replace('+', '')} hint="Annualised std-dev of daily excess returns" />
+          <StatCard label="Info ratio" value={ratio(metrics.informationRatio)} hint="Annualised excess return / tracking error" />
+          <StatCard label="Up capture" value={capture(metrics.upCapture)} hint={`Average strategy return on ${ticker} up days, relative to ${ticker}`} />
+          <StatCard label="Down capture" value={capture(metrics.downCapture)} hint={`Average strategy return on ${ticker} down days, relative to ${ticker}`} />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,21 @@
 /**
  * Candlestick Chart Component
  * Displays OHLCV data as a candlestick chart using ApexCharts
- * Always shows candlestick chart with all years
+ * Always shows candlestick chart with all years; `intraday` switches axis / tooltip dates to times
+ * Trade signals are drawn as markers (arrows for entries, exit-reason badges for exits) with a
+ * hover card; `onSignalClick(signal)` lets the page jump to the trade.
+ * With `onLayoutChange` the chart offers drawing tools (levels, trend lines, rectangles, notes) and
+ * reports its layout (timeframe, hidden layers, volume, drawings) on every change; `layout` restores
+ * it (see data/chartLayouts.js).
  */
 
-import { useMemo, useState, useEffect } from 'react';
+import { useMemo, useState, useEffect, useRef, useCallback } from 'react';
 import Chart from 'react-apexcharts';
+import { Minus, Slash, Square, Type, Eraser, Trash2, Download, Upload } from 'lucide-react';
 import { getChartTheme } from '../lib/chartTheme';
+import ChartDrawingLayer from './charts/ChartDrawingLayer';
+import { chartLayoutExport, parseChartLayout } from '../data/chartLayouts';
+import { downloadJson } from '../utils/exportCsv';
 
 const TIMEFRAME_OPTIONS = [
   { label: '1D', days: 1 },
@@ -17,9 +26,74 @@ const TIMEFRAME_OPTIONS = [
   { label: 'All', days: null },
 ];
 
-export default function CandlestickChart({ data = [], ticker, indicators = [], signals = [], onTimeframeChange }) {
+/** Exit reason (trade.metadata.exit_reason) → badge code and label */
+const EXIT_REASONS = {
+  signal: { code: 'X', label: 'Signal' },
+  stop_loss: { code: 'SL', label: 'Stop loss' },
+  take_profit: { code: 'TP', label: 'Take profit' },
+  manual: { code: 'M', label: 'Manual close' },
+  end_of_data: { code: 'E', label: 'End of data' },
+};
+
+const MARKER_SIZE = 22;
+
+const DRAWING_TOOLS = [
+  { key: 'hline', label: 'Horizontal level', icon: Minus },
+  { key: 'trend', label: 'Trend line', icon: Slash },
+  { key: 'rect', label: 'Rectangle', icon: Square },
+  { key: 'text', label: 'Text note', icon: Type },
+  { key: 'erase', label: 'Erase drawing', icon: Eraser },
+];
+
+/**
+ * Marker image for a signal. Colours match the trade table badges: long entry profit, short entry
+ * accent, long exit loss, short exit series-4. Long entries are an up arrow under the price, short
+ * entries a down arrow above it; exits are a round badge with the exit reason code.
+ */
+function signalMarker(signal, theme) {
+  const size = MARKER_SIZE;
+  let svg;
+  let offsetY = 0;
+  if (signal.type === 'entry') {
+    const isLong = signal.positionType === 'long';
+    const fill = isLong ? theme.profit : theme.accent;
+    const points = isLong
+      ? `${size / 2},2 ${size - 3},${size - 8} ${size / 2 + 3},${size - 8} ${size / 2 + 3},${size - 2} ${size / 2 - 3},${size - 2} ${size / 2 - 3},${size - 8} 3,${size - 8}`
+      : `${size / 2},${size - 2} ${size - 3},8 ${size / 2 + 3},8 ${size / 2 + 3},2 ${size / 2 - 3},2 ${size / 2 - 3},8 3,8`;
+    svg = `<svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg"><polygon points="${points}" fill="${fill}" stroke="#fff" stroke-width="1.5"/></svg>`;
+    offsetY = isLong ? size / 2 + 2 : -(size / 2 + 2);
+  } else {
+    const fill = signal.positionType === 'long' ? theme.loss : theme.series[3];
+    const code = (EXIT_REASONS[signal.exitReason] || EXIT_REASONS.signal).code;
+    svg = `<svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg"><circle cx="${size / 2}" cy="${size / 2}" r="${size / 2 - 1.5}" fill="${fill}" stroke="#fff" stroke-width="1.5"/><text x="50%" y="50%" dominant-baseline="central" text-anchor="middle" font-family="sans-serif" font-size="${code.length > 1 ? 8 : 10}" font-weight="700" fill="#fff">${code}</text></svg>`;
+  }
+  return { path: `data:image/svg+xml;base64,${btoa(svg)}`, width: size, height: size, offsetX: 0, offsetY };
+}
+
+const money = (v) => `${v < 0 ? '-' : '+'}$${Math.abs(v).toFixed(2)}`;
+
+export default function CandlestickChart({
+  data = [],
+  ticker,
+  indicators = [],
+  signals = [],
+  onTimeframeChange,
+  onSignalClick,
+  layout = null,
+  onLayoutChange,
+  intraday = false,
+}) {
   const chartTheme = getChartTheme();
-  const [selectedTimeframe, setSelectedTimeframe] = useState('5Y');
+  const containerRef = useRef(null);
+  // Annotation handlers are baked into the chart options; read the latest callback through a ref
+  const onSignalClickRef = useRef(onSignalClick);
+  onSignalClickRef.current = onSignalClick;
+  const [hoveredSignal, setHoveredSignal] = useState(null); // { signal, left, top }
+  const [selectedTimeframe, setSelectedTimeframe] = useState(
+    () => (TIMEFRAME_OPTIONS.some((tf) => tf.label === layout?.timeframe) ? layout.timeframe : '5Y')
+  );
+  // Intraday bars need the time of day on axes and tooltips
+  const dateFormat = intraday ? 'MMM dd HH:mm' : 'MMM dd, yyyy';
   // Use a stable key that only changes with ticker to prevent unnecessary remounts
   const chartKey = useMemo(() => `${ticker || 'default'}`, [ticker]);
 
@@ -230,12 +304,21 @@ export default function CandlestickChart({ data = [], ticker, indicators = [], s
       
       console.log(`✓ Processed indicator ${ind.toolName || 'Unknown'}: ${indicatorData.length} data points (from ${ind.values.length} indicator values)`);
       
+      const name = ind.toolName || ind.tool?.name || 'Unknown';
       return {
-        name: ind.toolName || ind.tool?.name || 'Unknown',
+        name,
         type: 'line',
         data: indicatorData,
         color: ind.style?.color || chartTheme.accent,
         strokeWidth: ind.style?.line_width || 2,
+        // Layout hints (see utils/indicatorSeries.js); entries without them keep one pane per indicator
+        group: ind.group || name,
+        groupLabel: ind.groupLabel || name,
+        pane: ind.pane || name,
+        seriesType: ind.seriesType === 'bar' ? 'bar' : 'line',
+        dashed: !!ind.dashed,
+        levels: ind.levels || [],
+        range: ind.range || null,
       };
     };
     
@@ -269,12 +352,129 @@ export default function CandlestickChart({ data = [], ticker, indicators = [], s
     return { mainChartIndicators: mainChart, subchartIndicators: subchart };
   }, [indicators, seriesData]);
 
+  // Legend toggles: hidden indicator groups (one group per assignment) and the volume pane
+  const [hiddenGroups, setHiddenGroups] = useState(() => new Set(layout?.hiddenGroups || []));
+  const [showVolume, setShowVolume] = useState(layout?.showVolume ?? true);
+  const toggleGroup = (group) => {
+    setHiddenGroups((prev) => {
+      const next = new Set(prev);
+      if (next.has(group)) next.delete(group);
+      else next.add(group);
+      return next;
+    });
+  };
+  const shownMainIndicators = useMemo(
+    () => mainChartIndicators.filter((ind) => !hiddenGroups.has(ind.group)),
+    [mainChartIndicators, hiddenGroups]
+  );
+  const shownSubchartIndicators = useMemo(
+    () => subchartIndicators.filter((ind) => !hiddenGroups.has(ind.group)),
+    [subchartIndicators, hiddenGroups]
+  );
+  const legendGroups = useMemo(() => {
+    const groups = new Map();
+    [...mainChartIndicators, ...subchartIndicators].forEach((ind) => {
+      if (!groups.has(ind.group)) groups.set(ind.group, { key: ind.group, label: ind.groupLabel, colors: [] });
+      groups.get(ind.group).colors.push(ind.color);
+    });
+    return [...groups.values()];
+  }, [mainChartIndicators, subchartIndicators]);
+
+  // Volume per candle; `up` colours the bar like its candle
+  const volumeData = useMemo(() => {
+    const closes = new Map(seriesData.map(([t, [open, , , close]]) => [t, close >= open]));
+    return chartData
+      .map((item) => ({ x: new Date(item.timestamp).getTime(), y: parseFloat(item.volume) }))
+      .filter((p) => closes.has(p.x) && Number.isFinite(p.y))
+      .sort((a, b) => a.x - b.x)
+      .map((p) => ({ ...p, up: closes.get(p.x) }));
+  }, [chartData, seriesData]);
+  const hasVolume = volumeData.some((p) => p.y > 0);
+
+  // Drawings and saved layout (only when the page persists it through onLayoutChange)
+  const drawingEnabled = typeof onLayoutChange === 'function';
+  const [drawings, setDrawings] = useState(() => layout?.drawings || []);
+  const [drawingTool, setDrawingTool] = useState(null);
+  const [plotArea, setPlotArea] = useState(null);
+  const importInputRef = useRef(null);
+  const onLayoutChangeRef = useRef(onLayoutChange);
+  onLayoutChangeRef.current = onLayoutChange;
+
+  // Price pane geometry for the drawing overlay, read after every ApexCharts render / resize
+  const capturePlotArea = useCallback((chartContext) => {
+    const g = chartContext?.w?.globals;
+    if (!g) return;
+    const next = {
+      left: g.translateX,
+      top: g.translateY,
+      width: g.gridWidth,
+      height: g.gridHeight,
+      minX: g.minX,
+      maxX: g.maxX,
+      minY: g.minY,
+      maxY: g.maxY,
+    };
+    if (!Object.values(next).every(Number.isFinite)) return;
+    setPlotArea((prev) => (prev && Object.keys(next).every((k) => prev[k] === next[k]) ? prev : next));
+  }, []);
+
+  const currentLayout = useMemo(
+    () => ({ timeframe: selectedTimeframe, hiddenGroups: [...hiddenGroups], showVolume, drawings }),
+    [selectedTimeframe, hiddenGroups, showVolume, drawings]
+  );
+  useEffect(() => {
+    onLayoutChangeRef.current?.(currentLayout);
+  }, [currentLayout]);
+
+  // A restored "All" timeframe needs the full history, like clicking the button does
+  useEffect(() => {
+    if (selectedTimeframe === 'All' && onTimeframeChange) onTimeframeChange('All');
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const addDrawing = (drawing) => {
+    setDrawings((prev) => [...prev, { ...drawing, id: `d${Date.now()}-${prev.length}` }]);
+    setDrawingTool(null);
+  };
+  const removeDrawing = (id) => setDrawings((prev) => prev.filter((d) => d.id !== id));
+  const clearDrawings = () => {
+    if (drawings.length > 0 && window.confirm(`Remove all ${drawings.length} drawing(s) on ${ticker}?`)) {
+      setDrawings([]);
+      setDrawingTool(null);
+    }
+  };
+
+  const handleExportLayout = () => {
+    downloadJson(`${ticker}_chart_layout.json`, chartLayoutExport(ticker, currentLayout));
+  };
+
+  const handleImportLayout = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const { ticker: sourceTicker, layout: imported } = parseChartLayout(await file.text());
+      if (sourceTicker && sourceTicker !== ticker
+        && !window.confirm(`This layout was saved for ${sourceTicker}. Apply it to ${ticker}?`)) {
+        return;
+      }
+      setSelectedTimeframe(TIMEFRAME_OPTIONS.some((tf) => tf.label === imported.timeframe) ? imported.timeframe : '5Y');
+      setHiddenGroups(new Set(imported.hiddenGroups));
+      setShowVolume(imported.showVolume);
+      setDrawings(imported.drawings);
+      setDrawingTool(null);
+      if (imported.timeframe === 'All' && onTimeframeChange) onTimeframeChange('All');
+    } catch (error) {
+      alert(`Failed to import chart layout: ${error.message}`);
+    }
+  };
+
   // Main chart series: candlestick + main chart indicators only
   // Always ensure candlestick data is first and present
   const mainChartSeries = useMemo(() => {
     console.log('🔧 Building mainChartSeries:', {
       seriesDataLength: seriesData?.length || 0,
-      mainChartIndicatorsLength: mainChartIndicators?.length || 0
+      shownMainIndicatorsLength: shownMainIndicators?.length || 0
     });
     
     // Always start with candlestick data - this must never be empty
@@ -306,9 +506,9 @@ export default function CandlestickChart({ data = [], ticker, indicators = [], s
     
     // Add main chart indicator series (overlay on price chart)
     // Only add indicators that are NOT subchart indicators
-    if (mainChartIndicators && mainChartIndicators.length > 0) {
-      console.log(`📊 Adding ${mainChartIndicators.length} main chart indicators to series`);
-      mainChartIndicators.forEach((ind, index) => {
+    if (shownMainIndicators && shownMainIndicators.length > 0) {
+      console.log(`📊 Adding ${shownMainIndicators.length} main chart indicators to series`);
+      shownMainIndicators.forEach((ind, index) => {
         if (ind && ind.data && ind.data.length > 0 && ind.type === 'line') {
           console.log(`  ✓ Adding ${ind.name}: ${ind.data.length} data points, color: ${ind.color}`);
           series.push({
@@ -342,88 +542,101 @@ export default function CandlestickChart({ data = [], ticker, indicators = [], s
     }
     
     return series;
-  }, [seriesData, mainChartIndicators]);
+  }, [seriesData, shownMainIndicators]);
 
-  // Create separate subchart configurations for each indicator
-  // Each indicator gets its own subchart
+  // Sub-panes below the price chart: one per `pane` key (MACD line + signal + histogram share one),
+  // plus volume. X range is pinned to the candles so panes line up with the price chart.
   const subchartConfigs = useMemo(() => {
-    return subchartIndicators.map((ind, index) => {
-      // Calculate y-axis min/max for this specific indicator
-      // Filter out null, undefined, NaN, and Infinity values
-      const allValues = ind.data
-        .map(d => d[1])
-        .filter(v => v !== null && v !== undefined && !isNaN(v) && isFinite(v));
-      
-      if (allValues.length === 0) {
-        // Fallback if no valid values
-        console.warn(`⚠ Indicator ${ind.name} has no valid values for Y-axis calculation`);
-        return {
-          id: `subchart-${chartKey}-${index}`,
-          series: [],
-          options: {},
-          indicator: ind,
-        };
-      }
-      
-      const minValue = Math.min(...allValues);
-      const maxValue = Math.max(...allValues);
-      const range = maxValue - minValue;
-      
-      // Handle case where all values are the same (range = 0)
-      const padding = range > 0 ? range * 0.1 : Math.abs(minValue) * 0.1 || 1;
-      
-      // Don't force minimum to 0 - allow negative values for indicators like gap returns
-      const yAxisMin = minValue - padding;
-      const yAxisMax = maxValue + padding;
-      
-      console.log(`📊 Y-axis calculation for ${ind.name}:`, {
-        minValue,
-        maxValue,
-        range,
-        yAxisMin,
-        yAxisMax,
-        validValuesCount: allValues.length,
-        sampleValues: allValues.slice(0, 5)
-      });
-      
-      // Create series for this single indicator (filter out invalid data points)
-      const validData = ind.data.filter(d => {
-        const value = d[1];
-        return value !== null && value !== undefined && !isNaN(value) && isFinite(value);
-      });
-      
-      const series = [{
-        name: ind.name,
+    const xRange = seriesData.length > 0
+      ? { min: seriesData[0][0], max: seriesData[seriesData.length - 1][0] }
+      : {};
+    const baseOptions = (chartId, title) => ({
+      chart: {
+        id: chartId,
         type: 'line',
-        data: validData,
-      }];
-      
-      // Create options for this specific subchart
-      const chartId = `subchart-${chartKey}-${index}`;
-      const options = {
-        chart: {
-          id: chartId,
-          type: 'line',
-          height: 200,
-          toolbar: {
-            show: false, // Hide toolbar on subchart
-          },
-          zoom: {
-            enabled: false, // Disable zoom on subchart
-          },
-          animations: {
-            enabled: false,
-          },
+        height: 200,
+        toolbar: {
+          show: false, // Hide toolbar on subchart
         },
-        xaxis: {
-          type: 'datetime',
-          labels: {
-            format: 'MMM dd, yyyy',
-            rotate: -45,
-            rotateAlways: false,
-          },
+        zoom: {
+          enabled: false, // Disable zoom on subchart
+        },
+        animations: {
+          enabled: false,
         },
+      },
+      xaxis: {
+        type: 'datetime',
+        ...xRange,
+        labels: {
+          format: dateFormat,
+          rotate: -45,
+          rotateAlways: false,
+        },
+      },
+      tooltip: {
+        x: {
+          format: dateFormat,
+        },
+        shared: true,
+      },
+      grid: {
+        borderColor: chartTheme.border,
+        strokeDashArray: 4,
+      },
+      legend: {
+        show: true,
+        position: 'top',
+      },
+      dataLabels: { enabled: false },
+      yaxis: { title: { text: title } },
+    });
+
+    const panes = new Map();
+    shownSubchartIndicators.forEach((ind) => {
+      if (!panes.has(ind.pane)) panes.set(ind.pane, []);
+      panes.get(ind.pane).push(ind);
+    });
+
+    const configs = [...panes.entries()].map(([paneKey, inds]) => {
+      const chartId = `subchart-${chartKey}-${paneKey}`;
+      const title = inds.length > 1 ? inds[0].groupLabel : inds[0].name;
+      // Keep only finite points (warm-up nulls would otherwise break the y range)
+      const seriesForPane = inds.map((ind) => ({
+        name: ind.name,
+        type: ind.seriesType,
+        data: ind.data.filter(d => d[1] !== null && d[1] !== undefined && !isNaN(d[1]) && isFinite(d[1])),
+      }));
+      const allValues = seriesForPane.flatMap((ser) => ser.data.map((d) => d[1]));
+      if (allValues.length === 0) {
+        console.warn(`⚠ Pane ${title} has no valid values for Y-axis calculation`);
+        return { id: chartId, series: [], options: {}, indicator: inds[0] };
+      }
+
+      // Fixed scale for bounded oscillators (RSI 0–100), padded data range otherwise
+      let yAxisMin;
+      let yAxisMax;
+      const fixed = inds.find((ind) => ind.range)?.range;
+      if (fixed) {
+        yAxisMin = fixed.min;
+        yAxisMax = fixed.max;
+      } else {
+        const minValue = Math.min(...allValues);
+        const maxValue = Math.max(...allValues);
+        const range = maxValue - minValue;
+        // Handle case where all values are the same (range = 0)
+        const padding = range > 0 ? range * 0.1 : Math.abs(minValue) * 0.1 || 1;
+        // Don't force minimum to 0 - allow negative values for indicators like gap returns
+        yAxisMin = minValue - padding;
+        yAxisMax = maxValue + padding;
+      }
+
+      const levels = [...new Set(inds.flatMap((ind) => ind.levels))];
+      const base = baseOptions(chartId, title);
+      const options = {
+        ...base,
         yaxis: {
+          ...base.yaxis,
           labels: {
             formatter: function (value) {
               // Use more decimal places for small values, fewer for large values
@@ -440,44 +653,71 @@ export default function CandlestickChart({ data = [], ticker, indicators = [], s
           },
           min: yAxisMin,
           max: yAxisMax,
-          title: {
-            text: ind.name,
-          },
-        },
-        tooltip: {
-          x: {
-            format: 'MMM dd, yyyy',
-          },
-          shared: true,
         },
         stroke: {
           curve: 'smooth',
-          width: ind.strokeWidth || 2,
+          width: inds.map((ind) => (ind.seriesType === 'bar' ? 0 : ind.strokeWidth || 2)),
         },
-        colors: [ind.color],
-        grid: {
-          borderColor: chartTheme.border,
-          strokeDashArray: 4,
+        colors: inds.map((ind) => ind.color),
+        // Histogram bars (MACD) coloured by sign
+        plotOptions: {
+          bar: {
+            columnWidth: '80%',
+            colors: {
+              ranges: [
+                { from: -Number.MAX_VALUE, to: 0, color: chartTheme.loss },
+                { from: 0, to: Number.MAX_VALUE, color: chartTheme.profit },
+              ],
+            },
+          },
         },
-        legend: {
-          show: true,
-          position: 'top',
+        annotations: {
+          yaxis: levels.map((y) => ({ y, borderColor: chartTheme.inkTertiary, strokeDashArray: 4 })),
         },
       };
-      
+
       return {
         id: chartId,
-        series,
+        series: seriesForPane,
         options,
-        indicator: ind,
+        indicator: inds[0],
       };
     });
-  }, [subchartIndicators, chartKey]);
+
+    if (showVolume && hasVolume) {
+      const chartId = `subchart-${chartKey}-volume`;
+      const base = baseOptions(chartId, 'Volume');
+      configs.push({
+        id: chartId,
+        height: 140,
+        series: [{
+          name: 'Volume',
+          type: 'bar',
+          data: volumeData.map(({ x, y, up }) => ({ x, y, fillColor: up ? chartTheme.profit : chartTheme.loss })),
+        }],
+        options: {
+          ...base,
+          legend: { show: false },
+          plotOptions: { bar: { columnWidth: '80%' } },
+          yaxis: {
+            ...base.yaxis,
+            min: 0,
+            labels: {
+              formatter: (value) => (value >= 1e6 ? `${(value / 1e6).toFixed(1)}M` : value >= 1e3 ? `${(value / 1e3).toFixed(0)}K` : `${Math.round(value)}`),
+            },
+          },
+        },
+      });
+    }
+
+    return configs;
+  }, [shownSubchartIndicators, chartKey, seriesData, showVolume, hasVolume, volumeData, dateFormat]);
 
   // Main chart configuration (candlestick + main chart indicators)
   const mainChartOptions = useMemo(() => {
-    const colors = [chartTheme.accent, ...mainChartIndicators.map(ind => ind.color)];
-    const strokeWidths = [2, ...mainChartIndicators.map(ind => ind.strokeWidth || 2)];
+    const colors = [chartTheme.accent, ...shownMainIndicators.map(ind => ind.color)];
+    const strokeWidths = [2, ...shownMainIndicators.map(ind => ind.strokeWidth || 2)];
+    const dashArray = [0, ...shownMainIndicators.map(ind => (ind.dashed ? 5 : 0))];
     
     // Use stable chart ID based on ticker only
     const chartId = `mainChart-${chartKey}`;
@@ -506,11 +746,15 @@ export default function CandlestickChart({ data = [], ticker, indicators = [], s
         animations: {
           enabled: false,
         },
+        events: {
+          mounted: capturePlotArea,
+          updated: capturePlotArea,
+        },
       },
       xaxis: {
         type: 'datetime',
         labels: {
-          format: 'MMM dd, yyyy',
+          format: dateFormat,
           rotate: -45,
           rotateAlways: false,
         },
@@ -529,7 +773,7 @@ export default function CandlestickChart({ data = [], ticker, indicators = [], s
       },
       tooltip: {
         x: {
-          format: 'MMM dd, yyyy',
+          format: dateFormat,
         },
         shared: true,
         custom: function({ seriesIndex, dataPointIndex, w }) {
@@ -541,7 +785,9 @@ export default function CandlestickChart({ data = [], ticker, indicators = [], s
           
           const candlestickData = candlestickSeries.data[dataPointIndex];
           const timestamp = candlestickData[0];
-          const dateStr = new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+          const dateStr = intraday
+            ? new Date(timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+            : new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
           
           let tooltipContent = `<div style="padding: 10px;"><div style="font-weight: bold; margin-bottom: 5px;">${dateStr}</div>`;
           
@@ -592,6 +838,7 @@ export default function CandlestickChart({ data = [], ticker, indicators = [], s
       stroke: {
         curve: 'smooth',
         width: strokeWidths,
+        dashArray,
       },
       colors: colors, // Colors array: first for candlestick, then for each indicator in order
       grid: {
@@ -609,86 +856,25 @@ export default function CandlestickChart({ data = [], ticker, indicators = [], s
             // Don't filter by time range - show all signals (they should all be within the data range)
             return signal.timestamp && signal.price && !isNaN(signal.timestamp) && !isNaN(signal.price);
           })
-          .map((signal, idx) => {
-            // Debug logging
-            if (idx === 0) {
-              const validSignals = signals.filter(s => s.timestamp && s.price && !isNaN(s.timestamp) && !isNaN(s.price));
-              console.log('CandlestickChart: Processing signals', {
-                totalSignals: signals.length,
-                filteredSignals: validSignals.length,
-                firstSignal: signal,
-                seriesDataLength: seriesData.length,
-                dataTimeRange: {
-                  min: new Date(Math.min(...seriesData.map(d => d[0]))).toISOString(),
-                  max: new Date(Math.max(...seriesData.map(d => d[0]))).toISOString(),
-                },
-                sampleSignalTime: new Date(signal.timestamp).toISOString(),
-              });
-            }
-            
-            // Determine color and triangle direction based on signal type and position
-            // Colors must match the badge colors in the datatable exactly:
-            // Long entry: bg-profit-soft text-profit-ink -> Green #10b981 or #22c55e
-            // Short entry: bg-status-running-soft text-accent-ink -> Blue #3b82f6 or #2563eb
-            // Long exit: bg-loss-soft text-loss-ink -> Red #ef4444 or #dc2626
-            // Short exit: bg-status-warning-soft text-status-warning -> Orange #f97316 or #ea580c
-            let fillColor;
-            let triangleDirection; // 'up' for entry, 'down' for exit
-            
-            if (signal.type === 'entry') {
-              triangleDirection = 'up';
-              if (signal.positionType === 'long') {
-                fillColor = chartTheme.profit;
-              } else {
-                fillColor = chartTheme.accent;
-              }
-            } else { // exit
-              triangleDirection = 'down';
-              if (signal.positionType === 'long') {
-                fillColor = chartTheme.loss;
-              } else {
-                fillColor = chartTheme.series[3];
-              }
-            }
-            
-            // Create triangle SVG
-            // Triangle pointing up: for entry signals
-            // Triangle pointing down: for exit signals
-            const triangleSize = 24; // Increased size for better visibility
-            let svgContent;
-            if (triangleDirection === 'up') {
-              // Upward triangle (entry) - points up
-              svgContent = `<svg width="${triangleSize}" height="${triangleSize}" xmlns="http://www.w3.org/2000/svg">
-                <polygon points="${triangleSize/2},2 ${triangleSize-2},${triangleSize-2} 2,${triangleSize-2}" fill="${fillColor}" stroke="#fff" stroke-width="1.5"/>
-              </svg>`;
-            } else {
-              // Downward triangle (exit) - points down
-              svgContent = `<svg width="${triangleSize}" height="${triangleSize}" xmlns="http://www.w3.org/2000/svg">
-                <polygon points="2,2 ${triangleSize-2},2 ${triangleSize/2},${triangleSize-2}" fill="${fillColor}" stroke="#fff" stroke-width="1.5"/>
-              </svg>`;
-            }
-            
-            // Encode SVG as data URI
-            const svgDataUri = `data:image/svg+xml;base64,${btoa(svgContent)}`;
-            
-            return {
-              x: signal.timestamp,
-              y: signal.price,
-              marker: {
-                size: 0, // Hide default circular marker
-              },
-              image: {
-                path: svgDataUri,
-                width: triangleSize,
-                height: triangleSize,
-                offsetX: -triangleSize/2,
-                offsetY: -triangleSize/2,
-              },
-            };
-          }),
+          .map((signal) => ({
+            x: signal.timestamp,
+            y: signal.price,
+            marker: {
+              size: 0, // Hide default circular marker
+            },
+            image: signalMarker(signal, chartTheme),
+            mouseEnter: (anno, event) => {
+              event.target.style.cursor = onSignalClickRef.current ? 'pointer' : 'default';
+              const box = containerRef.current?.getBoundingClientRect();
+              if (!box) return;
+              setHoveredSignal({ signal, left: event.clientX - box.left, top: event.clientY - box.top });
+            },
+            mouseLeave: () => setHoveredSignal(null),
+            click: () => onSignalClickRef.current?.(signal),
+          })),
       } : {},
     };
-  }, [seriesData, yAxisMin, yAxisMax, mainChartIndicators, mainChartSeries, chartKey, signals]);
+  }, [seriesData, yAxisMin, yAxisMax, shownMainIndicators, mainChartSeries, chartKey, signals, capturePlotArea, dateFormat, intraday]);
 
 
   if (seriesData.length === 0) {
@@ -703,7 +889,7 @@ export default function CandlestickChart({ data = [], ticker, indicators = [], s
   }
 
   return (
-    <div className="w-full bg-surface rounded-lg border border-border p-4">
+    <div ref={containerRef} className="relative w-full bg-surface rounded-lg border border-border p-4">
       {/* Controls */}
       <div className="flex items-center justify-between mb-4 flex-wrap gap-3">
         <div className="flex items-center gap-2 flex-wrap">
@@ -732,7 +918,73 @@ export default function CandlestickChart({ data = [], ticker, indicators = [], s
             ))}
           </div>
         </div>
+
+        {/* Drawing tools and saved layout */}
+        {drawingEnabled && (
+          <div className="flex items-center gap-1 flex-wrap" role="toolbar" aria-label="Drawing tools">
+            {DRAWING_TOOLS.map(({ key, label, icon: Icon }) => (
+              <button
+                key={key}
+                type="button"
+                title={label}
+                aria-label={label}
+                aria-pressed={drawingTool === key}
+                disabled={key === 'erase' && drawings.length === 0}
+                onClick={() => setDrawingTool((current) => (current === key ? null : key))}
+                className={`p-1.5 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+                  drawingTool === key
+                    ? 'bg-accent text-white'
+                    : 'bg-surface-sunken text-ink-secondary hover:text-ink'
+                }`}
+              >
+                <Icon className="w-4 h-4" />
+              </button>
+            ))}
+            <button
+              type="button"
+              title="Remove all drawings"
+              aria-label="Remove all drawings"
+              disabled={drawings.length === 0}
+              onClick={clearDrawings}
+              className="p-1.5 rounded-lg bg-surface-sunken text-ink-secondary hover:text-loss-ink disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+            <span className="mx-1 h-5 w-px bg-border" />
+            <button
+              type="button"
+              onClick={handleExportLayout}
+              className="flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-surface-sunken text-ink-secondary hover:text-ink"
+            >
+              <Download className="w-3.5 h-3.5" />
+              Export layout
+            </button>
+            <button
+              type="button"
+              onClick={() => importInputRef.current?.click()}
+              className="flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-surface-sunken text-ink-secondary hover:text-ink"
+            >
+              <Upload className="w-3.5 h-3.5" />
+              Import layout
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={handleImportLayout}
+            />
+          </div>
+        )}
       </div>
+      {drawingTool && (
+        <p className="-mt-2 mb-2 text-xs text-ink-tertiary">
+          {drawingTool === 'hline' && 'Click the price chart to place a level.'}
+          {(drawingTool === 'trend' || drawingTool === 'rect') && 'Drag on the price chart to draw.'}
+          {drawingTool === 'text' && 'Click the price chart where the note should go.'}
+          {drawingTool === 'erase' && 'Click a drawing to remove it.'}
+        </p>
+      )}
       
       {/* Main Chart - Always render if we have data and first series is candlestick */}
       {mainChartSeries.length > 0 && 
@@ -746,60 +998,114 @@ export default function CandlestickChart({ data = [], ticker, indicators = [], s
             type="candlestick"
             height={400}
           />
+          {drawingEnabled && (
+            <ChartDrawingLayer
+              plot={plotArea}
+              drawings={drawings}
+              tool={drawingTool}
+              onAdd={addDrawing}
+              onRemove={removeDrawing}
+            />
+          )}
         </div>
       )}
       
+      {/* Trade marker hover card */}
+      {hoveredSignal && (() => {
+        const { signal, left, top } = hoveredSignal;
+        const reason = signal.type === 'exit' ? (EXIT_REASONS[signal.exitReason] || { label: signal.exitReason }) : null;
+        return (
+          <div
+            className="pointer-events-none absolute z-10 min-w-[180px] rounded-md border border-border bg-surface px-3 py-2 text-xs shadow-lg"
+            style={{ left: left + 14, top: top + 14 }}
+          >
+            <div className="font-semibold text-ink">
+              {signal.positionType === 'long' ? 'Long' : 'Short'} {signal.type === 'entry' ? 'entry' : 'exit'}
+              {signal.tradeId != null && <span className="font-normal text-ink-tertiary"> · trade #{signal.tradeId}</span>}
+            </div>
+            <div className="mt-1 text-ink-secondary">
+              {new Date(signal.timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+              {' @ '}
+              <span className="font-mono text-ink">${Number(signal.price).toFixed(2)}</span>
+            </div>
+            {reason?.label && <div className="text-ink-secondary">Exit reason: {reason.label}</div>}
+            {Number.isFinite(signal.pnl) && (
+              <div className={`mt-1 font-mono font-semibold ${signal.pnl >= 0 ? 'text-profit-ink' : 'text-loss-ink'}`}>
+                Trade PnL {money(signal.pnl)}
+                {Number.isFinite(signal.pnlPct) && ` (${signal.pnlPct >= 0 ? '+' : ''}${signal.pnlPct.toFixed(2)}%)`}
+              </div>
+            )}
+            {onSignalClick && <div className="mt-1 text-ink-tertiary">Click to show in the trade table</div>}
+          </div>
+        );
+      })()}
+
+      {/* Trade marker key */}
+      {signals.length > 0 && (
+        <div className="mt-2 flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-ink-secondary">
+          <span><span style={{ color: chartTheme.profit }}>▲</span> Long entry</span>
+          <span><span style={{ color: chartTheme.accent }}>▼</span> Short entry</span>
+          <span><span style={{ color: chartTheme.loss }}>●</span>/<span style={{ color: chartTheme.series[3] }}>●</span> Long / short exit</span>
+          <span className="text-ink-tertiary">
+            {Object.values(EXIT_REASONS).map((r) => `${r.code} ${r.label.toLowerCase()}`).join(' · ')}
+          </span>
+        </div>
+      )}
+
       {/* Subcharts - One separate chart for each indicator below main chart */}
-      {subchartConfigs.map((subchartConfig, index) => (
+      {subchartConfigs.map((subchartConfig) => (
         <div 
           key={`subchart-container-${subchartConfig.id}`} 
           className="mt-4" 
-          style={{ height: '200px', position: 'relative' }}
+          style={{ height: `${subchartConfig.height || 200}px`, position: 'relative' }}
         >
           <Chart
             key={subchartConfig.id}
             options={subchartConfig.options}
             series={subchartConfig.series}
             type="line"
-            height={200}
+            height={subchartConfig.height || 200}
           />
         </div>
       ))}
       
-      {/* Indicator Legend */}
-      {(mainChartIndicators.length > 0 || subchartIndicators.length > 0) && (
-        <div className="mt-4">
-          {mainChartIndicators.length > 0 && (
-            <div className="mb-2">
-              <span className="text-xs font-medium text-ink-tertiary uppercase">Main Chart:</span>
-              <div className="mt-1 flex flex-wrap gap-3">
-                {mainChartIndicators.map((ind, idx) => (
-                  <div key={idx} className="flex items-center gap-2">
-                    <div
-                      className="w-4 h-0.5"
-                      style={{ backgroundColor: ind.color }}
-                    />
-                    <span className="text-sm text-ink-secondary">{ind.name}</span>
-                  </div>
-                ))}
-              </div>
-            </div>
-          )}
-          {subchartIndicators.length > 0 && (
-            <div>
-              <span className="text-xs font-medium text-ink-tertiary uppercase">Subchart:</span>
-              <div className="mt-1 flex flex-wrap gap-3">
-                {subchartIndicators.map((ind, idx) => (
-                  <div key={idx} className="flex items-center gap-2">
-                    <div
-                      className="w-4 h-0.5"
-                      style={{ backgroundColor: ind.color }}
-                    />
-                    <span className="text-sm text-ink-secondary">{ind.name}</span>
-                  </div>
-                ))}
-              </div>
-            </div>
+      {/* Indicator legend: click to show / hide an indicator (all its lines and panes) or volume */}
+      {(legendGroups.length > 0 || hasVolume) && (
+        <div className="mt-4 flex flex-wrap items-center gap-2" role="group" aria-label="Chart layers">
+          <span className="text-xs font-medium text-ink-tertiary uppercase mr-1">Layers:</span>
+          {legendGroups.map((group) => {
+            const visible = !hiddenGroups.has(group.key);
+            return (
+              <button
+                key={group.key}
+                type="button"
+                aria-pressed={visible}
+                onClick={() => toggleGroup(group.key)}
+                className={`flex items-center gap-2 rounded border px-2 py-1 text-sm ${
+                  visible ? 'border-border-strong text-ink-secondary' : 'border-border text-ink-tertiary line-through opacity-60'
+                }`}
+              >
+                <span className="flex gap-0.5">
+                  {group.colors.map((color, idx) => (
+                    <span key={idx} className="w-3 h-0.5" style={{ backgroundColor: color }} />
+                  ))}
+                </span>
+                {group.label}
+              </button>
+            );
+          })}
+          {hasVolume && (
+            <button
+              type="button"
+              aria-pressed={showVolume}
+              onClick={() => setShowVolume((v) => !v)}
+              className={`flex items-center gap-2 rounded border px-2 py-1 text-sm ${
+                showVolume ? 'border-border-strong text-ink-secondary' : 'border-border text-ink-tertiary line-through opacity-60'
+              }`}
+            >
+              <span className="w-3 h-2" style={{ backgroundColor: chartTheme.inkTertiary }} />
+              Volume
+            </button>
           )}
         </div>
       )}
@@ -0,0 +1,57 @@
+/**
+ * Commission / slippage / borrow inputs (data/costConfig.js), grouped by section.
+ * Used by BacktestConfig and StrategySymbolBacktestRunModal.
+ */
+
+import { COST_FIELD_DEFS, parseCostField } from '../data/costConfig';
+
+/**
+ * @param {object} props
+ * @param {Record<string, number|string>} props.costs - current values (COST_DEFAULTS keys)
+ * @param {(costs: Record<string, number|string>) => void} props.onChange
+ */
+export default function CostModelFields({ costs, onChange }) {
+  const fields = COST_FIELD_DEFS.filter((def) => !def.showIf || def.showIf(costs));
+  const groups = [...new Set(fields.map((def) => def.group))];
+
+  const setField = (key, raw) => {
+    onChange({ ...costs, [key]: parseCostField(key, raw, costs) });
+  };
+
+  return (
+    <div className="space-y-3">
+      {groups.map((group) => (
+        <div key={group}>
+          <div className="text-xs font-medium text-ink-secondary mb-1">{group}</div>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            {fields.filter((def) => def.group === group).map((def) => (
+              <div key={def.key}>
+                <label className="block text-xs text-ink-tertiary mb-1">{def.label}</label>
+                {def.options ? (
+                  <select
+                    value={costs[def.key] ?? ''}
+                    onChange={(e) => setField(def.key, e.target.value)}
+                    className="w-full px-2 py-1.5 border border-border-strong rounded text-sm"
+                  >
+                    {def.options.map((o) => (
+                      <option key={o.value} value={o.value}>{o.label}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type="number"
+                    min="0"
+                    step={def.step}
+                    value={costs[def.key] ?? ''}
+                    onChange={(e) => setField(def.key, e.target.value)}
+                    className="w-full px-2 py-1.5 border border-border-strong rounded text-sm"
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+/**
+ * Bulk OHLCV data-quality scan for the symbols listed on the Market Data page. Each symbol's stored
+ * daily bars go through getSymbolDataQuality (a few at a time); rows offer the combined repair
+ * (refetch of the flagged range, update of stale data) and link to SymbolDetail for the issue list.
+ */
+
+import { useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { ShieldCheck, RotateCcw, RefreshCw } from 'lucide-react';
+import Badge from './ui/Badge';
+import { Table, TableHead, TableBody, TableRow, TableHeaderCell, TableCell } from './ui/Table';
+import { getSymbolDataQuality, refetchSymbolOHLCV, updateSymbolOHLCV } from '../data/symbols';
+import { combinedRepair, QUALITY_CHECKS } from '../utils/ohlcvQuality';
+import { withReturnState } from '../lib/navigation';
+import { qualityBadge, repairLabel } from './DataQualityPanel';
+
+const CONCURRENCY = 3;
+
+export default function DataQualityBulkPanel({ symbols = [], onTaskStarted }) {
+  const location = useLocation();
+  const [reports, setReports] = useState({});
+  const [scanning, setScanning] = useState(false);
+  const [done, setDone] = useState(0);
+  const [busyTicker, setBusyTicker] = useState(null);
+
+  const tickers = symbols.map((s) => s.ticker);
+  const scanned = tickers.filter((t) => reports[t]);
+
+  const handleScan = async () => {
+    setScanning(true);
+    setDone(0);
+    setReports({});
+    const queue = [...tickers];
+    const worker = async () => {
+      while (queue.length > 0) {
+        const ticker = queue.shift();
+        const report = await getSymbolDataQuality(ticker);
+        setReports((prev) => ({ ...prev, [ticker]: report }));
+        setDone((n) => n + 1);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, queue.length) }, worker));
+    setScanning(false);
+  };
+
+  const runRepair = async (ticker, action, range) => {
+    if (action === 'refetch') {
+      const span = range.start_date ? `${range.start_date} → ${range.end_date}` : `full history through ${range.end_date}`;
+      if (!window.confirm(`Refetch OHLCV data for ${ticker} (${span})? This will replace existing data in that range.`)) {
+        return;
+      }
+    }
+    setBusyTicker(ticker);
+    try {
+      const result = action === 'update'
+        ? await updateSymbolOHLCV(ticker)
+        : await refetchSymbolOHLCV(ticker, { start_date: range.start_date, end_date: range.end_date });
+      onTaskStarted?.(result.taskId);
+    } catch (error) {
+      alert(`Failed to ${action} OHLCV data for ${ticker}: ${error.message}`);
+    } finally {
+      setBusyTicker(null);
+    }
+  };
+
+  return (
+    <div className="mb-8 bg-surface rounded-lg shadow p-6">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <div>
+          <h2 className="text-xl font-bold text-ink flex items-center gap-2">
+            <ShieldCheck className="w-5 h-5 text-ink-tertiary" />
+            Data quality
+          </h2>
+          <p className="text-sm text-ink-secondary mt-1">
+            Scans the stored daily bars of the {tickers.length} symbol{tickers.length !== 1 ? 's' : ''} on this page for
+            missing days, bad prices, high / low violations, unadjusted splits and stale data.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={handleScan}
+          disabled={scanning || tickers.length === 0}
+          className="px-4 py-2 bg-surface border border-border-strong text-ink rounded-lg hover:bg-surface-sunken transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {scanning ? `Scanning ${done}/${tickers.length}…` : scanned.length > 0 ? 'Rescan' : 'Scan data quality'}
+        </button>
+      </div>
+
+      {scanned.length > 0 && (
+        <div className="mt-4">
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableHeaderCell>Symbol</TableHeaderCell>
+                <TableHeaderCell>Status</TableHeaderCell>
+                {Object.entries(QUALITY_CHECKS).map(([check, label]) => (
+                  <TableHeaderCell key={check} numeric priority={2}>{label}</TableHeaderCell>
+                ))}
+                <TableHeaderCell priority={3}>Last bar</TableHeaderCell>
+                <TableHeaderCell>Repair</TableHeaderCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {scanned.map((ticker) => {
+                const report = reports[ticker];
+                const badge = qualityBadge(report);
+                const repair = combinedRepair(report);
+                return (
+                  <TableRow key={ticker}>
+                    <TableCell>
+                      <Link
+                        to={`/symbols/${ticker}`}
+                        state={withReturnState(location)}
+                        className="font-semibold text-accent hover:underline"
+                      >
+                        {ticker}
+                      </Link>
+                    </TableCell>
+                    <TableCell><Badge variant={badge.variant} label={badge.label} /></TableCell>
+                    {Object.keys(QUALITY_CHECKS).map((check) => (
+                      <TableCell
+                        key={check}
+                        numeric
+                        priority={2}
+                        className={report.counts[check] > 0 ? 'text-status-warning' : 'text-ink-tertiary'}
+                      >
+                        {report.counts[check]}
+                      </TableCell>
+                    ))}
+                    <TableCell priority={3} className="font-mono">{report.lastDate || '—'}</TableCell>
+                    <TableCell>
+                      <div className="flex flex-col items-start gap-1">
+                        {repair.refetch && (
+                          <button
+                            type="button"
+                            onClick={() => runRepair(ticker, 'refetch', repair.refetch)}
+                            disabled={busyTicker !== null}
+                            className="flex items-center gap-1 text-xs font-medium text-accent hover:underline disabled:opacity-50"
+                          >
+                            <RotateCcw className="w-3.5 h-3.5" />
+                            {repairLabel({ action: 'refetch', ...repair.refetch })}
+                          </button>
+                        )}
+                        {repair.update && (
+                          <button
+                            type="button"
+                            onClick={() => runRepair(ticker, 'update')}
+                            disabled={busyTicker !== null}
+                            className="flex items-center gap-1 text-xs font-medium text-accent hover:underline disabled:opacity-50"
+                          >
+                            <RefreshCw className="w-3.5 h-3.5" />
+                            Update data
+                          </button>
+                        )}
+                        {!repair.refetch && !repair.update && <span className="text-xs text-ink-tertiary">—</span>}
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+/**
+ * OHLCV data-quality report for one symbol (utils/ohlcvQuality.js), grouped by check. Every issue
+ * links to its repair: `onRepair(issue)` receives the issue with `repair.action` 'refetch' (date
+ * range) or 'update'; the page runs refetchSymbolOHLCV / updateSymbolOHLCV.
+ */
+
+import { useState } from 'react';
+import { ShieldCheck, RotateCcw, RefreshCw } from 'lucide-react';
+import Badge from './ui/Badge';
+import { QUALITY_CHECKS } from '../utils/ohlcvQuality';
+
+const VISIBLE_ISSUES = 5;
+
+export function qualityBadge(report) {
+  if (!report || report.status === 'empty') return { variant: 'pending', label: 'No data' };
+  const errors = report.issues.filter((i) => i.severity === 'error').length;
+  const warnings = report.issues.length - errors;
+  if (errors > 0) return { variant: 'failed', label: `${errors} error${errors !== 1 ? 's' : ''}` };
+  if (warnings > 0) return { variant: 'warning', label: `${warnings} warning${warnings !== 1 ? 's' : ''}` };
+  return { variant: 'completed', label: 'Clean' };
+}
+
+export function repairLabel(repair) {
+  if (repair.action === 'update') return 'Update data';
+  if (!repair.start_date) return `Refetch through ${repair.end_date}`;
+  return `Refetch ${repair.start_date} → ${repair.end_date}`;
+}
+
+export default function DataQualityPanel({ report, loading = false, onRepair, repairDisabled = false }) {
+  const [expanded, setExpanded] = useState({});
+  const badge = qualityBadge(report);
+
+  return (
+    <div className="bg-surface rounded-lg shadow-lg p-6">
+      <div className="flex items-center justify-between gap-3 flex-wrap mb-2">
+        <h2 className="text-xl font-bold text-ink flex items-center gap-2">
+          <ShieldCheck className="w-5 h-5 text-ink-tertiary" />
+          Data quality
+        </h2>
+        {!loading && <Badge variant={badge.variant} label={badge.label} />}
+      </div>
+
+      {loading && <p className="text-sm text-ink-tertiary">Scanning OHLCV data…</p>}
+
+      {!loading && report?.status === 'empty' && (
+        <p className="text-sm text-ink-tertiary">No daily bars stored, nothing to scan.</p>
+      )}
+
+      {!loading && report && report.status !== 'empty' && (
+        <>
+          <p className="text-sm text-ink-secondary mb-4">
+            Scanned {report.barCount.toLocaleString()}
+            {report.totalCount > report.barCount && ` of ${report.totalCount.toLocaleString()} (newest)`} daily bars,
+            {' '}{report.firstDate} → {report.lastDate}. Missing days are weekdays without a bar; exchange
+            holidays are not known, so single missing days only count when there are more than holidays explain.
+          </p>
+          <ul className="divide-y divide-border border border-border rounded-lg">
+            {Object.entries(QUALITY_CHECKS).map(([check, label]) => {
+              const issues = report.issues.filter((i) => i.check === check);
+              const open = expanded[check];
+              const shown = open ? issues : issues.slice(0, VISIBLE_ISSUES);
+              return (
+                <li key={check} className="px-4 py-3">
+                  <div className="flex items-center justify-between gap-3">
+                    <span className="text-sm font-medium text-ink">{label}</span>
+                    {issues.length === 0 ? (
+                      <span className="text-xs text-status-success">✓ None found</span>
+                    ) : (
+                      <Badge
+                        variant={issues.some((i) => i.severity === 'error') ? 'failed' : 'warning'}
+                        label={String(issues.length)}
+                      />
+                    )}
+                  </div>
+                  {shown.length > 0 && (
+                    <ul className="mt-2 space-y-2">
+                      {shown.map((issue, idx) => (
+                        <li key={`${issue.date}-${idx}`} className="flex items-start justify-between gap-3 flex-wrap text-sm">
+                          <div className="min-w-0">
+                            <span className="font-mono text-ink">
+                              {issue.date}{issue.endDate && issue.endDate !== issue.date ? ` → ${issue.endDate}` : ''}
+                            </span>
+                            <span className="text-ink-secondary"> — {issue.message}</span>
+                          </div>
+                          {onRepair && (
+                            <button
+                              type="button"
+                              onClick={() => onRepair(issue)}
+                              disabled={repairDisabled}
+                              className="flex items-center gap-1 text-xs font-medium text-accent hover:underline disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              {issue.repair.action === 'update'
+                                ? <RefreshCw className="w-3.5 h-3.5" />
+                                : <RotateCcw className="w-3.5 h-3.5" />}
+                              {repairLabel(issue.repair)}
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {issues.length > VISIBLE_ISSUES && (
+                    <button
+                      type="button"
+                      onClick={() => setExpanded((prev) => ({ ...prev, [check]: !open }))}
+                      className="mt-2 text-xs text-ink-tertiary hover:text-ink"
+                    >
+                      {open ? 'Show fewer' : `Show all ${issues.length}`}
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
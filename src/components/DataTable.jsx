@@ -1,5 +1,7 @@
 /**
  * Data Table Component — OHLCV with backend pagination and change_percent from API.
+ * `timeframe` is the stored timeframe to page through; `resampled` rows (built client-side from
+ * finer bars) are all in `initialData` and are paged locally.
  */
 
 import { useState, useEffect } from 'react';
@@ -11,21 +13,21 @@ import EmptyState from './ui/EmptyState';
 
 const ITEMS_PER_PAGE = 20;
 
-export default function DataTable({ initialData = [], ticker, totalCount = 0 }) {
+export default function DataTable({ initialData = [], ticker, totalCount = 0, timeframe = 'daily', resampled = false }) {
   const [currentPage, setCurrentPage] = useState(1);
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(false);
   const [count, setCount] = useState(totalCount || initialData.length);
 
   useEffect(() => {
-    if (ticker) {
+    if (ticker && !resampled) {
       if (currentPage === 1 && initialData.length > 0) {
         setData(initialData.slice(0, ITEMS_PER_PAGE));
         setCount(totalCount || initialData.length);
         setLoading(false);
       } else {
         setLoading(true);
-        getSymbolOHLCV(ticker, 'daily', null, null, currentPage, ITEMS_PER_PAGE)
+        getSymbolOHLCV(ticker, timeframe, null, null, currentPage, ITEMS_PER_PAGE)
           .then((result) => {
             setData(result.results || []);
             setCount(result.count || 0);
@@ -42,7 +44,7 @@ export default function DataTable({ initialData = [], ticker, totalCount = 0 })
       setData(initialData.slice(startIndex, startIndex + ITEMS_PER_PAGE));
       setCount(initialData.length);
     }
-  }, [currentPage, ticker, initialData, totalCount]);
+  }, [currentPage, ticker, initialData, totalCount, timeframe, resampled]);
 
   const totalPages = Math.ceil(count / ITEMS_PER_PAGE);
 
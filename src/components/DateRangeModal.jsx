@@ -21,6 +21,8 @@ export default function DateRangeModal({
   title = 'Select Date Range',
   showProvider = false,
   providerHint = 'fetch',
+  initialStartDate = '',
+  initialEndDate = '',
 }) {
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
@@ -65,6 +67,14 @@ export default function DateRangeModal({
     }
   }, [isOpen, showProvider]); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Prefill (e.g. the range of a data-quality issue) each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setStartDate(initialStartDate || '');
+      setEndDate(initialEndDate || '');
+    }
+  }, [isOpen, initialStartDate, initialEndDate]);
+
   const handleConfirm = () => {
     const params = {};
 
@@ -1,7 +1,7 @@
 /**
  * DeployStrategyModal — wizard to deploy a strategy parameter set to paper trading.
  *
- * Step 1: Pick broker, position mode, capital, bet size.
+ * Step 1: Pick broker, position mode, capital, position sizing (model or bet size).
  * Step 2: Preview default green-bucket symbol selection (with overrides toggle).
  * Step 3: Confirm — POST /api/strategy-deployments/.
  *
@@ -18,6 +18,8 @@ import {
   getHedgeInheritPreview,
   previewDeploymentSymbols,
 } from '../data/strategyDeployments';
+import { DEFAULT_SIZING_MODEL, defaultSizingParams, describeSizing, sizingPayload } from '../data/sizingConfig';
+import PositionSizingFields from './PositionSizingFields';
 
 const COLOR_DOT = {
   green: 'bg-profit-soft0',
@@ -55,6 +57,8 @@ export default function DeployStrategyModal({
   const [capitalFromBroker, setCapitalFromBroker] = useState(false);
   const [capitalLoadError, setCapitalLoadError] = useState(null);
   const [betSize, setBetSize] = useState('100');
+  const [sizingModel, setSizingModel] = useState(DEFAULT_SIZING_MODEL);
+  const [sizingParams, setSizingParams] = useState(defaultSizingParams);
   const [evalCriteria, setEvalCriteria] = useState('{"min_trades": 10, "min_win_rate": 0.5}');
 
   const [preview, setPreview] = useState(null);
@@ -78,6 +82,8 @@ export default function DeployStrategyModal({
     setCapital('10000');
     setCapitalFromBroker(false);
     setCapitalLoadError(null);
+    setSizingModel(DEFAULT_SIZING_MODEL);
+    setSizingParams(defaultSizingParams());
     setHedgePreview(null);
   }, [open, parameterSetLabel, strategyName, defaultPositionMode]);
 
@@ -195,6 +201,7 @@ export default function DeployStrategyModal({
         position_mode: positionMode,
         initial_capital: capital,
         bet_size_percentage: Number(betSize),
+        ...sizingPayload(sizingModel, sizingParams[sizingModel]),
         evaluation_criteria: evaluation,
         use_default_symbols: useDefault,
         symbol_overrides: useDefault ? [] : overrides,
@@ -254,6 +261,10 @@ export default function DeployStrategyModal({
               setCapitalFromBroker={setCapitalFromBroker}
               betSize={betSize}
               setBetSize={setBetSize}
+              sizingModel={sizingModel}
+              setSizingModel={setSizingModel}
+              sizingParams={sizingParams}
+              setSizingParams={setSizingParams}
               evalCriteria={evalCriteria}
               setEvalCriteria={setEvalCriteria}
               hedgeOptIn={hedgeOptIn}
@@ -278,7 +289,10 @@ export default function DeployStrategyModal({
               brokerId={brokerId}
               positionMode={positionMode}
               capital={capital}
-              betSize={betSize}
+              sizing={describeSizing({
+                ...sizingPayload(sizingModel, sizingParams[sizingModel]),
+                bet_size_percentage: betSize,
+              })}
               selectedCount={selectedCount}
               parameterSetLabel={parameterSetLabel}
               hedgeOptIn={hedgeOptIn}
@@ -341,7 +355,8 @@ function SetupStep(props) {
     positionMode, setPositionMode,
     name, setName, capital, setCapital,
     capitalFromBroker, capitalLoadError, setCapitalFromBroker,
-    betSize, setBetSize, evalCriteria, setEvalCriteria,
+    betSize, setBetSize, sizingModel, setSizingModel, sizingParams, setSizingParams,
+    evalCriteria, setEvalCriteria,
     hedgeOptIn, setHedgeOptIn, hedgePreview, hedgeLoading,
   } = props;
   return (
@@ -400,14 +415,6 @@ function SetupStep(props) {
           <p className="text-xs text-amber-600 mt-1">{capitalLoadError} You can type a value manually.</p>
         )}
       </Field>
-      <Field label="Bet size (% of capital per trade)">
-        <input
-          type="number"
-          value={betSize}
-          onChange={(e) => setBetSize(e.target.value)}
-          className="w-full border border-border-strong rounded px-3 py-1.5"
-        />
-      </Field>
       <Field label="Evaluation criteria (JSON)">
         <textarea
           rows={3}
@@ -416,6 +423,24 @@ function SetupStep(props) {
           className="w-full border border-border-strong rounded px-3 py-1.5 font-mono text-xs"
         />
       </Field>
+      <div className="md:col-span-2">
+        <span className="text-xs uppercase tracking-wide text-ink-tertiary mb-1 block">Position sizing</span>
+        <PositionSizingFields
+          model={sizingModel}
+          params={sizingParams}
+          onModelChange={setSizingModel}
+          onParamsChange={setSizingParams}
+        >
+          <Field label="Bet size (% of capital per trade)">
+            <input
+              type="number"
+              value={betSize}
+              onChange={(e) => setBetSize(e.target.value)}
+              className="w-full border border-border-strong rounded px-3 py-1.5"
+            />
+          </Field>
+        </PositionSizingFields>
+      </div>
       <div className="md:col-span-2 border border-slate-200 rounded-lg p-3 bg-slate-50/80">
         <div className="flex items-start gap-2">
           <input
@@ -514,7 +539,7 @@ function SymbolsStep({ loading, preview, selectedTickers, setSelectedTickers, sh
 }
 
 function ConfirmStep({
-  brokers, brokerId, positionMode, capital, betSize, selectedCount, parameterSetLabel,
+  brokers, brokerId, positionMode, capital, sizing, selectedCount, parameterSetLabel,
   hedgeOptIn,
 }) {
   const broker = brokers.find((b) => String(b.id) === String(brokerId));
@@ -523,7 +548,7 @@ function ConfirmStep({
       <Row label="Broker" value={broker ? `${broker.name} (${broker.code})` : '—'} />
       <Row label="Position mode" value={positionMode.toUpperCase()} />
       <Row label="Initial capital" value={`$${Number(capital).toLocaleString()}`} />
-      <Row label="Bet size" value={`${betSize}%`} />
+      <Row label="Position sizing" value={`${sizing.label} · ${sizing.detail}`} />
       <Row
         label="VIX hedge (live)"
         value={hedgeOptIn ? 'On — split with VIXY proxy' : 'Off'}
@@ -0,0 +1,469 @@
+/**
+ * Import OHLCV Data Modal Component
+ * Uploads bars from a local CSV / Parquet file for one symbol: column mapping, date format and
+ * timezone, row validation and a preview before the import task is queued.
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { X, Upload, FileUp } from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import Chart from 'react-apexcharts';
+import { marketDataAPI } from '../data/api';
+import { importOHLCVData } from '../data/symbols';
+import { apexBaseOptions, getChartTheme } from '../lib/chartTheme';
+import { barSizeByKey, isIntradayBarSize } from '../utils/ohlcvResample';
+import {
+  buildImportBars,
+  DATE_FORMATS,
+  guessColumnMapping,
+  IMPORT_BAR_SIZES,
+  IMPORT_FIELDS,
+  IMPORT_TIMEZONES,
+  parseCsv,
+  parseParquet,
+} from '../utils/ohlcvImport';
+
+const PREVIEW_ROWS = 8;
+const PREVIEW_CHART_BARS = 1000;
+const VISIBLE_ERRORS = 10;
+
+const inputClass = 'w-full px-4 py-2 border border-border-strong rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent';
+
+/** "AAPL_daily_2020.csv" → "AAPL" */
+const tickerFromFileName = (name) => (/^([A-Za-z][A-Za-z0-9.-]{0,9})(?=[_\s.-]|$)/.exec(name)?.[1] || '').toUpperCase();
+
+export default function ImportOHLCVModal({ isOpen, onClose, onTaskStarted }) {
+  const fileInputRef = useRef(null);
+  const [file, setFile] = useState(null); // { name, kind, headers, rows }
+  const [parsing, setParsing] = useState(false);
+  const [parseError, setParseError] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [ticker, setTicker] = useState('');
+  const [exchanges, setExchanges] = useState([]);
+  const [exchangeCode, setExchangeCode] = useState('');
+  const [barSize, setBarSize] = useState('1d');
+  const [dateFormat, setDateFormat] = useState('auto');
+  const [timeZone, setTimeZone] = useState('UTC');
+  const [decimalSeparator, setDecimalSeparator] = useState('.');
+  const [showAllErrors, setShowAllErrors] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const loadExchanges = async () => {
+      try {
+        const response = await marketDataAPI.getAvailableExchanges();
+        if (response.success && response.data) {
+          setExchanges(Array.isArray(response.data) ? response.data : response.data.results || []);
+        }
+      } catch (error) {
+        console.error('Error loading exchanges:', error);
+      }
+    };
+    loadExchanges();
+  }, [isOpen]);
+
+  const result = useMemo(() => {
+    if (!file) return null;
+    try {
+      return buildImportBars(file.rows, mapping, { barSize, dateFormat, timeZone, decimalSeparator });
+    } catch (error) {
+      return { mappingError: error.message };
+    }
+  }, [file, mapping, barSize, dateFormat, timeZone, decimalSeparator]);
+
+  const resetForm = () => {
+    setFile(null);
+    setParseError(null);
+    setMapping({});
+    setTicker('');
+    setExchangeCode('');
+    setBarSize('1d');
+    setDateFormat('auto');
+    setTimeZone('UTC');
+    setDecimalSeparator('.');
+    setShowAllErrors(false);
+  };
+
+  const handleClose = () => {
+    resetForm();
+    onClose();
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files?.[0];
+    e.target.value = '';
+    if (!selected) return;
+    setParsing(true);
+    setParseError(null);
+    try {
+      const isParquet = /\.parquet$/i.test(selected.name);
+      const parsed = isParquet
+        ? await parseParquet(await selected.arrayBuffer())
+        : parseCsv(await selected.text());
+      if (parsed.rows.length === 0) throw new Error('File has a header but no rows');
+      setFile({ name: selected.name, kind: isParquet ? 'Parquet' : 'CSV', ...parsed });
+      setMapping(guessColumnMapping(parsed.headers));
+      setDecimalSeparator(parsed.delimiter === ';' ? ',' : '.');
+      setDateFormat('auto');
+      setShowAllErrors(false);
+      if (!ticker) setTicker(tickerFromFileName(selected.name));
+    } catch (error) {
+      setFile(null);
+      setParseError(error.message);
+    } finally {
+      setParsing(false);
+    }
+  };
+
+  const handleExchangeChange = (code) => {
+    setExchangeCode(code);
+    const exchange = exchanges.find((x) => x.code === code);
+    if (exchange?.timezone) setTimeZone(exchange.timezone);
+  };
+
+  const handleImport = async () => {
+    const symbol = ticker.trim().toUpperCase();
+    if (!symbol) {
+      alert('Please enter a ticker symbol');
+      return;
+    }
+    if (!exchangeCode) {
+      alert('Please select an exchange');
+      return;
+    }
+    if (!result || result.mappingError || result.bars.length === 0) return;
+    const timeframe = barSizeByKey(barSize).timeframe;
+    const skipped = result.errorCount > 0
+      ? ` ${result.errorCount.toLocaleString()} invalid row${result.errorCount !== 1 ? 's' : ''} will be skipped.`
+      : '';
+    if (!window.confirm(
+      `Import ${result.bars.length.toLocaleString()} ${timeframe} bars for ${symbol} (${exchangeCode})? `
+      + `Stored bars at the same timestamps will be replaced.${skipped}`,
+    )) {
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await importOHLCVData({
+        ticker: symbol,
+        exchange_code: exchangeCode,
+        timeframe,
+        source_filename: file.name,
+        bars: result.bars,
+      });
+      onTaskStarted(response.taskId);
+      handleClose();
+    } catch (error) {
+      alert(`Failed to import OHLCV data: ${error.message}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const intraday = isIntradayBarSize(barSize);
+  const bars = result?.bars || [];
+  const formatTimestamp = (timestamp) => (intraday ? timestamp.replace('T', ' ').slice(0, 16) : timestamp.slice(0, 10));
+  const visibleErrors = result?.errors ? (showAllErrors ? result.errors : result.errors.slice(0, VISIBLE_ERRORS)) : [];
+  const exchangeTimeZones = exchanges.map((x) => x.timezone).filter(Boolean);
+  const timeZones = [...new Set([...IMPORT_TIMEZONES, ...exchangeTimeZones, timeZone])];
+
+  const chart = useMemo(() => {
+    if (!result?.bars?.length) return null;
+    const theme = getChartTheme();
+    const base = apexBaseOptions();
+    return {
+      series: [{
+        name: 'OHLC',
+        data: result.bars.slice(-PREVIEW_CHART_BARS).map((b) => ({ x: Date.parse(b.timestamp), y: [b.open, b.high, b.low, b.close] })),
+      }],
+      options: {
+        ...base,
+        chart: { ...base.chart, type: 'candlestick', animations: { enabled: false }, zoom: { enabled: false } },
+        plotOptions: { candlestick: { colors: { upward: theme.profit, downward: theme.loss } } },
+        xaxis: { ...base.xaxis, type: 'datetime', labels: { ...base.xaxis.labels, datetimeUTC: true } },
+        yaxis: { ...base.yaxis, tooltip: { enabled: false }, decimalsInFloat: 2 },
+        tooltip: { ...base.tooltip, x: { format: intraday ? 'MMM dd HH:mm' : 'MMM dd, yyyy' } },
+      },
+    };
+  }, [result, intraday]);
+
+  if (!isOpen) return null;
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.95 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.95 }}
+          className="bg-surface rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col"
+        >
+          <div className="flex items-center justify-between p-6 border-b">
+            <h2 className="text-2xl font-bold text-ink">Import OHLCV File</h2>
+            <button
+              type="button"
+              onClick={handleClose}
+              className="text-ink-tertiary hover:text-ink-secondary transition-colors"
+            >
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+
+          <div className="flex-1 overflow-y-auto p-6 space-y-6">
+            <div>
+              <label className="block text-sm font-medium text-ink-secondary mb-2">File</label>
+              <div className="flex items-center gap-3 flex-wrap">
+                <button
+                  type="button"
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={parsing}
+                  className="px-4 py-2 bg-surface border border-border-strong text-ink rounded-lg hover:bg-surface-sunken transition-colors font-medium flex items-center gap-2 disabled:opacity-50"
+                >
+                  <FileUp className="w-4 h-4" />
+                  {file ? 'Choose another file' : 'Choose file'}
+                </button>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept=".csv,.tsv,.txt,.parquet"
+                  onChange={handleFileChange}
+                  className="hidden"
+                />
+                {parsing && <span className="text-sm text-ink-tertiary">Reading file…</span>}
+                {file && !parsing && (
+                  <span className="text-sm text-ink-secondary">
+                    <span className="font-mono text-ink">{file.name}</span>
+                    {' '}· {file.kind} · {file.rows.length.toLocaleString()} rows · {file.headers.length} columns
+                  </span>
+                )}
+              </div>
+              {parseError && <p className="mt-2 text-sm text-status-failed">{parseError}</p>}
+              <p className="mt-2 text-sm text-ink-tertiary">
+                CSV / TSV with a header row (comma, semicolon, tab or pipe separated) or Parquet. One symbol per file.
+              </p>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-ink-secondary mb-2">Ticker Symbol</label>
+                <input
+                  type="text"
+                  value={ticker}
+                  onChange={(e) => setTicker(e.target.value.toUpperCase())}
+                  placeholder="e.g., AAPL"
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-ink-secondary mb-2">Exchange</label>
+                <select value={exchangeCode} onChange={(e) => handleExchangeChange(e.target.value)} className={inputClass}>
+                  <option value="">Select exchange…</option>
+                  {exchanges.map((exchange) => (
+                    <option key={exchange.code} value={exchange.code}>
+                      {exchange.name} ({exchange.code})
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-ink-secondary mb-2">Bar Size</label>
+                <select value={barSize} onChange={(e) => setBarSize(e.target.value)} className={inputClass}>
+                  {IMPORT_BAR_SIZES.map((key) => (
+                    <option key={key} value={key}>{barSizeByKey(key).label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <p className="-mt-3 text-sm text-ink-tertiary">
+              The symbol is created on the exchange if it does not exist yet.
+            </p>
+
+            {file && (
+              <>
+                <div className="border-t pt-4">
+                  <label className="block text-sm font-medium text-ink-secondary mb-3">Column Mapping</label>
+                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                    {IMPORT_FIELDS.map((field) => (
+                      <div key={field.key}>
+                        <label className="block text-xs text-ink-secondary mb-1">
+                          {field.label}{field.required ? ' *' : ''}
+                        </label>
+                        <select
+                          value={mapping[field.key] ?? -1}
+                          onChange={(e) => setMapping((prev) => ({ ...prev, [field.key]: Number(e.target.value) }))}
+                          className="w-full px-3 py-2 text-sm border border-border-strong rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent"
+                        >
+                          <option value={-1}>— not mapped —</option>
+                          {file.headers.map((header, index) => (
+                            <option key={`${header}-${index}`} value={index}>{header}</option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-xs text-ink-secondary mb-1">Date Format</label>
+                    <select
+                      value={dateFormat}
+                      onChange={(e) => setDateFormat(e.target.value)}
+                      className="w-full px-3 py-2 text-sm border border-border-strong rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent"
+                    >
+                      {DATE_FORMATS.map((format) => (
+                        <option key={format.key} value={format.key}>
+                          {format.key === 'auto' && result?.dateFormat
+                            ? `${format.label} (${DATE_FORMATS.find((f) => f.key === result.dateFormat)?.label})`
+                            : format.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs text-ink-secondary mb-1">Timezone</label>
+                    <select
+                      value={timeZone}
+                      onChange={(e) => setTimeZone(e.target.value)}
+                      className="w-full px-3 py-2 text-sm border border-border-strong rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent"
+                    >
+                      {timeZones.map((zone) => <option key={zone} value={zone}>{zone}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs text-ink-secondary mb-1">Decimal Separator</label>
+                    <select
+                      value={decimalSeparator}
+                      onChange={(e) => setDecimalSeparator(e.target.value)}
+                      className="w-full px-3 py-2 text-sm border border-border-strong rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent"
+                    >
+                      <option value=".">Point (1,234.50)</option>
+                      <option value=",">Comma (1.234,50)</option>
+                    </select>
+                  </div>
+                </div>
+                <p className="-mt-3 text-sm text-ink-tertiary">
+                  Times without an offset are read in this timezone (defaults to the exchange&apos;s); values with Z / ±hh:mm
+                  and Unix timestamps are exact instants. Daily bars keep their trading date.
+                </p>
+
+                <div className="border-t pt-4">
+                  <label className="block text-sm font-medium text-ink-secondary mb-3">Validation &amp; Preview</label>
+                  {result?.mappingError ? (
+                    <p className="text-sm text-status-warning">{result.mappingError}</p>
+                  ) : (
+                    <>
+                      <p className="text-sm text-ink-secondary">
+                        <span className="font-medium text-status-success">{bars.length.toLocaleString()} valid bar{bars.length !== 1 ? 's' : ''}</span>
+                        {result.errorCount > 0 && (
+                          <span className="font-medium text-status-failed">
+                            {' '}· {result.errorCount.toLocaleString()} row{result.errorCount !== 1 ? 's' : ''} rejected
+                          </span>
+                        )}
+                        {bars.length > 0 && (
+                          <span className="font-mono">
+                            {' '}· {formatTimestamp(result.firstDate)} → {formatTimestamp(result.lastDate)}
+                          </span>
+                        )}
+                      </p>
+
+                      {visibleErrors.length > 0 && (
+                        <div className="mt-3 rounded-lg border border-border">
+                          <ul className="divide-y divide-border text-sm max-h-48 overflow-y-auto">
+                            {visibleErrors.map((error) => (
+                              <li key={`${error.row}-${error.message}`} className="px-3 py-1.5">
+                                <span className="font-mono text-ink-tertiary">Row {error.row}</span>
+                                <span className="text-ink-secondary"> — {error.message}</span>
+                              </li>
+                            ))}
+                          </ul>
+                          {result.errors.length > VISIBLE_ERRORS && (
+                            <button
+                              type="button"
+                              onClick={() => setShowAllErrors((v) => !v)}
+                              className="px-3 py-1.5 text-xs text-ink-tertiary hover:text-ink"
+                            >
+                              {showAllErrors
+                                ? 'Show fewer'
+                                : `Show ${result.errors.length.toLocaleString()}${result.errorCount > result.errors.length ? ' (first)' : ''} errors`}
+                            </button>
+                          )}
+                        </div>
+                      )}
+
+                      {chart && (
+                        <div className="mt-4">
+                          <Chart type="candlestick" series={chart.series} options={chart.options} height={240} />
+                          {bars.length > PREVIEW_CHART_BARS && (
+                            <p className="text-xs text-ink-tertiary">
+                              Chart shows the last {PREVIEW_CHART_BARS.toLocaleString()} bars.
+                            </p>
+                          )}
+                        </div>
+                      )}
+
+                      {bars.length > 0 && (
+                        <div className="mt-4 overflow-x-auto">
+                          <table className="min-w-full text-sm">
+                            <thead>
+                              <tr className="text-left text-xs text-ink-tertiary uppercase">
+                                <th className="px-3 py-2">{intraday ? 'Time (UTC)' : 'Date'}</th>
+                                <th className="px-3 py-2 text-right">Open</th>
+                                <th className="px-3 py-2 text-right">High</th>
+                                <th className="px-3 py-2 text-right">Low</th>
+                                <th className="px-3 py-2 text-right">Close</th>
+                                <th className="px-3 py-2 text-right">Volume</th>
+                              </tr>
+                            </thead>
+                            <tbody className="divide-y divide-border font-mono">
+                              {bars.slice(0, PREVIEW_ROWS).map((bar) => (
+                                <tr key={bar.timestamp}>
+                                  <td className="px-3 py-1.5 text-ink">{formatTimestamp(bar.timestamp)}</td>
+                                  <td className="px-3 py-1.5 text-right">{bar.open}</td>
+                                  <td className="px-3 py-1.5 text-right">{bar.high}</td>
+                                  <td className="px-3 py-1.5 text-right">{bar.low}</td>
+                                  <td className="px-3 py-1.5 text-right">{bar.close}</td>
+                                  <td className="px-3 py-1.5 text-right">{bar.volume.toLocaleString()}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                          {bars.length > PREVIEW_ROWS && (
+                            <p className="px-3 pt-1 text-xs text-ink-tertiary">
+                              First {PREVIEW_ROWS} of {bars.length.toLocaleString()} bars.
+                            </p>
+                          )}
+                        </div>
+                      )}
+                    </>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="flex items-center justify-end gap-3 p-6 border-t">
+            <button
+              type="button"
+              onClick={handleClose}
+              className="px-4 py-2 text-ink-secondary bg-surface-sunken rounded-lg hover:bg-surface-sunken transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={submitting || bars.length === 0}
+              className="px-6 py-2 bg-accent text-white rounded-lg hover:bg-accent-hover disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 transition-colors"
+            >
+              <Upload className="w-5 h-5" />
+              {submitting ? 'Uploading…' : `Import ${bars.length > 0 ? `${bars.length.toLocaleString()} bars` : 'Data'}`}
+            </button>
+          </div>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+}
@@ -6,6 +6,8 @@ import Topbar from './layout/Topbar';
 import MobileTabBar from './layout/MobileTabBar';
 import NavDrawer from './layout/NavDrawer';
 import { allNavItems } from '../constants/navigation';
+import { AlertsProvider } from '../store/AlertsContext';
+import { useAuth } from '../store/AuthContext';
 
 function useBreadcrumb() {
   const location = useLocation();
@@ -22,30 +24,34 @@ export default function Layout() {
   const reduceMotion = useReducedMotion();
   const location = useLocation();
   const breadcrumb = useBreadcrumb();
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
 
   return (
-    <div className="min-h-screen bg-bg flex">
-      <Sidebar collapsed={sidebarCollapsed} />
-      <div className="flex-1 flex flex-col min-w-0 min-h-screen">
-        <Topbar
-          breadcrumb={breadcrumb}
-          showMenuButton
-          onMenuClick={() => setDrawerOpen(true)}
-        />
-        <main className="flex-1 overflow-x-hidden pb-[var(--shell-tabbar-height)] md:pb-0">
-          <motion.div
-            key={location.pathname}
-            initial={reduceMotion ? false : { opacity: 0, y: 8 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ duration: reduceMotion ? 0 : 0.2, ease: [0.2, 0, 0, 1] }}
-            className="p-4 md:p-6 max-w-[1600px] mx-auto w-full"
-          >
-            <Outlet />
-          </motion.div>
-        </main>
+    <AlertsProvider key={userId ?? 'anonymous'} userId={userId}>
+      <div className="min-h-screen bg-bg flex">
+        <Sidebar collapsed={sidebarCollapsed} />
+        <div className="flex-1 flex flex-col min-w-0 min-h-screen">
+          <Topbar
+            breadcrumb={breadcrumb}
+            showMenuButton
+            onMenuClick={() => setDrawerOpen(true)}
+          />
+          <main className="flex-1 overflow-x-hidden pb-[var(--shell-tabbar-height)] md:pb-0">
+            <motion.div
+              key={location.pathname}
+              initial={reduceMotion ? false : { opacity: 0, y: 8 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: reduceMotion ? 0 : 0.2, ease: [0.2, 0, 0, 1] }}
+              className="p-4 md:p-6 max-w-[1600px] mx-auto w-full"
+            >
+              <Outlet />
+            </motion.div>
+          </main>
+        </div>
+        <MobileTabBar onMoreClick={() => setDrawerOpen(true)} />
+        <NavDrawer open={drawerOpen} onClose={() => setDrawerOpen(false)} />
       </div>
-      <MobileTabBar onMoreClick={() => setDrawerOpen(true)} />
-      <NavDrawer open={drawerOpen} onClose={() => setDrawerOpen(false)} />
-    </div>
+    </AlertsProvider>
   );
 }
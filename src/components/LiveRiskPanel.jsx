@@ -0,0 +1,253 @@
+/**
+ * Aggregate risk of the open live book across deployments (LiveDashboard): gross / net exposure,
+ * long / short split, per-symbol concentration, a correlation matrix of the held symbols and a
+ * one-day historical VaR. Positions come from the open live trades; marks and return history from
+ * the stored daily OHLCV of each held symbol (utils/portfolioRisk.js, utils/correlation.js).
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { Loader, ShieldAlert } from 'lucide-react';
+import { getSymbolOHLCV } from '../data/symbols';
+import { correlationMatrix, dailyReturns } from '../utils/correlation';
+import { bookPositions, exposureSummary, historicalVaR, MIN_VAR_SCENARIOS } from '../utils/portfolioRisk';
+import { withReturnState } from '../lib/navigation';
+import CorrelationMatrix from './charts/CorrelationMatrix';
+import { StatCard } from './ui';
+import { formatWholeUsd } from '../lib/formatPnl';
+
+const SCOPES = [
+  { key: 'all', label: 'All' },
+  { key: 'real_money', label: 'Real money' },
+  { key: 'paper', label: 'Paper' },
+];
+/** Return windows in trading days; history is fetched once for the longest. */
+const LOOKBACKS = [
+  { key: 63, label: '3M' },
+  { key: 126, label: '6M' },
+  { key: 252, label: '1Y' },
+];
+const HISTORY_CALENDAR_DAYS = 400;
+const CONFIDENCES = [0.95, 0.99];
+/** Matrix gets unreadable past this; the largest positions are shown. */
+const MAX_MATRIX_SYMBOLS = 12;
+
+const pct = (value) => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * @param {{ trades: object[] }} props - every open live trade across deployments
+ */
+export default function LiveRiskPanel({ trades = [] }) {
+  const location = useLocation();
+  const [scope, setScope] = useState('all');
+  const [lookback, setLookback] = useState(252);
+  const [confidence, setConfidence] = useState(0.95);
+  const [history, setHistory] = useState({}); // ticker → bars, newest first
+  const [loadingHistory, setLoadingHistory] = useState(false);
+
+  const scopedTrades = useMemo(
+    () => trades.filter((t) => scope === 'all' || t.deployment_type === scope),
+    [trades, scope],
+  );
+  const tickerKey = useMemo(
+    () => [...new Set(trades.map((t) => t.symbol || t.symbol_info?.ticker).filter(Boolean))].sort().join(','),
+    [trades],
+  );
+
+  useEffect(() => {
+    const tickers = tickerKey ? tickerKey.split(',') : [];
+    if (tickers.length === 0) {
+      setHistory({});
+      return undefined;
+    }
+    let cancelled = false;
+    const start = new Date(Date.now() - HISTORY_CALENDAR_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    setLoadingHistory(true);
+    Promise.all(tickers.map((ticker) => getSymbolOHLCV(ticker, 'daily', start, null, 1, 500)))
+      .then((pages) => {
+        if (cancelled) return;
+        setHistory(Object.fromEntries(tickers.map((ticker, i) => [ticker, pages[i].results || []])));
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingHistory(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [tickerKey]);
+
+  const risk = useMemo(() => {
+    const marks = {};
+    const returnsByTicker = {};
+    let markDate = null;
+    Object.entries(history).forEach(([ticker, bars]) => {
+      if (bars.length === 0) return;
+      marks[ticker] = parseFloat(bars[0].close);
+      const date = String(bars[0].timestamp).slice(0, 10);
+      if (!markDate || date > markDate) markDate = date;
+      const returns = [...dailyReturns(bars)].slice(-lookback);
+      returnsByTicker[ticker] = new Map(returns);
+    });
+    const positions = bookPositions(scopedTrades, marks);
+    const exposure = exposureSummary(positions);
+    const matrixTickers = positions
+      .filter((p) => p.value !== 0 && returnsByTicker[p.ticker])
+      .slice(0, MAX_MATRIX_SYMBOLS)
+      .map((p) => p.ticker);
+    return {
+      positions,
+      exposure,
+      markDate,
+      entryMarked: positions.filter((p) => p.markSource === 'entry').map((p) => p.ticker),
+      var: historicalVaR(positions, returnsByTicker, { confidence }),
+      correlation: correlationMatrix(Object.fromEntries(matrixTickers.map((t) => [t, returnsByTicker[t]]))),
+      matrixTruncated: positions.filter((p) => p.value !== 0 && returnsByTicker[p.ticker]).length > matrixTickers.length,
+    };
+  }, [history, scopedTrades, lookback, confidence]);
+
+  const { exposure, var: varResult } = risk;
+
+  return (
+    <div className="mb-8 bg-surface rounded-lg shadow">
+      <div className="px-4 py-3 border-b flex items-center justify-between gap-3 flex-wrap">
+        <div className="flex items-center gap-2">
+          <ShieldAlert className="w-4 h-4 text-ink-tertiary" />
+          <h2 className="text-sm font-semibold text-ink">Portfolio risk</h2>
+          {loadingHistory && <Loader className="w-3.5 h-3.5 animate-spin text-ink-tertiary" />}
+        </div>
+        <div className="flex items-center gap-3 flex-wrap text-xs">
+          <div className="inline-flex rounded-lg border border-border overflow-hidden">
+            {SCOPES.map((s) => (
+              <button
+                key={s.key}
+                type="button"
+                onClick={() => setScope(s.key)}
+                className={`px-2.5 py-1 ${scope === s.key ? 'bg-accent text-white' : 'text-ink-secondary hover:bg-surface-sunken'}`}
+              >
+                {s.label}
+              </button>
+            ))}
+          </div>
+          <label className="flex items-center gap-1 text-ink-secondary">
+            Returns
+            <select
+              value={lookback}
+              onChange={(e) => setLookback(Number(e.target.value))}
+              className="px-1.5 py-0.5 border border-border-strong rounded bg-surface"
+            >
+              {LOOKBACKS.map((l) => <option key={l.key} value={l.key}>{l.label}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-1 text-ink-secondary">
+            VaR
+            <select
+              value={confidence}
+              onChange={(e) => setConfidence(Number(e.target.value))}
+              className="px-1.5 py-0.5 border border-border-strong rounded bg-surface"
+            >
+              {CONFIDENCES.map((c) => <option key={c} value={c}>{c * 100}%</option>)}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {risk.positions.length === 0 ? (
+        <div className="text-center text-xs text-ink-tertiary py-8">No open positions in this scope.</div>
+      ) : (
+        <div className="p-4 space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-3">
+            <StatCard label="Gross exposure" value={formatWholeUsd(exposure.gross)} sub={`${risk.positions.length} symbols`} />
+            <StatCard
+              label="Net exposure"
+              value={formatWholeUsd(exposure.net)}
+              sub={exposure.gross > 0 ? `${pct(exposure.net / exposure.gross)} of gross` : null}
+            />
+            <StatCard
+              label="Long / short"
+              value={`${formatWholeUsd(exposure.long)} / ${formatWholeUsd(exposure.short)}`}
+              sub={`${exposure.longCount} long · ${exposure.shortCount} short`}
+            />
+            <StatCard
+              label="Largest position"
+              value={exposure.largest ? pct(exposure.largest.share) : '—'}
+              sub={exposure.largest ? `${exposure.largest.ticker} · ${formatWholeUsd(exposure.largest.value)}` : null}
+              tone={exposure.largest?.share > 0.25 ? 'text-status-warning' : 'text-ink'}
+            />
+            <StatCard
+              label={`1-day VaR (${confidence * 100}%)`}
+              value={varResult.var == null ? '—' : formatWholeUsd(varResult.var)}
+              sub={varResult.var == null
+                ? (loadingHistory ? 'Loading history…' : `Needs ${MIN_VAR_SCENARIOS}+ common return days`)
+                : `ES ${formatWholeUsd(varResult.expectedShortfall)} · ${varResult.scenarios} days`}
+              tone={varResult.var == null ? 'text-ink-tertiary' : 'text-loss'}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-xs uppercase tracking-wide text-ink-tertiary mb-2">Concentration</h3>
+              <ul className="space-y-2">
+                {exposure.concentration.map((row) => {
+                  const position = risk.positions.find((p) => p.ticker === row.ticker);
+                  return (
+                    <li key={row.ticker} className="text-xs">
+                      <div className="flex items-baseline justify-between gap-2">
+                        <Link
+                          to={`/symbols/${row.ticker}`}
+                          state={withReturnState(location)}
+                          className="font-semibold text-accent hover:underline"
+                        >
+                          {row.ticker}
+                        </Link>
+                        <span className="text-ink-secondary font-mono tabular-nums">
+                          {row.value < 0 ? 'short ' : ''}{formatWholeUsd(Math.abs(row.value))} · {pct(row.share)}
+                        </span>
+                      </div>
+                      <div className="h-2 mt-1 w-full rounded-full bg-surface-sunken overflow-hidden">
+                        <div
+                          className={`h-full rounded-full ${row.value < 0 ? 'bg-loss' : 'bg-accent'}`}
+                          style={{ width: `${row.share * 100}%` }}
+                        />
+                      </div>
+                      <div className="text-ink-tertiary mt-0.5 truncate">
+                        {Math.abs(position.quantity).toLocaleString()} @ {position.mark.toFixed(2)}
+                        {position.markSource === 'entry' ? ' (entry)' : ''}
+                        {position.deployments.length > 0 && ` · ${position.deployments.join(', ')}`}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+
+            <div>
+              <h3 className="text-xs uppercase tracking-wide text-ink-tertiary mb-2">
+                Return correlation ({LOOKBACKS.find((l) => l.key === lookback).label})
+              </h3>
+              {risk.correlation.keys.length < 2 ? (
+                <p className="text-xs text-ink-tertiary">
+                  {loadingHistory ? 'Loading history…' : 'Needs at least two held symbols with daily history.'}
+                </p>
+              ) : (
+                <>
+                  <CorrelationMatrix {...risk.correlation} />
+                  {risk.matrixTruncated && (
+                    <p className="text-xs text-ink-tertiary mt-1">Largest {MAX_MATRIX_SYMBOLS} positions shown.</p>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+
+          <p className="text-xs text-ink-tertiary">
+            Positions are netted per symbol and marked at the latest stored close
+            {risk.markDate ? ` (${risk.markDate})` : ''}. VaR replays today&apos;s positions over the
+            {' '}{LOOKBACKS.find((l) => l.key === lookback).label} of daily returns the held symbols share.
+            {!loadingHistory && risk.entryMarked.length > 0 && ` No daily bars for ${risk.entryMarked.join(', ')}; marked at entry price.`}
+            {!loadingHistory && varResult.excluded.length > 0 && ` Left out of VaR: ${varResult.excluded.join(', ')}.`}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
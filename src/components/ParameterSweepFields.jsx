@@ -0,0 +1,88 @@
+/**
+ * Range / step inputs for sweeping numeric strategy parameters, with a live combination count.
+ * Used by BacktestConfig (single-symbol mode) and StrategySymbolBacktestRunModal.
+ */
+
+import { numericParameterKeys, SWEEP_MAX_COMBINATIONS } from '../utils/parameterSweep';
+
+/**
+ * @param {object} props
+ * @param {Record<string, unknown>} props.defaultParameters - strategy `default_parameters`
+ * @param {Record<string, { enabled: boolean, from: number, to: number, step: number }>} props.ranges
+ * @param {(key: string, patch: object) => void} props.onRangeChange
+ * @param {{ count: number, error: string|null }} props.grid - result of expandParameterGrid
+ * @param {number} [props.symbolCount] - runs per combination (tickers), for the total preview
+ */
+export default function ParameterSweepFields({ defaultParameters, ranges, onRangeChange, grid, symbolCount = 1 }) {
+  const keys = numericParameterKeys(defaultParameters);
+
+  if (!keys.length) {
+    return <p className="text-sm text-ink-tertiary">This strategy has no numeric parameters to sweep.</p>;
+  }
+
+  const parseNumber = (value) => {
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : '';
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-[auto_1fr_1fr_1fr] gap-x-3 gap-y-2 items-center text-sm">
+        <span className="text-xs text-ink-tertiary uppercase">Parameter</span>
+        <span className="text-xs text-ink-tertiary uppercase">From</span>
+        <span className="text-xs text-ink-tertiary uppercase">To</span>
+        <span className="text-xs text-ink-tertiary uppercase">Step</span>
+        {keys.map((key) => {
+          const range = ranges[key] || {};
+          return (
+            <div key={key} className="contents">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={!!range.enabled}
+                  onChange={(e) => onRangeChange(key, { enabled: e.target.checked })}
+                  className="rounded border-border-strong text-accent focus:ring-accent"
+                />
+                <span className="text-ink-secondary capitalize">{key.replace(/_/g, ' ')}</span>
+              </label>
+              <input
+                type="number"
+                step="any"
+                value={range.from ?? ''}
+                onChange={(e) => onRangeChange(key, { from: parseNumber(e.target.value) })}
+                disabled={!range.enabled}
+                className="w-full border border-border-strong rounded px-2 py-1 disabled:opacity-50"
+              />
+              <input
+                type="number"
+                step="any"
+                value={range.to ?? ''}
+                onChange={(e) => onRangeChange(key, { to: parseNumber(e.target.value) })}
+                disabled={!range.enabled}
+                className="w-full border border-border-strong rounded px-2 py-1 disabled:opacity-50"
+              />
+              <input
+                type="number"
+                step="any"
+                min={0}
+                value={range.step ?? ''}
+                onChange={(e) => onRangeChange(key, { step: parseNumber(e.target.value) })}
+                disabled={!range.enabled}
+                className="w-full border border-border-strong rounded px-2 py-1 disabled:opacity-50"
+              />
+            </div>
+          );
+        })}
+      </div>
+      {grid.error ? (
+        <p className="text-sm text-loss">{grid.error}</p>
+      ) : (
+        <p className="text-sm text-ink-secondary">
+          <strong className="text-ink">{grid.count}</strong> combination{grid.count === 1 ? '' : 's'}
+          {symbolCount > 1 ? ` × ${symbolCount} symbols = ${grid.count * symbolCount} runs` : ''} (limit{' '}
+          {SWEEP_MAX_COMBINATIONS} combinations). Parameters left unticked keep the value above.
+        </p>
+      )}
+    </div>
+  );
+}
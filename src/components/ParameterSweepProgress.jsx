@@ -0,0 +1,147 @@
+/**
+ * Parameter Sweep Progress Component
+ * One screen for every task queued by a parameter sweep (one bulk symbol-run task per combination).
+ * Polls task status; the per-task WebSocket used by TaskProgress would mean one socket per combination.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { X, CheckCircle, XCircle, Loader } from 'lucide-react';
+import { marketDataAPI } from '../data/api';
+import { mapWithConcurrency } from '../utils/concurrency';
+
+const POLL_INTERVAL_MS = 3000;
+/** Status requests in flight per poll cycle, so a large sweep still finishes a cycle quickly. */
+const POLL_CONCURRENCY = 8;
+
+function taskState(status) {
+  const st = status ? String(status).toLowerCase() : 'pending';
+  if (st === 'completed' || st === 'success') return 'completed';
+  if (st === 'failed' || st === 'error' || st === 'failure') return 'failed';
+  return 'running';
+}
+
+/**
+ * @param {object} props
+ * @param {Array<{ taskId: string, label: string }>} props.tasks
+ * @param {string} [props.title]
+ * @param {() => void} props.onClose - called when dismissed (all done or user closes early; tasks keep running)
+ */
+export default function ParameterSweepProgress({ tasks, title = 'Parameter sweep', onClose }) {
+  const [statusByTask, setStatusByTask] = useState({});
+  const statusRef = useRef({});
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+
+    const poll = async () => {
+      const open = tasks.filter((t) => t.taskId && taskState(statusRef.current[t.taskId]?.status) === 'running');
+      await mapWithConcurrency(open, POLL_CONCURRENCY, async (t) => {
+        try {
+          const response = await marketDataAPI.getTaskStatus(t.taskId);
+          if (cancelled) return;
+          if (response.success && response.data) {
+            statusRef.current = {
+              ...statusRef.current,
+              [t.taskId]: {
+                status: response.data.status || 'pending',
+                progress: response.data.progress || 0,
+                message: response.data.message || '',
+              },
+            };
+          }
+        } catch (error) {
+          console.error('Error polling sweep task status:', error);
+        }
+      });
+      if (cancelled) return;
+      setStatusByTask(statusRef.current);
+      if (open.length) timer = setTimeout(poll, POLL_INTERVAL_MS);
+    };
+
+    poll();
+    return () => {
+      cancelled = true;
+      if (timer) clearTimeout(timer);
+    };
+  }, [tasks]);
+
+  const rows = tasks.map((t) => {
+    const s = statusByTask[t.taskId];
+    const state = t.taskId ? taskState(s?.status) : 'failed';
+    return {
+      ...t,
+      state,
+      progress: state === 'completed' ? 100 : Number(s?.progress) || 0,
+      message: t.taskId ? s?.message || '' : t.error || 'Not queued',
+    };
+  });
+  const completed = rows.filter((r) => r.state === 'completed').length;
+  const failed = rows.filter((r) => r.state === 'failed').length;
+  const finished = completed + failed === rows.length;
+  const overall = rows.length ? Math.round(rows.reduce((sum, r) => sum + r.progress, 0) / rows.length) : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-surface rounded-lg max-w-2xl w-full max-h-[90vh] flex flex-col shadow-xl">
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="flex items-center gap-2">
+            {finished ? (
+              failed ? <XCircle className="w-5 h-5 text-loss" /> : <CheckCircle className="w-5 h-5 text-profit" />
+            ) : (
+              <Loader className="w-5 h-5 text-accent animate-spin" />
+            )}
+            <h2 className="text-lg font-semibold text-ink">{title}</h2>
+          </div>
+          <button type="button" onClick={onClose} className="text-ink-tertiary hover:text-ink-secondary">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 border-b">
+          <div className="flex items-center justify-between text-sm mb-1">
+            <span className="text-ink-secondary">
+              {completed} of {rows.length} completed{failed ? ` · ${failed} failed` : ''}
+            </span>
+            <span className="text-ink-secondary font-medium">{overall}%</span>
+          </div>
+          <div className="w-full bg-surface-sunken rounded-full h-2 overflow-hidden">
+            <div className="h-full bg-accent transition-all" style={{ width: `${overall}%` }} />
+          </div>
+        </div>
+
+        <ul className="flex-1 overflow-y-auto divide-y divide-border">
+          {rows.map((r, index) => (
+            <li key={r.taskId || `unqueued-${index}`} className="px-4 py-2 flex items-center gap-3 text-sm">
+              {r.state === 'completed' ? (
+                <CheckCircle className="w-4 h-4 text-profit shrink-0" />
+              ) : r.state === 'failed' ? (
+                <XCircle className="w-4 h-4 text-loss shrink-0" />
+              ) : (
+                <Loader className="w-4 h-4 text-accent animate-spin shrink-0" />
+              )}
+              <div className="min-w-0 flex-1">
+                <p className="text-ink truncate">{r.label}</p>
+                {r.message && <p className="text-xs text-ink-tertiary truncate">{r.message}</p>}
+              </div>
+              <span className="text-xs text-ink-tertiary tabular-nums">{r.progress}%</span>
+            </li>
+          ))}
+        </ul>
+
+        <div className="p-4 border-t flex items-center justify-between gap-2">
+          <p className="text-xs text-ink-tertiary">
+            {finished ? 'All runs finished.' : 'Closing this keeps the runs going in the background.'}
+          </p>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg bg-accent text-white hover:bg-accent-hover"
+          >
+            {finished ? 'Done' : 'Close'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
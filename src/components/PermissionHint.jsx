@@ -0,0 +1,20 @@
+/**
+ * Explains why role-gated actions nearby are disabled. Renders nothing when every reason is empty.
+ */
+
+import { Lock } from 'lucide-react';
+
+export default function PermissionHint({ reasons = [], className = '' }) {
+  const unique = [...new Set(reasons.filter(Boolean))];
+  if (unique.length === 0) return null;
+  return (
+    <div className={`flex items-start gap-2 text-xs text-ink-tertiary ${className}`} role="note">
+      <Lock className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+      <div className="space-y-0.5">
+        {unique.map((reason) => (
+          <p key={reason}>{reason}</p>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -6,6 +6,7 @@ import { useEffect, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { X, Lock, BarChart3 } from 'lucide-react';
 import { capVariantRuns, maxVariantRuns, totalPermutationCount } from '../lib/orderPermutations';
+import { describeSizing } from '../data/sizingConfig';
 
 function fmtMoney(value) {
   if (value == null) return '—';
@@ -79,8 +80,8 @@ export default function PortfolioRunModal({
             <dl className="mb-4 grid grid-cols-2 gap-x-4 gap-y-2 text-sm bg-bg rounded-lg p-3">
               <dt className="text-ink-tertiary">Capital</dt>
               <dd className="text-ink font-mono tabular-nums">{fmtMoney(configSummary.initial_capital)}</dd>
-              <dt className="text-ink-tertiary">Bet size</dt>
-              <dd className="text-ink">{configSummary.bet_size_percentage ?? '—'}%</dd>
+              <dt className="text-ink-tertiary">Sizing</dt>
+              <dd className="text-ink">{describeSizing(configSummary).detail}</dd>
               <dt className="text-ink-tertiary">Split</dt>
               <dd className="text-ink">
                 {configSummary.split_ratio != null
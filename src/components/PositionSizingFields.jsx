@@ -0,0 +1,74 @@
+/**
+ * Sizing model picker plus the chosen model's parameters (data/sizingConfig.js).
+ * Used by BacktestConfig, StrategySymbolBacktestRunModal and DeployStrategyModal; the bet size
+ * input stays in each form and only applies to the fixed-fraction model.
+ */
+
+import { SIZING_MODELS, parseSizingField, visibleSizingFields } from '../data/sizingConfig';
+
+/**
+ * @param {object} props
+ * @param {string} props.model - SIZING_MODELS key
+ * @param {Record<string, Record<string, number|string>>} props.params - values per model (defaultSizingParams())
+ * @param {(model: string) => void} props.onModelChange
+ * @param {(params: Record<string, Record<string, number|string>>) => void} props.onParamsChange
+ * @param {import('react').ReactNode} [props.children] - rendered under the select for the
+ *   fixed-fraction model (the form's bet size input)
+ */
+export default function PositionSizingFields({ model, params, onModelChange, onParamsChange, children = null }) {
+  const current = SIZING_MODELS.find((m) => m.key === model) || SIZING_MODELS[0];
+  const values = params[current.key] || {};
+  const fields = visibleSizingFields(current.key, values);
+
+  const setField = (def, raw) => {
+    onParamsChange({ ...params, [current.key]: { ...values, [def.key]: parseSizingField(def, raw, values) } });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <select
+          value={current.key}
+          onChange={(e) => onModelChange(e.target.value)}
+          className="w-full px-3 py-2 border border-border-strong rounded-lg text-sm focus:ring-2 focus:ring-accent focus:border-transparent"
+        >
+          {SIZING_MODELS.map((m) => (
+            <option key={m.key} value={m.key}>{m.label}</option>
+          ))}
+        </select>
+        <p className="mt-1 text-xs text-ink-tertiary">{current.description}</p>
+      </div>
+      {current.key === 'fixed_fraction' && children}
+      {fields.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {fields.map((def) => (
+            <div key={def.key}>
+              <label className="block text-xs text-ink-secondary mb-1">{def.label}</label>
+              {def.options ? (
+                <select
+                  value={values[def.key] ?? ''}
+                  onChange={(e) => setField(def, e.target.value)}
+                  className="w-full px-2 py-1.5 border border-border-strong rounded text-sm"
+                >
+                  {def.options.map((o) => (
+                    <option key={o.value} value={o.value}>{o.label}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="number"
+                  step={def.step}
+                  min={def.min}
+                  max={def.max}
+                  value={values[def.key] ?? ''}
+                  onChange={(e) => setField(def, e.target.value)}
+                  className="w-full px-2 py-1.5 border border-border-strong rounded text-sm"
+                />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
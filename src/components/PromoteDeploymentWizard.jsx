@@ -0,0 +1,475 @@
+/**
+ * PromoteDeploymentWizard — guarded promotion of a paper deployment to real money.
+ *
+ * Step 1: Paper track record (deployment statistics) and the evaluation preview.
+ * Step 2: Real-money account balance at the deployment's broker.
+ * Step 3: Confirm — type the deployment name (or id when unnamed), optionally have a second user
+ *         approve, then POST /api/strategy-deployments/:id/promote-to-real-money/.
+ *
+ * The new real-money deployment starts `pending`; it still has to be activated by hand.
+ */
+
+import { useEffect, useState } from 'react';
+import { AlertTriangle, CheckCircle2, Loader, ShieldCheck, X, XCircle } from 'lucide-react';
+
+import { getBrokerAccountBalance } from '../data/liveTrading';
+import {
+  getDeploymentStatistics,
+  previewStrategyDeploymentEvaluation,
+  promoteStrategyDeployment,
+} from '../data/strategyDeployments';
+import { verifySecondApprover } from '../data/auth';
+import { describeSizing } from '../data/sizingConfig';
+import { checkPermission, roleOf } from '../lib/permissions';
+import { useAuth } from '../store/AuthContext';
+
+const money = (v) => (v == null || v === '' || Number.isNaN(Number(v))
+  ? '—'
+  : `$${Number(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+
+export default function PromoteDeploymentWizard({ open, onClose, deployment, onPromoted }) {
+  const { user } = useAuth();
+  const [step, setStep] = useState(1);
+
+  const [stats, setStats] = useState(null);
+  const [evaluation, setEvaluation] = useState(null);
+  const [recordLoading, setRecordLoading] = useState(false);
+  const [recordError, setRecordError] = useState(null);
+
+  const [balance, setBalance] = useState(null);
+  const [balanceLoading, setBalanceLoading] = useState(false);
+  const [balanceError, setBalanceError] = useState(null);
+
+  const [acknowledgeFailing, setAcknowledgeFailing] = useState(false);
+  const [typedName, setTypedName] = useState('');
+  const [requireApprover, setRequireApprover] = useState(false);
+  const [approverUsername, setApproverUsername] = useState('');
+  const [approverPassword, setApproverPassword] = useState('');
+  const [approver, setApprover] = useState(null);
+  const [approverBusy, setApproverBusy] = useState(false);
+  const [approverError, setApproverError] = useState(null);
+
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  const deploymentId = deployment?.id;
+  const brokerId = deployment?.broker;
+
+  // Reset and load the track record each time the wizard opens.
+  useEffect(() => {
+    if (!open || !deploymentId) return;
+    let cancelled = false;
+    setStep(1);
+    setTypedName('');
+    setAcknowledgeFailing(false);
+    setRequireApprover(false);
+    setApprover(null);
+    setApproverUsername('');
+    setApproverPassword('');
+    setApproverError(null);
+    setSubmitError(null);
+    setRecordLoading(true);
+    setRecordError(null);
+    (async () => {
+      try {
+        const [st, ev] = await Promise.all([
+          getDeploymentStatistics(deploymentId),
+          previewStrategyDeploymentEvaluation(deploymentId),
+        ]);
+        if (cancelled) return;
+        setStats(st);
+        setEvaluation(ev);
+      } catch (err) {
+        if (!cancelled) setRecordError(err.message || 'Failed to load track record');
+      } finally {
+        if (!cancelled) setRecordLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [open, deploymentId]);
+
+  // Real-money balance when reaching step 2.
+  useEffect(() => {
+    if (!open || step !== 2 || !brokerId) return;
+    let cancelled = false;
+    setBalanceLoading(true);
+    setBalanceError(null);
+    getBrokerAccountBalance(brokerId, 'real_money')
+      .then((data) => {
+        if (!cancelled) setBalance(data);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setBalance(null);
+          setBalanceError(err.message || 'Could not load the real-money account');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setBalanceLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, step, brokerId]);
+
+  if (!open || !deployment) return null;
+
+  const evaluationPassed = evaluation?.passed ?? null;
+  const accountEquity = balance ? Number(balance.equity ?? balance.balance) : null;
+  const capitalShortfall = accountEquity != null && accountEquity < Number(deployment.initial_capital);
+  // Falls back to the id so an unnamed deployment still needs something typed
+  const confirmTarget = String(deployment.name || '').trim() || String(deployment.id ?? '');
+  const nameMatches = confirmTarget !== '' && typedName.trim() === confirmTarget;
+
+  const canAdvance = step === 1
+    ? !recordLoading && !recordError && (evaluationPassed !== false || acknowledgeFailing)
+    : !balanceLoading && !balanceError && balance != null;
+  const canSubmit = nameMatches && (!requireApprover || approver != null) && !submitting;
+
+  const handleVerifyApprover = async () => {
+    setApproverBusy(true);
+    setApproverError(null);
+    setApprover(null);
+    try {
+      const result = await verifySecondApprover(approverUsername.trim(), approverPassword);
+      if (result.user.id === user?.id || result.user.username === user?.username) {
+        throw new Error('The second approver must be a different user.');
+      }
+      const permission = checkPermission(result.user, 'deployment.approve_promotion');
+      if (!permission.allowed) {
+        throw new Error(`${result.user.username} (${roleOf(result.user)}) cannot approve promotions.`);
+      }
+      setApprover(result);
+      setApproverPassword('');
+    } catch (err) {
+      setApproverError(err.message || 'Approver verification failed');
+    } finally {
+      setApproverBusy(false);
+    }
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setSubmitError(null);
+    try {
+      const payload = requireApprover && approver ? { second_approver_token: approver.token } : {};
+      const result = await promoteStrategyDeployment(deployment.id, payload);
+      onPromoted?.(result);
+    } catch (err) {
+      setSubmitError(err.message || 'Promote failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 px-4">
+      <div className="bg-surface rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between border-b border-border px-6 py-4">
+          <div>
+            <h2 className="text-lg font-semibold text-ink">Promote to Real Money</h2>
+            <p className="text-xs text-ink-tertiary mt-0.5">
+              {deployment.name} • {deployment.broker_name || `broker #${deployment.broker}`}
+            </p>
+          </div>
+          <button onClick={onClose} className="text-ink-tertiary hover:text-ink-secondary" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="px-6 py-4 border-b border-border flex items-center gap-2 text-xs">
+          <Step active={step === 1} done={step > 1} index={1} label="Track record" />
+          <Step active={step === 2} done={step > 2} index={2} label="Real account" />
+          <Step active={step === 3} done={false} index={3} label="Confirm" />
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-5">
+          {step === 1 && (
+            <TrackRecordStep
+              deployment={deployment}
+              stats={stats}
+              evaluation={evaluation}
+              loading={recordLoading}
+              error={recordError}
+              acknowledgeFailing={acknowledgeFailing}
+              setAcknowledgeFailing={setAcknowledgeFailing}
+            />
+          )}
+          {step === 2 && (
+            <AccountStep
+              deployment={deployment}
+              balance={balance}
+              loading={balanceLoading}
+              error={balanceError}
+              capitalShortfall={capitalShortfall}
+            />
+          )}
+          {step === 3 && (
+            <div className="space-y-5 text-sm">
+              <div className="px-3 py-2 bg-status-pending-soft border border-amber-300 rounded text-status-pending flex items-start gap-2">
+                <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+                <span>
+                  This creates a <strong>real-money</strong> sibling of this deployment with{' '}
+                  {money(deployment.initial_capital)} initial capital. It starts paused as <em>pending</em> until you
+                  activate it.
+                </span>
+              </div>
+              <label className="block">
+                <span className="text-xs font-medium text-ink-secondary">
+                  Type <code className="bg-surface-sunken px-1 rounded">{confirmTarget}</code> to confirm
+                </span>
+                <input
+                  type="text"
+                  value={typedName}
+                  onChange={(e) => setTypedName(e.target.value)}
+                  className="mt-1 w-full border border-border-strong rounded px-3 py-2"
+                  autoComplete="off"
+                  aria-invalid={typedName !== '' && !nameMatches}
+                />
+              </label>
+
+              <div className="border border-border rounded-lg p-4 space-y-3">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={requireApprover}
+                    onChange={(e) => {
+                      setRequireApprover(e.target.checked);
+                      setApprover(null);
+                      setApproverError(null);
+                    }}
+                  />
+                  <span className="font-medium text-ink">Require a second approver</span>
+                </label>
+                {requireApprover && (
+                  approver ? (
+                    <div className="flex items-center gap-2 text-profit-ink">
+                      <ShieldCheck className="w-4 h-4" />
+                      Approved by <strong>{approver.user.username}</strong> ({roleOf(approver.user)})
+                      <button
+                        type="button"
+                        onClick={() => setApprover(null)}
+                        className="ml-auto text-xs text-ink-tertiary underline"
+                      >
+                        change
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="space-y-2">
+                      <p className="text-xs text-ink-tertiary">
+                        Another operator or admin signs in here; their credentials are only used to approve this promotion.
+                      </p>
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                        <input
+                          type="text"
+                          placeholder="Approver username"
+                          value={approverUsername}
+                          onChange={(e) => setApproverUsername(e.target.value)}
+                          className="border border-border-strong rounded px-3 py-2"
+                          autoComplete="off"
+                        />
+                        <input
+                          type="password"
+                          placeholder="Approver password"
+                          value={approverPassword}
+                          onChange={(e) => setApproverPassword(e.target.value)}
+                          className="border border-border-strong rounded px-3 py-2"
+                          autoComplete="new-password"
+                        />
+                      </div>
+                      <button
+                        type="button"
+                        onClick={handleVerifyApprover}
+                        disabled={approverBusy || !approverUsername.trim() || !approverPassword}
+                        className="flex items-center gap-2 text-xs border border-border-strong rounded px-3 py-1.5 hover:bg-bg disabled:opacity-50"
+                      >
+                        {approverBusy && <Loader className="w-3 h-3 animate-spin" />} Verify approver
+                      </button>
+                      {approverError && <p className="text-xs text-loss-ink">{approverError}</p>}
+                    </div>
+                  )
+                )}
+              </div>
+            </div>
+          )}
+          {submitError && (
+            <div className="mt-4 px-3 py-2 bg-loss-soft border border-loss text-sm text-loss-ink rounded">
+              {submitError}
+            </div>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between px-6 py-3 border-t border-border">
+          <button
+            onClick={() => (step === 1 ? onClose() : setStep(step - 1))}
+            className="text-sm text-ink-secondary hover:text-ink"
+          >
+            {step === 1 ? 'Cancel' : 'Back'}
+          </button>
+          {step < 3 ? (
+            <button
+              onClick={() => setStep(step + 1)}
+              disabled={!canAdvance}
+              className="bg-accent text-white px-4 py-2 rounded text-sm hover:bg-accent-hover disabled:opacity-50"
+            >
+              Next
+            </button>
+          ) : (
+            <button
+              onClick={handleSubmit}
+              disabled={!canSubmit}
+              className="flex items-center gap-2 bg-accent text-white px-4 py-2 rounded text-sm hover:bg-accent-hover disabled:opacity-50"
+            >
+              {submitting && <Loader className="w-4 h-4 animate-spin" />} Promote to real money
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Step({ active, done, index, label }) {
+  return (
+    <div className={`flex items-center gap-1 ${active ? 'text-accent font-medium' : done ? 'text-profit' : 'text-ink-tertiary'}`}>
+      <span className={`w-5 h-5 rounded-full text-xs flex items-center justify-center ${
+        active ? 'bg-status-running-soft' : done ? 'bg-profit-soft' : 'bg-surface-sunken'
+      }`}>
+        {index}
+      </span>
+      <span>{label}</span>
+      {index < 3 && <span className="mx-1 text-ink-tertiary">›</span>}
+    </div>
+  );
+}
+
+function Metric({ label, value }) {
+  return (
+    <div className="bg-bg rounded p-3">
+      <div className="text-xs uppercase text-ink-tertiary mb-1">{label}</div>
+      <div className="font-semibold text-ink">{value}</div>
+    </div>
+  );
+}
+
+function TrackRecordStep({ deployment, stats, evaluation, loading, error, acknowledgeFailing, setAcknowledgeFailing }) {
+  if (loading) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-ink-tertiary py-8 justify-center">
+        <Loader className="w-4 h-4 animate-spin" /> Loading paper track record…
+      </div>
+    );
+  }
+  if (error) {
+    return <div className="px-3 py-2 bg-loss-soft border border-loss text-sm text-loss-ink rounded">{error}</div>;
+  }
+  const checks = Array.isArray(evaluation?.checks) ? evaluation.checks : [];
+  const formatCheckValue = (key, v) => {
+    if (v == null) return '—';
+    return key === 'min_win_rate' ? `${(Number(v) * 100).toFixed(1)}%` : String(v);
+  };
+  return (
+    <div className="space-y-5 text-sm">
+      <section>
+        <h3 className="text-sm font-semibold text-ink mb-2">Paper track record</h3>
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+          <Metric label="Initial capital" value={money(deployment.initial_capital)} />
+          <Metric label="Total PnL" value={money(stats?.total_pnl_main ?? stats?.total_pnl)} />
+          <Metric label="Win rate" value={stats?.win_rate != null ? `${(stats.win_rate * 100).toFixed(1)}%` : '—'} />
+          <Metric label="Closed trades" value={stats?.closed_trades_main ?? stats?.closed_trades ?? 0} />
+          <Metric label="Open trades" value={stats?.open_trades ?? 0} />
+          <Metric label="Active since" value={deployment.activated_at ? new Date(deployment.activated_at).toLocaleDateString() : '—'} />
+        </div>
+      </section>
+      <section>
+        <h3 className="text-sm font-semibold text-ink mb-2 flex items-center gap-2">
+          Evaluation
+          {evaluation?.passed === true && (
+            <span className="flex items-center gap-1 text-xs text-profit-ink"><CheckCircle2 className="w-4 h-4" /> passed</span>
+          )}
+          {evaluation?.passed === false && (
+            <span className="flex items-center gap-1 text-xs text-loss-ink"><XCircle className="w-4 h-4" /> not passed</span>
+          )}
+        </h3>
+        {checks.length > 0 ? (
+          <table className="min-w-full text-sm">
+            <thead className="text-xs uppercase text-ink-tertiary">
+              <tr>
+                <th className="text-left py-1">Criterion</th>
+                <th className="text-right py-1">Required</th>
+                <th className="text-right py-1">Actual</th>
+                <th className="py-1" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-border">
+              {checks.map((c) => (
+                <tr key={c.key || c.label}>
+                  <td className="py-1.5 text-ink">{c.label || c.key}</td>
+                  <td className="py-1.5 text-right font-mono">{formatCheckValue(c.key, c.required)}</td>
+                  <td className="py-1.5 text-right font-mono">{formatCheckValue(c.key, c.actual)}</td>
+                  <td className="py-1.5 text-right">
+                    {c.passed
+                      ? <CheckCircle2 className="w-4 h-4 text-profit inline" />
+                      : <XCircle className="w-4 h-4 text-loss inline" />}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-ink-tertiary">No evaluation criteria configured for this deployment.</p>
+        )}
+        {evaluation?.passed === false && (
+          <label className="mt-3 flex items-start gap-2 text-loss-ink">
+            <input
+              type="checkbox"
+              className="mt-0.5"
+              checked={acknowledgeFailing}
+              onChange={(e) => setAcknowledgeFailing(e.target.checked)}
+            />
+            <span>Promote anyway — I understand the paper deployment has not met its evaluation criteria.</span>
+          </label>
+        )}
+      </section>
+    </div>
+  );
+}
+
+function AccountStep({ deployment, balance, loading, error, capitalShortfall }) {
+  if (loading) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-ink-tertiary py-8 justify-center">
+        <Loader className="w-4 h-4 animate-spin" /> Loading real-money account…
+      </div>
+    );
+  }
+  if (error) {
+    return (
+      <div className="px-3 py-2 bg-loss-soft border border-loss text-sm text-loss-ink rounded">
+        {error}. Link a real-money account on the broker before promoting.
+      </div>
+    );
+  }
+  if (!balance) return null;
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+        <Metric label="Equity" value={money(balance.equity)} />
+        <Metric label="Cash" value={money(balance.balance ?? balance.cash)} />
+        <Metric label="Buying power" value={money(balance.buying_power)} />
+      </div>
+      <p className="text-ink-secondary">
+        The real-money deployment will start with {money(deployment.initial_capital)} initial capital, sized
+        by {describeSizing(deployment).label.toLowerCase()} ({describeSizing(deployment).detail}).
+      </p>
+      {capitalShortfall && (
+        <div className="px-3 py-2 bg-status-pending-soft border border-amber-300 rounded text-status-pending flex items-start gap-2">
+          <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+          Account equity is below the deployment&apos;s initial capital; orders may be rejected or undersized.
+        </div>
+      )}
+    </div>
+  );
+}
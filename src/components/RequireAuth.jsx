@@ -0,0 +1,42 @@
+/**
+ * Route guard — renders children for a signed-in user, otherwise redirects to /login?next=<here>.
+ * When the profile could not be loaded for another reason (network, 5xx) the session is kept and
+ * a retry is offered instead.
+ */
+
+import { Navigate, useLocation } from 'react-router-dom';
+import { AlertTriangle, Loader } from 'lucide-react';
+import { Button } from './ui';
+import { useAuth } from '../store/AuthContext';
+
+export default function RequireAuth({ children }) {
+  const { status, loadError, retry } = useAuth();
+  const location = useLocation();
+
+  if (status === 'loading') {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-bg">
+        <Loader className="w-8 h-8 animate-spin text-accent" />
+      </div>
+    );
+  }
+  if (status === 'error') {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-bg px-4">
+        <div className="max-w-sm w-full bg-surface rounded-lg shadow-lg p-8 text-center space-y-4">
+          <AlertTriangle className="w-8 h-8 text-loss mx-auto" />
+          <div>
+            <h1 className="text-lg font-semibold text-ink">Could not reach the server</h1>
+            <p className="text-sm text-ink-secondary mt-1">{loadError || 'Your profile could not be loaded.'}</p>
+          </div>
+          <Button onClick={retry}>Retry</Button>
+        </div>
+      </div>
+    );
+  }
+  if (status !== 'authenticated') {
+    const next = `${location.pathname}${location.search}`;
+    return <Navigate to={`/login?next=${encodeURIComponent(next)}`} replace />;
+  }
+  return children;
+}
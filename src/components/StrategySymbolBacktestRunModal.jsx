@@ -1,18 +1,33 @@
 /**
  * Modal to run a new stored single-symbol snapshot (configure options here).
  * Recalculate / same-settings update is handled outside this modal (no config step).
+ * With "Parameter sweep" on, one run per parameter combination is queued instead (`onStarted({ sweepTasks })`).
  */
 
-import { useState, useLayoutEffect } from 'react';
+import { useState, useLayoutEffect, useMemo } from 'react';
 import { X } from 'lucide-react';
-import { runStrategySymbolBacktest } from '../data/strategies';
+import { runStrategySymbolBacktest, runStrategyParameterSweep } from '../data/strategies';
 import { getHedgeLabSettings } from '../data/backtests';
 import { HEDGE_DEFAULTS, HEDGE_FIELD_DEFS } from '../data/hedgeConfig';
+import { DEFAULT_SIZING_MODEL, defaultSizingParams, sizingPayload } from '../data/sizingConfig';
+import { COST_DEFAULTS, costPayload } from '../data/costConfig';
+import ParameterSweepFields from './ParameterSweepFields';
+import PositionSizingFields from './PositionSizingFields';
+import CostModelFields from './CostModelFields';
+import {
+  defaultSweepRange,
+  expandParameterGrid,
+  numericParameterKeys,
+  sweepCombinationLabel,
+} from '../utils/parameterSweep';
 
 export default function StrategySymbolBacktestRunModal({ open, onClose, strategy, ticker, onStarted }) {
   const [splitRatio, setSplitRatio] = useState(0.7);
   const [initialCapital, setInitialCapital] = useState(10000.0);
   const [betSizePercentage, setBetSizePercentage] = useState(100.0);
+  const [sizingModel, setSizingModel] = useState(DEFAULT_SIZING_MODEL);
+  const [sizingParams, setSizingParams] = useState(defaultSizingParams);
+  const [costModel, setCostModel] = useState(() => ({ ...COST_DEFAULTS }));
   const [runPositionLong, setRunPositionLong] = useState(true);
   const [runPositionShort, setRunPositionShort] = useState(true);
   const [hedgeEnabled, setHedgeEnabled] = useState(false);
@@ -21,6 +36,25 @@ export default function StrategySymbolBacktestRunModal({ open, onClose, strategy
   const [strategyParameters, setStrategyParameters] = useState({});
   const [submitting, setSubmitting] = useState(false);
   const [runName, setRunName] = useState('');
+  const [sweepEnabled, setSweepEnabled] = useState(false);
+  const [sweepRanges, setSweepRanges] = useState({});
+  const [sweepQueuedCount, setSweepQueuedCount] = useState(0);
+
+  const effectiveSweepRanges = useMemo(() => {
+    const ranges = {};
+    numericParameterKeys(strategy?.default_parameters).forEach((key) => {
+      ranges[key] = sweepRanges[key] || defaultSweepRange(strategyParameters[key] ?? strategy.default_parameters[key]);
+    });
+    return ranges;
+  }, [strategy, strategyParameters, sweepRanges]);
+
+  const sweepGrid = useMemo(
+    () =>
+      sweepEnabled
+        ? expandParameterGrid(strategyParameters, effectiveSweepRanges)
+        : { combinations: [], sweptKeys: [], count: 0, error: null },
+    [sweepEnabled, strategyParameters, effectiveSweepRanges],
+  );
 
   useLayoutEffect(() => {
     if (!open || !strategy) return;
@@ -32,9 +66,14 @@ export default function StrategySymbolBacktestRunModal({ open, onClose, strategy
     setSplitRatio(0.7);
     setInitialCapital(10000.0);
     setBetSizePercentage(100.0);
+    setSizingModel(DEFAULT_SIZING_MODEL);
+    setSizingParams(defaultSizingParams());
+    setCostModel({ ...COST_DEFAULTS });
     setRunPositionLong(true);
     setRunPositionShort(true);
     setHedgeParams({ ...HEDGE_DEFAULTS });
+    setSweepEnabled(false);
+    setSweepRanges({});
     getHedgeLabSettings()
       .then((hedgeLab) => {
         if (hedgeLab?.effective_config && typeof hedgeLab.effective_config === 'object') {
@@ -52,6 +91,10 @@ export default function StrategySymbolBacktestRunModal({ open, onClose, strategy
     setStrategyParameters((prev) => ({ ...prev, [key]: value }));
   };
 
+  const updateSweepRange = (key, patch) => {
+    setSweepRanges((prev) => ({ ...prev, [key]: { ...effectiveSweepRanges[key], ...patch } }));
+  };
+
   const handleSubmit = async () => {
     if (!runPositionLong && !runPositionShort) {
       alert('Select at least one position mode: Long and/or Short.');
@@ -69,6 +112,8 @@ export default function StrategySymbolBacktestRunModal({ open, onClose, strategy
         split_ratio: splitRatio,
         initial_capital: initialCapital,
         bet_size_percentage: betSizePercentage,
+        ...sizingPayload(sizingModel, sizingParams[sizingModel]),
+        cost_model: costPayload(costModel),
         strategy_parameters: strategyParameters,
         position_modes: [...(runPositionLong ? ['long'] : []), ...(runPositionShort ? ['short'] : [])],
       };
@@ -83,6 +128,25 @@ export default function StrategySymbolBacktestRunModal({ open, onClose, strategy
         }
         payload.hedge_config = hc;
       }
+      if (sweepEnabled) {
+        if (sweepGrid.error || !sweepGrid.combinations.length) {
+          alert(sweepGrid.error || 'Nothing to sweep.');
+          return;
+        }
+        setSweepQueuedCount(0);
+        const sweepTasks = await runStrategyParameterSweep(
+          strategy.id,
+          { ...payload, select_all_linked: false, symbol_tickers: [ticker] },
+          sweepGrid.combinations.map((combo) => ({
+            label: sweepCombinationLabel(combo, sweepGrid.sweptKeys),
+            strategyParameters: combo,
+          })),
+          { onProgress: (done) => setSweepQueuedCount(done) },
+        );
+        onStarted?.({ sweepTasks });
+        onClose();
+        return;
+      }
       const backtest = await runStrategySymbolBacktest(strategy.id, ticker, payload);
       onStarted?.({ taskId: backtest.task_id, backtestId: backtest.id, runName: payload.name });
       onClose();
@@ -144,17 +208,27 @@ export default function StrategySymbolBacktestRunModal({ open, onClose, strategy
                 className="mt-1 w-full border rounded px-2 py-1"
               />
             </label>
-            <label className="text-sm col-span-2">
-              <span className="text-ink-secondary">Bet size %</span>
-              <input
-                type="number"
-                min={0.1}
-                max={100}
-                value={betSizePercentage}
-                onChange={(e) => setBetSizePercentage(parseFloat(e.target.value))}
-                className="mt-1 w-full border rounded px-2 py-1"
-              />
-            </label>
+            <div className="text-sm col-span-2">
+              <span className="text-ink-secondary block mb-1">Position sizing</span>
+              <PositionSizingFields
+                model={sizingModel}
+                params={sizingParams}
+                onModelChange={setSizingModel}
+                onParamsChange={setSizingParams}
+              >
+                <label className="block">
+                  <span className="text-ink-secondary">Bet size %</span>
+                  <input
+                    type="number"
+                    min={0.1}
+                    max={100}
+                    value={betSizePercentage}
+                    onChange={(e) => setBetSizePercentage(parseFloat(e.target.value))}
+                    className="mt-1 w-full border rounded px-2 py-1"
+                  />
+                </label>
+              </PositionSizingFields>
+            </div>
           </div>
           <div className="flex gap-4 text-sm">
             <label className="flex items-center gap-2">
@@ -174,6 +248,10 @@ export default function StrategySymbolBacktestRunModal({ open, onClose, strategy
               Short
             </label>
           </div>
+          <div className="border border-border rounded p-3 text-sm">
+            <span className="text-ink-secondary block mb-2">Transaction costs (all zero = frictionless fills)</span>
+            <CostModelFields costs={costModel} onChange={setCostModel} />
+          </div>
           {strategy.default_parameters && Object.keys(strategy.default_parameters).length > 0 && (
             <div>
               <h3 className="text-sm font-medium text-ink mb-2">Strategy parameters</h3>
@@ -196,6 +274,26 @@ export default function StrategySymbolBacktestRunModal({ open, onClose, strategy
               </div>
             </div>
           )}
+          {numericParameterKeys(strategy.default_parameters).length > 0 && (
+            <div className="border border-border rounded p-3">
+              <label className="flex items-center gap-2 text-sm font-medium text-ink mb-2">
+                <input
+                  type="checkbox"
+                  checked={sweepEnabled}
+                  onChange={(e) => setSweepEnabled(e.target.checked)}
+                />
+                Parameter sweep (one run per combination)
+              </label>
+              {sweepEnabled && (
+                <ParameterSweepFields
+                  defaultParameters={strategy.default_parameters}
+                  ranges={effectiveSweepRanges}
+                  onRangeChange={updateSweepRange}
+                  grid={sweepGrid}
+                />
+              )}
+            </div>
+          )}
           <label className="flex items-center gap-2 text-sm">
             <input
               type="checkbox"
@@ -226,10 +324,14 @@ export default function StrategySymbolBacktestRunModal({ open, onClose, strategy
           <button
             type="button"
             onClick={handleSubmit}
-            disabled={submitting}
+            disabled={submitting || (sweepEnabled && (!!sweepGrid.error || sweepGrid.count === 0))}
             className="px-4 py-2 rounded-lg bg-accent text-white hover:bg-accent-hover disabled:opacity-50"
           >
-            {submitting ? 'Starting…' : 'Run'}
+            {submitting
+              ? sweepEnabled
+                ? `Queuing ${sweepQueuedCount}/${sweepGrid.count}…`
+                : 'Starting…'
+              : sweepEnabled ? `Run ${sweepGrid.count} combinations` : 'Run'}
           </button>
         </div>
       </div>
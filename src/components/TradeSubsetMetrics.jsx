@@ -0,0 +1,137 @@
+/**
+ * Filter bar for trade tables (exit date range, winners / losers) plus the metrics of the filtered
+ * subset, computed client-side by utils/tradeMetrics.js. The parent owns the filters and applies
+ * `filterTrades` to its table rows, so table, pagination and metrics always agree.
+ */
+
+import { useMemo } from 'react';
+import { Filter, Loader, X } from 'lucide-react';
+import { computeTradeMetrics } from '../utils/tradeMetrics';
+
+export const EMPTY_TRADE_FILTERS = { from: '', to: '', outcome: 'all' };
+
+export function hasTradeFilters(filters) {
+  return Boolean(filters.from || filters.to || (filters.outcome && filters.outcome !== 'all'));
+}
+
+const num = (v, digits = 2) => (v == null || !Number.isFinite(Number(v)) ? 'N/A' : Number(v).toFixed(digits));
+const pct = (v, digits = 2) => (v == null || !Number.isFinite(Number(v)) ? 'N/A' : `${Number(v).toFixed(digits)}%`);
+const usd = (v) => (v == null || !Number.isFinite(Number(v))
+  ? 'N/A'
+  : `${Number(v) < 0 ? '-' : ''}$${Math.abs(Number(v)).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+
+/**
+ * @param {{
+ *   trades: object[],            // already filtered subset
+ *   totalCount: number,          // size of the unfiltered list
+ *   filters: { from: string, to: string, outcome: string },
+ *   onChange: (filters: object) => void,
+ *   initialCapital?: number,
+ *   loading?: boolean,           // the full list behind `trades` is still being fetched
+ * }} props
+ */
+export default function TradeSubsetMetrics({ trades, totalCount, filters, onChange, initialCapital, loading = false }) {
+  const active = hasTradeFilters(filters);
+  const metrics = useMemo(
+    () => (active && !loading ? computeTradeMetrics(trades, {
+      initialCapital,
+      startDate: filters.from ? `${filters.from}T00:00:00Z` : null,
+      endDate: filters.to ? `${filters.to}T23:59:59Z` : null,
+    }) : null),
+    [active, loading, trades, initialCapital, filters.from, filters.to],
+  );
+
+  const rows = metrics
+    ? [
+      ['Trades', metrics.total_trades],
+      ['Win rate', pct(metrics.win_rate, 1)],
+      ['Total PnL', usd(metrics.total_pnl)],
+      ['Return', pct(metrics.total_return)],
+      ['CAGR', pct(metrics.cagr)],
+      ['Sharpe', num(metrics.sharpe_ratio)],
+      ['Sortino', num(metrics.sortino_ratio)],
+      ['Calmar', num(metrics.calmar_ratio)],
+      ['Profit factor', num(metrics.profit_factor)],
+      ['Expectancy', usd(metrics.expectancy)],
+      ['Max drawdown', pct(metrics.max_drawdown)],
+      ['Ulcer index', num(metrics.ulcer_index)],
+      ['Exposure', pct(metrics.exposure_pct, 1)],
+    ]
+    : [];
+
+  return (
+    <div className="mb-4 space-y-3">
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <Filter className="w-4 h-4 text-ink-tertiary mb-2" aria-hidden="true" />
+        <label className="flex flex-col text-xs text-ink-secondary">
+          Exit from
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => onChange({ ...filters, from: e.target.value })}
+            className="mt-1 border border-border-strong rounded px-2 py-1 bg-surface text-ink"
+          />
+        </label>
+        <label className="flex flex-col text-xs text-ink-secondary">
+          Exit to
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => onChange({ ...filters, to: e.target.value })}
+            className="mt-1 border border-border-strong rounded px-2 py-1 bg-surface text-ink"
+          />
+        </label>
+        <label className="flex flex-col text-xs text-ink-secondary">
+          Outcome
+          <select
+            value={filters.outcome}
+            onChange={(e) => onChange({ ...filters, outcome: e.target.value })}
+            className="mt-1 border border-border-strong rounded px-2 py-1 bg-surface text-ink"
+          >
+            <option value="all">All trades</option>
+            <option value="winners">Winners</option>
+            <option value="losers">Losers</option>
+          </select>
+        </label>
+        {active && (
+          <button
+            type="button"
+            onClick={() => onChange(EMPTY_TRADE_FILTERS)}
+            className="flex items-center gap-1 text-xs text-accent hover:underline mb-2"
+          >
+            <X className="w-3 h-3" /> Clear filters
+          </button>
+        )}
+      </div>
+
+      {active && loading && (
+        <div className="border border-border rounded-lg p-3 flex items-center gap-2 text-sm text-ink-secondary">
+          <Loader className="w-4 h-4 animate-spin" />
+          Loading trades for these filters…
+        </div>
+      )}
+
+      {metrics && (
+        <div className="border border-border rounded-lg p-3">
+          <p className="text-xs text-ink-tertiary mb-2">
+            Metrics for {trades.length} of {totalCount} trades, computed from the filtered list.
+          </p>
+          {trades.length > 0 ? (
+            <dl className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-x-4 gap-y-2">
+              {rows.map(([label, value]) => (
+                <div key={label}>
+                  <dt className="text-[11px] uppercase text-ink-tertiary">{label}</dt>
+                  <dd className="font-mono text-sm text-ink">{value}</dd>
+                </div>
+              ))}
+            </dl>
+          ) : (
+            <p className="text-sm text-ink-secondary">No trades match these filters.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
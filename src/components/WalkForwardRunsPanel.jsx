@@ -0,0 +1,102 @@
+/**
+ * Walk-forward runs of a strategy (StrategyDetail): the window backtests queued by BacktestConfig
+ * are grouped by name, so a run's results page stays reachable after leaving it.
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Loader, Layers } from 'lucide-react';
+import { getBacktests } from '../data/backtests';
+import { normalizeStatus } from '../lib/statusTokens';
+import { groupWalkForwardRuns } from '../utils/walkForward';
+import { Badge } from './ui';
+
+function runStatus(statuses) {
+  const normalized = statuses.map(normalizeStatus);
+  if (normalized.some((s) => s === 'running' || s === 'pending')) return 'running';
+  if (normalized.some((s) => s === 'failed')) return 'failed';
+  return 'completed';
+}
+
+/**
+ * @param {object} props
+ * @param {number|string} props.strategyId
+ * @param {(path: string) => void} props.onOpen - navigates to the walk-forward results page
+ */
+export default function WalkForwardRunsPanel({ strategyId, onOpen }) {
+  const [backtests, setBacktests] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const loadPage = useCallback(async (nextPage) => {
+    setLoading(true);
+    try {
+      const data = await getBacktests(nextPage, strategyId);
+      const results = Array.isArray(data?.results) ? data.results : [];
+      setBacktests((prev) => (nextPage === 1 ? results : [...prev, ...results]));
+      setPage(nextPage);
+      setHasMore(Boolean(data?.next));
+    } catch {
+      if (nextPage === 1) setBacktests([]);
+      setHasMore(false);
+    } finally {
+      setLoading(false);
+    }
+  }, [strategyId]);
+
+  useEffect(() => {
+    loadPage(1);
+  }, [loadPage]);
+
+  const runs = useMemo(() => groupWalkForwardRuns(backtests), [backtests]);
+
+  if (!runs.length && !hasMore) return null;
+
+  return (
+    <div className="mb-6 rounded-lg border border-border bg-bg p-4">
+      <p className="text-xs font-semibold uppercase tracking-wide text-ink-tertiary mb-2 flex items-center gap-2">
+        <Layers className="w-4 h-4" />
+        Walk-forward runs
+      </p>
+      {runs.length === 0 ? (
+        <p className="text-sm text-ink-tertiary">None in the newest backtests.</p>
+      ) : (
+        <ul className="divide-y divide-border">
+          {runs.map((run) => (
+            <li key={run.key} className="py-2 flex flex-wrap items-center justify-between gap-2">
+              <div className="min-w-0">
+                <span className="text-sm font-medium text-ink break-words">{run.name}</span>
+                <span className="ml-2 text-xs text-ink-tertiary">
+                  {run.backtestIds.length === run.total
+                    ? `${run.total} windows`
+                    : `${run.backtestIds.length} of ${run.total} windows loaded`}
+                </span>
+              </div>
+              <div className="flex items-center gap-2 shrink-0">
+                <Badge status={runStatus(run.statuses)} />
+                <button
+                  type="button"
+                  onClick={() => onOpen(`/strategies/${strategyId}/walk-forward?backtests=${run.backtestIds.join(',')}`)}
+                  className="px-3 py-1.5 text-sm rounded-lg border border-border-strong text-ink bg-surface hover:bg-surface-sunken"
+                >
+                  View results
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      {hasMore && (
+        <button
+          type="button"
+          onClick={() => loadPage(page + 1)}
+          disabled={loading}
+          className="mt-2 inline-flex items-center gap-2 text-sm text-accent hover:underline disabled:opacity-50"
+        >
+          {loading && <Loader className="w-4 h-4 animate-spin" />}
+          Load older backtests
+        </button>
+      )}
+    </div>
+  );
+}
@@ -27,13 +27,35 @@ function fmtUsdTooltip(value) {
   }).format(n);
 }
 
+/**
+ * Dashed vertical "split" line at the train/test boundary, for `annotations.xaxis`.
+ * @param {number|null} splitAt - boundary in ms; no annotation when not finite
+ * @param {object} chartTheme - getChartTheme()
+ */
+export function splitAnnotation(splitAt, chartTheme) {
+  if (!Number.isFinite(splitAt)) return [];
+  return [{
+    x: splitAt,
+    borderColor: chartTheme.inkTertiary,
+    strokeDashArray: 4,
+    label: {
+      text: 'split',
+      orientation: 'horizontal',
+      borderColor: 'transparent',
+      style: { background: 'transparent', color: chartTheme.inkTertiary, fontSize: '10px' },
+    },
+  }];
+}
+
 /**
  * @param {Array<{ name: string, data: Array<{x:number,y:number}>, color?: string, strokeWidth?: number, opacity?: number }>} series
+ * @param {number|null} splitAt - train/test boundary (ms); drawn as a dashed vertical "split" line
  */
 export default function ApexEquityChart({
   series = [],
   height = 400,
   initialCapital = null,
+  splitAt = null,
 }) {
   const { apexSeries, options } = useMemo(() => {
     const chartTheme = getChartTheme();
@@ -135,6 +157,7 @@ export default function ApexEquityChart({
       },
       annotations: {
         yaxis: annotations,
+        xaxis: splitAnnotation(splitAt, chartTheme),
       },
     };
 
@@ -142,7 +165,7 @@ export default function ApexEquityChart({
       apexSeries: validSeries.map((s) => ({ name: s.name, data: s.data })),
       options: opts,
     };
-  }, [series, initialCapital]);
+  }, [series, initialCapital, splitAt]);
 
   if (!apexSeries.length) {
     return <p className="text-sm text-ink-tertiary py-8 text-center">No equity data</p>;
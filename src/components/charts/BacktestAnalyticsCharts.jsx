@@ -0,0 +1,206 @@
+/**
+ * Backtest analytics under the equity curve: underwater (drawdown) chart, rolling Sharpe /
+ * volatility with a selectable window and a monthly returns calendar. The train/test boundary is
+ * marked on both time charts when the backtest has a split.
+ */
+
+import { useMemo, useState } from 'react';
+import Chart from 'react-apexcharts';
+import { apexBaseOptions, getChartTheme, hexToRgba } from '../../lib/chartTheme';
+import { splitAnnotation } from './ApexEquityChart';
+import {
+  ROLLING_WINDOWS,
+  drawdownSeries,
+  longestUnderwater,
+  monthlyReturns,
+  rollingMetrics,
+} from '../../utils/equityAnalytics';
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function timeAxisOptions(base, splitAt, theme) {
+  return {
+    ...base,
+    chart: { ...base.chart, animations: { enabled: false }, zoom: { enabled: false } },
+    xaxis: { ...base.xaxis, type: 'datetime' },
+    annotations: { xaxis: splitAnnotation(splitAt, theme) },
+    dataLabels: { enabled: false },
+  };
+}
+
+/** Diverging cell colour: green for gains, red for losses, stronger with size (capped at ±10%). */
+function heatColor(value, theme) {
+  if (value == null) return 'transparent';
+  const alpha = Math.min(Math.abs(value) / 10, 1) * 0.75 + 0.08;
+  return hexToRgba(value >= 0 ? theme.profit : theme.loss, alpha.toFixed(2));
+}
+
+const fmtPct = (v, digits = 1) => (v == null || !Number.isFinite(v) ? '—' : `${v.toFixed(digits)}%`);
+
+/**
+ * @param {{ points: Array<{x:number,y:number}>, splitAt?: number|null, label?: string }} props
+ *   points — equity curve (equityPointsToApexData); splitAt — train/test boundary in ms
+ */
+export default function BacktestAnalyticsCharts({ points, splitAt = null, label = '' }) {
+  const [windowDays, setWindowDays] = useState(63);
+  const theme = getChartTheme();
+
+  const drawdown = useMemo(() => drawdownSeries(points), [points]);
+  const underwater = useMemo(() => longestUnderwater(points), [points]);
+  const maxDrawdown = useMemo(
+    () => drawdown.reduce((min, p) => Math.min(min, p.y), 0),
+    [drawdown],
+  );
+  const rolling = useMemo(() => rollingMetrics(points, windowDays), [points, windowDays]);
+  const calendar = useMemo(() => monthlyReturns(points), [points]);
+
+  const drawdownChart = useMemo(() => {
+    const base = apexBaseOptions();
+    return {
+      series: [{ name: 'Drawdown', data: drawdown.map((p) => ({ x: p.x, y: Number(p.y.toFixed(2)) })) }],
+      options: {
+        ...timeAxisOptions(base, splitAt, theme),
+        colors: [theme.loss],
+        stroke: { width: 1, curve: 'straight' },
+        fill: { type: 'solid', opacity: 0.15 },
+        yaxis: {
+          ...base.yaxis,
+          max: 0,
+          labels: { ...base.yaxis.labels, formatter: (v) => `${Number(v).toFixed(0)}%` },
+        },
+        tooltip: { ...base.tooltip, x: { format: 'dd MMM yyyy' }, y: { formatter: (v) => fmtPct(v, 2) } },
+      },
+    };
+  }, [drawdown, splitAt, theme]);
+
+  const rollingChart = useMemo(() => {
+    const base = apexBaseOptions();
+    return {
+      series: [
+        { name: 'Rolling Sharpe', data: rolling.map((p) => ({ x: p.x, y: p.sharpe == null ? null : Number(p.sharpe.toFixed(2)) })) },
+        { name: 'Rolling volatility', data: rolling.map((p) => ({ x: p.x, y: Number(p.volatility.toFixed(2)) })) },
+      ],
+      options: {
+        ...timeAxisOptions(base, splitAt, theme),
+        colors: [theme.accent, theme.series[3]],
+        stroke: { width: [2, 1.5], curve: 'straight' },
+        legend: { position: 'top', labels: { colors: theme.inkSecondary } },
+        yaxis: [
+          {
+            ...base.yaxis,
+            title: { text: 'Sharpe', style: { color: theme.inkSecondary, fontSize: '12px' } },
+            labels: { ...base.yaxis.labels, formatter: (v) => (v == null ? '' : Number(v).toFixed(1)) },
+          },
+          {
+            ...base.yaxis,
+            opposite: true,
+            title: { text: 'Volatility (ann.)', style: { color: theme.inkSecondary, fontSize: '12px' } },
+            labels: { ...base.yaxis.labels, formatter: (v) => `${Number(v).toFixed(0)}%` },
+          },
+        ],
+        tooltip: {
+          ...base.tooltip,
+          shared: true,
+          x: { format: 'dd MMM yyyy' },
+          y: [
+            { formatter: (v) => (v == null ? '—' : Number(v).toFixed(2)) },
+            { formatter: (v) => fmtPct(v, 1) },
+          ],
+        },
+      },
+    };
+  }, [rolling, splitAt, theme]);
+
+  if (!points || points.length < 2) return null;
+
+  return (
+    <div className="mb-6 bg-surface rounded-lg shadow-lg p-6 space-y-8">
+      <section>
+        <div className="flex flex-wrap items-baseline justify-between gap-2 mb-2">
+          <h2 className="text-xl font-bold text-ink">Underwater{label ? ` (${label})` : ''}</h2>
+          <p className="text-sm text-ink-secondary">
+            Max drawdown <span className="font-mono text-loss-ink">{fmtPct(maxDrawdown, 2)}</span>
+            {underwater && (
+              <>
+                {' · '}longest {underwater.end ? 'recovery' : 'unrecovered stretch'}{' '}
+                <span className="font-mono">{Math.round(underwater.days)} days</span>
+              </>
+            )}
+          </p>
+        </div>
+        <Chart options={drawdownChart.options} series={drawdownChart.series} type="area" height={220} />
+      </section>
+
+      <section>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h2 className="text-xl font-bold text-ink">Rolling Sharpe &amp; volatility</h2>
+          <div className="flex items-center gap-1 text-sm" role="group" aria-label="Rolling window">
+            {ROLLING_WINDOWS.map((w) => (
+              <button
+                key={w.days}
+                type="button"
+                onClick={() => setWindowDays(w.days)}
+                className={`px-2.5 py-1 rounded border ${
+                  windowDays === w.days
+                    ? 'bg-accent text-white border-accent'
+                    : 'border-border-strong text-ink-secondary hover:bg-bg'
+                }`}
+              >
+                {w.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        {rolling.length > 0 ? (
+          <Chart options={rollingChart.options} series={rollingChart.series} type="line" height={260} />
+        ) : (
+          <p className="text-sm text-ink-tertiary py-8 text-center">
+            Not enough history for a {windowDays}-day window.
+          </p>
+        )}
+      </section>
+
+      <section>
+        <h2 className="text-xl font-bold text-ink mb-3">Monthly returns</h2>
+        {calendar.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-xs font-mono">
+              <thead>
+                <tr className="text-ink-tertiary">
+                  <th className="text-left font-medium py-1 pr-2">Year</th>
+                  {MONTH_LABELS.map((m) => (
+                    <th key={m} className="font-medium py-1 px-1 text-center">{m}</th>
+                  ))}
+                  <th className="font-medium py-1 pl-2 text-right">Year</th>
+                </tr>
+              </thead>
+              <tbody>
+                {calendar.map((row) => (
+                  <tr key={row.year}>
+                    <td className="py-0.5 pr-2 text-ink-secondary">{row.year}</td>
+                    {row.months.map((v, i) => (
+                      <td key={MONTH_LABELS[i]} className="p-0.5">
+                        <div
+                          className="rounded px-1 py-1.5 text-center text-ink"
+                          style={{ backgroundColor: heatColor(v, theme) }}
+                          title={v == null ? undefined : `${MONTH_LABELS[i]} ${row.year}: ${fmtPct(v, 2)}`}
+                        >
+                          {v == null ? '' : v.toFixed(1)}
+                        </div>
+                      </td>
+                    ))}
+                    <td className={`py-0.5 pl-2 text-right font-semibold ${row.total >= 0 ? 'text-profit-ink' : 'text-loss-ink'}`}>
+                      {fmtPct(row.total)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-ink-tertiary">Not enough history for monthly returns.</p>
+        )}
+      </section>
+    </div>
+  );
+}
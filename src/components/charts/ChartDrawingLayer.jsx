@@ -0,0 +1,149 @@
+/**
+ * SVG overlay for user drawings on the CandlestickChart price pane: horizontal levels, trend lines,
+ * rectangles and text notes. Drawings are in data coordinates (see data/chartLayouts.js) and are
+ * projected through `plot`, the price pane geometry read from the ApexCharts globals.
+ *
+ * With no `tool` the overlay ignores the pointer so the chart tooltip keeps working; with a drawing
+ * tool it captures clicks / drags on the plot area, and with 'erase' a click removes a drawing.
+ */
+
+import { useId, useState } from 'react';
+
+const MIN_DRAG_PX = 4;
+
+const roundPrice = (v) => Math.round(v * 10000) / 10000;
+
+export default function ChartDrawingLayer({ plot, drawings = [], tool = null, onAdd, onRemove }) {
+  const clipId = useId();
+  const [draft, setDraft] = useState(null); // { type, start: { px, py }, end: { px, py } }
+  if (!plot || plot.maxX === plot.minX || plot.maxY === plot.minY) return null;
+
+  const { left, top, width, height, minX, maxX, minY, maxY } = plot;
+  const toPx = (x, y) => ({
+    px: left + ((x - minX) / (maxX - minX)) * width,
+    py: top + ((maxY - y) / (maxY - minY)) * height,
+  });
+  const toData = ({ px, py }) => ({
+    x: Math.round(minX + ((px - left) / width) * (maxX - minX)),
+    y: roundPrice(maxY - ((py - top) / height) * (maxY - minY)),
+  });
+  const pointerPos = (event) => {
+    const box = event.currentTarget.ownerSVGElement.getBoundingClientRect();
+    return {
+      px: Math.min(Math.max(event.clientX - box.left, left), left + width),
+      py: Math.min(Math.max(event.clientY - box.top, top), top + height),
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    const pos = pointerPos(event);
+    const point = toData(pos);
+    if (tool === 'hline') {
+      onAdd({ type: 'hline', price: point.y });
+    } else if (tool === 'text') {
+      const text = window.prompt('Note text')?.trim();
+      if (text) onAdd({ type: 'text', x: point.x, y: point.y, text });
+    } else {
+      event.currentTarget.setPointerCapture(event.pointerId);
+      setDraft({ type: tool, start: pos, end: pos });
+    }
+  };
+
+  const handlePointerMove = (event) => {
+    if (draft) setDraft({ ...draft, end: pointerPos(event) });
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    const { start, end } = draft;
+    if (Math.hypot(end.px - start.px, end.py - start.py) >= MIN_DRAG_PX) {
+      const a = toData(start);
+      const b = toData(end);
+      onAdd({ type: draft.type, x1: a.x, y1: a.y, x2: b.x, y2: b.y });
+    }
+    setDraft(null);
+  };
+
+  const erasing = tool === 'erase';
+  const hitProps = (drawing) => (erasing
+    ? { style: { pointerEvents: 'all', cursor: 'pointer' }, onClick: () => onRemove(drawing.id) }
+    : {});
+
+  const renderShape = (d, key, extra = {}) => {
+    if (d.type === 'hline') {
+      const { py } = toPx(minX, d.price);
+      return (
+        <g key={key} {...extra}>
+          <line x1={left} x2={left + width} y1={py} y2={py} stroke="currentColor" strokeWidth={1.5} strokeDasharray="6 3" />
+          {erasing && <line x1={left} x2={left + width} y1={py} y2={py} stroke="transparent" strokeWidth={10} />}
+          <text x={left + width - 4} y={py - 4} textAnchor="end" fontSize={11} fill="currentColor">
+            ${d.price.toFixed(2)}
+          </text>
+        </g>
+      );
+    }
+    if (d.type === 'text') {
+      const { px, py } = toPx(d.x, d.y);
+      return (
+        <text key={key} {...extra} x={px} y={py} fontSize={12} fontWeight={600} fill="currentColor"
+          stroke="var(--surface, #fff)" strokeWidth={3} paintOrder="stroke">
+          {d.text}
+        </text>
+      );
+    }
+    const a = toPx(d.x1, d.y1);
+    const b = toPx(d.x2, d.y2);
+    if (d.type === 'rect') {
+      return (
+        <rect key={key} {...extra}
+          x={Math.min(a.px, b.px)} y={Math.min(a.py, b.py)}
+          width={Math.abs(b.px - a.px)} height={Math.abs(b.py - a.py)}
+          fill="currentColor" fillOpacity={0.08} stroke="currentColor" strokeWidth={1.5} />
+      );
+    }
+    return (
+      <g key={key} {...extra}>
+        <line x1={a.px} y1={a.py} x2={b.px} y2={b.py} stroke="currentColor" strokeWidth={2} />
+        {erasing && <line x1={a.px} y1={a.py} x2={b.px} y2={b.py} stroke="transparent" strokeWidth={10} />}
+      </g>
+    );
+  };
+
+  const draftShape = draft && (() => {
+    const a = toData(draft.start);
+    const b = toData(draft.end);
+    return renderShape({ type: draft.type, x1: a.x, y1: a.y, x2: b.x, y2: b.y }, 'draft', { opacity: 0.6 });
+  })();
+
+  return (
+    <svg
+      className="absolute inset-0 z-[5] h-full w-full text-ink"
+      style={{ pointerEvents: 'none' }}
+      aria-hidden="true"
+    >
+      <defs>
+        <clipPath id={clipId}>
+          <rect x={left} y={top} width={width} height={height} />
+        </clipPath>
+      </defs>
+      {tool && !erasing && (
+        <rect
+          x={left}
+          y={top}
+          width={width}
+          height={height}
+          fill="transparent"
+          style={{ pointerEvents: 'all', cursor: 'crosshair' }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={() => setDraft(null)}
+        />
+      )}
+      <g clipPath={`url(#${clipId})`}>
+        {drawings.map((d) => renderShape(d, d.id, hitProps(d)))}
+        {draftShape}
+      </g>
+    </svg>
+  );
+}
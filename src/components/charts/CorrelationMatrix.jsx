@@ -0,0 +1,65 @@
+/**
+ * Correlation matrix as a table heatmap (utils/correlation.js correlationMatrix). Diverging scale:
+ * positive correlations in the loss colour (moves together, adds risk), negative in the accent.
+ */
+
+import { getChartTheme, hexToRgba } from '../../lib/chartTheme';
+
+/**
+ * @param {{ keys: string[], matrix: (number|null)[][], overlap?: number[][], order?: number[],
+ *   renderLabel?: (key: string) => React.ReactNode }} props - `order` lists row / column indices
+ *   in display order (default: as given)
+ */
+export default function CorrelationMatrix({ keys, matrix, overlap = null, order = null, renderLabel = null }) {
+  const chartTheme = getChartTheme();
+  const indices = order || keys.map((_, i) => i);
+  const label = (key) => (renderLabel ? renderLabel(key) : key);
+
+  const cellColor = (r) => {
+    if (r === null) return 'transparent';
+    return hexToRgba(r >= 0 ? chartTheme.loss : chartTheme.accent, 0.08 + Math.abs(r) * 0.72);
+  };
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="border-separate border-spacing-0.5 text-xs">
+        <thead>
+          <tr>
+            <th />
+            {indices.map((j) => (
+              <th key={keys[j]} className="px-1 py-1 text-ink-secondary font-medium font-mono whitespace-nowrap">
+                {label(keys[j])}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {indices.map((i) => (
+            <tr key={keys[i]}>
+              <th className="px-2 py-1 text-right text-ink-secondary font-medium font-mono whitespace-nowrap">
+                {label(keys[i])}
+              </th>
+              {indices.map((j) => {
+                const r = matrix[i][j];
+                return (
+                  <td
+                    key={keys[j]}
+                    title={`${keys[i]} / ${keys[j]}: ${r === null ? 'not enough common dates' : r.toFixed(2)}${
+                      overlap ? ` (${overlap[i][j]} days)` : ''
+                    }`}
+                    className={`min-w-[48px] h-9 rounded text-center font-mono tabular-nums ${
+                      r === null ? 'bg-surface-sunken text-ink-tertiary' : 'text-ink'
+                    }`}
+                    style={r === null ? undefined : { backgroundColor: cellColor(r) }}
+                  >
+                    {r === null ? '—' : r.toFixed(2)}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
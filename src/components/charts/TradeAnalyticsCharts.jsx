@@ -0,0 +1,288 @@
+/**
+ * Trade analytics tab body: PnL histogram, holding-period distribution, win/loss streaks, PnL by
+ * weekday and calendar month, long vs short and a return-vs-holding scatter (plus MAE when the
+ * trades carry it). All series come from utils/tradeAnalytics.js over the trades passed in.
+ */
+
+import { useMemo } from 'react';
+import Chart from 'react-apexcharts';
+import { apexBaseOptions, getChartTheme } from '../../lib/chartTheme';
+import { analyzeTrades } from '../../utils/tradeAnalytics';
+
+const usd = (v) => (v == null || !Number.isFinite(v)
+  ? '—'
+  : `${v < 0 ? '-' : ''}$${Math.abs(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+const pct = (v, digits = 1) => (v == null || !Number.isFinite(v) ? '—' : `${v.toFixed(digits)}%`);
+const STREAK_NOUNS = { win: ['win', 'wins'], loss: ['loss', 'losses'] };
+const compactUsd = (v) => {
+  const abs = Math.abs(v);
+  const s = abs >= 1000 ? `${(abs / 1000).toFixed(abs >= 10000 ? 0 : 1)}k` : abs.toFixed(0);
+  return `${v < 0 ? '-' : ''}$${s}`;
+};
+
+function barOptions(base, { categories, yFormatter, tooltipY }) {
+  return {
+    ...base,
+    chart: { ...base.chart, animations: { enabled: false } },
+    plotOptions: { bar: { columnWidth: '85%', borderRadius: 2 } },
+    dataLabels: { enabled: false },
+    legend: { show: false },
+    xaxis: { ...base.xaxis, categories },
+    yaxis: { ...base.yaxis, labels: { ...base.yaxis.labels, formatter: yFormatter } },
+    tooltip: { ...base.tooltip, y: { formatter: tooltipY } },
+  };
+}
+
+/** PnL per bucket, each bar coloured by sign; win rate and count in the tooltip. */
+function pnlBars(rows, theme) {
+  const base = apexBaseOptions();
+  return {
+    series: [{
+      name: 'PnL',
+      data: rows.map((r) => ({ x: r.label, y: Number(r.pnl.toFixed(2)), fillColor: r.pnl >= 0 ? theme.profit : theme.loss })),
+    }],
+    options: barOptions(base, {
+      categories: rows.map((r) => r.label),
+      yFormatter: compactUsd,
+      tooltipY: (v, { dataPointIndex }) => {
+        const r = rows[dataPointIndex];
+        return `${usd(v)} · ${r.count} trades · ${pct(r.count ? (r.wins / r.count) * 100 : null)} win`;
+      },
+    }),
+  };
+}
+
+function Section({ title, children, note }) {
+  return (
+    <section>
+      <div className="flex flex-wrap items-baseline justify-between gap-2 mb-2">
+        <h3 className="text-base font-semibold text-ink">{title}</h3>
+        {note && <p className="text-xs text-ink-tertiary">{note}</p>}
+      </div>
+      {children}
+    </section>
+  );
+}
+
+/**
+ * @param {{ trades: object[], loading?: boolean, scopeNote?: string }} props
+ *   trades — backtest or live trade rows; open trades and hedge legs are ignored
+ */
+export default function TradeAnalyticsCharts({ trades, loading = false, scopeNote = '' }) {
+  const theme = getChartTheme();
+  const analytics = useMemo(() => analyzeTrades(trades), [trades]);
+  const hasMae = analytics.scatter.some((p) => p.mae != null);
+
+  const histogramChart = useMemo(() => {
+    const base = apexBaseOptions();
+    const bins = analytics.histogram;
+    const labels = bins.map((b) => `${compactUsd(b.from)} – ${compactUsd(b.to)}`);
+    return {
+      series: [{
+        name: 'Trades',
+        data: bins.map((b, i) => ({ x: labels[i], y: b.count, fillColor: b.to <= 0 ? theme.loss : theme.profit })),
+      }],
+      options: {
+        ...barOptions(base, {
+          categories: labels,
+          yFormatter: (v) => Number(v).toFixed(0),
+          tooltipY: (v) => `${v} trades`,
+        }),
+        plotOptions: { bar: { columnWidth: '98%' } },
+        xaxis: {
+          ...base.xaxis,
+          categories: labels,
+          labels: { ...base.xaxis.labels, rotate: -45, hideOverlappingLabels: true },
+        },
+      },
+    };
+  }, [analytics.histogram, theme]);
+
+  const holdingChart = useMemo(() => {
+    const base = apexBaseOptions();
+    const rows = analytics.holding;
+    return {
+      series: [{ name: 'Trades', data: rows.map((r) => r.count) }],
+      options: {
+        ...barOptions(base, {
+          categories: rows.map((r) => r.label),
+          yFormatter: (v) => Number(v).toFixed(0),
+          tooltipY: (v, { dataPointIndex }) => {
+            const r = rows[dataPointIndex];
+            return `${v} trades · ${pct(r.count ? (r.wins / r.count) * 100 : null)} win · ${usd(r.pnl)}`;
+          },
+        }),
+        colors: [theme.accent],
+      },
+    };
+  }, [analytics.holding, theme]);
+
+  const streakChart = useMemo(() => {
+    const base = apexBaseOptions();
+    const rows = analytics.streaks.lengths;
+    return {
+      series: [
+        { name: 'Winning streaks', data: rows.map((r) => r.wins) },
+        { name: 'Losing streaks', data: rows.map((r) => r.losses) },
+      ],
+      options: {
+        ...barOptions(base, {
+          categories: rows.map((r) => String(r.length)),
+          yFormatter: (v) => Number(v).toFixed(0),
+          tooltipY: (v) => `${v} times`,
+        }),
+        colors: [theme.profit, theme.loss],
+        legend: { position: 'top', labels: { colors: theme.inkSecondary } },
+        xaxis: {
+          ...base.xaxis,
+          categories: rows.map((r) => String(r.length)),
+          title: { text: 'Consecutive trades', style: { color: theme.inkTertiary, fontSize: '11px' } },
+        },
+      },
+    };
+  }, [analytics.streaks, theme]);
+
+  const weekdayChart = useMemo(() => pnlBars(analytics.weekday, theme), [analytics.weekday, theme]);
+  const monthChart = useMemo(() => pnlBars(analytics.month, theme), [analytics.month, theme]);
+
+  const scatterChart = useMemo(() => {
+    const base = apexBaseOptions();
+    const bySide = (side, key) => analytics.scatter
+      .filter((p) => p.side === side && p[key] != null)
+      .map((p) => [Number(p[key].toFixed(2)), Number(p.returnPct.toFixed(2))]);
+    const options = (xTitle, xFormatter) => ({
+      ...base,
+      chart: { ...base.chart, animations: { enabled: false }, zoom: { enabled: false } },
+      colors: [theme.series[0], theme.series[3]],
+      markers: { size: 4, strokeWidth: 0 },
+      legend: { position: 'top', labels: { colors: theme.inkSecondary } },
+      dataLabels: { enabled: false },
+      xaxis: {
+        ...base.xaxis,
+        type: 'numeric',
+        tickAmount: 8,
+        title: { text: xTitle, style: { color: theme.inkTertiary, fontSize: '11px' } },
+        labels: { ...base.xaxis.labels, formatter: xFormatter },
+      },
+      yaxis: {
+        ...base.yaxis,
+        title: { text: 'Return %', style: { color: theme.inkTertiary, fontSize: '11px' } },
+        labels: { ...base.yaxis.labels, formatter: (v) => `${Number(v).toFixed(0)}%` },
+      },
+      annotations: { yaxis: [{ y: 0, borderColor: theme.inkTertiary, strokeDashArray: 3 }] },
+      tooltip: { ...base.tooltip, x: { formatter: xFormatter }, y: { formatter: (v) => pct(v, 2) } },
+    });
+    return {
+      holding: {
+        series: [
+          { name: 'Long', data: bySide('long', 'holdingDays') },
+          { name: 'Short', data: bySide('short', 'holdingDays') },
+        ],
+        options: options('Holding time (days)', (v) => `${Number(v).toFixed(1)}d`),
+      },
+      mae: {
+        series: [
+          { name: 'Long', data: bySide('long', 'mae') },
+          { name: 'Short', data: bySide('short', 'mae') },
+        ],
+        options: options('Max adverse excursion (%)', (v) => `${Number(v).toFixed(1)}%`),
+      },
+    };
+  }, [analytics.scatter, theme]);
+
+  if (loading) {
+    return <p className="text-sm text-ink-secondary py-12 text-center">Loading trades…</p>;
+  }
+  if (analytics.trades.length === 0) {
+    return <p className="text-sm text-ink-tertiary py-12 text-center">No closed trades to analyse.</p>;
+  }
+
+  const { longestWin, longestLoss, current } = analytics.streaks;
+
+  return (
+    <div className="space-y-8">
+      <dl className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm">
+        <div>
+          <dt className="text-[11px] uppercase text-ink-tertiary">Closed trades</dt>
+          <dd className="font-mono text-ink">{analytics.trades.length}</dd>
+        </div>
+        <div>
+          <dt className="text-[11px] uppercase text-ink-tertiary">Longest win streak</dt>
+          <dd className="font-mono text-profit-ink">{longestWin}</dd>
+        </div>
+        <div>
+          <dt className="text-[11px] uppercase text-ink-tertiary">Longest loss streak</dt>
+          <dd className="font-mono text-loss-ink">{longestLoss}</dd>
+        </div>
+        <div>
+          <dt className="text-[11px] uppercase text-ink-tertiary">Current streak</dt>
+          <dd className={`font-mono ${current?.type === 'win' ? 'text-profit-ink' : 'text-loss-ink'}`}>
+            {current ? `${current.length} ${STREAK_NOUNS[current.type][current.length === 1 ? 0 : 1]}` : '—'}
+          </dd>
+        </div>
+      </dl>
+      {scopeNote && <p className="text-xs text-ink-tertiary -mt-4">{scopeNote}</p>}
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-8">
+        <Section title="PnL distribution">
+          <Chart options={histogramChart.options} series={histogramChart.series} type="bar" height={260} />
+        </Section>
+        <Section title="Holding period">
+          <Chart options={holdingChart.options} series={holdingChart.series} type="bar" height={260} />
+        </Section>
+        <Section title="PnL by exit weekday" note="UTC">
+          <Chart options={weekdayChart.options} series={weekdayChart.series} type="bar" height={240} />
+        </Section>
+        <Section title="PnL by exit month" note="All years combined, UTC">
+          <Chart options={monthChart.options} series={monthChart.series} type="bar" height={240} />
+        </Section>
+        <Section title="Win / loss streaks">
+          <Chart options={streakChart.options} series={streakChart.series} type="bar" height={240} />
+        </Section>
+        <Section title="Long vs short">
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-xs uppercase text-ink-tertiary">
+                  <th className="text-left font-medium py-2 pr-3">Side</th>
+                  <th className="text-right font-medium py-2 px-3">Trades</th>
+                  <th className="text-right font-medium py-2 px-3">Win rate</th>
+                  <th className="text-right font-medium py-2 px-3">Total PnL</th>
+                  <th className="text-right font-medium py-2 px-3">Avg PnL</th>
+                  <th className="text-right font-medium py-2 pl-3">Avg hold</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-border font-mono">
+                {analytics.sides.map((s) => (
+                  <tr key={s.side}>
+                    <td className="py-2 pr-3 font-sans capitalize text-ink">{s.side}</td>
+                    <td className="py-2 px-3 text-right text-ink">{s.count}</td>
+                    <td className="py-2 px-3 text-right text-ink">{pct(s.winRate)}</td>
+                    <td className={`py-2 px-3 text-right ${s.pnl >= 0 ? 'text-profit-ink' : 'text-loss-ink'}`}>
+                      {s.count ? usd(s.pnl) : '—'}
+                    </td>
+                    <td className="py-2 px-3 text-right text-ink">{usd(s.averagePnl)}</td>
+                    <td className="py-2 pl-3 text-right text-ink">
+                      {s.averageHoldingDays == null ? '—' : `${s.averageHoldingDays.toFixed(1)}d`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Section>
+      </div>
+
+      <div className={`grid grid-cols-1 ${hasMae ? 'xl:grid-cols-2' : ''} gap-8`}>
+        <Section title="Return vs holding time">
+          <Chart options={scatterChart.holding.options} series={scatterChart.holding.series} type="scatter" height={300} />
+        </Section>
+        {hasMae && (
+          <Section title="Return vs max adverse excursion" note="Per-trade max drawdown">
+            <Chart options={scatterChart.mae.options} series={scatterChart.mae.series} type="scatter" height={300} />
+          </Section>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,15 @@
-import { Moon, Sun } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { Bell, BellOff, LogOut, Moon, Sun } from 'lucide-react';
 import { useTheme } from '../../store/ThemeContext';
+import { useAuth } from '../../store/AuthContext';
+import { useAlerts } from '../../store/AlertsContext';
 import { APP_NAME } from '../../constants/navigation';
+import { roleOf } from '../../lib/permissions';
 
 export default function Topbar({ onMenuClick, breadcrumb, showMenuButton = false }) {
   const { theme, toggleTheme } = useTheme();
+  const { user, logout } = useAuth();
+  const { unreadCount, muted } = useAlerts();
 
   return (
     <header className="sticky top-0 z-30 flex items-center justify-between gap-4 h-14 px-4 md:px-6 bg-surface border-b border-border shrink-0">
@@ -27,14 +33,46 @@ export default function Topbar({ onMenuClick, breadcrumb, showMenuButton = false
           )}
         </div>
       </div>
-      <button
-        type="button"
-        onClick={toggleTheme}
-        className="btn btn--ghost min-h-[44px] min-w-[44px] p-2"
-        aria-label={theme === 'dark' ? 'Switch to light theme' : 'Switch to dark theme'}
-      >
-        {theme === 'dark' ? <Sun className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
-      </button>
+      <div className="flex items-center gap-1 shrink-0">
+        {user && (
+          <span className="hidden sm:inline text-sm text-ink-secondary truncate max-w-[12rem]" title={user.email || undefined}>
+            {user.username}
+            <span className="text-ink-tertiary"> · {roleOf(user)}</span>
+          </span>
+        )}
+        <Link
+          to="/alerts"
+          className="btn btn--ghost min-h-[44px] min-w-[44px] p-2 relative"
+          aria-label={unreadCount ? `Alerts (${unreadCount} unread)` : 'Alerts'}
+          title={muted ? 'Alerts (muted)' : 'Alerts'}
+        >
+          {muted ? <BellOff className="w-5 h-5" /> : <Bell className="w-5 h-5" />}
+          {unreadCount > 0 && (
+            <span className="absolute top-1 right-1 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-loss text-white text-[10px] leading-[1.1rem] text-center">
+              {unreadCount > 99 ? '99+' : unreadCount}
+            </span>
+          )}
+        </Link>
+        <button
+          type="button"
+          onClick={toggleTheme}
+          className="btn btn--ghost min-h-[44px] min-w-[44px] p-2"
+          aria-label={theme === 'dark' ? 'Switch to light theme' : 'Switch to dark theme'}
+        >
+          {theme === 'dark' ? <Sun className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
+        </button>
+        {user && (
+          <button
+            type="button"
+            onClick={logout}
+            className="btn btn--ghost min-h-[44px] min-w-[44px] p-2"
+            aria-label="Sign out"
+            title="Sign out"
+          >
+            <LogOut className="w-5 h-5" />
+          </button>
+        )}
+      </div>
     </header>
   );
 }
@@ -0,0 +1,15 @@
+import { cn } from '../../lib/cn';
+
+/**
+ * Bordered metric tile used in analytics panels (live risk, return correlation, benchmark).
+ * `tone` is a text colour class for the value; `hint` becomes the tile's tooltip.
+ */
+export default function StatCard({ label, value, sub, hint, tone = 'text-ink', className }) {
+  return (
+    <div className={cn('rounded-lg border border-border p-3', className)} title={hint}>
+      <div className="text-xs uppercase tracking-wide text-ink-tertiary">{label}</div>
+      <div className={cn('text-xl font-bold mt-1 tabular-nums', tone)}>{value}</div>
+      {sub && <div className="text-xs text-ink-tertiary mt-0.5">{sub}</div>}
+    </div>
+  );
+}
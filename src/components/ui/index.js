@@ -1,6 +1,7 @@
 export { default as Button } from './Button';
 export { default as Card, CardHeader, CardEyebrow, CardTitle, CardBody } from './Card';
 export { default as Stat } from './Stat';
+export { default as StatCard } from './StatCard';
 export { default as Badge } from './Badge';
 export { default as Table, TableHead, TableBody, TableRow, TableHeaderCell, TableCell, MobileTableCard } from './Table';
 export { default as Input } from './Input';
@@ -8,6 +8,7 @@ import {
   Rocket,
   Shield,
   FileText,
+  Bell,
   MoreHorizontal,
 } from 'lucide-react';
 
@@ -24,6 +25,7 @@ export const secondaryNavItems = [
   { name: 'Brokers', path: '/brokers', icon: Key, description: 'Broker management' },
   { name: 'Deployments', path: '/deployments', icon: Rocket, description: 'Manage deployments' },
   { name: 'Platform log', path: '/logs', icon: FileText, description: 'Audit log (all events)' },
+  { name: 'Alerts', path: '/alerts', icon: Bell, description: 'Alert inbox and rules' },
 ];
 
 export const allNavItems = [
@@ -0,0 +1,92 @@
+/**
+ * Alert persistence and browser notifications.
+ *
+ * Rules, the in-app inbox, mute / snooze settings and the engine's cursor (last seen event id,
+ * last hedge regime, which daily rules already fired today) live in localStorage, so alerts are
+ * not repeated after a reload. Stored per user id, so people sharing a browser keep their own
+ * rules and read state. Kept free of React; store/AlertsContext.jsx drives it.
+ */
+
+import { DEFAULT_RULES } from '../lib/alertRules';
+
+const STORAGE_KEY_PREFIX = 'alerts_v1';
+const INBOX_LIMIT = 200;
+
+function initialState() {
+  return {
+    rules: DEFAULT_RULES.map((rule) => ({ ...rule })),
+    inbox: [],
+    muted: false,
+    snoozedUntil: null,
+    cursor: { eventId: null, panic: null, dailyFired: {} },
+  };
+}
+
+function storageKey(userId) {
+  return `${STORAGE_KEY_PREFIX}:${userId ?? 'anonymous'}`;
+}
+
+export function loadAlertState(userId) {
+  try {
+    const raw = localStorage.getItem(storageKey(userId));
+    if (!raw) return initialState();
+    const parsed = JSON.parse(raw);
+    return { ...initialState(), ...parsed, cursor: { ...initialState().cursor, ...parsed.cursor } };
+  } catch {
+    return initialState();
+  }
+}
+
+export function saveAlertState(userId, state) {
+  try {
+    localStorage.setItem(storageKey(userId), JSON.stringify({ ...state, inbox: state.inbox.slice(0, INBOX_LIMIT) }));
+  } catch {
+    /* ignore */
+  }
+}
+
+/** Whether a rule (or everything) is currently muted or snoozed. */
+export function isSilenced(state, rule, now = Date.now()) {
+  if (state.muted || (state.snoozedUntil && state.snoozedUntil > now)) return true;
+  return Boolean(rule && (rule.muted || (rule.mutedUntil && rule.mutedUntil > now)));
+}
+
+export function notificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+/** 'granted' | 'denied' | 'default' | 'unsupported' */
+export function notificationPermission() {
+  return notificationsSupported() ? window.Notification.permission : 'unsupported';
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return 'unsupported';
+  try {
+    return await window.Notification.requestPermission();
+  } catch {
+    return window.Notification.permission;
+  }
+}
+
+/**
+ * Show a system notification for an inbox entry; clicking it focuses the tab and calls `onClick`.
+ * No-op unless permission was granted.
+ */
+export function showBrowserNotification(alert, onClick) {
+  if (notificationPermission() !== 'granted') return;
+  try {
+    const notification = new window.Notification(alert.title, {
+      body: alert.body,
+      tag: alert.id,
+      requireInteraction: alert.level === 'error',
+    });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+      if (onClick) onClick(alert);
+    };
+  } catch (error) {
+    console.error('Notification failed:', error);
+  }
+}
@@ -3,24 +3,37 @@
  * Handles all API communication with the Django backend
  */
 
+import {
+  cachedQuery,
+  invalidateForMutation,
+  isCacheable,
+  noteUncachedResponse,
+} from './queryCache';
+import { clearSession, getAccessToken, getRefreshToken, storeSession } from './authSession';
+
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000/api';
 
+/** Serve every request from the in-browser mock backend (data/mock) instead of Django. */
+export const USE_MOCK_API = process.env.REACT_APP_MOCK_API === 'true';
+
 /**
  * API Response wrapper class
  */
 export class APIResponse {
-  constructor(success, data, error = null) {
+  constructor(success, data, error = null, status = null) {
     this.success = success;
     this.data = data;
     this.error = error;
+    // HTTP status of a failed response; null for network errors.
+    this.status = status;
   }
 
   static success(data) {
     return new APIResponse(true, data);
   }
 
-  static error(error) {
-    return new APIResponse(false, null, error);
+  static error(error, status = null) {
+    return new APIResponse(false, null, error, status);
   }
 }
 
@@ -32,8 +45,7 @@ const getAuthHeaders = () => {
     'Content-Type': 'application/json',
   };
   
-  // Add token if available (for future auth)
-  const token = localStorage.getItem('auth_token');
+  const token = getAccessToken();
   if (token) {
     headers['Authorization'] = `Bearer ${token}`;
   }
@@ -41,11 +53,59 @@ const getAuthHeaders = () => {
   return headers;
 };
 
+/** Sign-in and refresh calls answer 401 for bad credentials; never retry or redirect on them. */
+const AUTH_TOKEN_ENDPOINTS = ['/auth/token/', '/auth/token/refresh/'];
+
+const transport = async (endpoint, config) => (USE_MOCK_API
+  ? (await import('./mock/mockTransport')).mockFetch(endpoint, config)
+  : fetch(`${API_BASE_URL}${endpoint}`, config));
+
+let refreshInFlight = null;
+
+/**
+ * Exchange the refresh token for a new pair (SimpleJWT rotation: the old refresh token is
+ * blacklisted, so the response's `refresh` must replace it). Concurrent 401s share one call.
+ * @returns {Promise<boolean>} whether a new access token was stored
+ */
+export const refreshAccessToken = () => {
+  if (refreshInFlight) return refreshInFlight;
+  const refresh = getRefreshToken();
+  if (!refresh) return Promise.resolve(false);
+  refreshInFlight = (async () => {
+    try {
+      const response = await transport('/auth/token/refresh/', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh }),
+      });
+      if (!response.ok) return false;
+      const data = await response.json();
+      if (!data?.access) return false;
+      storeSession({ access: data.access, refresh: data.refresh || refresh }, { rotated: true });
+      return true;
+    } catch (error) {
+      console.error('Token refresh failed:', error);
+      return false;
+    }
+  })();
+  refreshInFlight.finally(() => {
+    refreshInFlight = null;
+  });
+  return refreshInFlight;
+};
+
 /**
  * Handle API response
+ * Errors carry the HTTP status (`error.status`) so callers can tell auth failures from outages.
  */
-const handleResponse = async (response) => {
+const handleResponse = async (response, endpoint = '', { ownSession = true } = {}) => {
   if (!response.ok) {
+    // Session is gone (refresh already failed): clearing it makes RequireAuth redirect to /login.
+    if (response.status === 401 && ownSession && !AUTH_TOKEN_ENDPOINTS.includes(endpoint)) {
+      clearSession('expired');
+    }
+    const fail = (message) => Object.assign(new Error(message), { status: response.status });
+
     const errorData = await response.json().catch(() => ({ message: response.statusText }));
     
     // Handle Django REST Framework validation errors (format: {field: [error1, error2]})
@@ -59,11 +119,11 @@ const handleResponse = async (response) => {
         }
       }
       if (validationErrors.length > 0) {
-        throw new Error(validationErrors.join('; '));
+        throw fail(validationErrors.join('; '));
       }
     }
     
-    throw new Error(errorData.error || errorData.message || errorData.detail || `HTTP error! status: ${response.status}`);
+    throw fail(errorData.error || errorData.message || errorData.detail || `HTTP error! status: ${response.status}`);
   }
   
   // Handle empty responses (e.g., 204 No Content for DELETE requests)
@@ -88,28 +148,65 @@ const handleResponse = async (response) => {
 };
 
 /**
- * Base API request function
+ * Perform one request against the backend (or the mock transport) without touching the cache.
+ * `ownSession: false` marks a request made with someone else's token: its 401 neither refreshes
+ * nor clears the signed-in session.
  */
-export const apiRequest = async (endpoint, options = {}) => {
+const sendRequest = async (endpoint, { ownSession = true, ...options } = {}) => {
   try {
-    const url = `${API_BASE_URL}${endpoint}`;
-    const config = {
+    const buildConfig = () => ({
       ...options,
       headers: {
         ...getAuthHeaders(),
         ...options.headers,
       },
-    };
+    });
 
-    const response = await fetch(url, config);
-    const data = await handleResponse(response);
+    let response = await transport(endpoint, buildConfig());
+    if (
+      response.status === 401
+      && ownSession
+      && !AUTH_TOKEN_ENDPOINTS.includes(endpoint)
+      && await refreshAccessToken()
+    ) {
+      response = await transport(endpoint, buildConfig());
+    }
+    const data = await handleResponse(response, endpoint, { ownSession });
     return APIResponse.success(data);
   } catch (error) {
     console.error('API Error:', error);
-    return APIResponse.error(error.message || 'An unexpected error occurred');
+    return APIResponse.error(error.message || 'An unexpected error occurred', error.status ?? null);
   }
 };
 
+/** Options for reads served through the query cache (list / detail pages that re-read the same data). */
+export const CACHED_READ = Object.freeze({ cache: true });
+
+/**
+ * Base API request function
+ * GETs hit the network unless the caller opts in with `cache: true`; cached reads go through the
+ * query cache (see queryCache.js) with `staleTime` (ms) overriding how long a response is served
+ * without revalidating, and `fresh: true` skipping the cached copy once.
+ * Any other method invalidates the cached reads of its resource.
+ */
+export const apiRequest = async (endpoint, options = {}) => {
+  const { cache = false, fresh = false, staleTime, ...fetchOptions } = options;
+  const method = (fetchOptions.method || 'GET').toUpperCase();
+
+  if (method !== 'GET') {
+    const response = await sendRequest(endpoint, fetchOptions);
+    invalidateForMutation(endpoint);
+    return response;
+  }
+  // Reads made with someone else's token (e.g. a second approver) are not the session's view.
+  if (!cache || !isCacheable(endpoint) || fetchOptions.ownSession === false) {
+    const response = await sendRequest(endpoint, fetchOptions);
+    if (response.success && !isCacheable(endpoint)) noteUncachedResponse(response.data);
+    return response;
+  }
+  return cachedQuery(endpoint, () => sendRequest(endpoint, fetchOptions), { fresh, staleTime });
+};
+
 /**
  * Market Data API
  */
@@ -229,6 +326,16 @@ export const marketDataAPI = {
     });
   },
 
+  /**
+   * Import OHLCV bars parsed from a local file for one symbol (created on the exchange if missing)
+   */
+  async importOHLCVData(data) {
+    return apiRequest('/symbols/import-ohlcv/', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
   /**
    * Update OHLCV data for a symbol
    */
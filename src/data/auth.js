@@ -0,0 +1,122 @@
+/**
+ * Auth Data Layer
+ * Sign-in, sign-out and the current user (SimpleJWT endpoints under /auth/)
+ */
+
+import { apiRequest, refreshAccessToken } from './api';
+import {
+  clearSession,
+  getAccessToken,
+  getRefreshToken,
+  hasSession,
+  onSessionChange,
+  storeSession,
+  tokenExpiry,
+} from './authSession';
+
+export { hasSession, onSessionChange };
+
+export const authAPI = {
+  /**
+   * Obtain an access + refresh token pair
+   */
+  async obtainToken(username, password) {
+    return apiRequest('/auth/token/', {
+      method: 'POST',
+      body: JSON.stringify({ username, password }),
+    });
+  },
+
+  /**
+   * Blacklist a refresh token
+   */
+  async logout(refresh) {
+    return apiRequest('/auth/logout/', {
+      method: 'POST',
+      body: JSON.stringify({ refresh }),
+    });
+  },
+
+  /**
+   * Get the signed-in user, or the owner of `accessToken` when given
+   */
+  async me(accessToken = null) {
+    return apiRequest('/auth/me/', accessToken
+      ? { headers: { Authorization: `Bearer ${accessToken}` }, ownSession: false }
+      : {});
+  },
+};
+
+/**
+ * Sign in and return the user profile
+ */
+export async function login(username, password) {
+  const response = await authAPI.obtainToken(username, password);
+  if (!response.success || !response.data?.access) {
+    throw new Error(response.error || 'Sign-in failed');
+  }
+  storeSession(response.data);
+  return getCurrentUser();
+}
+
+/**
+ * Get the signed-in user, or null when there is no valid session.
+ * Only 401/403 mean signed out; any other failure (network, 5xx) throws and keeps the session.
+ */
+export async function getCurrentUser() {
+  if (!hasSession()) return null;
+  const response = await authAPI.me();
+  if (response.success && response.data) {
+    return response.data;
+  }
+  if (response.status === 401 || response.status === 403) return null;
+  throw new Error(response.error || 'Could not load the user profile');
+}
+
+/**
+ * Check a second person's credentials without touching the current session.
+ * @returns {Promise<{ user: object, token: string }>} token proves the approval to the backend
+ */
+export async function verifySecondApprover(username, password) {
+  const response = await authAPI.obtainToken(username, password);
+  if (!response.success || !response.data?.access) {
+    throw new Error(response.error || 'Approver sign-in failed');
+  }
+  const me = await authAPI.me(response.data.access);
+  if (!me.success || !me.data) {
+    throw new Error(me.error || 'Could not load the approver profile');
+  }
+  return { user: me.data, token: response.data.access };
+}
+
+/**
+ * Sign out: blacklist the refresh token server-side (best effort) and forget the session
+ */
+export async function logout() {
+  const refresh = getRefreshToken();
+  try {
+    if (refresh) await authAPI.logout(refresh);
+  } catch (error) {
+    console.error('Error signing out:', error);
+  } finally {
+    clearSession('signed-out');
+  }
+}
+
+/**
+ * Milliseconds until the access token should be rotated (one minute before it expires),
+ * or null when its expiry can't be read.
+ */
+export function msUntilTokenRefresh() {
+  const token = getAccessToken();
+  const exp = token ? tokenExpiry(token) : null;
+  if (!exp) return null;
+  return Math.max(0, exp * 1000 - Date.now() - 60 * 1000);
+}
+
+/**
+ * Rotate the token pair now. @returns {Promise<boolean>}
+ */
+export async function refreshSession() {
+  return refreshAccessToken();
+}
@@ -0,0 +1,95 @@
+/**
+ * Token storage for the signed-in session (SimpleJWT access + refresh pair).
+ *
+ * api.js reads the access token for every request and rotates the pair on 401; AuthProvider
+ * (store/AuthContext.jsx) listens for changes so a cleared session sends the user to /login.
+ * Kept free of React and of apiRequest so both sides can import it without cycles.
+ */
+
+import { clearQueryCache } from './queryCache';
+
+const ACCESS_KEY = 'auth_token';
+const REFRESH_KEY = 'auth_refresh_token';
+
+const listeners = new Set();
+
+function read(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+function emit(reason) {
+  listeners.forEach((listener) => {
+    try {
+      listener(reason);
+    } catch (error) {
+      console.error('Auth session listener failed:', error);
+    }
+  });
+}
+
+export function getAccessToken() {
+  return read(ACCESS_KEY);
+}
+
+export function getRefreshToken() {
+  return read(REFRESH_KEY);
+}
+
+export function hasSession() {
+  return Boolean(getAccessToken() || getRefreshToken());
+}
+
+/**
+ * Save a token pair. `rotated` marks a refresh of the current user's session, which keeps the
+ * query cache; a fresh sign-in drops it so nothing leaks between accounts.
+ * @param {{ access: string, refresh?: string }} tokens
+ * @param {{ rotated?: boolean }} [opts]
+ */
+export function storeSession({ access, refresh }, { rotated = false } = {}) {
+  try {
+    localStorage.setItem(ACCESS_KEY, access);
+    if (refresh) localStorage.setItem(REFRESH_KEY, refresh);
+  } catch {
+    /* ignore */
+  }
+  if (!rotated) clearQueryCache();
+  emit(rotated ? 'rotated' : 'signed-in');
+}
+
+/**
+ * Forget both tokens and every cached response.
+ * @param {'signed-out'|'expired'} [reason]
+ */
+export function clearSession(reason = 'signed-out') {
+  try {
+    localStorage.removeItem(ACCESS_KEY);
+    localStorage.removeItem(REFRESH_KEY);
+  } catch {
+    /* ignore */
+  }
+  clearQueryCache();
+  emit(reason);
+}
+
+/**
+ * @param {(reason: 'signed-in'|'rotated'|'signed-out'|'expired') => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export function onSessionChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/** Seconds-since-epoch `exp` claim of a JWT, or null when the token isn't a readable JWT. */
+export function tokenExpiry(token) {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof payload.exp === 'number' ? payload.exp : null;
+  } catch {
+    return null;
+  }
+}
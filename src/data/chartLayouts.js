@@ -0,0 +1,97 @@
+/**
+ * Saved price-chart layouts, one per ticker, in localStorage.
+ *
+ * A layout holds the CandlestickChart timeframe, the hidden indicator layers (assignment groups),
+ * the volume pane toggle and the user's drawings. Drawings are stored in data coordinates
+ * (timestamps in ms, prices) so they survive resizes and timeframe changes:
+ *   { id, type: 'hline', price }
+ *   { id, type: 'trend' | 'rect', x1, y1, x2, y2 }
+ *   { id, type: 'text', x, y, text }
+ */
+
+const STORAGE_KEY = 'chart_layouts_v1';
+export const CHART_LAYOUT_VERSION = 1;
+const DRAWING_TYPES = ['hline', 'trend', 'rect', 'text'];
+
+export function emptyChartLayout() {
+  return { timeframe: '5Y', hiddenGroups: [], showVolume: true, drawings: [] };
+}
+
+function readAll() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) || {} : {};
+  } catch {
+    return {};
+  }
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function validDrawing(d) {
+  if (!d || !DRAWING_TYPES.includes(d.type)) return false;
+  if (d.type === 'hline') return isFiniteNumber(d.price);
+  if (d.type === 'text') return isFiniteNumber(d.x) && isFiniteNumber(d.y) && typeof d.text === 'string';
+  return [d.x1, d.y1, d.x2, d.y2].every(isFiniteNumber);
+}
+
+function normalizeLayout(layout) {
+  const base = emptyChartLayout();
+  return {
+    timeframe: typeof layout?.timeframe === 'string' ? layout.timeframe : base.timeframe,
+    hiddenGroups: Array.isArray(layout?.hiddenGroups) ? layout.hiddenGroups.map(String) : base.hiddenGroups,
+    showVolume: typeof layout?.showVolume === 'boolean' ? layout.showVolume : base.showVolume,
+    drawings: Array.isArray(layout?.drawings)
+      ? layout.drawings.filter(validDrawing).map((d, i) => ({ ...d, id: d.id || `d${Date.now()}-${i}` }))
+      : base.drawings,
+  };
+}
+
+export function loadChartLayout(ticker) {
+  const stored = readAll()[ticker];
+  return stored ? normalizeLayout(stored) : emptyChartLayout();
+}
+
+export function saveChartLayout(ticker, layout) {
+  if (!ticker) return;
+  try {
+    const all = readAll();
+    all[ticker] = { ...normalizeLayout(layout), updatedAt: new Date().toISOString() };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch {
+    /* ignore */
+  }
+}
+
+/** Export document for `downloadJson`. */
+export function chartLayoutExport(ticker, layout) {
+  return {
+    version: CHART_LAYOUT_VERSION,
+    ticker,
+    exportedAt: new Date().toISOString(),
+    ...normalizeLayout(layout),
+  };
+}
+
+/**
+ * Parse an exported layout file. Throws when the text is not a layout export; invalid drawings
+ * are dropped.
+ * @returns {{ ticker: string|null, layout: object }}
+ */
+export function parseChartLayout(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.drawings)) {
+    throw new Error('File is not a chart layout export');
+  }
+  if (parsed.version > CHART_LAYOUT_VERSION) {
+    throw new Error(`Unsupported chart layout version ${parsed.version}`);
+  }
+  return { ticker: parsed.ticker || null, layout: normalizeLayout(parsed) };
+}
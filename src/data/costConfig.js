@@ -0,0 +1,97 @@
+/**
+ * Transaction cost model for backtests and symbol runs — sent as `cost_model`. All zero (the
+ * default) reproduces the frictionless fills of runs created before costs existed.
+ *
+ * Commissions apply on entry and exit; slippage moves each fill against the trade, either by fixed
+ * basis points or by a share of the symbol's recent daily volatility; borrow accrues on short
+ * notional per calendar day held.
+ */
+
+export const COST_DEFAULTS = {
+  commission_per_share: 0,
+  commission_per_trade: 0,
+  commission_bps: 0,
+  slippage_model: 'fixed',
+  slippage_bps: 0,
+  slippage_vol_fraction: 0.1,
+  slippage_vol_lookback: 20,
+  borrow_rate_pct: 0,
+};
+
+export const SLIPPAGE_MODELS = [
+  { value: 'fixed', label: 'Fixed (bps)' },
+  { value: 'volatility', label: 'Volatility-scaled' },
+];
+
+/** Integer-valued keys for input parsing */
+const COST_INT_KEYS = new Set(['slippage_vol_lookback']);
+
+/** Inputs grouped by section; `showIf` hides a field the slippage model doesn't use. */
+export const COST_FIELD_DEFS = [
+  { group: 'Commission', key: 'commission_per_share', label: 'Per share ($)', step: '0.001' },
+  { group: 'Commission', key: 'commission_per_trade', label: 'Per order ($)', step: '0.5' },
+  { group: 'Commission', key: 'commission_bps', label: 'Of notional (bps)', step: '0.5' },
+  { group: 'Slippage', key: 'slippage_model', label: 'Model', options: SLIPPAGE_MODELS },
+  {
+    group: 'Slippage',
+    key: 'slippage_bps',
+    label: 'Per fill (bps)',
+    step: '0.5',
+    showIf: (c) => c.slippage_model !== 'volatility',
+  },
+  {
+    group: 'Slippage',
+    key: 'slippage_vol_fraction',
+    label: 'Share of daily volatility per fill',
+    step: '0.05',
+    showIf: (c) => c.slippage_model === 'volatility',
+  },
+  {
+    group: 'Slippage',
+    key: 'slippage_vol_lookback',
+    label: 'Volatility lookback (days)',
+    step: '1',
+    showIf: (c) => c.slippage_model === 'volatility',
+  },
+  { group: 'Borrow (shorts)', key: 'borrow_rate_pct', label: 'Annual rate (%)', step: '0.25' },
+];
+
+export function parseCostField(key, raw, current) {
+  if (key === 'slippage_model') return String(raw);
+  const fallback = current[key] ?? COST_DEFAULTS[key];
+  const n = COST_INT_KEYS.has(key) ? parseInt(String(raw), 10) : parseFloat(String(raw));
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/** Request body `cost_model`: every key, numbers as numbers. */
+export function costPayload(costs) {
+  const merged = { ...COST_DEFAULTS, ...(costs || {}) };
+  return Object.fromEntries(
+    Object.keys(COST_DEFAULTS).map((key) => [
+      key,
+      key === 'slippage_model' ? merged[key] : Number(merged[key]) || 0,
+    ]),
+  );
+}
+
+/**
+ * One-line summary of a stored `cost_model`; 'None' when absent or all zero.
+ * @returns {string}
+ */
+export function describeCosts(costModel) {
+  const c = { ...COST_DEFAULTS, ...(costModel || {}) };
+  const parts = [];
+  const commission = [
+    c.commission_per_share > 0 && `$${c.commission_per_share}/share`,
+    c.commission_per_trade > 0 && `$${c.commission_per_trade}/order`,
+    c.commission_bps > 0 && `${c.commission_bps} bps`,
+  ].filter(Boolean);
+  if (commission.length) parts.push(`commission ${commission.join(' + ')}`);
+  if (c.slippage_model === 'volatility' && c.slippage_vol_fraction > 0) {
+    parts.push(`slippage ${c.slippage_vol_fraction}× daily vol (${c.slippage_vol_lookback}d)`);
+  } else if (c.slippage_model !== 'volatility' && c.slippage_bps > 0) {
+    parts.push(`slippage ${c.slippage_bps} bps`);
+  }
+  if (c.borrow_rate_pct > 0) parts.push(`borrow ${c.borrow_rate_pct}%/yr`);
+  return parts.length ? parts.join(' · ') : 'None';
+}
@@ -2,7 +2,7 @@
  * Data layer for live trading dashboard helpers.
  */
 
-import { apiRequest } from './api';
+import { apiRequest, CACHED_READ } from './api';
 
 export async function getMarketOpenProgress() {
   const res = await apiRequest('/market-open-progress/');
@@ -31,11 +31,11 @@ export const liveTradingAPI = {
    */
   brokers: {
     async getBrokers() {
-      return apiRequest('/brokers/');
+      return apiRequest('/brokers/', CACHED_READ);
     },
 
     async getBroker(id) {
-      return apiRequest(`/brokers/${id}/`);
+      return apiRequest(`/brokers/${id}/`, CACHED_READ);
     },
 
     async createBroker(brokerData) {
@@ -158,6 +158,17 @@ export const liveTradingAPI = {
 /**
  * Helper functions for brokers
  */
+/**
+ * Get the broker account balance for a deployment type ('paper' | 'real_money')
+ */
+export async function getBrokerAccountBalance(brokerId, deploymentType = 'paper') {
+  const response = await liveTradingAPI.brokers.getAccountBalance(brokerId, deploymentType);
+  if (response.success && response.data) {
+    return response.data;
+  }
+  throw new Error(response.error || 'Failed to fetch account balance');
+}
+
 export async function getBrokers() {
   try {
     const response = await liveTradingAPI.brokers.getBrokers();
@@ -0,0 +1,339 @@
+/**
+ * Deterministic data for the mock backend: seeded per ticker / backtest so pages show the same
+ * numbers on every reload. Bulky series (OHLCV, trades, equity curves) are generated here rather
+ * than stored as fixture JSON.
+ */
+
+import { SIZING_DEFAULTS } from '../sizingConfig';
+import { COST_DEFAULTS } from '../costConfig';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** FNV-1a; stable seed / signature from any string. */
+export function hashString(value) {
+  let h = 2166136261;
+  const s = String(value);
+  for (let i = 0; i < s.length; i += 1) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+/** mulberry32 — small seeded PRNG returning floats in [0, 1). */
+export function seededRandom(seed) {
+  let a = typeof seed === 'number' ? seed >>> 0 : hashString(seed);
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function round(value, decimals = 2) {
+  const f = 10 ** decimals;
+  return Math.round(value * f) / f;
+}
+
+function isoDay(ms) {
+  return new Date(ms).toISOString().split('T')[0];
+}
+
+/** Series start for every generated history (kept short so the mock stays fast). */
+export const MOCK_HISTORY_START = '2016-01-04';
+
+/**
+ * Daily bars (weekdays only) as a geometric random walk seeded by ticker.
+ * @returns {Array<{ timestamp: string, open: number, high: number, low: number, close: number, volume: number }>}
+ */
+export function generateOhlcv(ticker, { startDate = MOCK_HISTORY_START, endDate = null } = {}) {
+  const rand = seededRandom(`ohlcv:${ticker}`);
+  const start = Date.parse(`${MOCK_HISTORY_START}T00:00:00Z`);
+  const end = endDate ? Date.parse(endDate) : Date.now();
+  const from = startDate ? Date.parse(startDate) : start;
+  const drift = 0.0002 + rand() * 0.0004;
+  const vol = 0.01 + rand() * 0.015;
+  let close = 20 + rand() * 280;
+  const bars = [];
+  for (let t = start; t <= end; t += DAY_MS) {
+    const dow = new Date(t).getUTCDay();
+    if (dow === 0 || dow === 6) continue;
+    const open = close * (1 + (rand() - 0.5) * vol * 0.5);
+    close = Math.max(1, open * (1 + drift + (rand() - 0.5) * 2 * vol));
+    const high = Math.max(open, close) * (1 + rand() * vol * 0.6);
+    const low = Math.min(open, close) * (1 - rand() * vol * 0.6);
+    const volume = Math.round(500000 + rand() * 5000000);
+    // Filter after drawing so every window of the same ticker sees identical prices.
+    if (t < from) continue;
+    bars.push({
+      timestamp: `${isoDay(t)}T00:00:00Z`,
+      open: round(open),
+      high: round(high),
+      low: round(low),
+      close: round(close),
+      volume,
+    });
+  }
+  return bars;
+}
+
+/** Regular US session in UTC (14:30–21:00). */
+const SESSION_OPEN_MINUTE = 14 * 60 + 30;
+const SESSION_MINUTES = 390;
+
+/**
+ * One-minute bars for the last `days` daily bars: a seeded Brownian bridge from each day's open to
+ * its close, kept inside the day's high / low. Only this timeframe is stored intraday, so coarser
+ * intraday bars come from client-side resampling.
+ */
+export function generateIntradayOhlcv(ticker, { days = 5, startDate = null, endDate = null } = {}) {
+  const from = startDate ? Date.parse(startDate) : -Infinity;
+  const to = endDate ? Date.parse(endDate) : Infinity;
+  const bars = [];
+  generateOhlcv(ticker).slice(-days).forEach((day) => {
+    const rand = seededRandom(`ohlcv-1m:${ticker}:${day.timestamp}`);
+    const walk = [0];
+    for (let i = 1; i <= SESSION_MINUTES; i += 1) walk.push(walk[i - 1] + rand() - 0.5);
+    const bridge = walk.map((w, i) => w - (walk[SESSION_MINUTES] * i) / SESSION_MINUTES);
+    const spread = Math.max(...bridge.map(Math.abs)) || 1;
+    const amplitude = ((day.high - day.low) / 2) * 0.8;
+    const clamp = (p) => Math.min(day.high, Math.max(day.low, p));
+    const prices = bridge.map((b, i) => clamp(
+      day.open + ((day.close - day.open) * i) / SESSION_MINUTES + (b / spread) * amplitude,
+    ));
+    const sessionStart = Date.parse(day.timestamp) + SESSION_OPEN_MINUTE * 60 * 1000;
+    for (let i = 0; i < SESSION_MINUTES; i += 1) {
+      const t = sessionStart + i * 60 * 1000;
+      if (t < from || t > to) continue;
+      const open = prices[i];
+      const close = prices[i + 1];
+      const wick = (day.high - day.low) * 0.02 * rand();
+      bars.push({
+        timestamp: new Date(t).toISOString(),
+        open: round(open),
+        high: round(clamp(Math.max(open, close) + wick)),
+        low: round(clamp(Math.min(open, close) - wick)),
+        close: round(close),
+        volume: Math.round((day.volume / SESSION_MINUTES) * (0.5 + rand())),
+      });
+    }
+  });
+  return bars;
+}
+
+/** Average true range over the `period` bars before `index`. */
+function averageTrueRange(bars, index, period) {
+  const from = Math.max(1, index - period + 1);
+  let sum = 0;
+  for (let i = from; i <= index; i += 1) {
+    const prevClose = bars[i - 1].close;
+    sum += Math.max(bars[i].high - bars[i].low, Math.abs(bars[i].high - prevClose), Math.abs(bars[i].low - prevClose));
+  }
+  return index >= from ? sum / (index - from + 1) : 0;
+}
+
+/** Std-dev of daily close-to-close returns over the `period` bars before `index`. */
+function returnStdev(bars, index, period) {
+  const returns = [];
+  for (let i = Math.max(1, index - period + 1); i <= index; i += 1) {
+    returns.push(bars[i].close / bars[i - 1].close - 1);
+  }
+  if (returns.length < 2) return 0;
+  const mean = returns.reduce((s, r) => s + r, 0) / returns.length;
+  return Math.sqrt(returns.reduce((s, r) => s + (r - mean) ** 2, 0) / (returns.length - 1));
+}
+
+/**
+ * Notional of a new position under the run's sizing model (data/sizingConfig.js), from the bars up
+ * to the entry and the earlier closed trades of the same mode.
+ */
+function positionNotional({ sizingModel, sizingConfig, capital, betSizePercentage, bars, index, closed }) {
+  const c = { ...SIZING_DEFAULTS[sizingModel], ...sizingConfig };
+  const capped = (fraction) => capital * Math.max(0, Math.min(fraction, c.max_position_pct / 100));
+  const price = bars[index].close;
+  switch (sizingModel) {
+    case 'fixed_notional':
+      return c.notional;
+    case 'volatility_target': {
+      const dailyVol = c.estimator === 'stdev'
+        ? returnStdev(bars, index, c.lookback_days)
+        : averageTrueRange(bars, index, c.lookback_days) / price;
+      return dailyVol > 0 ? capped(c.target_volatility_pct / 100 / (dailyVol * Math.sqrt(252))) : capped(1);
+    }
+    case 'kelly': {
+      const recent = closed.slice(-c.lookback_trades);
+      if (recent.length < Math.max(1, c.min_trades)) return capped(c.warmup_position_pct / 100);
+      const wins = recent.filter((t) => t.pnl > 0).map((t) => t.pnl_percentage);
+      const losses = recent.filter((t) => t.pnl <= 0).map((t) => -t.pnl_percentage);
+      const avg = (values) => values.reduce((s, v) => s + v, 0) / values.length;
+      if (!wins.length) return 0;
+      if (!losses.length || avg(losses) <= 0) return capped(1);
+      const winRate = wins.length / recent.length;
+      return capped((winRate - (1 - winRate) / (avg(wins) / avg(losses))) * c.kelly_fraction);
+    }
+    case 'equal_risk': {
+      const stop = c.stop_method === 'percent'
+        ? c.stop_pct / 100
+        : (c.atr_multiple * averageTrueRange(bars, index, c.atr_period)) / price;
+      return stop > 0 ? capped(c.risk_per_trade_pct / 100 / stop) : capped(1);
+    }
+    default:
+      return (capital * betSizePercentage) / 100;
+  }
+}
+
+/** Commission, slippage and borrow of one round trip under the run's `cost_model` (data/costConfig.js). */
+function roundTripCosts(costModel, { quantity, entry, exit, direction, bars, index }) {
+  const c = { ...COST_DEFAULTS, ...costModel };
+  const traded = quantity * (entry.close + exit.close);
+  const slippageRate = c.slippage_model === 'volatility'
+    ? c.slippage_vol_fraction * returnStdev(bars, index, c.slippage_vol_lookback)
+    : c.slippage_bps / 10000;
+  const heldDays = (Date.parse(exit.timestamp) - Date.parse(entry.timestamp)) / DAY_MS;
+  return {
+    commission: 2 * (c.commission_per_share * quantity + c.commission_per_trade) + (c.commission_bps / 10000) * traded,
+    slippage: slippageRate * traded,
+    borrow: direction < 0 ? (c.borrow_rate_pct / 100) * quantity * entry.close * (heldDays / 365) : 0,
+  };
+}
+
+/**
+ * Closed trades for one ticker in one run, walking the generated bars.
+ * @param {{ runKey: string, ticker: string, modes: string[], startDate?: string, endDate?: string, initialCapital?: number, betSizePercentage?: number, sizingModel?: string, sizingConfig?: object, costModel?: object|null, idBase?: number }} opts
+ */
+export function generateTrades({
+  runKey,
+  ticker,
+  modes,
+  startDate = null,
+  endDate = null,
+  initialCapital = 10000,
+  betSizePercentage = 100,
+  sizingModel = 'fixed_fraction',
+  sizingConfig = {},
+  costModel = null,
+  idBase = 1,
+}) {
+  const rand = seededRandom(`trades:${runKey}:${ticker}`);
+  const bars = generateOhlcv(ticker, { startDate: startDate || MOCK_HISTORY_START, endDate });
+  const trades = [];
+  let id = idBase;
+  modes.forEach((mode) => {
+    const closed = [];
+    let i = 5 + Math.floor(rand() * 10);
+    while (i < bars.length - 2) {
+      const hold = 2 + Math.floor(rand() * 18);
+      const exitIndex = Math.min(bars.length - 1, i + hold);
+      const entry = bars[i];
+      const exit = bars[exitIndex];
+      const betAmount = positionNotional({
+        sizingModel,
+        sizingConfig,
+        capital: initialCapital,
+        betSizePercentage,
+        bars,
+        index: i,
+        closed,
+      });
+      const quantity = Math.max(1, Math.floor(betAmount / entry.close));
+      const direction = mode === 'short' ? -1 : 1;
+      const costs = costModel ? roundTripCosts(costModel, { quantity, entry, exit, direction, bars, index: i }) : null;
+      const totalCost = costs ? costs.commission + costs.slippage + costs.borrow : 0;
+      const pnl = (exit.close - entry.close) * quantity * direction - totalCost;
+      trades.push({
+        id,
+        symbol_ticker: ticker,
+        symbol_info: { ticker, name: ticker, exchange: 'US' },
+        trade_type: mode === 'short' ? 'sell' : 'buy',
+        entry_timestamp: entry.timestamp,
+        exit_timestamp: exit.timestamp,
+        entry_price: entry.close,
+        exit_price: exit.close,
+        quantity,
+        pnl: round(pnl),
+        pnl_percentage: round(
+          ((exit.close - entry.close) / entry.close) * 100 * direction - (totalCost / (entry.close * quantity)) * 100,
+        ),
+        is_winner: pnl > 0,
+        max_drawdown: round(rand() * 8),
+        metadata: {
+          position_mode: mode,
+          bet_amount: round(betAmount),
+          ...(costs && {
+            costs: { commission: round(costs.commission), slippage: round(costs.slippage), borrow: round(costs.borrow) },
+          }),
+          exit_reason: rand() > 0.3 ? 'signal' : rand() > 0.5 ? 'stop_loss' : 'take_profit',
+        },
+      });
+      closed.push(trades[trades.length - 1]);
+      id += 1;
+      i = exitIndex + 3 + Math.floor(rand() * 25);
+    }
+  });
+  return trades;
+}
+
+/**
+ * Summary stats + equity curve for a set of trades (one position mode), in the shape of
+ * `stats_by_mode[mode]` from the optimized statistics endpoints.
+ */
+export function statsForTrades(trades, initialCapital = 10000, { startDate = null, endDate = null } = {}) {
+  const sorted = [...trades].sort((a, b) => Date.parse(a.exit_timestamp) - Date.parse(b.exit_timestamp));
+  let equity = initialCapital;
+  let peak = equity;
+  let maxDd = 0;
+  const x = [];
+  const y = [];
+  if (startDate) {
+    x.push(new Date(startDate).toISOString());
+    y.push(equity);
+  }
+  const returns = [];
+  sorted.forEach((t) => {
+    const before = equity;
+    equity += t.pnl;
+    returns.push(before > 0 ? t.pnl / before : 0);
+    peak = Math.max(peak, equity);
+    maxDd = Math.max(maxDd, peak > 0 ? (peak - equity) / peak : 0);
+    x.push(t.exit_timestamp);
+    y.push(round(equity));
+  });
+  if (endDate && x.length) {
+    x.push(new Date(endDate).toISOString());
+    y.push(round(equity));
+  }
+
+  const winners = sorted.filter((t) => t.pnl > 0);
+  const losers = sorted.filter((t) => t.pnl <= 0);
+  const grossWin = winners.reduce((s, t) => s + t.pnl, 0);
+  const grossLoss = Math.abs(losers.reduce((s, t) => s + t.pnl, 0));
+  const totalPnl = equity - initialCapital;
+  const mean = returns.length ? returns.reduce((s, r) => s + r, 0) / returns.length : 0;
+  const sd = returns.length > 1
+    ? Math.sqrt(returns.reduce((s, r) => s + (r - mean) ** 2, 0) / (returns.length - 1))
+    : 0;
+  const firstTs = sorted.length ? Date.parse(sorted[0].entry_timestamp) : null;
+  const lastTs = sorted.length ? Date.parse(sorted[sorted.length - 1].exit_timestamp) : null;
+  const years = firstTs && lastTs ? Math.max((lastTs - firstTs) / (365.25 * DAY_MS), 1 / 12) : null;
+  const tradesPerYear = years ? sorted.length / years : 0;
+
+  return {
+    total_trades: sorted.length,
+    winning_trades: winners.length,
+    losing_trades: losers.length,
+    win_rate: sorted.length ? round((winners.length / sorted.length) * 100) : 0,
+    total_pnl: round(totalPnl),
+    total_return: round((totalPnl / initialCapital) * 100),
+    cagr: years && equity > 0 ? round(((equity / initialCapital) ** (1 / years) - 1) * 100) : 0,
+    sharpe_ratio: sd > 0 ? round((mean / sd) * Math.sqrt(tradesPerYear || 1)) : 0,
+    max_drawdown: round(maxDd * 100),
+    profit_factor: grossLoss > 0 ? round(grossWin / grossLoss) : null,
+    average_pnl: sorted.length ? round(totalPnl / sorted.length) : 0,
+    average_winner: winners.length ? round(grossWin / winners.length) : 0,
+    average_loser: losers.length ? round(-grossLoss / losers.length) : 0,
+    equity_curve_x: x,
+    equity_curve_y: y,
+  };
+}
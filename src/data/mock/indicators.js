@@ -0,0 +1,117 @@
+/**
+ * Indicator values for the mock `/values/` endpoints, computed from the generated OHLCV closes.
+ * Row shape mirrors the backend: `{ timestamp, value }`, with the extra outputs of multi-line tools
+ * as flat keys (BollingerBands: upper / middle / lower / bandwidth; MACD: macd / signal / histogram).
+ */
+
+import { generateOhlcv } from './generators';
+
+const round = (v) => (v == null || !Number.isFinite(v) ? null : Math.round(v * 10000) / 10000);
+
+function sma(values, period) {
+  let sum = 0;
+  return values.map((v, i) => {
+    sum += v;
+    if (i >= period) sum -= values[i - period];
+    return i >= period - 1 ? sum / period : null;
+  });
+}
+
+function ema(values, period) {
+  const k = 2 / (period + 1);
+  let prev = null;
+  return values.map((v, i) => {
+    if (v == null) return null;
+    if (prev == null) {
+      // Seed with the SMA of the first `period` defined values
+      const window = values.slice(Math.max(0, i - period + 1), i + 1).filter((x) => x != null);
+      if (window.length < period) return null;
+      prev = window.reduce((s, x) => s + x, 0) / period;
+      return prev;
+    }
+    prev = v * k + prev * (1 - k);
+    return prev;
+  });
+}
+
+function rsi(closes, period) {
+  let avgGain = 0;
+  let avgLoss = 0;
+  return closes.map((c, i) => {
+    if (i === 0) return null;
+    const change = c - closes[i - 1];
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+    if (i <= period) {
+      avgGain += gain / period;
+      avgLoss += loss / period;
+      if (i < period) return null;
+    } else {
+      avgGain = (avgGain * (period - 1) + gain) / period;
+      avgLoss = (avgLoss * (period - 1) + loss) / period;
+    }
+    return avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+  });
+}
+
+function bollinger(closes, period, stdDev) {
+  const middle = sma(closes, period);
+  return closes.map((_, i) => {
+    if (middle[i] == null) return null;
+    const window = closes.slice(i - period + 1, i + 1);
+    const sd = Math.sqrt(window.reduce((s, x) => s + (x - middle[i]) ** 2, 0) / period);
+    const upper = middle[i] + stdDev * sd;
+    const lower = middle[i] - stdDev * sd;
+    return { upper, middle: middle[i], lower, bandwidth: ((upper - lower) / middle[i]) * 100 };
+  });
+}
+
+function macd(closes, fast, slow, signalPeriod) {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const line = closes.map((_, i) => (fastEma[i] != null && slowEma[i] != null ? fastEma[i] - slowEma[i] : null));
+  const signal = ema(line, signalPeriod);
+  return line.map((m, i) => (m == null || signal[i] == null ? null : { macd: m, signal: signal[i], histogram: m - signal[i] }));
+}
+
+/**
+ * @param {string} ticker
+ * @param {string} toolName - SMA | EMA | RSI | BollingerBands | MACD
+ * @param {object} parameters - assignment parameters (tool defaults already merged)
+ */
+export function mockIndicatorValues(ticker, toolName, parameters = {}) {
+  const bars = generateOhlcv(ticker);
+  const closes = bars.map((b) => b.close);
+  const period = Number(parameters.period) || 20;
+  let rows;
+  switch (toolName) {
+    case 'SMA':
+      rows = sma(closes, period).map((value) => ({ value }));
+      break;
+    case 'EMA':
+      rows = ema(closes, period).map((value) => ({ value }));
+      break;
+    case 'RSI':
+      rows = rsi(closes, Number(parameters.period) || 14).map((value) => ({ value }));
+      break;
+    case 'BollingerBands':
+      rows = bollinger(closes, period, Number(parameters.std_dev) || 2)
+        .map((b) => (b ? { value: b.middle, ...b } : { value: null }));
+      break;
+    case 'MACD':
+      rows = macd(
+        closes,
+        Number(parameters.fast_period) || 12,
+        Number(parameters.slow_period) || 26,
+        Number(parameters.signal_period) || 9,
+      ).map((m) => (m ? { value: m.macd, ...m } : { value: null }));
+      break;
+    default:
+      return [];
+  }
+  return rows
+    .map((row, i) => Object.fromEntries(
+      [['timestamp', bars[i].timestamp], ...Object.entries(row).map(([k, v]) => [k, round(v)])],
+    ))
+    .filter((row) => row.value != null);
+}
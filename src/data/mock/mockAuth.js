@@ -0,0 +1,92 @@
+/**
+ * SimpleJWT stand-in for the mock backend. Tokens are unsigned JWT-shaped strings (so
+ * `tokenExpiry` can read them) that verify statelessly and therefore survive a page reload;
+ * used refresh tokens are blacklisted in memory to emulate rotation.
+ */
+
+const ACCESS_TTL_S = 15 * 60;
+const REFRESH_TTL_S = 7 * 24 * 60 * 60;
+
+/** Paths served without a bearer token. */
+const PUBLIC_PATHS = ['/auth/token/', '/auth/token/refresh/'];
+
+const blacklist = new Set();
+
+const b64url = (value) => btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+function decode(token) {
+  try {
+    const part = String(token).split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(part));
+  } catch {
+    return null;
+  }
+}
+
+function sign(user, type, ttl) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    token_type: type,
+    user_id: user.id,
+    jti: Math.random().toString(16).slice(2),
+    iat: now,
+    exp: now + ttl,
+  };
+  return `${b64url({ alg: 'none', typ: 'JWT' })}.${b64url(payload)}.mock`;
+}
+
+function verify(token, type) {
+  const payload = decode(token);
+  if (!payload || payload.token_type !== type) return null;
+  if (payload.exp * 1000 < Date.now() || blacklist.has(payload.jti)) return null;
+  return payload;
+}
+
+/** Owner of a valid access token, or null. */
+export function userFromAccessToken(token, db) {
+  const payload = verify(token, 'access');
+  return payload ? db.users.find((u) => u.id === payload.user_id) || null : null;
+}
+
+/** `{ access, refresh }` for a sign-in. */
+export function issueTokens(user) {
+  return { access: sign(user, 'access', ACCESS_TTL_S), refresh: sign(user, 'refresh', REFRESH_TTL_S) };
+}
+
+export function publicUser(user) {
+  const { password, ...rest } = user;
+  return rest;
+}
+
+export const INVALID_TOKEN = { detail: 'Given token not valid for any token type', code: 'token_not_valid' };
+
+/**
+ * Resolve the caller from request headers.
+ * @returns {{ user: object|null, denied: object|null }} denied is the 401 body for protected paths
+ */
+export function authorize(path, headers, db) {
+  const header = headers?.Authorization || headers?.authorization || '';
+  const user = header.startsWith('Bearer ') ? userFromAccessToken(header.slice(7), db) : null;
+  if (user || PUBLIC_PATHS.includes(path)) return { user, denied: null };
+  return {
+    user: null,
+    denied: header ? INVALID_TOKEN : { detail: 'Authentication credentials were not provided.' },
+  };
+}
+
+/**
+ * Rotate a refresh token: the old one is blacklisted.
+ * @returns {{ access: string, refresh: string }|null} null when the token is invalid or already used
+ */
+export function rotateRefreshToken(refresh, db) {
+  const payload = verify(refresh, 'refresh');
+  const user = payload ? db.users.find((u) => u.id === payload.user_id) : null;
+  if (!user) return null;
+  blacklist.add(payload.jti);
+  return issueTokens(user);
+}
+
+export function revokeRefreshToken(refresh) {
+  const payload = decode(refresh);
+  if (payload?.jti) blacklist.add(payload.jti);
+}
@@ -0,0 +1,96 @@
+/**
+ * Stand-in for `WebSocket` on `/ws/stream/` (see data/realtime.js). Answers subscribe /
+ * unsubscribe and, every STREAM_TICK_MS, has some active subscribed deployments evaluate a signal:
+ * the event is written to the mock store (so REST reads agree) and pushed on `deployment:<id>`,
+ * mirrored as a line on `platform-log`.
+ * Loaded lazily by realtime.js only when REACT_APP_MOCK_API=true.
+ */
+
+import { getDb, nextId } from './store';
+
+const STREAM_TICK_MS = 8000;
+const SIGNAL_PROBABILITY = 0.5;
+
+export class MockStreamSocket {
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+    this.channels = new Set();
+    this.openTimer = setTimeout(() => this.open(), 50);
+  }
+
+  open() {
+    this.readyState = 1;
+    if (this.onopen) this.onopen({ type: 'open' });
+    this.interval = setInterval(() => this.tick(), STREAM_TICK_MS);
+  }
+
+  push(channel, type, data) {
+    if (this.readyState !== 1 || !this.channels.has(channel) || !this.onmessage) return;
+    this.onmessage({ data: JSON.stringify({ channel, type, data }) });
+  }
+
+  tick() {
+    const db = getDb();
+    this.channels.forEach((channel) => {
+      const [kind, id] = channel.split(':');
+      if (kind !== 'deployment') return;
+      const deployment = db.deployments.find((d) => String(d.id) === id);
+      if (!deployment || deployment.status !== 'active' || Math.random() > SIGNAL_PROBABILITY) return;
+      const tickers = deployment.symbol_tickers || [];
+      const ticker = tickers[Math.floor(Math.random() * tickers.length)] || null;
+      const signal = Math.random() < 0.2 ? 'buy' : 'hold';
+      const event = {
+        id: nextId(db.deploymentEvents),
+        deployment: deployment.id,
+        deployment_name: deployment.name,
+        deployment_symbol_ticker: ticker,
+        event_type: 'signal_evaluated',
+        level: 'info',
+        message: `${ticker}: ${signal}`,
+        created_at: new Date().toISOString(),
+        actor_type: 'system',
+        actor_id: null,
+        data: { signal },
+        error: null,
+        code: null,
+      };
+      db.deploymentEvents.unshift(event);
+      this.push(channel, 'event', event);
+      this.push('platform-log', 'log', {
+        level: 'info',
+        logger: 'live_trading.signals',
+        message: `[${deployment.name}] ${event.message}`,
+        created_at: event.created_at,
+      });
+    });
+  }
+
+  send(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    if (!message?.channel) return;
+    if (message.action === 'subscribe') this.channels.add(message.channel);
+    if (message.action === 'unsubscribe') this.channels.delete(message.channel);
+    if (this.onmessage) {
+      const type = message.action === 'subscribe' ? 'subscribed' : 'unsubscribed';
+      this.onmessage({ data: JSON.stringify({ channel: message.channel, type, data: null }) });
+    }
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === 3) return;
+    clearTimeout(this.openTimer);
+    clearInterval(this.interval);
+    this.readyState = 3;
+    if (this.onclose) this.onclose({ code, reason, wasClean: code === 1000 });
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * Emulated Celery tasks for the mock backend. Every action that would enqueue work registers a task
+ * here; progress is derived from elapsed time so `/tasks/:id/status/` polling and the
+ * `/ws/tasks/:id/` socket (MockTaskSocket) report the same numbers.
+ */
+
+const DEFAULT_DURATION_MS = 6000;
+const SOCKET_TICK_MS = 500;
+const WORKER_NAME = 'mock-worker@localhost';
+
+const tasks = new Map();
+let sequence = 0;
+
+function newTaskId() {
+  sequence += 1;
+  const rand = Math.random().toString(16).slice(2, 10).padEnd(8, '0');
+  return `mock-${Date.now().toString(16)}-${sequence.toString(16).padStart(4, '0')}-${rand}`;
+}
+
+/**
+ * Register a task that completes after `durationMs`.
+ * @param {string} name - Celery task name (shown on the Active tasks page)
+ * @param {{ durationMs?: number, args?: unknown[], result?: object, onComplete?: () => (object|void) }} [opts]
+ *   onComplete runs once when the task finishes (e.g. flip a backtest to completed); its return
+ *   value, if any, becomes the task result.
+ * @returns {string} task id
+ */
+export function startMockTask(name, { durationMs = DEFAULT_DURATION_MS, args = [], result = {}, onComplete = null } = {}) {
+  const taskId = newTaskId();
+  const task = {
+    taskId,
+    name,
+    args,
+    startedAt: Date.now(),
+    durationMs,
+    result,
+    state: 'running',
+    message: 'Queued',
+    finishedAt: null,
+  };
+  task.timer = setTimeout(() => {
+    if (task.state !== 'running') return;
+    try {
+      const extra = onComplete ? onComplete() : null;
+      if (extra && typeof extra === 'object') task.result = { ...task.result, ...extra };
+      task.state = 'completed';
+      task.message = 'Completed';
+    } catch (error) {
+      task.state = 'failed';
+      task.message = error.message || 'Task failed';
+    }
+    task.finishedAt = Date.now();
+  }, durationMs);
+  tasks.set(taskId, task);
+  return taskId;
+}
+
+function progressOf(task) {
+  if (task.state === 'completed') return 100;
+  const elapsed = (task.finishedAt || Date.now()) - task.startedAt;
+  return Math.max(0, Math.min(99, Math.round((elapsed / task.durationMs) * 100)));
+}
+
+function messageOf(task, progress) {
+  if (task.state !== 'running') return task.message;
+  if (progress < 5) return 'Queued';
+  return `Processing (${progress}%)`;
+}
+
+/**
+ * Same payload as `/tasks/:id/status/` and each socket message.
+ * @returns {{ task_id: string, status: string, progress: number, message: string, result: object|null }|null}
+ */
+export function mockTaskStatus(taskId) {
+  const task = tasks.get(taskId);
+  if (!task) return null;
+  const progress = progressOf(task);
+  return {
+    task_id: task.taskId,
+    status: task.state === 'running' && progress < 5 ? 'pending' : task.state,
+    progress,
+    message: messageOf(task, progress),
+    result: task.state === 'completed' ? task.result : null,
+  };
+}
+
+/** Rows for `/tasks/active/`. */
+export function activeMockTasks() {
+  return [...tasks.values()]
+    .filter((t) => t.state === 'running')
+    .map((t) => {
+      const progress = progressOf(t);
+      return {
+        task_id: t.taskId,
+        name: t.name,
+        status: 'RUNNING',
+        progress,
+        message: messageOf(t, progress),
+        args: t.args,
+        time_start: new Date(t.startedAt).toISOString(),
+        worker: WORKER_NAME,
+      };
+    });
+}
+
+/** Rows for `/tasks/history/`, newest first. */
+export function mockTaskHistory(limit = 50) {
+  return [...tasks.values()]
+    .filter((t) => t.state !== 'running')
+    .sort((a, b) => b.finishedAt - a.finishedAt)
+    .slice(0, limit)
+    .map((t) => ({
+      task_id: t.taskId,
+      name: t.name,
+      success: t.state === 'completed',
+      message: t.message,
+      timestamp: new Date(t.finishedAt).toISOString(),
+    }));
+}
+
+/** Revoke a running task. @returns {boolean} false when unknown or already finished */
+export function stopMockTask(taskId) {
+  const task = tasks.get(taskId);
+  if (!task || task.state !== 'running') return false;
+  clearTimeout(task.timer);
+  task.state = 'failed';
+  task.message = 'Revoked by user';
+  task.finishedAt = Date.now();
+  return true;
+}
+
+/** Drop finished tasks from history. @returns {number} how many were removed */
+export function purgeMockTasks() {
+  let removed = 0;
+  tasks.forEach((task, id) => {
+    if (task.state !== 'running') {
+      tasks.delete(id);
+      removed += 1;
+    }
+  });
+  return removed;
+}
+
+/**
+ * Stand-in for `WebSocket` on `/ws/tasks/:id/`: pushes `mockTaskStatus` as JSON until the task
+ * finishes, then closes normally (code 1000) like the Channels consumer does.
+ */
+export class MockTaskSocket {
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+    const match = /\/ws\/tasks\/([^/]+)\/?/.exec(url);
+    this.taskId = match ? decodeURIComponent(match[1]) : null;
+    this.openTimer = setTimeout(() => this.open(), 50);
+  }
+
+  open() {
+    this.readyState = 1;
+    if (this.onopen) this.onopen({ type: 'open' });
+    this.tick();
+    this.interval = setInterval(() => this.tick(), SOCKET_TICK_MS);
+  }
+
+  tick() {
+    const status = mockTaskStatus(this.taskId);
+    const payload = status || {
+      task_id: this.taskId,
+      status: 'failed',
+      progress: 0,
+      message: 'Unknown task',
+      result: null,
+    };
+    if (this.onmessage) this.onmessage({ data: JSON.stringify(payload) });
+    if (payload.status === 'completed' || payload.status === 'failed') {
+      this.close(1000, 'Task finished');
+    }
+  }
+
+  send() {}
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === 3) return;
+    clearTimeout(this.openTimer);
+    clearInterval(this.interval);
+    this.readyState = 3;
+    if (this.onclose) this.onclose({ code, reason, wasClean: code === 1000 });
+  }
+}
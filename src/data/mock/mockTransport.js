@@ -0,0 +1,70 @@
+/**
+ * Mock transport: answers `apiRequest` from the in-memory store instead of the network.
+ * Returns a real `Response` so `handleResponse` in api.js parses it exactly like server output.
+ * Loaded lazily by api.js only when REACT_APP_MOCK_API=true, so fixtures stay out of the normal bundle.
+ */
+
+import { authorize } from './mockAuth';
+import { matchRoute } from './routes';
+import { getDb } from './store';
+
+const LATENCY_MS = 120;
+
+function jsonResponse(status, body) {
+  if (status === 204 || body === null || body === undefined) {
+    return new Response(null, { status: status === 200 ? 204 : status });
+  }
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+function parseBody(body) {
+  if (!body || typeof body !== 'string') return {};
+  try {
+    return JSON.parse(body);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * @param {string} endpoint - path + query relative to the API base, e.g. `/backtests/?page=2`
+ * @param {RequestInit} [config]
+ * @returns {Promise<Response>}
+ */
+export async function mockFetch(endpoint, config = {}) {
+  const method = (config.method || 'GET').toUpperCase();
+  const [rawPath, rawQuery = ''] = endpoint.split('?');
+  const path = rawPath.endsWith('/') ? rawPath : `${rawPath}/`;
+
+  await new Promise((resolve) => setTimeout(resolve, LATENCY_MS));
+
+  const db = getDb();
+  const { user, denied } = authorize(path, config.headers, db);
+  if (denied) {
+    return jsonResponse(401, denied);
+  }
+
+  const match = matchRoute(method, path);
+  if (!match) {
+    return jsonResponse(404, { detail: `No mock for ${method} ${path}` });
+  }
+  try {
+    const out = match.handler({
+      params: match.params,
+      query: new URLSearchParams(rawQuery),
+      body: parseBody(config.body),
+      db,
+      user,
+    });
+    if (out && typeof out === 'object' && 'mockStatus' in out) {
+      return jsonResponse(out.mockStatus, out.body);
+    }
+    return jsonResponse(200, out);
+  } catch (error) {
+    console.error('Mock API handler error:', error);
+    return jsonResponse(500, { error: error.message || 'Mock handler failed' });
+  }
+}
@@ -0,0 +1,1501 @@
+/**
+ * Route table for the mock backend: `[method, pattern, handler]`, first match wins, so specific
+ * paths come before `:param` catch-alls. Handlers receive `{ params, query, body, db, user }` and return
+ * the JSON body (200) or `reply(status, body)`.
+ */
+
+import { HEDGE_DEFAULTS } from '../hedgeConfig';
+import { DEFAULT_SIZING_MODEL } from '../sizingConfig';
+import { checkPermission } from '../../lib/permissions';
+import { generateIntradayOhlcv, generateOhlcv, seededRandom } from './generators';
+import { mockIndicatorValues } from './indicators';
+import {
+  INVALID_TOKEN,
+  issueTokens,
+  publicUser,
+  revokeRefreshToken,
+  rotateRefreshToken,
+  userFromAccessToken,
+} from './mockAuth';
+import {
+  activeMockTasks,
+  mockTaskHistory,
+  mockTaskStatus,
+  purgeMockTasks,
+  startMockTask,
+  stopMockTask,
+} from './mockTasks';
+import {
+  backtestStatistics,
+  backtestTrades,
+  deploymentSymbolRows,
+  invalidateDerived,
+  nextId,
+  parameterSignature,
+  symbolRunStatistics,
+  symbolRunTrades,
+} from './store';
+
+const DEFAULT_PAGE_SIZE = 20;
+
+export function reply(status, body = null) {
+  return { mockStatus: status, body };
+}
+
+const notFound = (what) => reply(404, { detail: `${what} not found.` });
+
+/** DRF-style 403 when the caller's role may not perform `action` (lib/permissions.js). */
+function forbidden(user, action) {
+  return checkPermission(user, action).allowed
+    ? null
+    : reply(403, { detail: 'You do not have permission to perform this action.' });
+}
+const nowIso = () => new Date().toISOString();
+
+function paginate(items, query, defaultPageSize = DEFAULT_PAGE_SIZE) {
+  const page = Math.max(1, parseInt(query.get('page'), 10) || 1);
+  const pageSize = Math.max(1, parseInt(query.get('page_size'), 10) || defaultPageSize);
+  const start = (page - 1) * pageSize;
+  const link = (p) => {
+    const q = new URLSearchParams(query);
+    q.set('page', String(p));
+    return `?${q.toString()}`;
+  };
+  return {
+    count: items.length,
+    next: start + pageSize < items.length ? link(page + 1) : null,
+    previous: page > 1 ? link(page - 1) : null,
+    results: items.slice(start, start + pageSize),
+  };
+}
+
+function matchesSearch(row, term, fields) {
+  if (!term) return true;
+  const q = term.toLowerCase();
+  return fields.some((f) => String(row[f] ?? '').toLowerCase().includes(q));
+}
+
+function byId(collection, id) {
+  return collection.find((row) => String(row.id) === String(id));
+}
+
+function removeWhere(collection, predicate) {
+  let removed = 0;
+  for (let i = collection.length - 1; i >= 0; i -= 1) {
+    if (predicate(collection[i])) {
+      collection.splice(i, 1);
+      removed += 1;
+    }
+  }
+  return removed;
+}
+
+function symbolInfo(db, ticker) {
+  const s = db.symbols.find((row) => row.ticker === ticker);
+  return s
+    ? { ticker: s.ticker, name: s.name, exchange: s.exchange, exchange_name: s.exchange_name }
+    : { ticker, name: ticker, exchange: '' };
+}
+
+function activeTickers(db) {
+  return db.symbols.filter((s) => s.status === 'active').map((s) => s.ticker);
+}
+
+function toolById(db, id) {
+  return db.tools.find((t) => String(t.id) === String(id) || t.name === id) || null;
+}
+
+function serializeAssignment(db, a) {
+  const strategy = a.strategy ? byId(db.strategies, a.strategy) : null;
+  return {
+    ...a,
+    tool: toolById(db, a.tool),
+    strategy_info: strategy ? { id: strategy.id, name: strategy.name } : null,
+    strategy_name: strategy?.name || null,
+  };
+}
+
+/** Indicator rows for an assignment (tool defaults merged under its parameters) on one ticker. */
+function assignmentValues(db, assignment, ticker) {
+  const tool = toolById(db, assignment.tool);
+  if (!tool || !ticker) return [];
+  return mockIndicatorValues(ticker, tool.name, { ...tool.default_parameters, ...assignment.parameters });
+}
+
+function filterTrades(trades, query) {
+  const symbol = query.get('symbol');
+  const mode = query.get('mode');
+  return trades.filter(
+    (t) => (!symbol || t.symbol_ticker === symbol) && (!mode || t.metadata.position_mode === mode),
+  );
+}
+
+function tradesResponse(trades, query) {
+  const rows = filterTrades(trades, query);
+  return query.get('no_pagination') === 'true' ? rows : paginate(rows, query);
+}
+
+/** Queue a task that flips `row.status` to completed, mirroring how the workers finish runs. */
+function queueRun(row, name, durationMs = 5000) {
+  row.status = 'running';
+  row.task_id = startMockTask(name, {
+    durationMs,
+    args: [row.id],
+    onComplete: () => {
+      row.status = 'completed';
+      row.completed_at = nowIso();
+      return { id: row.id };
+    },
+  });
+  return row.task_id;
+}
+
+function createBacktestRow(db, body, overrides = {}) {
+  const strategy = byId(db.strategies, body.strategy_id ?? body.strategy);
+  if (!strategy) throw new Error('strategy_id: Unknown strategy.');
+  const tickers = body.symbol_tickers?.length ? body.symbol_tickers : activeTickers(db);
+  const row = {
+    id: nextId(db.backtests),
+    name: body.name || `${strategy.name} backtest`,
+    status: 'pending',
+    strategy: strategy.id,
+    strategy_info: { id: strategy.id, name: strategy.name },
+    start_date: body.start_date || '2016-01-04T00:00:00Z',
+    end_date: body.end_date || nowIso(),
+    split_ratio: body.split_ratio ?? 0.7,
+    initial_capital: body.initial_capital ?? 10000,
+    bet_size_percentage: body.bet_size_percentage ?? 100,
+    sizing_model: body.sizing_model || DEFAULT_SIZING_MODEL,
+    sizing_config: body.sizing_config || {},
+    cost_model: body.cost_model || null,
+    position_modes: body.position_modes?.length ? body.position_modes : ['long'],
+    strategy_parameters: body.strategy_parameters || { ...strategy.default_parameters },
+    hedge_enabled: !!body.hedge_enabled,
+    hedge_config: body.hedge_config || {},
+    symbol_tickers: tickers,
+    symbols_count: tickers.length,
+    created_at: nowIso(),
+    completed_at: null,
+    task_id: null,
+    parameter_set_label: null,
+    error_message: null,
+    ...overrides,
+  };
+  db.backtests.unshift(row);
+  queueRun(row, 'backtest_engine.tasks.run_backtest', 4000 + tickers.length * 500);
+  return row;
+}
+
+function createSymbolRun(db, strategy, ticker, body) {
+  const params = body.strategy_parameters || { ...strategy.default_parameters };
+  const run = {
+    id: nextId(db.symbolRuns),
+    run_id: null,
+    strategy: strategy.id,
+    symbol_ticker: ticker,
+    status: 'pending',
+    label: body.name || `${strategy.name} — ${ticker}`,
+    created_at: nowIso(),
+    task_id: null,
+    parameters: {
+      name: body.name || `${strategy.name} — ${ticker}`,
+      strategy_parameters: params,
+      position_modes: body.position_modes?.length ? body.position_modes : ['long'],
+      start_date: body.start_date || '2016-01-04T00:00:00Z',
+      end_date: body.end_date || nowIso(),
+      split_ratio: body.split_ratio ?? 0.7,
+      initial_capital: body.initial_capital ?? 10000,
+      bet_size_percentage: body.bet_size_percentage ?? 100,
+      sizing_model: body.sizing_model || DEFAULT_SIZING_MODEL,
+      sizing_config: body.sizing_config || {},
+      cost_model: body.cost_model || null,
+    },
+  };
+  run.run_id = run.id;
+  db.symbolRuns.push(run);
+  return run;
+}
+
+function serializeRun(run) {
+  const p = run.parameters || {};
+  return {
+    ...run,
+    name: p.name,
+    status: run.status,
+    symbol_ticker: run.symbol_ticker,
+    start_date: p.start_date,
+    end_date: p.end_date,
+    split_ratio: p.split_ratio,
+    initial_capital: p.initial_capital,
+    bet_size_percentage: p.bet_size_percentage,
+    sizing_model: p.sizing_model || DEFAULT_SIZING_MODEL,
+    sizing_config: p.sizing_config || {},
+    cost_model: p.cost_model || null,
+    position_modes: p.position_modes,
+    strategy_parameters: p.strategy_parameters,
+    parameter_set: runSignature(run),
+  };
+}
+
+function runSignature(run) {
+  return parameterSignature(run.parameters?.strategy_parameters, run.parameters?.position_modes);
+}
+
+function strategyRuns(db, strategyId) {
+  return db.symbolRuns.filter((r) => String(r.strategy) === String(strategyId));
+}
+
+function parameterSets(db, strategyId) {
+  const sets = new Map();
+  strategyRuns(db, strategyId).forEach((run) => {
+    const signature = runSignature(run);
+    const entry = sets.get(signature) || {
+      signature,
+      label: run.label,
+      strategy_parameters: run.parameters?.strategy_parameters,
+      position_modes: run.parameters?.position_modes,
+      tickers: new Set(),
+      run_count: 0,
+      latest_created_at: run.created_at,
+    };
+    entry.run_count += 1;
+    entry.tickers.add(run.symbol_ticker);
+    if (run.created_at > entry.latest_created_at) entry.latest_created_at = run.created_at;
+    sets.set(signature, entry);
+  });
+  return [...sets.values()].map(({ tickers, ...rest }) => ({ ...rest, symbol_count: tickers.size }));
+}
+
+function tierForTrades(count) {
+  if (count > 50) return 'gt50';
+  if (count > 20) return 'gt20';
+  if (count > 10) return 'gt10';
+  if (count > 0) return 'gt0';
+  return 'none';
+}
+
+function colorForSharpe(sharpe) {
+  if (sharpe == null) return 'gray';
+  if (sharpe >= 0.5) return 'green';
+  if (sharpe >= 0) return 'yellow';
+  return 'red';
+}
+
+function deploymentStatistics(db, deployment) {
+  const trades = db.liveTrades.filter((t) => t.deployment === deployment.id);
+  const closed = trades.filter((t) => t.status === 'closed');
+  const open = trades.filter((t) => t.status === 'open');
+  const pnl = closed.reduce((s, t) => s + (t.pnl || 0), 0);
+  const invested = open.reduce((s, t) => s + t.entry_price * t.quantity, 0);
+  const symbols = db.deploymentSymbols.filter((s) => s.deployment === deployment.id);
+  return {
+    total_pnl: Math.round(pnl * 100) / 100,
+    total_pnl_main: Math.round(pnl * 100) / 100,
+    total_pnl_all: Math.round(pnl * 100) / 100,
+    open_trades: open.length,
+    closed_trades: closed.length,
+    closed_trades_main: closed.length,
+    win_rate: closed.length ? Math.round((closed.filter((t) => t.pnl > 0).length / closed.length) * 10000) / 10000 : null,
+    total_invested_open: Math.round(invested * 100) / 100,
+    total_invested_main_open: Math.round(invested * 100) / 100,
+    total_invested_hedge_open: 0,
+    total_current_invested_exposure: Math.round(invested * 100) / 100,
+    symbol_count: symbols.length,
+    active_symbol_count: symbols.filter((s) => s.status === 'active').length,
+    last_signal_at: nowIso(),
+    account_cash: Math.round((Number(deployment.initial_capital) + pnl - invested) * 100) / 100,
+  };
+}
+
+function serializeDeployment(db, d) {
+  const symbols = db.deploymentSymbols.filter((s) => s.deployment === d.id);
+  return {
+    ...d,
+    symbol_count: symbols.length,
+    active_symbol_count: symbols.filter((s) => s.status === 'active').length,
+  };
+}
+
+function logEvent(db, deployment, eventType, message, level = 'info') {
+  db.deploymentEvents.unshift({
+    id: nextId(db.deploymentEvents),
+    deployment: deployment.id,
+    deployment_name: deployment.name,
+    deployment_symbol_ticker: null,
+    event_type: eventType,
+    level,
+    message,
+    created_at: nowIso(),
+    actor_type: 'user',
+    actor_id: null,
+    data: {},
+    error: null,
+    code: null,
+  });
+}
+
+function transition(status, eventType, message) {
+  return ({ params, db }) => {
+    const d = byId(db.deployments, params.id);
+    if (!d) return notFound('Deployment');
+    d.status = status;
+    logEvent(db, d, eventType, message);
+    return { ...serializeDeployment(db, d), stop_exit: status === 'stopped' ? { attempted: 0, failed: 0 } : undefined };
+  };
+}
+
+function filterEvents(rows, query) {
+  const eventType = query.get('event_type');
+  const actorType = query.get('actor_type');
+  const level = query.get('level');
+  const since = query.get('since');
+  const search = query.get('search');
+  return rows
+    .filter(
+      (e) =>
+        (!eventType || e.event_type === eventType) &&
+        (!actorType || e.actor_type === actorType) &&
+        (!level || e.level === level) &&
+        (!since || e.created_at >= since) &&
+        matchesSearch(e, search, ['message', 'event_type', 'deployment_symbol_ticker']),
+    )
+    .sort((a, b) => (b.created_at > a.created_at ? 1 : -1));
+}
+
+/**
+ * Seeded problems in the stored daily series so the data-quality report has something to find:
+ * stale history, an unadjusted split, a hole and bad bars.
+ */
+const OHLCV_DEFECTS = {
+  BBBY: { lastDate: '2023-05-02' },
+  TSLA: { unadjustedSplit: { date: '2022-08-25', ratio: 3 } },
+  XOM: { missing: ['2024-03-04', '2024-03-08'], inverted: '2025-06-02', zeroClose: '2025-01-14' },
+};
+
+function withOhlcvDefects(ticker, bars) {
+  const defects = OHLCV_DEFECTS[ticker];
+  if (!defects) return bars;
+  const day = (bar) => bar.timestamp.slice(0, 10);
+  return bars
+    .filter((bar) => (!defects.lastDate || day(bar) <= defects.lastDate)
+      && (!defects.missing || day(bar) < defects.missing[0] || day(bar) > defects.missing[1]))
+    .map((bar) => {
+      const split = defects.unadjustedSplit;
+      if (split && day(bar) < split.date) {
+        return {
+          ...bar,
+          open: bar.open * split.ratio,
+          high: bar.high * split.ratio,
+          low: bar.low * split.ratio,
+          close: bar.close * split.ratio,
+        };
+      }
+      if (day(bar) === defects.inverted) return { ...bar, high: bar.low, low: bar.high };
+      if (day(bar) === defects.zeroClose) return { ...bar, close: 0 };
+      return bar;
+    });
+}
+
+/** Bars from file imports (`db.importedOhlcv`, keyed `ticker:timeframe`) replace stored bars at the same timestamp. */
+function withImportedBars(db, ticker, timeframe, bars, { startDate, endDate }) {
+  const imported = db.importedOhlcv.get(`${ticker}:${timeframe}`);
+  if (!imported) return bars;
+  const from = startDate ? Date.parse(startDate) : -Infinity;
+  const to = endDate ? Date.parse(endDate) : Infinity;
+  const merged = new Map(bars.map((bar) => [bar.timestamp, bar]));
+  imported.forEach((bar, timestamp) => {
+    const t = Date.parse(timestamp);
+    if (t >= from && t <= to) merged.set(timestamp, bar);
+  });
+  return [...merged.values()].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+}
+
+function ohlcvStatistics(bars) {
+  if (bars.length < 2) return {};
+  const closes = bars.map((b) => b.close);
+  const returns = closes.slice(1).map((c, i) => (c - closes[i]) / closes[i]);
+  const mean = returns.reduce((s, r) => s + r, 0) / returns.length;
+  const sd = Math.sqrt(returns.reduce((s, r) => s + (r - mean) ** 2, 0) / returns.length);
+  return {
+    volatility: Math.round(sd * Math.sqrt(252) * 10000) / 100,
+    mean_price: closes.reduce((s, c) => s + c, 0) / closes.length,
+    beta: Math.round((0.6 + (sd * 100) / 3) * 100) / 100,
+    bollinger_phase: null,
+  };
+}
+
+function hedgeSnapshot(db, query) {
+  const config = { ...HEDGE_DEFAULTS, ...db.hedgeLab.saved_overrides };
+  const rand = seededRandom(`vix:${new Date().toISOString().slice(0, 10)}`);
+  const tail = parseInt(query.get('chart_tail_days'), 10) || 120;
+  const points = [];
+  let vix = 16;
+  for (let i = tail; i >= 1; i -= 1) {
+    vix = Math.max(10, vix + (rand() - 0.5) * 2.4);
+    const z = Math.round(((vix - 17) / 3) * 100) / 100;
+    const panic = z >= config.z_threshold && vix >= config.vix_floor;
+    points.push({
+      d: new Date(Date.now() - i * 86400000).toISOString().slice(0, 10),
+      z,
+      vixP: Math.round(vix * 100) / 100,
+      panic,
+      hysteresis_block: false,
+      waiting_reset: false,
+    });
+  }
+  const last = points[points.length - 1];
+  return {
+    as_of: nowIso(),
+    regime: last.panic ? 'panic' : 'normal',
+    smoothed_vix_z: last.z,
+    z_threshold: config.z_threshold,
+    vix_floor: config.vix_floor,
+    vix_for_rule_prior_day: last.vixP,
+    vix_spot_on_as_of: Math.round((last.vixP + (rand() - 0.5)) * 100) / 100,
+    z_stress_satisfied: last.z >= config.z_threshold,
+    vix_level_satisfied: last.vixP >= config.vix_floor,
+    z_points_still_below_threshold: Math.max(0, Math.round((config.z_threshold - last.z) * 100) / 100),
+    vix_points_still_needed_above_floor: Math.max(0, Math.round((config.vix_floor - last.vixP) * 100) / 100),
+    min_warmup_days: config.min_warmup_days,
+    bars_loaded: tail,
+    chart: query.get('include_chart') === 'false'
+      ? null
+      : { points, z_threshold: config.z_threshold, vix_floor: config.vix_floor },
+  };
+}
+
+function buyAndHoldMetrics(ticker, start, end, initialCapital) {
+  const bars = generateOhlcv(ticker, { startDate: start, endDate: end });
+  if (bars.length < 2) return { total_return_pct: null, sharpe_ratio: null, max_drawdown_pct: null };
+  let peak = bars[0].close;
+  let maxDd = 0;
+  const rets = [];
+  bars.forEach((b, i) => {
+    peak = Math.max(peak, b.close);
+    maxDd = Math.max(maxDd, (peak - b.close) / peak);
+    if (i) rets.push(b.close / bars[i - 1].close - 1);
+  });
+  const mean = rets.reduce((s, r) => s + r, 0) / rets.length;
+  const sd = Math.sqrt(rets.reduce((s, r) => s + (r - mean) ** 2, 0) / rets.length);
+  const total = bars[bars.length - 1].close / bars[0].close - 1;
+  return {
+    total_return_pct: Math.round(total * 10000) / 100,
+    sharpe_ratio: sd ? Math.round((mean / sd) * Math.sqrt(252) * 100) / 100 : null,
+    max_drawdown_pct: Math.round(maxDd * 10000) / 100,
+    final_equity: Math.round(initialCapital * (1 + total) * 100) / 100,
+  };
+}
+
+function monteCarloSummary(backtest, numPaths) {
+  const trades = backtestTrades(backtest);
+  const rand = seededRandom(`mc:${backtest.id}:${numPaths}`);
+  const profits = [];
+  for (let p = 0; p < numPaths; p += 1) {
+    let total = 0;
+    for (let i = 0; i < trades.length; i += 1) total += trades[Math.floor(rand() * trades.length)].pnl;
+    profits.push(total);
+  }
+  profits.sort((a, b) => a - b);
+  const pct = (q) => Math.round(profits[Math.min(profits.length - 1, Math.floor(q * profits.length))] * 100) / 100;
+  const min = profits[0] || 0;
+  const max = profits[profits.length - 1] || 0;
+  const bins = 20;
+  const width = (max - min) / bins || 1;
+  const histogram = Array.from({ length: bins }, (_, i) => ({
+    bin_start: Math.round((min + i * width) * 100) / 100,
+    bin_end: Math.round((min + (i + 1) * width) * 100) / 100,
+    count: 0,
+  }));
+  profits.forEach((v) => {
+    histogram[Math.min(bins - 1, Math.floor((v - min) / width))].count += 1;
+  });
+  return {
+    num_paths: numPaths,
+    mean_profit: Math.round((profits.reduce((s, v) => s + v, 0) / (profits.length || 1)) * 100) / 100,
+    median_profit: pct(0.5),
+    percentile_5: pct(0.05),
+    percentile_95: pct(0.95),
+    prob_broke: Math.round((profits.filter((v) => v <= -Number(backtest.initial_capital)).length / (profits.length || 1)) * 10000) / 100,
+    profit_histogram: histogram,
+  };
+}
+
+function brokerPositions(db, brokerId, deploymentType) {
+  const deploymentIds = db.deployments
+    .filter((d) => String(d.broker) === String(brokerId) && d.deployment_type === deploymentType)
+    .map((d) => d.id);
+  const positions = db.liveTrades
+    .filter((t) => t.status === 'open' && deploymentIds.includes(t.deployment))
+    .map((t) => {
+      const current = Math.round(t.entry_price * 1.012 * 100) / 100;
+      return {
+        symbol: t.symbol,
+        quantity: t.quantity,
+        average_price: t.entry_price,
+        current_price: current,
+        position_type: t.position_mode,
+        unrealized_pnl: Math.round((current - t.entry_price) * t.quantity * 100) / 100,
+      };
+    });
+  return { positions, count: positions.length };
+}
+
+const routes = [
+  // --- Auth -----------------------------------------------------------------------------------
+  ['POST', '/auth/token/', ({ body, db }) => {
+    const user = db.users.find((u) => u.username === body.username && u.password === body.password);
+    if (!user) return reply(401, { detail: 'No active account found with the given credentials' });
+    return issueTokens(user);
+  }],
+  ['POST', '/auth/token/refresh/', ({ body, db }) => rotateRefreshToken(body.refresh, db) || reply(401, INVALID_TOKEN)],
+  ['POST', '/auth/logout/', ({ body }) => {
+    revokeRefreshToken(body.refresh);
+    return reply(204);
+  }],
+  ['GET', '/auth/me/', ({ user }) => publicUser(user)],
+
+  // --- Symbols --------------------------------------------------------------------------------
+  ['GET', '/symbols/random/', ({ query, db }) => {
+    const count = parseInt(query.get('count'), 10) || 10;
+    const status = query.get('status');
+    const exchange = query.get('exchange');
+    const brokerId = query.get('broker_id');
+    const linked = brokerId ? db.brokerLinks.get(Number(brokerId)) || [] : null;
+    const pool = db.symbols.filter(
+      (s) =>
+        (!status || s.status === status) &&
+        (!exchange || s.exchange === exchange) &&
+        (!linked || linked.includes(s.ticker)),
+    );
+    const results = [...pool].sort(() => Math.random() - 0.5).slice(0, count);
+    return { results, count: results.length };
+  }],
+  ['GET', '/symbols/available_exchanges/', ({ db }) => db.exchanges],
+  ['DELETE', '/symbols/delete_all/', ({ db }) => {
+    const deleted = db.symbols.length;
+    db.symbols.splice(0);
+    return { message: `Deleted ${deleted} symbols`, deleted_count: deleted };
+  }],
+  ['POST', '/symbols/fetch-ohlcv/', ({ body }) => ({
+    task_id: startMockTask('market_data.tasks.fetch_ohlcv_data', { args: [body] }),
+    message: 'OHLCV fetch queued',
+  })],
+  ['POST', '/symbols/import-ohlcv/', ({ body, db }) => {
+    const ticker = String(body.ticker || '').trim().toUpperCase();
+    const bars = Array.isArray(body.bars) ? body.bars : [];
+    if (!ticker) return reply(400, { ticker: ['This field is required.'] });
+    if (!body.exchange_code) return reply(400, { exchange_code: ['This field is required.'] });
+    if (bars.length === 0) return reply(400, { bars: ['No bars to import.'] });
+    let symbol = db.symbols.find((s) => s.ticker === ticker);
+    if (!symbol) {
+      symbol = {
+        ticker,
+        name: ticker,
+        exchange: body.exchange_code,
+        exchange_code: body.exchange_code,
+        exchange_name: body.exchange_code,
+        type: 'Common Stock',
+        status: 'active',
+        provider: 'IMPORT',
+        validation_status: 'pending',
+        validation_reason: null,
+        last_updated: nowIso(),
+      };
+      db.symbols.push(symbol);
+    }
+    const timeframe = body.timeframe || 'daily';
+    return {
+      task_id: startMockTask('market_data.tasks.import_ohlcv_data', {
+        args: [ticker, timeframe, body.source_filename || null],
+        durationMs: 3000,
+        onComplete: () => {
+          const key = `${ticker}:${timeframe}`;
+          const stored = db.importedOhlcv.get(key) || new Map();
+          bars.forEach((bar) => stored.set(bar.timestamp, bar));
+          db.importedOhlcv.set(key, stored);
+          symbol.last_updated = nowIso();
+          return { imported_count: bars.length };
+        },
+      }),
+      message: `Import of ${bars.length} ${timeframe} bars queued for ${ticker}`,
+    };
+  }],
+  ['POST', '/symbols/delete-ohlcv/', ({ body }) => ({
+    message: 'OHLCV data deleted',
+    deleted_count: (body.tickers || [body.ticker]).filter(Boolean).length * 2500,
+  })],
+  ['POST', '/symbols/update-all-data/', () => ({
+    task_id: startMockTask('market_data.tasks.update_all_symbols_data', { durationMs: 10000 }),
+    message: 'Update queued for all active symbols',
+  })],
+  ['POST', '/symbols/delete-symbols-bulk/', ({ body, db }) => {
+    const tickers = body.tickers || body.symbol_tickers || [];
+    const deleted = removeWhere(
+      db.symbols,
+      (s) => (tickers.length ? tickers.includes(s.ticker) : body.exchange_code ? s.exchange === body.exchange_code : false),
+    );
+    return { message: `Deleted ${deleted} symbols`, deleted_count: deleted };
+  }],
+  ['POST', '/symbols/resolve-symbol/', ({ body, db }) => {
+    const ticker = String(body.ticker || '').toUpperCase();
+    const existing = db.symbols.find((s) => s.ticker === ticker);
+    if (existing) return { status: 'resolved', symbol: existing };
+    if (!ticker) return { status: 'not_found', message: 'Ticker is required' };
+    if (!body.exchange_code && ticker.length <= 2) {
+      return {
+        status: 'ambiguous',
+        candidates: [
+          { ticker, exchange_code: 'NASDAQ', name: `${ticker} (NASDAQ)` },
+          { ticker, exchange_code: 'NYSE', name: `${ticker} (NYSE)` },
+        ],
+      };
+    }
+    const symbol = {
+      ticker,
+      name: ticker,
+      exchange: body.exchange_code || 'NASDAQ',
+      exchange_code: body.exchange_code || 'NASDAQ',
+      exchange_name: body.exchange_code || 'NASDAQ',
+      type: 'Common Stock',
+      status: 'active',
+      provider: 'YAHOO',
+      validation_status: 'pending',
+      validation_reason: null,
+      last_updated: nowIso(),
+    };
+    db.symbols.push(symbol);
+    return { status: 'resolved', symbol };
+  }],
+  ['POST', '/symbols/fetch_symbols/', ({ body }) => ({
+    task_id: startMockTask('market_data.tasks.fetch_symbols', { args: [body.exchange_codes || []] }),
+    message: 'Symbol fetch queued',
+  })],
+  ['GET', '/symbols/', ({ query, db }) => {
+    const exchange = query.get('exchange');
+    const status = query.get('status');
+    const rows = db.symbols.filter(
+      (s) =>
+        (!exchange || s.exchange === exchange) &&
+        (!status || s.status === status) &&
+        matchesSearch(s, query.get('search'), ['ticker', 'name']),
+    );
+    return paginate(rows, query);
+  }],
+  ['POST', '/symbols/', ({ body, db }) => {
+    const ticker = String(body.ticker || '').toUpperCase();
+    if (!ticker) return reply(400, { ticker: ['This field is required.'] });
+    if (db.symbols.some((s) => s.ticker === ticker)) {
+      return reply(400, { ticker: ['symbol with this ticker already exists.'] });
+    }
+    const symbol = { status: 'active', validation_status: 'pending', last_updated: nowIso(), ...body, ticker };
+    db.symbols.push(symbol);
+    return reply(201, symbol);
+  }],
+  ['GET', '/symbols/:ticker/ohlcv/', ({ params, query, db }) => {
+    if (!db.symbols.some((s) => s.ticker === params.ticker)) return notFound('Symbol');
+    // Stored timeframes: daily history and the last few sessions of 1m bars; others are empty
+    const timeframe = query.get('timeframe') || 'daily';
+    const range = { startDate: query.get('start_date'), endDate: query.get('end_date') };
+    let bars = [];
+    if (timeframe === 'daily') bars = withOhlcvDefects(params.ticker, generateOhlcv(params.ticker, range));
+    else if (timeframe === '1m') bars = generateIntradayOhlcv(params.ticker, range);
+    bars = withImportedBars(db, params.ticker, timeframe, bars, range);
+    const page = paginate([...bars].reverse(), query, 50);
+    return {
+      ...page,
+      page: parseInt(query.get('page'), 10) || 1,
+      page_size: parseInt(query.get('page_size'), 10) || 50,
+      indicators: {},
+      statistics: ohlcvStatistics(bars),
+    };
+  }],
+  ['POST', '/symbols/:ticker/update-data/', ({ params }) => ({
+    task_id: startMockTask('market_data.tasks.update_symbol_data', { args: [params.ticker] }),
+    message: `Update queued for ${params.ticker}`,
+  })],
+  ['POST', '/symbols/:ticker/refetch-data/', ({ params }) => ({
+    task_id: startMockTask('market_data.tasks.refetch_symbol_data', { args: [params.ticker] }),
+    message: `Refetch queued for ${params.ticker}`,
+  })],
+  ['GET', '/symbols/:ticker/', ({ params, db }) =>
+    db.symbols.find((s) => s.ticker === params.ticker) || notFound('Symbol')],
+  ['PATCH', '/symbols/:ticker/', ({ params, body, db }) => {
+    const symbol = db.symbols.find((s) => s.ticker === params.ticker);
+    if (!symbol) return notFound('Symbol');
+    Object.assign(symbol, body, { ticker: symbol.ticker });
+    return symbol;
+  }],
+  ['DELETE', '/symbols/:ticker/', ({ params, db }) =>
+    removeWhere(db.symbols, (s) => s.ticker === params.ticker) ? reply(204) : notFound('Symbol')],
+  ['GET', '/exchanges/', ({ db }) => db.exchanges],
+  ['GET', '/providers/', ({ db }) => db.providers],
+
+  // --- Scheduled / Celery tasks ---------------------------------------------------------------
+  ['GET', '/scheduled-tasks/', ({ db }) => db.scheduledTasks],
+  ['POST', '/scheduled-tasks/create-fetch-symbols-task/', ({ body, db }) => {
+    const task = {
+      id: nextId(db.scheduledTasks),
+      name: body.name || 'Fetch symbols',
+      task: 'market_data.tasks.fetch_symbols',
+      enabled: true,
+      schedule_type: 'crontab',
+      crontab: { id: nextId(db.scheduledTasks), minute: '0', hour: '6', day_of_week: '6', day_of_month: '*', month_of_year: '*', timezone: 'UTC', ...(body.crontab || {}) },
+      interval: null,
+      args: '[]',
+      kwargs: JSON.stringify(body.kwargs || {}),
+      last_run_at: null,
+      total_run_count: 0,
+      description: body.description || '',
+    };
+    db.scheduledTasks.push(task);
+    return reply(201, task);
+  }],
+  ['POST', '/scheduled-tasks/:id/enable/', ({ params, db }) => {
+    const task = byId(db.scheduledTasks, params.id);
+    if (!task) return notFound('Scheduled task');
+    task.enabled = true;
+    return task;
+  }],
+  ['POST', '/scheduled-tasks/:id/disable/', ({ params, db }) => {
+    const task = byId(db.scheduledTasks, params.id);
+    if (!task) return notFound('Scheduled task');
+    task.enabled = false;
+    return task;
+  }],
+  ['POST', '/scheduled-tasks/:id/run-now/', ({ params, db }) => {
+    const task = byId(db.scheduledTasks, params.id);
+    if (!task) return notFound('Scheduled task');
+    task.last_run_at = nowIso();
+    task.total_run_count += 1;
+    return { task_id: startMockTask(task.task), message: `${task.name} queued` };
+  }],
+  ['GET', '/scheduled-tasks/:id/', ({ params, db }) => byId(db.scheduledTasks, params.id) || notFound('Scheduled task')],
+  ['PATCH', '/scheduled-tasks/:id/', ({ params, body, db }) => {
+    const task = byId(db.scheduledTasks, params.id);
+    if (!task) return notFound('Scheduled task');
+    Object.assign(task, body);
+    return task;
+  }],
+  ['DELETE', '/scheduled-tasks/:id/', ({ params, db }) =>
+    removeWhere(db.scheduledTasks, (t) => String(t.id) === params.id) ? reply(204) : notFound('Scheduled task')],
+  ['GET', '/crontab-schedules/:id/', ({ params, db }) =>
+    db.scheduledTasks.map((t) => t.crontab).find((c) => c && String(c.id) === params.id) || notFound('Crontab')],
+  ['PATCH', '/crontab-schedules/:id/', ({ params, body, db }) => {
+    const crontab = db.scheduledTasks.map((t) => t.crontab).find((c) => c && String(c.id) === params.id);
+    if (!crontab) return notFound('Crontab');
+    Object.assign(crontab, body);
+    return crontab;
+  }],
+  ['GET', '/interval-schedules/:id/', ({ params, db }) =>
+    db.scheduledTasks.map((t) => t.interval).find((i) => i && String(i.id) === params.id) || notFound('Interval')],
+  ['PATCH', '/interval-schedules/:id/', ({ params, body, db }) => {
+    const interval = db.scheduledTasks.map((t) => t.interval).find((i) => i && String(i.id) === params.id);
+    if (!interval) return notFound('Interval');
+    Object.assign(interval, body);
+    return interval;
+  }],
+  ['GET', '/tasks/active/', () => ({ results: activeMockTasks(), broker: 'mock' })],
+  ['GET', '/tasks/history/', ({ query }) => ({ results: mockTaskHistory(parseInt(query.get('limit'), 10) || 50) })],
+  ['POST', '/tasks/purge/', ({ user }) => forbidden(user, 'tasks.purge') || { purged: purgeMockTasks() }],
+  ['GET', '/tasks/:id/status/', ({ params }) => mockTaskStatus(params.id) || notFound('Task')],
+  ['POST', '/tasks/:id/stop/', ({ params }) =>
+    stopMockTask(params.id) ? { message: 'Task revoked' } : reply(400, { error: 'Task is not running' })],
+
+  // --- Analytical tools -----------------------------------------------------------------------
+  ['GET', '/tools/', ({ query, db }) => db.tools.filter((t) => matchesSearch(t, query.get('search'), ['name', 'description']))],
+  ['GET', '/tools/:id/', ({ params, db }) => byId(db.tools, params.id) || notFound('Tool')],
+  ['GET', '/assignments/symbol/:ticker/', ({ params, db }) =>
+    db.assignments
+      .filter((a) => a.symbol === params.ticker || a.symbol === null)
+      .map((a) => serializeAssignment(db, a))],
+  ['POST', '/assignments/symbol/:ticker/compute/', ({ params }) => ({
+    task_id: startMockTask('analytical_tools.tasks.compute_symbol_indicators', { args: [params.ticker] }),
+  })],
+  ['GET', '/assignments/', ({ query, db }) => {
+    const ticker = query.get('symbol_ticker');
+    return db.assignments
+      .filter((a) => !ticker || a.symbol === ticker || a.symbol === null)
+      .map((a) => serializeAssignment(db, a));
+  }],
+  ['POST', '/assignments/', ({ body, db }) => {
+    const tool = body.tool_name ? toolById(db, body.tool_name) : toolById(db, body.tool);
+    const row = {
+      id: nextId(db.assignments),
+      tool: tool?.id ?? null,
+      symbol: body.symbol_ticker ?? body.symbol ?? null,
+      strategy: body.strategy ?? body.strategy_id ?? null,
+      parameters: body.parameters || tool?.default_parameters || {},
+      enabled: body.enabled ?? true,
+      subchart: body.subchart ?? false,
+      style: body.style || {},
+    };
+    db.assignments.push(row);
+    return reply(201, serializeAssignment(db, row));
+  }],
+  ['POST', '/assignments/:id/compute/', ({ params }) => ({
+    task_id: startMockTask('analytical_tools.tasks.compute_indicator', { args: [Number(params.id)] }),
+  })],
+  ['PATCH', '/assignments/:id/', ({ params, body, db }) => {
+    const row = byId(db.assignments, params.id);
+    if (!row) return notFound('Assignment');
+    Object.assign(row, body);
+    return serializeAssignment(db, row);
+  }],
+  ['DELETE', '/assignments/:id/', ({ params, db }) =>
+    removeWhere(db.assignments, (a) => String(a.id) === params.id) ? reply(204) : notFound('Assignment')],
+  ['GET', '/values/symbol/:ticker/tool/:tool/', ({ params, db }) => {
+    const tool = toolById(db, params.tool);
+    if (!tool) return notFound('Tool');
+    const assignment = db.assignments.find((a) => a.tool === tool.id && a.symbol === params.ticker)
+      || db.assignments.find((a) => a.tool === tool.id && a.symbol === null)
+      || { tool: tool.id, parameters: {} };
+    return assignmentValues(db, assignment, params.ticker);
+  }],
+  ['GET', '/values/', ({ query, db }) => {
+    const assignment = byId(db.assignments, query.get('assignment_id'));
+    if (!assignment) return [];
+    return assignmentValues(db, assignment, query.get('symbol_ticker') || assignment.symbol);
+  }],
+
+  // --- Strategies and single-symbol runs ------------------------------------------------------
+  ['GET', '/strategies/', ({ db }) => db.strategies],
+  ['GET', '/strategies/:id/symbol-runs-summary/', ({ params, query, db }) => {
+    const ps = query.get('parameter_set');
+    const q = (query.get('ticker_q') || '').toUpperCase();
+    const byTicker = new Map();
+    strategyRuns(db, params.id)
+      .filter((r) => (!ps || runSignature(r) === ps) && (!q || r.symbol_ticker.includes(q)))
+      .forEach((r) => {
+        const list = byTicker.get(r.symbol_ticker) || [];
+        list.push(r);
+        byTicker.set(r.symbol_ticker, list);
+      });
+    const rows = [...byTicker.entries()]
+      .map(([ticker, runs]) => {
+        const latest = [...runs].sort((a, b) => (b.created_at > a.created_at ? 1 : -1))[0];
+        const info = symbolInfo(db, ticker);
+        return {
+          ticker,
+          name: info.name,
+          exchange: info.exchange,
+          status: 'active',
+          snapshot_count: runs.length,
+          latest_run_status: latest.status,
+          latest_run_id: latest.id,
+        };
+      })
+      .sort((a, b) => a.ticker.localeCompare(b.ticker));
+    return paginate(rows, query);
+  }],
+  ['GET', '/strategies/:id/symbol-run-parameter-sets/', ({ params, db }) => ({ parameter_sets: parameterSets(db, params.id) })],
+  ['GET', '/strategies/:id/symbol-run-parameter-sets/:signature/sharpe-heatmap/', ({ params, db }) => ({
+    signature: params.signature,
+    cells: strategyRuns(db, params.id)
+      .filter((r) => runSignature(r) === params.signature && r.status === 'completed')
+      .map((r) => {
+        const modes = symbolRunStatistics(r).portfolio.stats_by_mode;
+        const cell = { ticker: r.symbol_ticker, run_id: r.id };
+        Object.entries(modes).forEach(([mode, s]) => {
+          cell[mode] = { sharpe: s.sharpe_ratio, max_drawdown: s.max_drawdown, total_trades: s.total_trades };
+        });
+        return cell;
+      }),
+  })],
+  ['GET', '/strategies/:id/symbol-run-parameter-sets/:signature/portfolio-backtest/', ({ params, db }) => ({
+    portfolio_backtest:
+      db.backtests.find((b) => String(b.strategy) === params.id && b.parameter_set === params.signature) || null,
+  })],
+  ['POST', '/strategies/:id/symbol-run-parameter-sets/:signature/portfolio-backtest/', ({ params, body, db }) => {
+    const runs = strategyRuns(db, params.id).filter((r) => runSignature(r) === params.signature);
+    if (!runs.length) return notFound('Parameter set');
+    const p = runs[0].parameters;
+    const backtest = createBacktestRow(
+      db,
+      {
+        ...p,
+        name: body.name,
+        strategy_id: Number(params.id),
+        symbol_tickers: [...new Set(runs.map((r) => r.symbol_ticker))],
+      },
+      { parameter_set: params.signature, parameter_set_label: runs[0].label },
+    );
+    return reply(201, { portfolio_backtest: backtest });
+  }],
+  ['DELETE', '/strategies/:id/symbol-run-parameter-sets/:signature/', ({ params, db }) => {
+    const deleted = removeWhere(
+      db.symbolRuns,
+      (r) => String(r.strategy) === params.id && runSignature(r) === params.signature,
+    );
+    return { deleted_count: deleted };
+  }],
+  ['POST', '/strategies/:id/symbol-runs/run-bulk/', ({ params, body, db }) => {
+    const strategy = byId(db.strategies, params.id);
+    if (!strategy) return notFound('Strategy');
+    const tickers = body.select_all_linked || !body.symbol_tickers?.length ? activeTickers(db) : body.symbol_tickers;
+    const runs = tickers.map((ticker) => createSymbolRun(db, strategy, ticker, body));
+    runs.forEach((r) => {
+      r.status = 'running';
+    });
+    const taskId = startMockTask('backtest_engine.tasks.run_symbol_backtests_bulk', {
+      durationMs: 3000 + runs.length * 400,
+      args: [strategy.id, tickers],
+      onComplete: () => {
+        runs.forEach((r) => {
+          r.status = 'completed';
+        });
+        return { run_ids: runs.map((r) => r.id) };
+      },
+    });
+    runs.forEach((r) => {
+      r.task_id = taskId;
+    });
+    return { task_id: taskId, run_ids: runs.map((r) => r.id), symbols_count: tickers.length };
+  }],
+  ['GET', '/strategies/:id/symbol-runs/:ticker/', ({ params, db }) => ({
+    ticker: params.ticker,
+    symbol_info: symbolInfo(db, params.ticker),
+    runs: strategyRuns(db, params.id)
+      .filter((r) => r.symbol_ticker === params.ticker)
+      .sort((a, b) => (b.created_at > a.created_at ? 1 : -1)),
+  })],
+  ['POST', '/strategies/:id/symbol-runs/:ticker/run/', ({ params, body, db }) => {
+    const strategy = byId(db.strategies, params.id);
+    if (!strategy) return notFound('Strategy');
+    const run = createSymbolRun(db, strategy, params.ticker, body);
+    queueRun(run, 'backtest_engine.tasks.run_symbol_backtest');
+    return reply(201, serializeRun(run));
+  }],
+  ['POST', '/strategies/:id/symbol-runs/:ticker/recalculate/', ({ body, db }) => {
+    const run = byId(db.symbolRuns, body.run_id);
+    if (!run) return notFound('Symbol run');
+    invalidateDerived('run', run.id);
+    queueRun(run, 'backtest_engine.tasks.run_symbol_backtest');
+    return serializeRun(run);
+  }],
+  ['DELETE', '/strategies/:id/symbol-runs/', ({ params, db }) => ({
+    deleted_count: removeWhere(db.symbolRuns, (r) => String(r.strategy) === params.id),
+  })],
+  ['GET', '/strategies/:id/', ({ params, db }) => byId(db.strategies, params.id) || notFound('Strategy')],
+
+  // --- Backtests ------------------------------------------------------------------------------
+  ['GET', '/backtests/hedge-lab-settings/', ({ db }) => ({
+    hedge_config: db.hedgeLab.saved_overrides,
+    effective_config: { ...HEDGE_DEFAULTS, ...db.hedgeLab.saved_overrides },
+    updated_at: db.hedgeLab.updated_at,
+  })],
+  ['PUT', '/backtests/hedge-lab-settings/', ({ body, db }) => {
+    db.hedgeLab.saved_overrides = { ...(body.hedge_config || {}) };
+    db.hedgeLab.updated_at = nowIso();
+    return {
+      hedge_config: db.hedgeLab.saved_overrides,
+      effective_config: { ...HEDGE_DEFAULTS, ...db.hedgeLab.saved_overrides },
+      updated_at: db.hedgeLab.updated_at,
+    };
+  }],
+  ['GET', '/backtests/hedge-panic-snapshot/', ({ query, db }) => hedgeSnapshot(db, query)],
+  ['POST', '/backtests/preview-hedge/', ({ body }) => {
+    const capital = Number(body.initial_capital) || 10000;
+    const spy = buyAndHoldMetrics('SPY', body.start_date, body.end_date, capital);
+    const drag = seededRandom(`hedge:${JSON.stringify(body.hedge_config || {})}`)();
+    return {
+      data_source: 'mock',
+      metrics: {
+        total_return_pct: spy.total_return_pct == null ? null : Math.round((spy.total_return_pct * (0.85 + drag * 0.1)) * 100) / 100,
+        sharpe_ratio: spy.sharpe_ratio == null ? null : Math.round((spy.sharpe_ratio * (1 + drag * 0.2)) * 100) / 100,
+        max_drawdown_pct: spy.max_drawdown_pct == null ? null : Math.round(spy.max_drawdown_pct * (0.6 + drag * 0.2) * 100) / 100,
+      },
+      spy_metrics: spy,
+      panic_days_count: Math.round(drag * 40),
+    };
+  }],
+  ['GET', '/backtests/', ({ query, db }) => {
+    const strategy = query.get('strategy');
+    return paginate(db.backtests.filter((b) => !strategy || String(b.strategy) === strategy), query);
+  }],
+  ['POST', '/backtests/', ({ body, db }) => {
+    try {
+      return reply(201, createBacktestRow(db, body));
+    } catch (error) {
+      return reply(400, { error: error.message });
+    }
+  }],
+  ['GET', '/backtests/:id/trades/', ({ params, query, db }) => {
+    const bt = byId(db.backtests, params.id);
+    return bt ? tradesResponse(backtestTrades(bt), query) : notFound('Backtest');
+  }],
+  ['GET', '/backtests/:id/statistics/optimized/', ({ params, db }) => {
+    const bt = byId(db.backtests, params.id);
+    return bt ? backtestStatistics(bt) : notFound('Backtest');
+  }],
+  ['GET', '/backtests/:id/statistics/', ({ params, db }) => {
+    const bt = byId(db.backtests, params.id);
+    if (!bt) return notFound('Backtest');
+    const stats = backtestStatistics(bt);
+    const mode = bt.position_modes[0];
+    return [
+      { symbol_info: null, ...stats.portfolio.stats_by_mode[mode] },
+      ...stats.symbols.map((s) => ({ symbol_info: symbolInfo(db, s.symbol_ticker), ...s.stats_by_mode[mode] })),
+    ];
+  }],
+  ['GET', '/backtests/:id/symbol-list/', ({ params, query, db }) => {
+    const bt = byId(db.backtests, params.id);
+    if (!bt) return notFound('Backtest');
+    const rows = bt.symbol_tickers
+      .map((ticker) => db.symbols.find((s) => s.ticker === ticker) || { ticker, name: ticker, exchange: '', status: 'active' })
+      .filter((s) => matchesSearch(s, query.get('search'), ['ticker', 'name']));
+    return paginate(rows, query);
+  }],
+  ['GET', '/backtests/:id/symbol/:ticker/', ({ params, db }) => {
+    const bt = byId(db.backtests, params.id);
+    if (!bt) return notFound('Backtest');
+    const entry = backtestStatistics(bt).symbols.find((s) => s.symbol_ticker === params.ticker);
+    return entry ? { ...entry, symbol_info: symbolInfo(db, params.ticker) } : notFound('Symbol');
+  }],
+  ['GET', '/backtests/:id/monte-carlo/paths/', ({ params, query, db }) => {
+    const bt = byId(db.backtests, params.id);
+    if (!bt) return notFound('Backtest');
+    const sim = db.monteCarlo.get(bt.id);
+    if (!sim) return paginate([], query, 100);
+    const trades = backtestTrades(bt);
+    const rand = seededRandom(`mc-paths:${bt.id}`);
+    const paths = Array.from({ length: sim.num_paths }, (_, index) => {
+      let equity = Number(bt.initial_capital);
+      const points = [equity];
+      for (let i = 0; i < Math.min(trades.length, 200); i += 1) {
+        equity += trades[Math.floor(rand() * trades.length)].pnl;
+        points.push(Math.round(equity * 100) / 100);
+      }
+      return { path_index: index, equity: points };
+    });
+    return paginate(paths, query, 100);
+  }],
+  ['GET', '/backtests/:id/monte-carlo/', ({ params, db }) => ({ simulation: db.monteCarlo.get(Number(params.id)) || null })],
+  ['POST', '/backtests/:id/monte-carlo/', ({ params, body, db }) => {
+    const bt = byId(db.backtests, params.id);
+    if (!bt) return notFound('Backtest');
+    const numPaths = Math.max(10, Math.min(5000, parseInt(body.num_paths, 10) || 500));
+    const sim = { id: bt.id, backtest: bt.id, status: 'running', num_paths: numPaths, error_message: null };
+    sim.task_id = startMockTask('backtest_engine.tasks.run_portfolio_monte_carlo', {
+      durationMs: 3000,
+      args: [bt.id],
+      onComplete: () => {
+        Object.assign(sim, monteCarloSummary(bt, numPaths), { status: 'completed' });
+      },
+    });
+    db.monteCarlo.set(bt.id, sim);
+    return { simulation: sim };
+  }],
+  ['GET', '/backtests/:id/', ({ params, db }) => byId(db.backtests, params.id) || notFound('Backtest')],
+  ['DELETE', '/backtests/:id/', ({ params, db }) => {
+    invalidateDerived('backtest', Number(params.id));
+    return removeWhere(db.backtests, (b) => String(b.id) === params.id) ? reply(204) : notFound('Backtest');
+  }],
+  ['GET', '/symbol-runs/:id/trades/', ({ params, query, db }) => {
+    const run = byId(db.symbolRuns, params.id);
+    return run ? tradesResponse(symbolRunTrades(run), query) : notFound('Symbol run');
+  }],
+  ['GET', '/symbol-runs/:id/statistics/optimized/', ({ params, db }) => {
+    const run = byId(db.symbolRuns, params.id);
+    return run ? symbolRunStatistics(run) : notFound('Symbol run');
+  }],
+  ['GET', '/symbol-runs/:id/', ({ params, db }) => {
+    const run = byId(db.symbolRuns, params.id);
+    return run ? serializeRun(run) : notFound('Symbol run');
+  }],
+  ['DELETE', '/symbol-runs/:id/', ({ params, db }) => {
+    invalidateDerived('run', Number(params.id));
+    return removeWhere(db.symbolRuns, (r) => String(r.id) === params.id) ? reply(204) : notFound('Symbol run');
+  }],
+
+  // --- Strategy deployments -------------------------------------------------------------------
+  ['POST', '/strategy-deployments/preview-symbols/', ({ body, db }) => {
+    const mode = body.position_mode || 'long';
+    const runs = db.symbolRuns.filter((r) => runSignature(r) === body.parameter_set && r.status === 'completed');
+    const rows = runs.map((run) => {
+      const byMode = symbolRunStatistics(run).portfolio.stats_by_mode;
+      const focus = byMode[mode] || Object.values(byMode)[0] || {};
+      return {
+        ticker: run.symbol_ticker,
+        symbol_info: symbolInfo(db, run.symbol_ticker),
+        run_id: run.id,
+        sharpe_long: byMode.long?.sharpe_ratio ?? null,
+        sharpe_short: byMode.short?.sharpe_ratio ?? null,
+        tier: tierForTrades(focus.total_trades || 0),
+        color_overall: colorForSharpe(focus.sharpe_ratio),
+      };
+    });
+    const symbols = body.default_only ? rows.filter((r) => r.color_overall === 'green') : rows;
+    return { symbols, count: symbols.length, total_count: rows.length };
+  }],
+  ['GET', '/strategy-deployments/hedge-inherit-preview/', ({ query, db }) => {
+    const bt = db.backtests.find((b) => String(b.strategy) === query.get('strategy') && b.hedge_enabled);
+    return { hedge_enabled: !!bt, hedge_config: bt ? { ...HEDGE_DEFAULTS, ...bt.hedge_config } : null, source_backtest_id: bt?.id ?? null };
+  }],
+  ['GET', '/strategy-deployments/', ({ query, db }) => {
+    const filters = {
+      strategy: query.get('strategy'),
+      deployment_type: query.get('deployment_type'),
+      status: query.get('status'),
+      broker: query.get('broker'),
+      parameter_set: query.get('parameter_set'),
+    };
+    const rows = db.deployments.filter((d) =>
+      Object.entries(filters).every(([key, value]) => !value || String(d[key]) === value),
+    );
+    return paginate(rows.map((d) => serializeDeployment(db, d)), query);
+  }],
+  ['POST', '/strategy-deployments/', ({ body, db }) => {
+    const strategy = byId(db.strategies, body.strategy ?? body.strategy_id);
+    if (!strategy) return reply(400, { strategy: ['Unknown strategy.'] });
+    const broker = byId(db.brokers, body.broker ?? body.broker_id);
+    const runs = db.symbolRuns.filter((r) => runSignature(r) === body.parameter_set);
+    const d = {
+      id: nextId(db.deployments),
+      name: body.name || `${strategy.name} ${body.deployment_type || 'paper'}`,
+      strategy: strategy.id,
+      strategy_name: strategy.name,
+      deployment_type: body.deployment_type || 'paper',
+      status: 'pending',
+      broker: broker?.id ?? null,
+      broker_name: broker?.name ?? null,
+      parent_deployment: null,
+      position_mode: body.position_mode || 'long',
+      parameter_set: body.parameter_set || null,
+      parameter_set_label: runs[0]?.label || null,
+      strategy_parameters: runs[0]?.parameters?.strategy_parameters || { ...strategy.default_parameters },
+      initial_capital: body.initial_capital ?? 10000,
+      bet_size_percentage: body.bet_size_percentage ?? 10,
+      sizing_model: body.sizing_model || DEFAULT_SIZING_MODEL,
+      sizing_config: body.sizing_config || {},
+      hedge_enabled: !!body.hedge_enabled,
+      hedge_config: body.hedge_config || {},
+      symbol_tickers: body.symbol_overrides?.length
+        ? body.symbol_overrides.map((o) => o.ticker)
+        : [...new Set(runs.map((r) => r.symbol_ticker))],
+      evaluation_criteria: body.evaluation_criteria || {},
+      created_at: nowIso(),
+      activated_at: null,
+    };
+    db.deployments.unshift(d);
+    db.deploymentSymbols.push(...deploymentSymbolRows(d));
+    logEvent(db, d, 'deployment_created', 'Deployment created');
+    return reply(201, serializeDeployment(db, d));
+  }],
+  ['POST', '/strategy-deployments/:id/activate/', transition('active', 'deployment_activated', 'Deployment activated')],
+  ['POST', '/strategy-deployments/:id/pause/', transition('paused', 'deployment_paused', 'Deployment paused')],
+  ['POST', '/strategy-deployments/:id/stop/', transition('stopped', 'deployment_stopped', 'Deployment stopped')],
+  ['POST', '/strategy-deployments/:id/promote-to-real-money/', ({ params, body, db, user }) => {
+    const deny = forbidden(user, 'deployment.promote');
+    if (deny) return deny;
+    const d = byId(db.deployments, params.id);
+    if (!d) return notFound('Deployment');
+    if (d.deployment_type !== 'paper') return reply(400, { error: 'Only paper deployments can be promoted.' });
+    const { second_approver_token: approverToken, ...overrides } = body;
+    let approver = null;
+    if (approverToken) {
+      approver = userFromAccessToken(approverToken, db);
+      if (!approver) return reply(400, { error: 'Second approver token is invalid or expired.' });
+      if (approver.id === user.id) return reply(400, { error: 'The second approver must be a different user.' });
+      if (forbidden(approver, 'deployment.approve_promotion')) {
+        return reply(403, { error: 'The second approver may not approve promotions.' });
+      }
+    }
+    const real = {
+      ...d,
+      ...overrides,
+      id: nextId(db.deployments),
+      name: body.name || `${d.name} (real)`,
+      deployment_type: 'real_money',
+      status: 'pending',
+      parent_deployment: d.id,
+      created_at: nowIso(),
+      activated_at: null,
+    };
+    db.deployments.unshift(real);
+    db.deploymentSymbols.push(...deploymentSymbolRows(real));
+    logEvent(db, d, 'deployment_promoted', `Promoted to real money (#${real.id})${approver ? `, approved by ${approver.username}` : ''}`);
+    return { real_deployment_id: real.id, deployment: serializeDeployment(db, real) };
+  }],
+  ['POST', '/strategy-deployments/:id/evaluate/', ({ params, db }) => {
+    const d = byId(db.deployments, params.id);
+    if (!d) return notFound('Deployment');
+    return { task_id: startMockTask('live_trading.tasks.evaluate_deployment', { args: [d.id] }) };
+  }],
+  ['GET', '/strategy-deployments/:id/evaluation-preview/', ({ params, db }) => {
+    const d = byId(db.deployments, params.id);
+    if (!d) return notFound('Deployment');
+    const stats = deploymentStatistics(db, d);
+    const criteria = d.evaluation_criteria || {};
+    const days = Math.floor((Date.now() - Date.parse(d.activated_at || d.created_at)) / 86400000);
+    const checks = [
+      { key: 'min_trades', label: 'Closed trades', required: criteria.min_trades ?? 0, actual: stats.closed_trades },
+      { key: 'min_win_rate', label: 'Win rate', required: criteria.min_win_rate ?? 0, actual: stats.win_rate ?? 0 },
+      { key: 'min_days', label: 'Days running', required: criteria.min_days ?? 0, actual: days },
+    ].map((c) => ({ ...c, passed: c.actual >= c.required }));
+    return { deployment: d.id, passed: checks.every((c) => c.passed), checks, statistics: stats };
+  }],
+  ['POST', '/strategy-deployments/:id/fire-now/', ({ params }) => ({
+    task_id: startMockTask('live_trading.tasks.fire_deployment', { args: [Number(params.id)] }),
+  })],
+  ['POST', '/strategy-deployments/:id/update-positions/', ({ params }) => ({
+    task_id: startMockTask('live_trading.tasks.update_positions', { args: [Number(params.id)] }),
+  })],
+  ['POST', '/strategy-deployments/:id/recalc-snapshots/', ({ params }) => ({
+    task_id: startMockTask('live_trading.tasks.recalc_snapshots', { args: [Number(params.id)] }),
+  })],
+  ['POST', '/strategy-deployments/:id/symbols/:symbolId/fire-now/', ({ params }) => ({
+    task_id: startMockTask('live_trading.tasks.fire_deployment_symbol', { args: [Number(params.id), Number(params.symbolId)] }),
+  })],
+  ['POST', '/strategy-deployments/:id/symbols/:symbolId/disable/', ({ params, db }) => {
+    const row = byId(db.deploymentSymbols, params.symbolId);
+    if (!row) return notFound('Deployment symbol');
+    row.status = 'disabled';
+    return row;
+  }],
+  ['POST', '/strategy-deployments/:id/symbols/:symbolId/enable/', ({ params, db }) => {
+    const row = byId(db.deploymentSymbols, params.symbolId);
+    if (!row) return notFound('Deployment symbol');
+    row.status = 'active';
+    return row;
+  }],
+  ['GET', '/strategy-deployments/:id/symbols/', ({ params, query, db }) =>
+    paginate(db.deploymentSymbols.filter((s) => String(s.deployment) === params.id), query, 50)],
+  ['GET', '/strategy-deployments/:id/events/', ({ params, query, db }) =>
+    paginate(filterEvents(db.deploymentEvents.filter((e) => String(e.deployment) === params.id), query), query, 50)],
+  ['GET', '/strategy-deployments/:id/signals/', ({ params, query, db }) => {
+    const d = byId(db.deployments, params.id);
+    if (!d) return notFound('Deployment');
+    const rand = seededRandom(`signals:${d.id}`);
+    const rows = d.symbol_tickers.map((ticker, index) => ({
+      id: d.id * 1000 + index,
+      ticker,
+      signal: rand() > 0.6 ? 'buy' : rand() > 0.5 ? 'sell' : 'hold',
+      position_mode: d.position_mode,
+      created_at: new Date(Date.now() - index * 3600000).toISOString(),
+    }));
+    return paginate(rows, query);
+  }],
+  ['GET', '/strategy-deployments/:id/statistics/', ({ params, db }) => {
+    const d = byId(db.deployments, params.id);
+    return d ? deploymentStatistics(db, d) : notFound('Deployment');
+  }],
+  ['GET', '/strategy-deployments/:id/', ({ params, db }) => {
+    const d = byId(db.deployments, params.id);
+    return d ? serializeDeployment(db, d) : notFound('Deployment');
+  }],
+  ['DELETE', '/strategy-deployments/:id/', ({ params, db }) => {
+    if (db.liveTrades.some((t) => String(t.deployment) === params.id && t.status === 'open')) {
+      return reply(400, { error: 'Close open positions before deleting this deployment.' });
+    }
+    removeWhere(db.deploymentSymbols, (s) => String(s.deployment) === params.id);
+    return removeWhere(db.deployments, (d) => String(d.id) === params.id) ? reply(204) : notFound('Deployment');
+  }],
+  ['GET', '/deployment-events/', ({ query, db }) => {
+    const deployment = query.get('deployment');
+    return paginate(
+      filterEvents(db.deploymentEvents.filter((e) => !deployment || String(e.deployment) === deployment), query),
+      query,
+      50,
+    );
+  }],
+
+  // --- Live trades ----------------------------------------------------------------------------
+  ['GET', '/live-trades/reconcile-close-status/', ({ query }) => {
+    const status = mockTaskStatus(query.get('task_id'));
+    const ready = !status || status.status === 'completed' || status.status === 'failed';
+    return { ready, state: ready ? 'SUCCESS' : 'PENDING', result: ready ? { status: 'synced' } : null };
+  }],
+  ['GET', '/live-trades/', ({ query, db }) => {
+    const flag = (key) => query.get(key) === 'true';
+    const deployment = query.get('deployment');
+    const symbol = query.get('symbol');
+    const status = query.get('status');
+    const deploymentType = query.get('deployment_type');
+    const rows = db.liveTrades
+      .filter(
+        (t) =>
+          (!deployment || String(t.deployment) === deployment) &&
+          (!symbol || t.symbol === symbol) &&
+          (!status || t.status === status) &&
+          (!deploymentType || t.deployment_type === deploymentType) &&
+          (!flag('open_only') || t.status === 'open') &&
+          (!flag('closed_only') || t.status === 'closed') &&
+          (!flag('hedge_only') || t.metadata?.is_hedge_leg) &&
+          (!(flag('main_only') || flag('omit_hedge_legs')) || !t.metadata?.is_hedge_leg) &&
+          (!query.get('entry_after') || t.entry_timestamp >= query.get('entry_after')) &&
+          (!query.get('entry_before') || t.entry_timestamp <= query.get('entry_before')) &&
+          (!query.get('exit_after') || (t.exit_timestamp && t.exit_timestamp >= query.get('exit_after'))) &&
+          (!query.get('exit_before') || (t.exit_timestamp && t.exit_timestamp <= query.get('exit_before'))),
+      )
+      .sort((a, b) => ((b.exit_timestamp || b.entry_timestamp) > (a.exit_timestamp || a.entry_timestamp) ? 1 : -1));
+    return paginate(rows, query, 25);
+  }],
+  ['POST', '/live-trades/:id/manual-close/', ({ params, body, db, user }) => {
+    const deny = forbidden(user, body.force ? 'trade.force_close' : 'trade.close');
+    if (deny) return deny;
+    const trade = byId(db.liveTrades, params.id);
+    if (!trade) return notFound('Live trade');
+    if (trade.status !== 'open') return reply(400, { error: 'Trade is already closed.' });
+    const exitPrice = Math.round(trade.entry_price * 1.01 * 100) / 100;
+    Object.assign(trade, {
+      status: 'closed',
+      exit_timestamp: nowIso(),
+      exit_price: exitPrice,
+      pnl: Math.round((exitPrice - trade.entry_price) * trade.quantity * 100) / 100,
+      pnl_percentage: Math.round(((exitPrice - trade.entry_price) / trade.entry_price) * 10000) / 100,
+      is_winner: exitPrice > trade.entry_price,
+      metadata: { ...trade.metadata, exit_reason: body.force ? 'manual_force' : 'manual' },
+    });
+    return {
+      trade,
+      reconcile_task_id: startMockTask('live_trading.tasks.reconcile_close_until_sync', { durationMs: 2000, args: [trade.id] }),
+    };
+  }],
+  ['GET', '/live-trades/:id/', ({ params, db }) => byId(db.liveTrades, params.id) || notFound('Live trade')],
+
+  // --- Brokers --------------------------------------------------------------------------------
+  ['GET', '/brokers/', ({ db }) => paginate(db.brokers, new URLSearchParams(), 100)],
+  ['POST', '/brokers/', ({ body, db }) => {
+    const broker = { paper_trading_active: false, real_money_active: false, api_config: {}, ...body, id: nextId(db.brokers), created_at: nowIso() };
+    db.brokers.push(broker);
+    db.brokerLinks.set(broker.id, []);
+    return reply(201, broker);
+  }],
+  ['GET', '/brokers/:id/symbols/', ({ params, query, db }) => {
+    const linked = db.brokerLinks.get(Number(params.id)) || [];
+    const rows = linked
+      .map((ticker, index) => ({
+        id: Number(params.id) * 10000 + index,
+        symbol: ticker,
+        symbol_info: symbolInfo(db, ticker),
+        long_active: true,
+        short_active: index % 3 !== 0,
+        verified_at: '2026-10-01T08:00:00Z',
+      }))
+      .filter((a) => matchesSearch(a, query.get('search'), ['symbol']));
+    return paginate(rows, query);
+  }],
+  ['POST', '/brokers/:id/link-symbols/', ({ params, body, db }) => {
+    const tickers = body.symbol_tickers || body.tickers || activeTickers(db);
+    const linked = new Set(db.brokerLinks.get(Number(params.id)) || []);
+    tickers.forEach((t) => linked.add(t));
+    db.brokerLinks.set(Number(params.id), [...linked]);
+    return { task_id: startMockTask('live_trading.tasks.link_broker_symbols', { args: [Number(params.id)] }) };
+  }],
+  ['POST', '/brokers/:id/reverify-symbols/', ({ params }) => ({
+    task_id: startMockTask('live_trading.tasks.reverify_broker_symbols', { args: [Number(params.id)] }),
+  })],
+  ['POST', '/brokers/:id/test-connection/', ({ params, body, db }) => {
+    const broker = byId(db.brokers, params.id);
+    if (!broker) return notFound('Broker');
+    return { success: true, deployment_type: body.deployment_type || 'paper', message: `Connected to ${broker.name} (mock)` };
+  }],
+  ['GET', '/brokers/:id/account-balance/', ({ params, query, db }) => {
+    if (!byId(db.brokers, params.id)) return notFound('Broker');
+    const rand = seededRandom(`balance:${params.id}:${query.get('deployment_type')}`);
+    const balance = Math.round((query.get('deployment_type') === 'real_money' ? 25000 : 100000) * (0.9 + rand() * 0.2) * 100) / 100;
+    return { balance, equity: Math.round(balance * 1.04 * 100) / 100, buying_power: Math.round(balance * 2 * 100) / 100, currency: 'USD' };
+  }],
+  ['GET', '/brokers/:id/check-symbol/', ({ query, db }) => {
+    const ticker = String(query.get('symbol') || '').toUpperCase();
+    const known = db.symbols.find((s) => s.ticker === ticker);
+    const bars = known ? generateOhlcv(ticker, { startDate: new Date(Date.now() - 10 * 86400000).toISOString() }) : [];
+    return {
+      symbol: ticker,
+      is_tradable: !!known && known.status === 'active',
+      current_price: bars.length ? bars[bars.length - 1].close : null,
+      capabilities: { long_supported: !!known, short_supported: !!known && known.type !== 'ETF' },
+    };
+  }],
+  ['GET', '/brokers/:id/positions/', ({ params, query, db }) => brokerPositions(db, params.id, query.get('deployment_type') || 'paper')],
+  ['GET', '/brokers/:id/', ({ params, db }) => byId(db.brokers, params.id) || notFound('Broker')],
+  ['PATCH', '/brokers/:id/', ({ params, body, db }) => {
+    const broker = byId(db.brokers, params.id);
+    if (!broker) return notFound('Broker');
+    Object.assign(broker, body);
+    return broker;
+  }],
+  ['DELETE', '/brokers/:id/', ({ params, db, user }) =>
+    forbidden(user, 'broker.delete')
+    || (removeWhere(db.brokers, (b) => String(b.id) === params.id) ? reply(204) : notFound('Broker'))],
+  ['GET', '/symbol-broker-associations/', ({ query, db }) => {
+    const brokerId = query.get('broker');
+    const rows = [...db.brokerLinks.entries()]
+      .filter(([id]) => !brokerId || String(id) === brokerId)
+      .flatMap(([id, tickers]) => tickers.map((ticker, index) => ({
+        id: id * 10000 + index,
+        broker: id,
+        symbol: ticker,
+        symbol_info: symbolInfo(db, ticker),
+        long_active: true,
+        short_active: index % 3 !== 0,
+        verified_at: '2026-10-01T08:00:00Z',
+      })))
+      .filter((a) => !query.get('symbol') || a.symbol === query.get('symbol'));
+    return paginate(rows, query);
+  }],
+  ['GET', '/symbol-broker-associations/:id/', ({ params, db }) => {
+    const id = Number(params.id);
+    const ticker = (db.brokerLinks.get(Math.floor(id / 10000)) || [])[id % 10000];
+    return ticker
+      ? { id, broker: Math.floor(id / 10000), symbol: ticker, symbol_info: symbolInfo(db, ticker), long_active: true, short_active: true }
+      : notFound('Association');
+  }],
+  ['PATCH', '/symbol-broker-associations/:id/', ({ params, body, db }) => {
+    const id = Number(params.id);
+    const ticker = (db.brokerLinks.get(Math.floor(id / 10000)) || [])[id % 10000];
+    return ticker ? { id, broker: Math.floor(id / 10000), symbol: ticker, symbol_info: symbolInfo(db, ticker), ...body } : notFound('Association');
+  }],
+
+  // --- Live dashboard -------------------------------------------------------------------------
+  ['GET', '/market-open-progress/', () => {
+    const now = new Date();
+    const open = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 13, 30);
+    const close = open + 6.5 * 3600000;
+    const t = now.getTime();
+    const isOpen = t >= open && t < close && now.getUTCDay() % 6 !== 0;
+    return {
+      as_of: now.toISOString(),
+      results: [
+        {
+          open_group_key: 'us_equities',
+          exchanges: ['NASDAQ', 'NYSE'],
+          is_open: isOpen,
+          progress: isOpen ? (t - open) / (close - open) : null,
+          open_utc: new Date(open).toISOString(),
+          seconds_to_open: t < open ? Math.round((open - t) / 1000) : null,
+          seconds_to_close: isOpen ? Math.round((close - t) / 1000) : null,
+        },
+      ],
+    };
+  }],
+];
+
+const compiled = routes.map(([method, pattern, handler]) => {
+  const keys = [];
+  const source = pattern.replace(/:([A-Za-z]+)/g, (_, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  return { method, regex: new RegExp(`^${source}$`), keys, handler };
+});
+
+/**
+ * @param {string} method
+ * @param {string} path - endpoint path without the query string
+ * @returns {{ handler: Function, params: Record<string, string> }|null}
+ */
+export function matchRoute(method, path) {
+  for (const route of compiled) {
+    if (route.method !== method) continue;
+    const m = route.regex.exec(path);
+    if (m) {
+      const params = {};
+      route.keys.forEach((key, i) => {
+        params[key] = decodeURIComponent(m[i + 1]);
+      });
+      return { handler: route.handler, params };
+    }
+  }
+  return null;
+}
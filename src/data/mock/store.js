@@ -0,0 +1,207 @@
+/**
+ * In-memory database for the mock backend. Seeded from `fixtures/*.json` on first use and mutated
+ * by POST / PATCH / DELETE handlers, so changes survive navigation but not a page reload.
+ * Trades and statistics are derived on demand (see generators.js) and cached per run.
+ */
+
+import symbols from './fixtures/symbols.json';
+import exchanges from './fixtures/exchanges.json';
+import providers from './fixtures/providers.json';
+import strategies from './fixtures/strategies.json';
+import tools from './fixtures/tools.json';
+import assignments from './fixtures/assignments.json';
+import backtests from './fixtures/backtests.json';
+import symbolRuns from './fixtures/symbolRuns.json';
+import brokers from './fixtures/brokers.json';
+import deployments from './fixtures/deployments.json';
+import deploymentEvents from './fixtures/deploymentEvents.json';
+import liveTrades from './fixtures/liveTrades.json';
+import scheduledTasks from './fixtures/scheduledTasks.json';
+import hedgeLab from './fixtures/hedgeLab.json';
+import users from './fixtures/users.json';
+import { generateTrades, hashString, statsForTrades } from './generators';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/** Stable signature for one parameter set (strategy params + position modes). */
+export function parameterSignature(strategyParameters, positionModes = []) {
+  const keys = Object.keys(strategyParameters || {}).sort();
+  const canonical = JSON.stringify([keys.map((k) => [k, strategyParameters[k]]), [...positionModes].sort()]);
+  return `ps-${hashString(canonical).toString(16)}`;
+}
+
+export function deploymentSymbolRows(deployment) {
+  return deployment.symbol_tickers.map((ticker, index) => ({
+    id: deployment.id * 1000 + index + 1,
+    deployment: deployment.id,
+    ticker,
+    symbol_info: { ticker, name: ticker, exchange: 'NASDAQ' },
+    status: 'active',
+    tier: index < 3 ? 'gt20' : 'gt10',
+    priority: index + 1,
+    color_long: index % 3 === 2 ? 'red' : 'green',
+    color_short: 'gray',
+    color_overall: index % 3 === 2 ? 'red' : 'green',
+  }));
+}
+
+function seed() {
+  const db = {
+    symbols: clone(symbols),
+    exchanges: clone(exchanges),
+    providers: clone(providers),
+    strategies: clone(strategies),
+    tools: clone(tools),
+    assignments: clone(assignments),
+    backtests: clone(backtests),
+    symbolRuns: clone(symbolRuns),
+    brokers: clone(brokers),
+    deployments: clone(deployments),
+    deploymentEvents: clone(deploymentEvents),
+    liveTrades: clone(liveTrades),
+    scheduledTasks: clone(scheduledTasks),
+    hedgeLab: clone(hedgeLab),
+    users: clone(users),
+    deploymentSymbols: [],
+    monteCarlo: new Map(),
+    brokerLinks: new Map(),
+    importedOhlcv: new Map(),
+    cache: new Map(),
+  };
+  db.deployments.forEach((d) => {
+    d.parameter_set = parameterSignature(d.strategy_parameters, [d.position_mode]);
+    db.deploymentSymbols.push(...deploymentSymbolRows(d));
+  });
+  db.brokers.forEach((b) => {
+    db.brokerLinks.set(b.id, b.paper_trading_active ? db.symbols.filter((s) => s.status === 'active').map((s) => s.ticker) : []);
+  });
+  return db;
+}
+
+let db = null;
+
+export function getDb() {
+  if (!db) db = seed();
+  return db;
+}
+
+/** Next integer id for a collection (max + 1). */
+export function nextId(collection) {
+  return collection.reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1;
+}
+
+function cached(key, build) {
+  const { cache } = getDb();
+  if (!cache.has(key)) cache.set(key, build());
+  return cache.get(key);
+}
+
+/** Every trade of a portfolio backtest, all symbols and modes. */
+export function backtestTrades(backtest) {
+  return cached(`bt-trades:${backtest.id}`, () =>
+    (backtest.symbol_tickers || []).flatMap((ticker, index) =>
+      generateTrades({
+        runKey: `bt:${backtest.id}`,
+        ticker,
+        modes: backtest.position_modes?.length ? backtest.position_modes : ['long'],
+        startDate: backtest.start_date,
+        endDate: backtest.end_date,
+        initialCapital: Number(backtest.initial_capital) || 10000,
+        betSizePercentage: Number(backtest.bet_size_percentage) || 100,
+        sizingModel: backtest.sizing_model,
+        sizingConfig: backtest.sizing_config,
+        costModel: backtest.cost_model,
+        idBase: backtest.id * 1000000 + index * 10000 + 1,
+      }),
+    ),
+  );
+}
+
+/** Trades of one stored single-symbol run. */
+export function symbolRunTrades(run) {
+  const p = run.parameters || {};
+  return cached(`run-trades:${run.id}`, () =>
+    generateTrades({
+      runKey: `run:${run.id}:${JSON.stringify(p.strategy_parameters || {})}`,
+      ticker: run.symbol_ticker,
+      modes: p.position_modes?.length ? p.position_modes : ['long'],
+      startDate: p.start_date,
+      endDate: p.end_date,
+      initialCapital: Number(p.initial_capital) || 10000,
+      betSizePercentage: Number(p.bet_size_percentage) || 100,
+      sizingModel: p.sizing_model,
+      sizingConfig: p.sizing_config,
+      costModel: p.cost_model,
+      idBase: run.id * 100000 + 1,
+    }),
+  );
+}
+
+function statsByMode(trades, modes, initialCapital, range) {
+  const out = {};
+  modes.forEach((mode) => {
+    out[mode] = statsForTrades(
+      trades.filter((t) => t.metadata.position_mode === mode),
+      initialCapital,
+      range,
+    );
+  });
+  return out;
+}
+
+/** `{ portfolio: { stats_by_mode }, symbols: [{ symbol_ticker, stats_by_mode }] }` */
+export function optimizedStatistics({ key, trades, tickers, modes, initialCapital, startDate, endDate }) {
+  return cached(`stats:${key}`, () => {
+    const range = { startDate, endDate };
+    return {
+      portfolio: { stats_by_mode: statsByMode(trades, modes, initialCapital, range) },
+      symbols: tickers.map((ticker) => ({
+        symbol_ticker: ticker,
+        symbol_info: { ticker },
+        stats_by_mode: statsByMode(
+          trades.filter((t) => t.symbol_ticker === ticker),
+          modes,
+          initialCapital,
+          range,
+        ),
+      })),
+    };
+  });
+}
+
+export function backtestStatistics(backtest) {
+  return optimizedStatistics({
+    key: `bt:${backtest.id}`,
+    trades: backtestTrades(backtest),
+    tickers: backtest.symbol_tickers || [],
+    modes: backtest.position_modes?.length ? backtest.position_modes : ['long'],
+    initialCapital: Number(backtest.initial_capital) || 10000,
+    startDate: backtest.start_date,
+    endDate: backtest.end_date,
+  });
+}
+
+export function symbolRunStatistics(run) {
+  const p = run.parameters || {};
+  return optimizedStatistics({
+    key: `run:${run.id}`,
+    trades: symbolRunTrades(run),
+    tickers: [run.symbol_ticker],
+    modes: p.position_modes?.length ? p.position_modes : ['long'],
+    initialCapital: Number(p.initial_capital) || 10000,
+    startDate: p.start_date,
+    endDate: p.end_date,
+  });
+}
+
+/** Forget derived series after a backtest / symbol run is recalculated or deleted. */
+export function invalidateDerived(kind, id) {
+  const { cache } = getDb();
+  if (kind === 'backtest') {
+    cache.delete(`bt-trades:${id}`);
+    cache.delete(`stats:bt:${id}`);
+  } else {
+    cache.delete(`run-trades:${id}`);
+    cache.delete(`stats:run:${id}`);
+  }
+}
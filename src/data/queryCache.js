@@ -0,0 +1,194 @@
+/**
+ * Query cache for `apiRequest` GETs that opt in with `cache: true` (CACHED_READ in api.js). Other
+ * GETs, including every polled read, go straight to the network.
+ *
+ * - Stale-while-revalidate: a response younger than `staleTime` is served as-is; an older one is
+ *   served immediately while a background fetch refreshes it (subscribers are told when it lands).
+ * - In-flight deduplication: concurrent GETs of the same endpoint share one network request.
+ * - Invalidation by resource: the first path segment (`/strategy-deployments/12/` →
+ *   `strategy-deployments`). Any POST / PATCH / PUT / DELETE invalidates its own resource plus
+ *   RELATED_RESOURCES, so the next read after e.g. `activateStrategyDeployment` hits the network.
+ * - Refetch intervals: `startRefetchInterval` invalidates resources on a timer; subscribed pages
+ *   reload through the cache (see hooks/useQueryRefresh.js).
+ *
+ * Cached payloads are shared between callers — treat façade results as read-only.
+ */
+
+/** Served without revalidation for this long after a successful fetch. */
+export const DEFAULT_STALE_TIME_MS = 10 * 1000;
+
+/** Older entries are dropped and the next read blocks on the network. */
+const MAX_AGE_MS = 5 * 60 * 1000;
+
+/** Polled progress endpoints: never cached, always hit the network. */
+const UNCACHED_PREFIXES = [
+  '/tasks/',
+  '/live-trades/reconcile-close-status/',
+  '/market-open-progress/',
+];
+
+/** Server-side side effects of a mutation on one resource that show up in another. */
+const RELATED_RESOURCES = {
+  'strategy-deployments': ['deployment-events', 'live-trades'],
+  'live-trades': ['strategy-deployments', 'deployment-events'],
+  'deployment-events': ['strategy-deployments'],
+  brokers: ['symbol-broker-associations', 'strategy-deployments'],
+  'symbol-broker-associations': ['brokers'],
+  backtests: ['symbol-runs', 'strategies'],
+  'symbol-runs': ['backtests', 'strategies'],
+  strategies: ['backtests', 'symbol-runs', 'assignments'],
+  symbols: ['assignments', 'values', 'symbol-broker-associations'],
+  assignments: ['values', 'strategies'],
+  tools: ['assignments', 'values'],
+  'scheduled-tasks': ['crontab-schedules', 'interval-schedules'],
+  'crontab-schedules': ['scheduled-tasks'],
+  'interval-schedules': ['scheduled-tasks'],
+};
+
+const TERMINAL_TASK_STATUSES = ['completed', 'failed', 'SUCCESS', 'FAILURE', 'REVOKED'];
+
+/** endpoint → { response, updatedAt, invalidated, promise } */
+const entries = new Map();
+/** Set<{ resources: string[] | null, listener: (resources: string[]) => void }> */
+const subscribers = new Set();
+
+/** First path segment of an endpoint, e.g. `/live-trades/?status=open` → `live-trades`. */
+export function resourceOf(endpoint) {
+  const path = String(endpoint).split('?')[0];
+  return path.split('/').filter(Boolean)[0] || '';
+}
+
+export function isCacheable(endpoint) {
+  return !UNCACHED_PREFIXES.some((prefix) => String(endpoint).startsWith(prefix));
+}
+
+function notify(resources) {
+  subscribers.forEach((sub) => {
+    if (resources && sub.resources && !sub.resources.some((r) => resources.includes(r))) return;
+    try {
+      sub.listener(resources);
+    } catch (error) {
+      console.error('Query cache subscriber failed:', error);
+    }
+  });
+}
+
+function prune(now) {
+  entries.forEach((entry, key) => {
+    if (!entry.promise && now - entry.updatedAt > MAX_AGE_MS) entries.delete(key);
+  });
+}
+
+function revalidate(endpoint, fetcher, { background }) {
+  const entry = entries.get(endpoint) || { response: null, updatedAt: 0, invalidated: false, promise: null };
+  if (entry.promise) return entry.promise;
+  const promise = fetcher()
+    .then((response) => {
+      // An invalidation while this request was in flight detaches it (see invalidateQueries):
+      // hand the response to its callers but don't let it overwrite newer state.
+      if (entry.promise !== promise) return response;
+      entry.promise = null;
+      if (response?.success) {
+        const now = Date.now();
+        entry.response = response;
+        entry.updatedAt = now;
+        entry.invalidated = false;
+        prune(now);
+        if (background) notify([resourceOf(endpoint)]);
+      }
+      return response;
+    })
+    .catch((error) => {
+      if (entry.promise === promise) entry.promise = null;
+      throw error;
+    });
+  entry.promise = promise;
+  entries.set(endpoint, entry);
+  return promise;
+}
+
+/**
+ * Read `endpoint` through the cache. `fetcher` performs the real request and resolves to an
+ * APIResponse; only successful responses are stored.
+ * @param {string} endpoint
+ * @param {() => Promise<import('./api').APIResponse>} fetcher
+ * @param {{ staleTime?: number, fresh?: boolean }} [opts] - `fresh` skips the cached copy
+ * @returns {Promise<import('./api').APIResponse>}
+ */
+export function cachedQuery(endpoint, fetcher, { staleTime = DEFAULT_STALE_TIME_MS, fresh = false } = {}) {
+  const entry = entries.get(endpoint);
+  const age = entry?.response ? Date.now() - entry.updatedAt : Infinity;
+
+  if (fresh || !entry?.response || entry.invalidated || age > MAX_AGE_MS) {
+    return revalidate(endpoint, fetcher, { background: false });
+  }
+  if (age > staleTime) {
+    revalidate(endpoint, fetcher, { background: true }).catch(() => {});
+  }
+  return Promise.resolve(entry.response);
+}
+
+/**
+ * Mark cached reads of the given resources as invalid (next read blocks on the network) and tell
+ * subscribers. With no arguments, invalidates everything.
+ * @param {...string} resources - e.g. `'strategy-deployments'`, `'live-trades'`
+ */
+export function invalidateQueries(...resources) {
+  const all = resources.length === 0;
+  const touched = new Set();
+  entries.forEach((entry, endpoint) => {
+    const resource = resourceOf(endpoint);
+    if (all || resources.includes(resource)) {
+      entry.invalidated = true;
+      entry.promise = null;
+      touched.add(resource);
+    }
+  });
+  resources.forEach((r) => touched.add(r));
+  notify(all ? null : [...touched]);
+}
+
+/** Invalidate what a non-GET request to `endpoint` may have changed. */
+export function invalidateForMutation(endpoint) {
+  const resource = resourceOf(endpoint);
+  invalidateQueries(resource, ...(RELATED_RESOURCES[resource] || []));
+}
+
+/**
+ * Uncached polling responses that report a finished task (Celery status, reconcile-close status)
+ * mean a background job just changed server data: drop everything.
+ */
+export function noteUncachedResponse(data) {
+  if (!data || typeof data !== 'object') return;
+  const finished = data.ready === true || TERMINAL_TASK_STATUSES.includes(data.status);
+  if (finished) invalidateQueries();
+}
+
+/**
+ * Listen for invalidations and background revalidations.
+ * @param {string[]|null} resources - null listens to every resource
+ * @param {(resources: string[]|null) => void} listener - null when everything was invalidated
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeQueries(resources, listener) {
+  const sub = { resources: resources && resources.length ? resources : null, listener };
+  subscribers.add(sub);
+  return () => subscribers.delete(sub);
+}
+
+/**
+ * Invalidate `resources` every `intervalMs` while the tab is visible.
+ * @returns {() => void} stop
+ */
+export function startRefetchInterval(resources, intervalMs) {
+  const timer = setInterval(() => {
+    if (typeof document !== 'undefined' && document.visibilityState === 'hidden') return;
+    invalidateQueries(...resources);
+  }, intervalMs);
+  return () => clearInterval(timer);
+}
+
+/** Forget every cached response (e.g. when the signed-in user changes). */
+export function clearQueryCache() {
+  entries.clear();
+}
@@ -0,0 +1,275 @@
+/**
+ * Multiplexed real-time stream over one WebSocket (`/ws/stream/`).
+ *
+ * - Channels: `deployment:<id>` (events, signals and trades of one deployment), `live-trades`
+ *   (opens / closes across all deployments) and `platform-log` (backend log lines).
+ * - Protocol: the client sends `{ action: 'subscribe' | 'unsubscribe', channel }`; the server
+ *   pushes `{ channel, type, data }`.
+ * - One shared connection, opened for the first subscriber and closed shortly after the last one
+ *   leaves. Channels are reference-counted and re-sent after every (re)connect.
+ * - Reconnects with exponential backoff and jitter for as long as anyone is subscribed; an auth
+ *   close (4401 / 4403) rotates the token first and gives up when that fails.
+ * - Pushes invalidate the matching query-cache resources (coalesced), so pages using
+ *   hooks/useQueryRefresh.js reload on push without extra wiring.
+ */
+
+import { refreshAccessToken, USE_MOCK_API } from './api';
+import { getAccessToken, hasSession, onSessionChange } from './authSession';
+import { invalidateQueries } from './queryCache';
+
+const WS_BASE_URL = process.env.REACT_APP_WS_URL || 'ws://localhost:8000';
+
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+/** Keep the socket around this long after the last unsubscribe (route changes resubscribe). */
+const IDLE_CLOSE_MS = 5000;
+/** Pushes arriving within this window cause one invalidation. */
+const INVALIDATE_DEBOUNCE_MS = 300;
+const AUTH_CLOSE_CODES = [4401, 4403];
+
+/** Query-cache resources a push on each channel kind may have changed. */
+const CHANNEL_RESOURCES = {
+  deployment: ['strategy-deployments', 'deployment-events', 'live-trades'],
+  'live-trades': ['live-trades', 'strategy-deployments'],
+  'platform-log': [],
+};
+
+/** channel → Set<listener> */
+const channels = new Map();
+/** Set<(status: string) => void> */
+const statusListeners = new Set();
+
+let socket = null;
+/** Set while a socket is being created (the mock socket module loads asynchronously). */
+let connecting = false;
+/** 'idle' | 'connecting' | 'open' | 'reconnecting' | 'offline' */
+let status = 'idle';
+let attempts = 0;
+let reconnectTimer = null;
+let idleTimer = null;
+let pendingResources = new Set();
+let invalidateTimer = null;
+
+export const deploymentChannel = (id) => `deployment:${id}`;
+
+function channelKind(channel) {
+  return String(channel).split(':')[0];
+}
+
+function setStatus(next) {
+  if (status === next) return;
+  status = next;
+  statusListeners.forEach((listener) => {
+    try {
+      listener(next);
+    } catch (error) {
+      console.error('Stream status listener failed:', error);
+    }
+  });
+}
+
+function send(message) {
+  if (socket && socket.readyState === 1) socket.send(JSON.stringify(message));
+}
+
+function scheduleInvalidation(channel) {
+  (CHANNEL_RESOURCES[channelKind(channel)] || []).forEach((r) => pendingResources.add(r));
+  if (invalidateTimer || pendingResources.size === 0) return;
+  invalidateTimer = setTimeout(() => {
+    const resources = [...pendingResources];
+    pendingResources = new Set();
+    invalidateTimer = null;
+    invalidateQueries(...resources);
+  }, INVALIDATE_DEBOUNCE_MS);
+}
+
+function dispatch(message) {
+  const listeners = channels.get(message.channel);
+  if (!listeners) return;
+  if (message.type !== 'subscribed' && message.type !== 'unsubscribed') {
+    scheduleInvalidation(message.channel);
+  }
+  listeners.forEach((listener) => {
+    try {
+      listener(message);
+    } catch (error) {
+      console.error(`Stream listener for ${message.channel} failed:`, error);
+    }
+  });
+}
+
+function clearTimers() {
+  clearTimeout(reconnectTimer);
+  clearTimeout(idleTimer);
+  reconnectTimer = null;
+  idleTimer = null;
+}
+
+function scheduleReconnect() {
+  if (channels.size === 0 || !hasSession()) {
+    setStatus('idle');
+    return;
+  }
+  attempts += 1;
+  // Full jitter: spreads reconnects of many tabs after a server restart.
+  const ceiling = Math.min(BACKOFF_BASE_MS * 2 ** attempts, BACKOFF_MAX_MS);
+  const delay = Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  setStatus('reconnecting');
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, delay);
+}
+
+// Like the mock transport in api.js, the mock socket is loaded lazily so fixtures stay out of the normal bundle.
+const openSocket = async (url) => (USE_MOCK_API
+  ? new (await import('./mock/mockStream')).MockStreamSocket(url)
+  : new WebSocket(url));
+
+async function connect() {
+  if (socket || connecting || channels.size === 0 || !hasSession()) return;
+  // Browsers can't set headers on a WebSocket handshake; the consumer reads the JWT from the query.
+  const token = getAccessToken();
+  const url = `${WS_BASE_URL}/ws/stream/${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+  let ws;
+  connecting = true;
+  try {
+    ws = await openSocket(url);
+  } catch (error) {
+    console.error('Error creating stream WebSocket:', error);
+    scheduleReconnect();
+    return;
+  } finally {
+    connecting = false;
+  }
+  if (socket || channels.size === 0 || !hasSession()) {
+    // Everyone left (or signed out) while the socket was being created.
+    ws.close(1000, 'No subscribers');
+    return;
+  }
+  socket = ws;
+  setStatus(attempts === 0 ? 'connecting' : 'reconnecting');
+
+  ws.onopen = () => {
+    attempts = 0;
+    setStatus('open');
+    channels.forEach((_, channel) => send({ action: 'subscribe', channel }));
+  };
+
+  ws.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      console.error('Error parsing stream message:', error);
+      return;
+    }
+    if (message && message.channel) dispatch(message);
+  };
+
+  ws.onerror = () => {
+    // onclose follows and decides whether to retry.
+  };
+
+  ws.onclose = async (event) => {
+    if (socket !== ws) return;
+    socket = null;
+    if (event.code === 1000) {
+      setStatus('idle');
+      return;
+    }
+    if (AUTH_CLOSE_CODES.includes(event.code)) {
+      const rotated = await refreshAccessToken();
+      if (!rotated) {
+        setStatus('offline');
+        return;
+      }
+    }
+    scheduleReconnect();
+  };
+}
+
+function disconnect() {
+  clearTimers();
+  attempts = 0;
+  if (socket) {
+    const ws = socket;
+    socket = null;
+    ws.close(1000, 'No subscribers');
+  }
+  setStatus('idle');
+}
+
+/**
+ * Listen to one channel. The shared connection opens on demand.
+ * @param {string} channel - e.g. `deployment:12`, `live-trades`, `platform-log`
+ * @param {(message: { channel: string, type: string, data: any }) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeChannel(channel, listener) {
+  clearTimeout(idleTimer);
+  idleTimer = null;
+  let listeners = channels.get(channel);
+  if (!listeners) {
+    listeners = new Set();
+    channels.set(channel, listeners);
+    send({ action: 'subscribe', channel });
+  }
+  listeners.add(listener);
+  if (!socket && !reconnectTimer) connect();
+
+  return () => {
+    const current = channels.get(channel);
+    if (!current) return;
+    current.delete(listener);
+    if (current.size > 0) return;
+    channels.delete(channel);
+    send({ action: 'unsubscribe', channel });
+    if (channels.size === 0) {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(disconnect, IDLE_CLOSE_MS);
+    }
+  };
+}
+
+/** Current connection status. */
+export function getStreamStatus() {
+  return status;
+}
+
+/**
+ * @param {(status: string) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export function onStreamStatus(listener) {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+}
+
+// Signing out drops the connection; signing in (or in again) reconnects the open subscriptions.
+onSessionChange((reason) => {
+  if (reason === 'expired' || reason === 'signed-out') {
+    clearTimers();
+    attempts = 0;
+    if (socket) {
+      const ws = socket;
+      socket = null;
+      ws.close(1000, 'Signed out');
+    }
+    setStatus('idle');
+  } else if (reason === 'signed-in' && !socket) {
+    clearTimers();
+    attempts = 0;
+    connect();
+  }
+});
+
+if (typeof window !== 'undefined') {
+  // Skip the remaining backoff once the browser is back online.
+  window.addEventListener('online', () => {
+    if (!reconnectTimer) return;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    connect();
+  });
+}
@@ -0,0 +1,189 @@
+/**
+ * Position sizing models — sent as `sizing_model` + `sizing_config` on backtests, symbol runs and
+ * deployments. `fixed_fraction` is the original behaviour (`bet_size_percentage` of capital per
+ * trade) and stays the default; every other model ignores `bet_size_percentage`.
+ */
+
+export const DEFAULT_SIZING_MODEL = 'fixed_fraction';
+
+export const SIZING_MODELS = [
+  {
+    key: 'fixed_fraction',
+    label: 'Fixed fraction',
+    description: 'A fixed percentage of capital per trade (bet size).',
+  },
+  {
+    key: 'fixed_notional',
+    label: 'Fixed notional',
+    description: 'The same dollar amount on every trade, whatever the account size.',
+  },
+  {
+    key: 'volatility_target',
+    label: 'Volatility targeting',
+    description:
+      'Scales each position so its annualised volatility (from ATR or the std-dev of daily returns) matches the target share of capital.',
+  },
+  {
+    key: 'kelly',
+    label: 'Fractional Kelly',
+    description:
+      'Kelly fraction from the win rate and win/loss ratio of the last closed trades, scaled down; a small warm-up size until enough trades exist.',
+  },
+  {
+    key: 'equal_risk',
+    label: 'Equal risk per trade',
+    description:
+      'Sizes each position so hitting its stop (ATR multiple or fixed %) loses the same share of capital.',
+  },
+];
+
+export const SIZING_DEFAULTS = {
+  fixed_fraction: {},
+  fixed_notional: { notional: 1000 },
+  volatility_target: {
+    estimator: 'atr',
+    target_volatility_pct: 15,
+    lookback_days: 20,
+    max_position_pct: 100,
+  },
+  kelly: {
+    kelly_fraction: 0.5,
+    lookback_trades: 100,
+    min_trades: 30,
+    warmup_position_pct: 5,
+    max_position_pct: 25,
+  },
+  equal_risk: {
+    risk_per_trade_pct: 1,
+    stop_method: 'atr',
+    atr_period: 14,
+    atr_multiple: 2,
+    stop_pct: 5,
+    max_position_pct: 100,
+  },
+};
+
+/**
+ * Inputs per model. `options` renders a select; `int` parses whole numbers; `showIf` hides a
+ * field the current values make irrelevant.
+ */
+export const SIZING_FIELD_DEFS = {
+  fixed_fraction: [],
+  fixed_notional: [{ key: 'notional', label: 'Notional per trade ($)', step: '100', min: 0 }],
+  volatility_target: [
+    {
+      key: 'estimator',
+      label: 'Volatility estimate',
+      options: [
+        { value: 'atr', label: 'ATR' },
+        { value: 'stdev', label: 'Std-dev of daily returns' },
+      ],
+    },
+    { key: 'target_volatility_pct', label: 'Target volatility (% annualised)', step: '0.5', min: 0 },
+    { key: 'lookback_days', label: 'Lookback (days)', step: '1', min: 2, int: true },
+    { key: 'max_position_pct', label: 'Max position (% of capital)', step: '1', min: 0 },
+  ],
+  kelly: [
+    { key: 'kelly_fraction', label: 'Kelly fraction (0.5 = half Kelly)', step: '0.05', min: 0, max: 1 },
+    { key: 'lookback_trades', label: 'Lookback (closed trades)', step: '1', min: 1, int: true },
+    { key: 'min_trades', label: 'Trades before Kelly applies', step: '1', min: 0, int: true },
+    { key: 'warmup_position_pct', label: 'Warm-up size (% of capital)', step: '0.5', min: 0 },
+    { key: 'max_position_pct', label: 'Max position (% of capital)', step: '1', min: 0 },
+  ],
+  equal_risk: [
+    { key: 'risk_per_trade_pct', label: 'Risk per trade (% of capital)', step: '0.1', min: 0 },
+    {
+      key: 'stop_method',
+      label: 'Stop distance',
+      options: [
+        { value: 'atr', label: 'ATR multiple' },
+        { value: 'percent', label: 'Fixed % of entry' },
+      ],
+    },
+    { key: 'atr_period', label: 'ATR period (days)', step: '1', min: 1, int: true, showIf: (p) => p.stop_method === 'atr' },
+    { key: 'atr_multiple', label: 'ATR multiple', step: '0.25', min: 0, showIf: (p) => p.stop_method === 'atr' },
+    { key: 'stop_pct', label: 'Stop (% from entry)', step: '0.5', min: 0, showIf: (p) => p.stop_method === 'percent' },
+    { key: 'max_position_pct', label: 'Max position (% of capital)', step: '1', min: 0 },
+  ],
+};
+
+/** Fresh editable values for every model, so switching models keeps each one's edits. */
+export function defaultSizingParams() {
+  return Object.fromEntries(Object.entries(SIZING_DEFAULTS).map(([model, values]) => [model, { ...values }]));
+}
+
+/** Fields of `model` that apply to `values`. */
+export function visibleSizingFields(model, values) {
+  return (SIZING_FIELD_DEFS[model] || []).filter((def) => !def.showIf || def.showIf(values || {}));
+}
+
+/**
+ * Input → field value; unreadable numbers or ones outside `def.min` / `def.max` keep the current
+ * value, as parseCostField does.
+ * @param {{ key: string, options?: object[], int?: boolean, min?: number, max?: number }} def - SIZING_FIELD_DEFS entry
+ * @param {Record<string, number|string>} values - current values of the model
+ */
+export function parseSizingField(def, raw, values) {
+  if (def.options) return String(raw);
+  const fallback = values[def.key];
+  const n = def.int ? parseInt(String(raw), 10) : parseFloat(String(raw));
+  if (!Number.isFinite(n)) return fallback;
+  if ((def.min != null && n < def.min) || (def.max != null && n > def.max)) return fallback;
+  return n;
+}
+
+/**
+ * Request fields for the chosen model — only the parameters that model reads.
+ * @returns {{ sizing_model: string, sizing_config: Record<string, number|string> }}
+ */
+export function sizingPayload(model, values) {
+  const merged = { ...(SIZING_DEFAULTS[model] || {}), ...(values || {}) };
+  const config = {};
+  visibleSizingFields(model, merged).forEach(({ key }) => {
+    config[key] = merged[key];
+  });
+  return {
+    sizing_model: SIZING_MODELS.some((m) => m.key === model) ? model : DEFAULT_SIZING_MODEL,
+    sizing_config: config,
+  };
+}
+
+const num = (value, digits = 0) =>
+  Number(value).toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+/**
+ * One-line summary of a stored row's sizing (backtest, symbol run parameters or deployment).
+ * Rows without `sizing_model` predate sizing models and are fixed fraction.
+ * @returns {{ label: string, detail: string }}
+ */
+export function describeSizing(row) {
+  const model = SIZING_MODELS.find((m) => m.key === row?.sizing_model) || SIZING_MODELS[0];
+  const c = { ...SIZING_DEFAULTS[model.key], ...(row?.sizing_config || {}) };
+  const cap = `max ${num(c.max_position_pct)}% of capital`;
+  switch (model.key) {
+    case 'fixed_notional':
+      return { label: model.label, detail: `$${num(c.notional)} per trade` };
+    case 'volatility_target':
+      return {
+        label: model.label,
+        detail: `${num(c.target_volatility_pct, 1)}% annualised · ${c.estimator === 'stdev' ? 'std-dev' : 'ATR'} over ${c.lookback_days}d · ${cap}`,
+      };
+    case 'kelly':
+      return {
+        label: model.label,
+        detail: `${num(c.kelly_fraction, 2)}× Kelly over last ${c.lookback_trades} trades · ${num(c.warmup_position_pct, 1)}% until ${c.min_trades} trades · ${cap}`,
+      };
+    case 'equal_risk':
+      return {
+        label: model.label,
+        detail: `${num(c.risk_per_trade_pct, 1)}% of capital at risk · stop ${
+          c.stop_method === 'percent' ? `${num(c.stop_pct, 1)}% from entry` : `${num(c.atr_multiple, 2)}× ATR(${c.atr_period})`
+        } · ${cap}`,
+      };
+    default:
+      return {
+        label: model.label,
+        detail: row?.bet_size_percentage != null ? `${num(row.bet_size_percentage, 1)}% of capital per trade` : '—',
+      };
+  }
+}
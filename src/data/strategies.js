@@ -3,6 +3,7 @@
  */
 
 import { apiRequest } from './api';
+import { mapWithConcurrency } from '../utils/concurrency';
 
 export const strategiesAPI = {
   /**
@@ -312,6 +313,14 @@ export function buildStrategySymbolRerunPayloadFromSnapshotParameters(p, strateg
     strategy_parameters: strategyParams,
     position_modes: positionModes,
   };
+  if (p.sizing_model) {
+    payload.sizing_model = p.sizing_model;
+    payload.sizing_config =
+      p.sizing_config && typeof p.sizing_config === 'object' ? { ...p.sizing_config } : {};
+  }
+  if (p.cost_model && typeof p.cost_model === 'object') {
+    payload.cost_model = { ...p.cost_model };
+  }
   if (p.broker_id != null && p.broker_id !== '') {
     const n = Number(p.broker_id);
     if (!Number.isNaN(n)) payload.broker_id = n;
@@ -333,6 +342,36 @@ export async function runStrategySymbolBacktestBulk(strategyId, body) {
   throw new Error(response.error || 'Failed to run bulk symbol backtests');
 }
 
+const SWEEP_SUBMIT_CONCURRENCY = 4;
+
+/**
+ * Parameter sweep: one bulk symbol-run submission per parameter combination (each becomes its own
+ * global test). A few submissions run at a time; failures are reported per combination and
+ * `onProgress(done, total)` fires after each submission settles.
+ * @param {Array<{ label: string, strategyParameters: object }>} runs
+ * @param {{ onProgress?: (done: number, total: number) => void }} [options]
+ * @returns {Promise<Array<{ taskId: string|null, label: string, error?: string }>>}
+ */
+export async function runStrategyParameterSweep(strategyId, baseBody, runs, { onProgress } = {}) {
+  let done = 0;
+  return mapWithConcurrency(runs, SWEEP_SUBMIT_CONCURRENCY, async (run) => {
+    let queued;
+    try {
+      const result = await runStrategySymbolBacktestBulk(strategyId, {
+        ...baseBody,
+        name: `${baseBody.name} · ${run.label}`,
+        strategy_parameters: run.strategyParameters,
+      });
+      queued = { taskId: result.task_id || null, label: run.label };
+    } catch (e) {
+      queued = { taskId: null, label: run.label, error: e.message || 'Failed to queue' };
+    }
+    done += 1;
+    onProgress?.(done, runs.length);
+    return queued;
+  });
+}
+
 export async function getStrategySnapshotSymbols(
   strategyId,
   { parameterSet = '', page = 1, pageSize = 20, search = '' } = {},
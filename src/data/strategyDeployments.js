@@ -4,7 +4,7 @@
  * Endpoints map to live_trading.views.StrategyDeploymentViewSet.
  */
 
-import { apiRequest } from './api';
+import { apiRequest, CACHED_READ } from './api';
 
 const BASE = '/strategy-deployments/';
 const EVENTS_BASE = '/deployment-events/';
@@ -41,11 +41,11 @@ export const strategyDeploymentsAPI = {
     if (brokerId) params.append('broker', brokerId);
     if (parameterSet) params.append('parameter_set', parameterSet);
     const qs = params.toString();
-    return apiRequest(`${BASE}${qs ? `?${qs}` : ''}`);
+    return apiRequest(`${BASE}${qs ? `?${qs}` : ''}`, CACHED_READ);
   },
 
   async retrieve(id) {
-    return apiRequest(`${BASE}${id}/`);
+    return apiRequest(`${BASE}${id}/`, CACHED_READ);
   },
 
   async create(payload) {
@@ -156,7 +156,7 @@ export const strategyDeploymentsAPI = {
     if (page > 1) params.append('page', page);
     if (pageSize) params.append('page_size', pageSize);
     const qs = params.toString();
-    return apiRequest(`${BASE}${id}/symbols/${qs ? `?${qs}` : ''}`);
+    return apiRequest(`${BASE}${id}/symbols/${qs ? `?${qs}` : ''}`, CACHED_READ);
   },
 
   async disableSymbol(id, deploymentSymbolId) {
@@ -194,7 +194,7 @@ export const strategyDeploymentsAPI = {
     if (level) params.append('level', level);
     if (since) params.append('since', since);
     const qs = params.toString();
-    return apiRequest(`${BASE}${id}/events/${qs ? `?${qs}` : ''}`);
+    return apiRequest(`${BASE}${id}/events/${qs ? `?${qs}` : ''}`, CACHED_READ);
   },
 
   async signals(id, { page = 1, since = null } = {}) {
@@ -202,11 +202,11 @@ export const strategyDeploymentsAPI = {
     if (page > 1) params.append('page', page);
     if (since) params.append('since', since);
     const qs = params.toString();
-    return apiRequest(`${BASE}${id}/signals/${qs ? `?${qs}` : ''}`);
+    return apiRequest(`${BASE}${id}/signals/${qs ? `?${qs}` : ''}`, CACHED_READ);
   },
 
   async statistics(id) {
-    return apiRequest(`${BASE}${id}/statistics/`);
+    return apiRequest(`${BASE}${id}/statistics/`, CACHED_READ);
   },
 
   async destroy(id) {
@@ -239,7 +239,7 @@ export const deploymentEventsAPI = {
     if (search) params.append('search', search);
     params.append('ordering', ordering || '-created_at');
     const qs = params.toString();
-    return apiRequest(`${EVENTS_BASE}${qs ? `?${qs}` : ''}`);
+    return apiRequest(`${EVENTS_BASE}${qs ? `?${qs}` : ''}`, CACHED_READ);
   },
 };
 
@@ -283,10 +283,10 @@ export const liveTradesAPI = {
     if (mainOnly) params.append('main_only', 'true');
     if (ordering) params.append('ordering', ordering);
     const qs = params.toString();
-    return apiRequest(`/live-trades/${qs ? `?${qs}` : ''}`);
+    return apiRequest(`/live-trades/${qs ? `?${qs}` : ''}`, CACHED_READ);
   },
   async retrieve(id) {
-    return apiRequest(`/live-trades/${id}/`);
+    return apiRequest(`/live-trades/${id}/`, CACHED_READ);
   },
   async reconcileCloseStatus(taskId) {
     const params = new URLSearchParams();
@@ -380,6 +380,20 @@ export async function listLiveTrades(filters = {}) {
   }
 }
 
+/**
+ * Every live trade matching `filters`, following pagination (analytics views need the full list).
+ * Stops after `maxPages` pages of `pageSize`; throws on request errors.
+ */
+export async function listAllLiveTrades(filters = {}, { pageSize = 500, maxPages = 20 } = {}) {
+  const rows = [];
+  for (let page = 1; page <= maxPages; page += 1) {
+    const data = unwrapList(await liveTradesAPI.list({ ...filters, page, pageSize }));
+    rows.push(...data.results);
+    if (!data.next) break;
+  }
+  return rows;
+}
+
 /**
  * Poll Celery `reconcile_close_until_sync` until done or `maxMs` (broker DB aligned).
  */
@@ -420,6 +434,23 @@ export async function listAllDeploymentEvents(filters = {}) {
   }
 }
 
+/**
+ * Every deployment event with id > `afterId`, newest first: pages back until a page reaches the
+ * cursor (or runs out). With no cursor only the newest page is read. Unlike the list helpers this
+ * throws on a failed page, so a caller never advances its cursor past events it did not see.
+ */
+export async function listDeploymentEventsSince(afterId, { pageSize = 100 } = {}) {
+  const seen = new Map();
+  for (let page = 1; ; page += 1) {
+    const { results, next } = unwrapList(await deploymentEventsAPI.list({ page, pageSize }));
+    results.forEach((event) => {
+      if (afterId == null || event.id > afterId) seen.set(event.id, event);
+    });
+    if (afterId == null || !next || results.some((event) => event.id <= afterId)) break;
+  }
+  return [...seen.values()].sort((a, b) => b.id - a.id);
+}
+
 export async function listDeploymentSymbols(id, { page = 1, pageSize = 50 } = {}) {
   try {
     const response = await strategyDeploymentsAPI.listSymbols(id, { page, pageSize });
@@ -4,6 +4,8 @@
  */
 
 import { marketDataAPI } from './api';
+import { barSizeByKey, DEFAULT_BAR_SIZE, finerBarSizes, resampleOhlcv } from '../utils/ohlcvResample';
+import { scanOhlcvQuality } from '../utils/ohlcvQuality';
 
 /**
  * Get symbols list with search, pagination, and filters
@@ -53,6 +55,51 @@ export async function getSymbolOHLCV(ticker, timeframe = 'daily', startDate = nu
   }
 }
 
+/**
+ * OHLCV bars at a bar size (`BAR_SIZES` key, utils/ohlcvResample.js): the stored timeframe when the
+ * backend has it, otherwise the nearest finer stored timeframe resampled client-side. Resampled
+ * results cover the newest source page (`count` is their length) and carry no indicator columns.
+ * When the source range does not fit that page (`truncated`), the oldest bucket is dropped because
+ * it would be built from only part of its bars.
+ * @returns {Promise<{ results: object[], count: number, indicators: object, statistics: object,
+ *   barSize: string, sourceBarSize: string|null, resampled: boolean, truncated: boolean }>}
+ */
+export async function getSymbolOHLCVBars(ticker, barSize = DEFAULT_BAR_SIZE, startDate = null, pageSize = 2000) {
+  const { key } = barSizeByKey(barSize);
+  const native = await getSymbolOHLCV(ticker, barSizeByKey(key).timeframe, startDate, null, 1, pageSize);
+  if (native.results?.length) {
+    return { ...native, barSize: key, sourceBarSize: key, resampled: false, truncated: false };
+  }
+  for (const source of finerBarSizes(key)) {
+    const finer = await getSymbolOHLCV(ticker, source.timeframe, startDate, null, 1, 10000);
+    if (finer.results?.length) {
+      const truncated = (finer.count || 0) > finer.results.length;
+      const buckets = resampleOhlcv(finer.results, key);
+      const results = truncated && buckets.length > 1 ? buckets.slice(0, -1) : buckets;
+      return {
+        ...finer,
+        results,
+        count: results.length,
+        indicators: {},
+        barSize: key,
+        sourceBarSize: source.key,
+        resampled: true,
+        truncated,
+      };
+    }
+  }
+  return { ...native, barSize: key, sourceBarSize: null, resampled: false, truncated: false };
+}
+
+/**
+ * Data-quality report (utils/ohlcvQuality.js) over the newest `pageSize` stored daily bars.
+ * A failed load reports as `status: 'empty'`.
+ */
+export async function getSymbolDataQuality(ticker, pageSize = 2000) {
+  const ohlcv = await getSymbolOHLCV(ticker, 'daily', null, null, 1, pageSize);
+  return scanOhlcvQuality(ohlcv.results || [], { totalCount: ohlcv.count });
+}
+
 /**
  * Resolve symbol via EOD (ambiguous → candidates for user pick)
  */
@@ -83,6 +130,27 @@ export async function fetchOHLCVData(data) {
   }
 }
 
+/**
+ * Upload bars from a file import (utils/ohlcvImport.js)
+ * @param {{ ticker: string, exchange_code: string, timeframe: string, source_filename?: string, bars: object[] }} data
+ * Returns task_id for WebSocket monitoring
+ */
+export async function importOHLCVData(data) {
+  try {
+    const response = await marketDataAPI.importOHLCVData(data);
+    if (response.success) {
+      return {
+        taskId: response.data.task_id,
+        message: response.data.message,
+      };
+    }
+    throw new Error(response.error || 'Failed to import OHLCV data');
+  } catch (error) {
+    console.error('Error importing OHLCV data:', error);
+    throw error;
+  }
+}
+
 /**
  * Update OHLCV data for a symbol
  */
@@ -149,16 +149,21 @@ export async function getIndicatorValues(symbolTicker, toolName) {
   }
 }
 
-
-
-
-
-
-
-
-
-
-
-
-
-
+/**
+ * Get indicator values of one assignment on a symbol (global assignments need the ticker).
+ * Rows are `{ timestamp, value }` plus the extra outputs of multi-line tools
+ * (BollingerBands: upper / middle / lower / bandwidth; MACD: macd / signal / histogram).
+ */
+export async function getAssignmentIndicatorValues(assignmentId, symbolTicker) {
+  try {
+    const response = await analyticalToolsAPI.getIndicatorValues(assignmentId, symbolTicker);
+    if (response.success) {
+      const data = response.data;
+      return Array.isArray(data) ? data : (data?.results || []);
+    }
+    throw new Error(response.error || 'Failed to fetch indicator values');
+  } catch (error) {
+    console.error('Error fetching indicator values:', error);
+    return [];
+  }
+}
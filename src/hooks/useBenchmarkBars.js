@@ -0,0 +1,47 @@
+/**
+ * Benchmark Bars Hook
+ * Loads the stored daily OHLCV of a benchmark ticker over a backtest's window (data/symbols.js)
+ */
+
+import { useEffect, useState } from 'react';
+import { getSymbolOHLCV } from '../data/symbols';
+
+export const DEFAULT_BENCHMARK = 'SPY';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Custom hook for benchmark price history
+ * @param {string} ticker - benchmark symbol; empty loads nothing
+ * @param {string|null} startDate - YYYY-MM-DD, inclusive
+ * @param {string|null} endDate - YYYY-MM-DD, inclusive
+ * @returns {{ bars: object[], loading: boolean }} bars newest first, as the OHLCV endpoint returns
+ *   them; empty when the symbol has no stored daily data in the window
+ */
+export function useBenchmarkBars(ticker, startDate, endDate) {
+  const [bars, setBars] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!ticker || !startDate || !endDate) {
+      setBars([]);
+      return undefined;
+    }
+    let cancelled = false;
+    // One page covering every weekday of the window.
+    const pageSize = Math.min(10000, Math.ceil((Date.parse(endDate) - Date.parse(startDate)) / DAY_MS) + 10);
+    setLoading(true);
+    getSymbolOHLCV(ticker, 'daily', startDate, endDate, 1, pageSize)
+      .then((page) => {
+        if (!cancelled) setBars(page.results || []);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [ticker, startDate, endDate]);
+
+  return { bars, loading };
+}
@@ -0,0 +1,33 @@
+/**
+ * Channels Hook
+ * Subscribes a component to channels of the shared real-time stream (see data/realtime.js)
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { getStreamStatus, onStreamStatus, subscribeChannel } from '../data/realtime';
+
+/**
+ * Custom hook for real-time channel subscriptions
+ * @param {string[]} channels - e.g. ['deployment:12', 'live-trades']; empty subscribes to nothing
+ * @param {function} [onMessage] - Called with `{ channel, type, data }` for each push
+ * @returns {{ status: string, isLive: boolean }} connection status; pushes already invalidate the
+ *   query cache, so pages using useQueryRefresh reload without handling messages themselves
+ */
+export function useChannels(channels, onMessage) {
+  const [status, setStatus] = useState(getStreamStatus);
+  const onMessageRef = useRef(onMessage);
+  onMessageRef.current = onMessage;
+  const key = channels.join(',');
+
+  useEffect(() => onStreamStatus(setStatus), []);
+
+  useEffect(() => {
+    if (!key) return undefined;
+    const listener = (message) => onMessageRef.current?.(message);
+    const unsubscribes = key.split(',').map((channel) => subscribeChannel(channel, listener));
+    setStatus(getStreamStatus());
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+  }, [key]);
+
+  return { status, isLive: status === 'open' };
+}
@@ -0,0 +1,37 @@
+/**
+ * Query Refresh Hook
+ * Re-runs a page loader when the query cache invalidates or revalidates the resources it reads
+ */
+
+import { useCallback, useEffect, useRef } from 'react';
+import { invalidateQueries, startRefetchInterval, subscribeQueries } from '../data/queryCache';
+
+/**
+ * Custom hook for keeping page state in sync with the query cache
+ * @param {string[]} resources - API resources the loader reads, e.g. ['strategy-deployments', 'live-trades']
+ * @param {function} onRefresh - Loader to call again (CACHED_READ reads make repeats cheap)
+ * @param {object} [options]
+ * @param {number|null} [options.refetchInterval] - Invalidate the resources every N ms while the tab is visible
+ * @returns {{ refresh: function }} refresh - invalidate the resources now (the loader re-runs against the network)
+ */
+export function useQueryRefresh(resources, onRefresh, { refetchInterval = null } = {}) {
+  const onRefreshRef = useRef(onRefresh);
+  onRefreshRef.current = onRefresh;
+  const key = resources.join(',');
+
+  useEffect(() => {
+    const list = key ? key.split(',') : [];
+    return subscribeQueries(list, () => onRefreshRef.current());
+  }, [key]);
+
+  useEffect(() => {
+    if (!refetchInterval || !key) return undefined;
+    return startRefetchInterval(key.split(','), refetchInterval);
+  }, [key, refetchInterval]);
+
+  const refresh = useCallback(() => {
+    invalidateQueries(...(key ? key.split(',') : []));
+  }, [key]);
+
+  return { refresh };
+}
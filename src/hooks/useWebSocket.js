@@ -4,6 +4,10 @@
  */
 
 import { useEffect, useRef, useState, useCallback } from 'react';
+import { USE_MOCK_API } from '../data/api';
+import { getAccessToken } from '../data/authSession';
+import { MockTaskSocket } from '../data/mock/mockTasks';
+import { noteUncachedResponse } from '../data/queryCache';
 
 const WS_BASE_URL = process.env.REACT_APP_WS_URL || 'ws://localhost:8000';
 
@@ -26,8 +30,10 @@ export function useWebSocket(taskId, onMessage, onError) {
     if (!taskId) return;
 
     try {
-      const wsUrl = `${WS_BASE_URL}/ws/tasks/${taskId}/`;
-      const ws = new WebSocket(wsUrl);
+      // Browsers can't set headers on a WebSocket handshake; the consumer reads the JWT from the query.
+      const token = getAccessToken();
+      const wsUrl = `${WS_BASE_URL}/ws/tasks/${taskId}/${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+      const ws = USE_MOCK_API ? new MockTaskSocket(wsUrl) : new WebSocket(wsUrl);
 
       ws.onopen = () => {
         setIsConnected(true);
@@ -38,6 +44,8 @@ export function useWebSocket(taskId, onMessage, onError) {
       ws.onmessage = (event) => {
         try {
           const data = JSON.parse(event.data);
+          // A finished task changed server data behind the query cache's back.
+          noteUncachedResponse(data);
           if (onMessage) {
             onMessage(data);
           }
@@ -0,0 +1,96 @@
+/**
+ * Alert rules: what each rule type watches and how it matches. Pure functions; the engine that
+ * feeds them live data is store/AlertsContext.jsx and persistence is data/alerts.js.
+ *
+ * - `event`      — a deployment event of one of `eventTypes` (optionally at `level`)
+ * - `daily_pnl`  — realized PnL of trades closed today, as % of initial capital, below `thresholdPct`
+ * - `hedge_panic`— the VIX hedge regime switches into panic
+ *
+ * `deploymentType` ('any' | 'paper' | 'real_money') scopes event and daily PnL rules.
+ */
+
+export const RULE_TYPES = {
+  event: 'Deployment event',
+  daily_pnl: 'Daily PnL below',
+  hedge_panic: 'VIX panic regime entered',
+};
+
+export const ALERT_EVENT_TYPES = [
+  'order_failed',
+  'evaluation_failed',
+  'evaluation_passed',
+  'trade_opened',
+  'trade_closed',
+  'order_filled',
+  'error',
+];
+
+export const DEPLOYMENT_SCOPES = {
+  any: 'any deployment',
+  paper: 'paper deployments',
+  real_money: 'real-money deployments',
+};
+
+export const DEFAULT_RULES = [
+  { id: 'default-order-failed-real', type: 'event', eventTypes: ['order_failed'], level: null, deploymentType: 'real_money', enabled: true },
+  { id: 'default-evaluation-failed', type: 'event', eventTypes: ['evaluation_failed'], level: null, deploymentType: 'any', enabled: true },
+  { id: 'default-daily-pnl', type: 'daily_pnl', thresholdPct: -2, deploymentType: 'any', enabled: true },
+  { id: 'default-hedge-panic', type: 'hedge_panic', enabled: true },
+];
+
+export function newRule(type) {
+  const id = `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  if (type === 'daily_pnl') return { id, type, thresholdPct: -2, deploymentType: 'any', enabled: true };
+  if (type === 'hedge_panic') return { id, type, enabled: true };
+  return { id, type: 'event', eventTypes: ['order_failed'], level: null, deploymentType: 'any', enabled: true };
+}
+
+/** One-line summary, e.g. "order_failed on real-money deployments". */
+export function describeRule(rule) {
+  const scope = DEPLOYMENT_SCOPES[rule.deploymentType] || DEPLOYMENT_SCOPES.any;
+  if (rule.type === 'daily_pnl') return `Daily PnL < ${rule.thresholdPct}% on ${scope}`;
+  if (rule.type === 'hedge_panic') return RULE_TYPES.hedge_panic;
+  const types = (rule.eventTypes || []).join(', ') || 'any event';
+  return `${types}${rule.level ? ` (${rule.level})` : ''} on ${scope}`;
+}
+
+function inScope(rule, deployment) {
+  if (!rule.deploymentType || rule.deploymentType === 'any') return true;
+  return deployment?.deployment_type === rule.deploymentType;
+}
+
+/**
+ * @param {object} rule - an `event` rule
+ * @param {object} event - DeploymentEvent row
+ * @param {Map<number, object>} deploymentsById
+ */
+export function eventMatches(rule, event, deploymentsById) {
+  if (rule.type !== 'event') return false;
+  const types = rule.eventTypes || [];
+  const typeOk = types.length === 0
+    || types.includes(event.event_type)
+    || (types.includes('error') && event.level === 'error');
+  if (!typeOk) return false;
+  if (rule.level && event.level !== rule.level) return false;
+  return inScope(rule, deploymentsById.get(Number(event.deployment)));
+}
+
+/**
+ * Realized PnL of trades closed since `sinceMs`, as % of the scoped deployments' initial capital.
+ * @returns {number|null} null when no deployment is in scope
+ */
+export function dailyPnlPct(rule, closedTrades, deployments, sinceMs) {
+  const scoped = deployments.filter((d) => inScope(rule, d));
+  const capital = scoped.reduce((sum, d) => sum + (Number(d.initial_capital) || 0), 0);
+  if (!capital) return null;
+  const ids = new Set(scoped.map((d) => d.id));
+  const pnl = closedTrades
+    .filter((t) => ids.has(t.deployment) && t.exit_timestamp && Date.parse(t.exit_timestamp) >= sinceMs)
+    .reduce((sum, t) => sum + (Number(t.pnl) || 0), 0);
+  return (pnl / capital) * 100;
+}
+
+/** Whether a hedge panic snapshot reports the panic regime. */
+export function isPanicRegime(snapshot) {
+  return Boolean(snapshot && (snapshot.regime === 'panic' || snapshot.is_panic));
+}
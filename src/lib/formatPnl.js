@@ -32,6 +32,11 @@ export function formatPnlValue(value, { currency = '$', decimals = 2, showSign =
   return { text: `${currency}0${decimals ? `.${'0'.repeat(decimals)}` : ''}`, variant: 'neutral', arrow: null };
 }
 
+/** Whole-dollar amount with a leading minus for negatives, e.g. `-$1,250`. */
+export function formatWholeUsd(value) {
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+}
+
 export function pnlClassName(variant) {
   if (variant === 'profit') return 'text-profit';
   if (variant === 'loss') return 'text-loss';
@@ -0,0 +1,57 @@
+/**
+ * Role-based UI permissions (viewer < operator < admin). The backend enforces the same rules;
+ * this only decides what to hide or disable and how to explain it.
+ */
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+/** Minimum role per action. */
+const ACTION_ROLES = {
+  'deployment.activate': 'operator',
+  'deployment.activate_real': 'admin',
+  'deployment.pause': 'operator',
+  'deployment.stop': 'operator',
+  'deployment.promote': 'admin',
+  'deployment.approve_promotion': 'operator',
+  'deployment.delete': 'admin',
+  'deployment.symbols': 'operator',
+  'trade.close': 'operator',
+  'trade.force_close': 'admin',
+  'broker.delete': 'admin',
+  'tasks.purge': 'admin',
+};
+
+const ACTION_LABELS = {
+  'deployment.activate': 'activate deployments',
+  'deployment.activate_real': 'activate real-money deployments',
+  'deployment.pause': 'pause deployments',
+  'deployment.stop': 'stop deployments',
+  'deployment.promote': 'promote deployments to real money',
+  'deployment.approve_promotion': 'approve real-money promotions',
+  'deployment.delete': 'delete deployments',
+  'deployment.symbols': 'enable or disable deployment symbols',
+  'trade.close': 'close trades at the broker',
+  'trade.force_close': 'force-close trades without a broker order',
+  'broker.delete': 'delete brokers',
+  'tasks.purge': 'purge task history',
+};
+
+export function roleOf(user) {
+  return ROLES.includes(user?.role) ? user.role : 'viewer';
+}
+
+/**
+ * @param {{ role?: string }|null} user
+ * @param {string} action - key of ACTION_ROLES
+ * @returns {{ allowed: boolean, reason: string|null }} reason explains a denial for tooltips / hints
+ */
+export function checkPermission(user, action) {
+  const required = ACTION_ROLES[action];
+  if (!required) return { allowed: true, reason: null };
+  const role = roleOf(user);
+  if (ROLES.indexOf(role) >= ROLES.indexOf(required)) return { allowed: true, reason: null };
+  return {
+    allowed: false,
+    reason: `Only ${required === 'admin' ? 'admins' : 'operators and admins'} can ${ACTION_LABELS[action]}; you are signed in as ${role}.`,
+  };
+}
@@ -7,6 +7,8 @@
 import { useState, useEffect, useRef } from 'react';
 import { Play, Square, Clock, CheckCircle, XCircle, RefreshCw } from 'lucide-react';
 import { marketDataAPI } from '../data/api';
+import { usePermission } from '../store/AuthContext';
+import PermissionHint from '../components/PermissionHint';
 import { motion } from 'framer-motion';
 
 export default function ActiveTasks() {
@@ -16,6 +18,7 @@ export default function ActiveTasks() {
   const [historyLoading, setHistoryLoading] = useState(true);
   const [brokerInfo, setBrokerInfo] = useState(null);
   const wsConnectionsRef = useRef({});
+  const purgePermission = usePermission('tasks.purge');
 
   useEffect(() => {
     loadActiveTasks();
@@ -128,6 +131,7 @@ export default function ActiveTasks() {
   };
 
   const handlePurgeQueue = async () => {
+    if (!purgePermission.allowed) return;
     const q = brokerInfo?.queue_key || 'celery';
     if (!window.confirm(`This will delete ALL pending broker messages in queue "${q}". Continue?`)) {
       return;
@@ -206,13 +210,15 @@ export default function ActiveTasks() {
           )}
           <button
             onClick={handlePurgeQueue}
-            className="ml-auto px-4 py-2 bg-loss text-white rounded-lg hover:bg-loss transition-colors flex items-center gap-2"
-            title="Delete all pending broker messages"
+            disabled={!purgePermission.allowed}
+            className="ml-auto px-4 py-2 bg-loss text-white rounded-lg hover:bg-loss transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            title={purgePermission.reason || 'Delete all pending broker messages'}
           >
             <Square className="w-4 h-4" />
             Purge pending
           </button>
         </div>
+        <PermissionHint className="mt-3 justify-end" reasons={[purgePermission.reason]} />
       </div>
 
       {/* Active Tasks Section */}
@@ -0,0 +1,278 @@
+/**
+ * Alerts Page Component
+ * In-app alert inbox, rule editor and mute / snooze controls
+ * URL: /alerts
+ */
+
+import { Link } from 'react-router-dom';
+import { Bell, BellOff, BellRing, CheckCheck, Plus, Trash2 } from 'lucide-react';
+import { Button, Card, CardHeader, CardTitle, EmptyState } from '../components/ui';
+import {
+  ALERT_EVENT_TYPES,
+  DEPLOYMENT_SCOPES,
+  RULE_TYPES,
+  describeRule,
+  newRule,
+} from '../lib/alertRules';
+import { isSilenced } from '../data/alerts';
+import { useAlerts } from '../store/AlertsContext';
+
+const HOUR_MS = 60 * 60 * 1000;
+const SNOOZE_OPTIONS = [
+  { label: '1 hour', ms: HOUR_MS },
+  { label: '4 hours', ms: 4 * HOUR_MS },
+  { label: '24 hours', ms: 24 * HOUR_MS },
+];
+
+const LEVEL_DOT = {
+  error: 'bg-loss',
+  warning: 'bg-amber-500',
+  info: 'bg-accent',
+};
+
+function fmtTime(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? '—' : d.toLocaleString();
+}
+
+function fmtUntil(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+export default function Alerts() {
+  const alerts = useAlerts();
+  const {
+    inbox,
+    rules,
+    muted,
+    snoozedUntil,
+    permission,
+    unreadCount,
+  } = alerts;
+  const globallySnoozed = snoozedUntil && snoozedUntil > Date.now();
+
+  return (
+    <div className="container mx-auto px-4 py-8 space-y-6">
+      <div className="flex flex-col gap-3 md:flex-row md:items-start md:justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-ink flex items-center gap-2">
+            <Bell className="w-8 h-8 text-accent" /> Alerts
+          </h1>
+          <p className="text-ink-secondary mt-1">
+            Rules over deployment events, daily PnL and the VIX hedge regime, checked while the app is open.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          {permission === 'default' && (
+            <Button variant="secondary" onClick={alerts.requestPermission}>
+              <BellRing className="w-4 h-4" /> Enable browser notifications
+            </Button>
+          )}
+          {permission === 'denied' && (
+            <span className="text-xs text-ink-tertiary">Browser notifications are blocked for this site.</span>
+          )}
+          {permission === 'unsupported' && (
+            <span className="text-xs text-ink-tertiary">This browser has no notification support.</span>
+          )}
+          <Button variant={muted ? 'primary' : 'secondary'} onClick={() => alerts.setMuted(!muted)}>
+            {muted ? <Bell className="w-4 h-4" /> : <BellOff className="w-4 h-4" />}
+            {muted ? 'Unmute all' : 'Mute all'}
+          </Button>
+          <select
+            value=""
+            onChange={(e) => {
+              if (e.target.value === 'off') alerts.snoozeAll(null);
+              else if (e.target.value) alerts.snoozeAll(Number(e.target.value));
+            }}
+            className="border border-border-strong rounded px-2 py-2 text-sm bg-surface text-ink"
+            aria-label="Snooze all alerts"
+          >
+            <option value="">{globallySnoozed ? `Snoozed until ${fmtUntil(snoozedUntil)}` : 'Snooze all…'}</option>
+            {SNOOZE_OPTIONS.map((o) => (
+              <option key={o.ms} value={o.ms}>{o.label}</option>
+            ))}
+            {globallySnoozed && <option value="off">Resume now</option>}
+          </select>
+        </div>
+      </div>
+
+      {(muted || globallySnoozed) && (
+        <div className="px-4 py-2 bg-status-pending-soft border border-amber-300 rounded text-status-pending text-sm">
+          {muted ? 'All alerts are muted' : `All alerts are snoozed until ${fmtUntil(snoozedUntil)}`}; they still
+          land in the inbox but no browser notification is shown.
+        </div>
+      )}
+
+      <Card>
+        <CardHeader className="flex items-center justify-between">
+          <CardTitle>Inbox {unreadCount > 0 && <span className="text-sm text-ink-tertiary">({unreadCount} unread)</span>}</CardTitle>
+          <div className="flex gap-2">
+            <Button variant="ghost" onClick={() => alerts.markRead()} disabled={unreadCount === 0}>
+              <CheckCheck className="w-4 h-4" /> Mark all read
+            </Button>
+            <Button variant="ghost" onClick={alerts.clearInbox} disabled={inbox.length === 0}>
+              <Trash2 className="w-4 h-4" /> Clear
+            </Button>
+          </div>
+        </CardHeader>
+        {inbox.length === 0 ? (
+          <EmptyState icon={Bell} title="No alerts yet" description="Alerts appear here when a rule matches." />
+        ) : (
+          <ul className="divide-y divide-border">
+            {inbox.map((a) => (
+              <li key={a.id} className={`flex items-start gap-3 py-3 ${a.read ? 'opacity-70' : ''}`}>
+                <span className={`mt-1.5 w-2 h-2 rounded-full shrink-0 ${LEVEL_DOT[a.level] || LEVEL_DOT.info}`} />
+                <div className="min-w-0 flex-1">
+                  <div className="flex flex-wrap items-baseline gap-x-2">
+                    <Link
+                      to={a.link || '/'}
+                      onClick={() => alerts.markRead(a.id)}
+                      className={`text-sm text-ink hover:underline ${a.read ? '' : 'font-semibold'}`}
+                    >
+                      {a.title}
+                    </Link>
+                    <span className="text-xs text-ink-tertiary">{fmtTime(a.createdAt)}</span>
+                    {a.silenced && <span className="text-xs text-ink-tertiary">(muted)</span>}
+                  </div>
+                  {a.body && <p className="text-sm text-ink-secondary truncate">{a.body}</p>}
+                  <p className="text-xs text-ink-tertiary">Rule: {a.rule}</p>
+                </div>
+                {!a.read && (
+                  <button type="button" onClick={() => alerts.markRead(a.id)} className="text-xs text-accent hover:underline shrink-0">
+                    Mark read
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </Card>
+
+      <Card>
+        <CardHeader className="flex items-center justify-between">
+          <CardTitle>Rules</CardTitle>
+          <div className="flex gap-2">
+            {Object.entries(RULE_TYPES).map(([type, label]) => (
+              <Button key={type} variant="secondary" onClick={() => alerts.addRule(newRule(type))}>
+                <Plus className="w-4 h-4" /> {label}
+              </Button>
+            ))}
+          </div>
+        </CardHeader>
+        {rules.length === 0 ? (
+          <EmptyState title="No rules" description="Add a rule to start receiving alerts." />
+        ) : (
+          <ul className="divide-y divide-border">
+            {rules.map((rule) => (
+              <RuleRow key={rule.id} rule={rule} silenced={isSilenced({}, rule)} alerts={alerts} />
+            ))}
+          </ul>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+function RuleRow({ rule, silenced, alerts }) {
+  const update = (patch) => alerts.updateRule(rule.id, patch);
+  const toggleEventType = (type) => {
+    const current = rule.eventTypes || [];
+    update({ eventTypes: current.includes(type) ? current.filter((t) => t !== type) : [...current, type] });
+  };
+
+  return (
+    <li className="py-3 space-y-2">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2 text-sm font-medium text-ink">
+          <input type="checkbox" checked={rule.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+          {describeRule(rule)}
+        </label>
+        {silenced && (
+          <span className="text-xs text-status-pending">
+            {rule.muted ? 'muted' : `snoozed until ${fmtUntil(rule.mutedUntil)}`}
+          </span>
+        )}
+        <div className="ml-auto flex items-center gap-2">
+          <select
+            value=""
+            onChange={(e) => {
+              const v = e.target.value;
+              if (v === 'mute') update({ muted: true });
+              else if (v === 'unmute') update({ muted: false, mutedUntil: null });
+              else if (v) alerts.snoozeRule(rule.id, Number(v));
+            }}
+            className="border border-border-strong rounded px-2 py-1 text-xs bg-surface text-ink"
+            aria-label="Mute or snooze rule"
+          >
+            <option value="">{silenced ? 'Silenced' : 'Mute / snooze…'}</option>
+            {SNOOZE_OPTIONS.map((o) => (
+              <option key={o.ms} value={o.ms}>Snooze {o.label}</option>
+            ))}
+            <option value="mute">Mute until unmuted</option>
+            {silenced && <option value="unmute">Unmute</option>}
+          </select>
+          <button
+            type="button"
+            onClick={() => alerts.removeRule(rule.id)}
+            className="text-ink-tertiary hover:text-loss"
+            aria-label="Delete rule"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {rule.type !== 'hedge_panic' && (
+        <div className="flex flex-wrap items-center gap-3 pl-6 text-xs text-ink-secondary">
+          {rule.type === 'event' && (
+            <>
+              {ALERT_EVENT_TYPES.map((type) => (
+                <label key={type} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={(rule.eventTypes || []).includes(type)}
+                    onChange={() => toggleEventType(type)}
+                  />
+                  {type}
+                </label>
+              ))}
+              <select
+                value={rule.level || ''}
+                onChange={(e) => update({ level: e.target.value || null })}
+                className="border border-border-strong rounded px-1 py-0.5 bg-surface text-ink"
+                aria-label="Event level"
+              >
+                <option value="">any level</option>
+                <option value="warning">warning</option>
+                <option value="error">error</option>
+              </select>
+            </>
+          )}
+          {rule.type === 'daily_pnl' && (
+            <label className="flex items-center gap-1">
+              Threshold
+              <input
+                type="number"
+                step="0.5"
+                value={rule.thresholdPct}
+                onChange={(e) => update({ thresholdPct: Number(e.target.value) })}
+                className="w-20 border border-border-strong rounded px-1 py-0.5 bg-surface text-ink"
+              />
+              % of initial capital
+            </label>
+          )}
+          <select
+            value={rule.deploymentType || 'any'}
+            onChange={(e) => update({ deploymentType: e.target.value })}
+            className="border border-border-strong rounded px-1 py-0.5 bg-surface text-ink"
+            aria-label="Deployment scope"
+          >
+            {Object.entries(DEPLOYMENT_SCOPES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+    </li>
+  );
+}
@@ -8,6 +8,8 @@ import { useNavigate, useLocation } from 'react-router-dom';
 import { Plus, Edit, Trash2, Key, CheckCircle2, XCircle, Loader } from 'lucide-react';
 import { withReturnState } from '../lib/navigation';
 import { getBrokers, deleteBroker } from '../data/liveTrading';
+import { usePermission } from '../store/AuthContext';
+import PermissionHint from '../components/PermissionHint';
 import { motion } from 'framer-motion';
 
 export default function Brokers() {
@@ -16,6 +18,7 @@ export default function Brokers() {
   const [brokers, setBrokers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [deletingId, setDeletingId] = useState(null);
+  const deletePermission = usePermission('broker.delete');
 
   useEffect(() => {
     loadBrokers();
@@ -34,6 +37,7 @@ export default function Brokers() {
   };
 
   const handleDelete = async (id) => {
+    if (!deletePermission.allowed) return;
     if (!window.confirm('Are you sure you want to delete this broker?')) {
       return;
     }
@@ -64,6 +68,7 @@ export default function Brokers() {
         <div>
           <h1 className="text-3xl font-bold text-ink">Brokers</h1>
           <p className="text-ink-secondary mt-1">Manage your trading broker connections</p>
+          <PermissionHint className="mt-2" reasons={[brokers.length > 0 && deletePermission.reason]} />
         </div>
         <motion.button
           whileHover={{ scale: 1.05 }}
@@ -154,7 +159,8 @@ export default function Brokers() {
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
                   onClick={() => handleDelete(broker.id)}
-                  disabled={deletingId === broker.id}
+                  disabled={deletingId === broker.id || !deletePermission.allowed}
+                  title={deletePermission.reason || 'Delete broker'}
                   className="bg-loss-soft text-loss-ink px-3 py-2 rounded hover:bg-red-200 transition-colors text-sm disabled:opacity-50"
                 >
                   {deletingId === broker.id ? (
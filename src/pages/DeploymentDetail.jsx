@@ -3,6 +3,10 @@
  *
  * Data loads per tab: deployment header + KPI statistics fetch on load; tab panels
  * (trading history, holdings, symbols, logging) fetch their own data when selected.
+ * Reads go through the query cache, so switching back to a tab renders the cached page at once;
+ * Refresh invalidates the deployment resources and reloads from the network. The page subscribes
+ * to `deployment:<id>` on the real-time stream; pushes invalidate the same resources, so the header
+ * and the open tab reload without polling.
  */
 
 import { Fragment, useCallback, useEffect, useMemo, useState } from 'react';
@@ -14,6 +18,7 @@ import {
   ChevronLeft,
   ChevronRight,
   Loader,
+  Pause,
   Play,
   RefreshCw,
   Square,
@@ -40,14 +45,23 @@ import {
   getStrategyDeployment,
   listDeploymentEvents,
   listDeploymentSymbols,
+  listAllLiveTrades,
   listLiveTrades,
   manualCloseLiveTrade,
-  promoteStrategyDeployment,
+  pauseStrategyDeployment,
   updateDeploymentPositions,
   waitForLiveTradeCloseReconcile,
   stopStrategyDeployment,
 } from '../data/strategyDeployments';
 import { buildChronologicalTradeTableRows } from '../utils/chronologicalTradeTableRows';
+import { deploymentChannel } from '../data/realtime';
+import { describeSizing } from '../data/sizingConfig';
+import { useChannels } from '../hooks/useChannels';
+import { useQueryRefresh } from '../hooks/useQueryRefresh';
+import { usePermission } from '../store/AuthContext';
+import PermissionHint from '../components/PermissionHint';
+import PromoteDeploymentWizard from '../components/PromoteDeploymentWizard';
+import TradeAnalyticsCharts from '../components/charts/TradeAnalyticsCharts';
 
 const STATUS_BADGE = {
   pending: 'bg-surface-sunken text-ink-secondary',
@@ -63,9 +77,13 @@ const EVENTS_PAGE_SIZE = 50;
 const TRADES_PAGE_SIZE = 25;
 const SYMBOLS_PAGE_SIZE = 50;
 
+/** API resources this page reads; invalidating any of them reloads the header and current tab. */
+const DEPLOYMENT_RESOURCES = ['strategy-deployments', 'live-trades', 'deployment-events'];
+
 const DEPLOYMENT_TABS = [
   { key: 'trading-history', label: 'Trading history' },
   { key: 'holdings', label: 'Holdings' },
+  { key: 'analytics', label: 'Trade analytics' },
   { key: 'symbols', label: 'Symbols' },
   { key: 'logging', label: 'Logging' },
 ];
@@ -84,6 +102,9 @@ export default function DeploymentDetail() {
   const [trades, setTrades] = useState({ results: [], count: 0, next: null, previous: null });
   const [tradesPage, setTradesPage] = useState(1);
   const [tradesLoading, setTradesLoading] = useState(false);
+  /** All closed main-leg trades, loaded when the analytics tab opens */
+  const [analyticsTrades, setAnalyticsTrades] = useState([]);
+  const [analyticsLoading, setAnalyticsLoading] = useState(false);
   const [holdings, setHoldings] = useState({ results: [], count: 0, next: null, previous: null });
   const [holdingsPage, setHoldingsPage] = useState(1);
   const [holdingsLoading, setHoldingsLoading] = useState(false);
@@ -105,6 +126,18 @@ export default function DeploymentDetail() {
   const [closingTradeId, setClosingTradeId] = useState(null);
   const [error, setError] = useState(null);
   const [notice, setNotice] = useState(null);
+  const [promoteOpen, setPromoteOpen] = useState(false);
+
+  const activatePermission = usePermission(
+    deployment?.deployment_type === 'real_money' ? 'deployment.activate_real' : 'deployment.activate',
+  );
+  const pausePermission = usePermission('deployment.pause');
+  const stopPermission = usePermission('deployment.stop');
+  const promotePermission = usePermission('deployment.promote');
+  const deletePermission = usePermission('deployment.delete');
+  const closePermission = usePermission('trade.close');
+  const forceClosePermission = usePermission('trade.force_close');
+  const symbolsPermission = usePermission('deployment.symbols');
 
   const loadHeader = useCallback(async () => {
     setHeaderLoading(true);
@@ -173,6 +206,18 @@ export default function DeploymentDetail() {
     }
   }, [id, holdingsPage]);
 
+  const loadAnalytics = useCallback(async () => {
+    setAnalyticsLoading(true);
+    setError(null);
+    try {
+      setAnalyticsTrades(await listAllLiveTrades({ deploymentId: id, status: 'closed', omitHedgeLegs: true }));
+    } catch (err) {
+      setError(err.message || 'Failed to load trades for analytics');
+    } finally {
+      setAnalyticsLoading(false);
+    }
+  }, [id]);
+
   const loadLogging = useCallback(async () => {
     setLogsLoading(true);
     setError(null);
@@ -223,6 +268,12 @@ export default function DeploymentDetail() {
     }
   }, [tab, loadHoldings, holdingsPage]);
 
+  useEffect(() => {
+    if (tab === 'analytics') {
+      loadAnalytics();
+    }
+  }, [tab, loadAnalytics]);
+
   useEffect(() => {
     if (tab === 'logging') {
       loadLogging();
@@ -253,6 +304,8 @@ export default function DeploymentDetail() {
         await loadTradingHistory();
       } else if (tab === 'holdings') {
         await loadHoldings();
+      } else if (tab === 'analytics') {
+        await loadAnalytics();
       } else if (tab === 'logging') {
         await loadLogging();
       } else if (tab === 'symbols') {
@@ -266,26 +319,24 @@ export default function DeploymentDetail() {
     }
   };
 
-  const handlePromote = async () => {
-    if (!window.confirm('Promote this paper deployment to a real-money sibling? You will need to manually activate the new deployment.')) return;
-    setActionInFlight(true);
+  const handlePromote = () => {
+    if (!promotePermission.allowed) return;
     setError(null);
     setNotice(null);
-    try {
-      const result = await promoteStrategyDeployment(id, {});
-      setNotice(`Real-money deployment created (#${result.real_deployment_id}).`);
-      await loadHeader();
-      if (result.real_deployment_id) {
-        navigate(`/deployments/${result.real_deployment_id}`);
-      }
-    } catch (err) {
-      setError(err.message || 'Promote failed');
-    } finally {
-      setActionInFlight(false);
+    setPromoteOpen(true);
+  };
+
+  const handlePromoted = async (result) => {
+    setPromoteOpen(false);
+    setNotice(`Real-money deployment created (#${result.real_deployment_id}).`);
+    await loadHeader();
+    if (result.real_deployment_id) {
+      navigate(`/deployments/${result.real_deployment_id}`);
     }
   };
 
   const handleDelete = async () => {
+    if (!deletePermission.allowed) return;
     if (!window.confirm('Delete this deployment? This cannot be undone.')) return;
     setActionInFlight(true);
     setError(null);
@@ -305,12 +356,17 @@ export default function DeploymentDetail() {
     await loadStatsOnly();
     if (tab === 'trading-history') await loadTradingHistory();
     if (tab === 'holdings') await loadHoldings();
+    if (tab === 'analytics') await loadAnalytics();
     if (tab === 'logging') await loadLogging();
     if (tab === 'symbols') await loadSymbols();
   };
 
+  const { refresh } = useQueryRefresh(DEPLOYMENT_RESOURCES, refreshAll);
+  const { isLive } = useChannels(id ? [deploymentChannel(id)] : []);
+
   const handleManualCloseTrade = async (trade, { force = false } = {}) => {
     if (!trade?.id) return;
+    if (!(force ? forceClosePermission : closePermission).allowed) return;
     const ticker = trade.symbol_info?.ticker || trade.symbol || 'trade';
     const body = force
       ? `Mark ${ticker} #${trade.id} closed in the app only (no broker order)? Use when the position is already flat at the broker.`
@@ -422,12 +478,17 @@ export default function DeploymentDetail() {
             {deployment.status}
           </span>
           <button
-            onClick={refreshAll}
+            onClick={refresh}
             className="text-xs text-ink-tertiary flex items-center gap-1 hover:text-ink-secondary"
             disabled={headerLoading}
           >
             <RefreshCw className={`w-3 h-3 ${headerLoading ? 'animate-spin' : ''}`} /> Refresh
           </button>
+          {isLive && (
+            <span className="text-xs text-profit-ink flex items-center gap-1" title="Updates are pushed from the server">
+              <span className="w-2 h-2 rounded-full bg-profit" /> Live
+            </span>
+          )}
         </div>
       </div>
 
@@ -451,9 +512,20 @@ export default function DeploymentDetail() {
             icon={<Play className="w-4 h-4" />}
             onClick={() => runAction(activateStrategyDeployment, 'Deployment activated.')}
             disabled={actionInFlight}
+            deniedReason={activatePermission.reason}
             color="bg-green-600 hover:bg-green-700"
           />
         )}
+        {deployment.status === 'active' && (
+          <ActionButton
+            label="Pause"
+            icon={<Pause className="w-4 h-4" />}
+            onClick={() => runAction(pauseStrategyDeployment, 'Deployment paused.')}
+            disabled={actionInFlight}
+            deniedReason={pausePermission.reason}
+            color="bg-amber-600 hover:bg-amber-700"
+          />
+        )}
         {deployment.status !== 'stopped' && (
           <ActionButton
             label="Stop"
@@ -476,6 +548,7 @@ export default function DeploymentDetail() {
               );
             }}
             disabled={actionInFlight}
+            deniedReason={stopPermission.reason}
             color="bg-ink-secondary hover:bg-ink"
           />
         )}
@@ -485,6 +558,7 @@ export default function DeploymentDetail() {
             icon={<TrendingUp className="w-4 h-4" />}
             onClick={handlePromote}
             disabled={actionInFlight}
+            deniedReason={promotePermission.reason}
             color="bg-accent hover:bg-accent-hover"
           />
         )}
@@ -493,8 +567,19 @@ export default function DeploymentDetail() {
           icon={<Trash2 className="w-4 h-4" />}
           onClick={handleDelete}
           disabled={actionInFlight || openPositionsBlockDelete}
+          deniedReason={deletePermission.reason}
           color="bg-loss hover:bg-loss disabled:bg-red-300"
         />
+        <PermissionHint
+          className="basis-full mt-1"
+          reasons={[
+            (deployment.status === 'pending' || deployment.status === 'paused') && activatePermission.reason,
+            deployment.status === 'active' && pausePermission.reason,
+            deployment.status !== 'stopped' && stopPermission.reason,
+            deployment.deployment_type === 'paper' && promotePermission.reason,
+            deletePermission.reason,
+          ]}
+        />
       </div>
 
       <section className="space-y-4 mb-6" aria-label="Deployment statistics">
@@ -506,7 +591,11 @@ export default function DeploymentDetail() {
         {stats && (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
             <Card label="Initial capital" value={`$${Number(deployment.initial_capital).toLocaleString()}`} />
-            <Card label="Bet size" value={`${deployment.bet_size_percentage}%`} />
+            <Card
+              label="Position sizing"
+              value={describeSizing(deployment).label}
+              sub={describeSizing(deployment).detail}
+            />
             <Card
               label="Symbols (active / total)"
               value={`${stats?.active_symbol_count ?? deployment.active_symbol_count ?? 0} / ${stats?.symbol_count ?? deployment.symbol_count ?? 0}`}
@@ -659,6 +748,7 @@ export default function DeploymentDetail() {
             <p className="text-sm text-ink-tertiary mt-1">
               Open positions only. Hedge legs are grouped under each main sleeve so you can close main and hedge trades in one glance.
             </p>
+            <PermissionHint className="mt-2" reasons={[closePermission.reason, forceClosePermission.reason]} />
           </div>
           <HoldingsTable
             rows={holdings.results}
@@ -670,11 +760,25 @@ export default function DeploymentDetail() {
             hasPrevious={!!holdings.previous}
             onManualClose={handleManualCloseTrade}
             closingTradeId={closingTradeId}
+            closePermission={closePermission}
+            forceClosePermission={forceClosePermission}
             hedgeConfigured={!!deployment.hedge_enabled}
           />
         </div>
       )}
 
+      {tab === 'analytics' && (
+        <div className="bg-surface rounded-lg shadow-lg p-6 space-y-4">
+          <div>
+            <h2 className="text-xl font-bold text-ink">Trade analytics</h2>
+            <p className="text-sm text-ink-tertiary mt-1">
+              Closed main-leg trades of this deployment; hedge legs and open positions are left out.
+            </p>
+          </div>
+          <TradeAnalyticsCharts trades={analyticsTrades} loading={analyticsLoading} />
+        </div>
+      )}
+
       {tab === 'symbols' && (
         <SymbolsTable
           rows={symbols.results}
@@ -686,6 +790,7 @@ export default function DeploymentDetail() {
           hasPrevious={!!symbols.previous}
           onToggle={onToggleSymbol}
           busyId={symbolActionId}
+          toggleDeniedReason={symbolsPermission.reason}
         />
       )}
 
@@ -706,16 +811,24 @@ export default function DeploymentDetail() {
           hasPrevious={!!logs.previous}
         />
       )}
+
+      <PromoteDeploymentWizard
+        open={promoteOpen}
+        onClose={() => setPromoteOpen(false)}
+        deployment={deployment}
+        onPromoted={handlePromoted}
+      />
     </div>
   );
 }
 
-function ActionButton({ label, icon, onClick, disabled, color }) {
+function ActionButton({ label, icon, onClick, disabled, color, deniedReason = null }) {
   return (
     <button
       type="button"
       onClick={onClick}
-      disabled={disabled}
+      disabled={disabled || !!deniedReason}
+      title={deniedReason || undefined}
       className={`flex items-center gap-2 px-4 py-2 text-white rounded ${color} disabled:opacity-50`}
     >
       {icon}
@@ -724,11 +837,12 @@ function ActionButton({ label, icon, onClick, disabled, color }) {
   );
 }
 
-function Card({ label, value }) {
+function Card({ label, value, sub = null }) {
   return (
     <div className="bg-surface rounded-lg shadow p-4">
       <div className="text-xs uppercase text-ink-tertiary mb-1">{label}</div>
       <div className="text-xl font-semibold text-ink">{value}</div>
+      {sub && <div className="text-xs text-ink-tertiary mt-1">{sub}</div>}
     </div>
   );
 }
@@ -880,7 +994,7 @@ function EventsFeed({
   );
 }
 
-function LiveTradeCloseButtons({ trade, onManualClose, closingTradeId }) {
+function LiveTradeCloseButtons({ trade, onManualClose, closingTradeId, closePermission, forceClosePermission }) {
   if (trade.status !== 'open') {
     return <span className="text-xs text-ink-tertiary">—</span>;
   }
@@ -889,16 +1003,17 @@ function LiveTradeCloseButtons({ trade, onManualClose, closingTradeId }) {
       <button
         type="button"
         onClick={() => onManualClose?.(trade, { force: false })}
-        disabled={closingTradeId != null}
+        disabled={closingTradeId != null || closePermission?.allowed === false}
+        title={closePermission?.reason || undefined}
         className="px-2 py-1 text-xs border rounded border-border-strong hover:bg-bg disabled:opacity-50"
       >
         Close
       </button>
       <button
         type="button"
-        title="No Alpaca order — marks closed in app (e.g. position already flat)"
+        title={forceClosePermission?.reason || 'No Alpaca order — marks closed in app (e.g. position already flat)'}
         onClick={() => onManualClose?.(trade, { force: true })}
-        disabled={closingTradeId != null}
+        disabled={closingTradeId != null || forceClosePermission?.allowed === false}
         className="px-2 py-1 text-xs text-amber-800 border border-amber-300 rounded hover:bg-amber-50 disabled:opacity-50"
       >
         Force close
@@ -942,6 +1057,8 @@ function HoldingsTable({
   hasPrevious,
   onManualClose,
   closingTradeId = null,
+  closePermission = null,
+  forceClosePermission = null,
   hedgeConfigured = false,
 }) {
   if (loading && (!rows || rows.length === 0)) {
@@ -1043,7 +1160,13 @@ function HoldingsTable({
                         </td>
                         <td className="px-4 py-3 text-ink-secondary">{fmtDate(trade.entry_timestamp)}</td>
                         <td className="px-4 py-3 text-right">
-                          <LiveTradeCloseButtons trade={trade} onManualClose={onManualClose} closingTradeId={closingTradeId} />
+                          <LiveTradeCloseButtons
+                            trade={trade}
+                            onManualClose={onManualClose}
+                            closingTradeId={closingTradeId}
+                            closePermission={closePermission}
+                            forceClosePermission={forceClosePermission}
+                          />
                         </td>
                       </tr>
                     );
@@ -1300,7 +1423,7 @@ function TradesTable({
   );
 }
 
-function SymbolsTable({ rows, totalCount, page, loading, onPageChange, hasNext, hasPrevious, onToggle, busyId }) {
+function SymbolsTable({ rows, totalCount, page, loading, onPageChange, hasNext, hasPrevious, onToggle, busyId, toggleDeniedReason = null }) {
   if (rows.length === 0 && !loading) {
     return <p className="text-center text-ink-tertiary py-12">No symbols enrolled in this deployment.</p>;
   }
@@ -1311,6 +1434,7 @@ function SymbolsTable({ rows, totalCount, page, loading, onPageChange, hasNext,
           <Loader className="w-4 h-4 animate-spin" /> Loading symbols…
         </div>
       )}
+      <PermissionHint className="mb-2" reasons={[toggleDeniedReason]} />
       <div className="overflow-x-auto bg-surface rounded-lg shadow">
         <table className="min-w-full divide-y divide-border text-sm">
           <thead className="bg-bg text-xs uppercase text-ink-tertiary">
@@ -1343,7 +1467,8 @@ function SymbolsTable({ rows, totalCount, page, loading, onPageChange, hasNext,
                   {row.status === 'active' ? (
                     <button
                       type="button"
-                      disabled={busyId === row.id}
+                      disabled={busyId === row.id || !!toggleDeniedReason}
+                      title={toggleDeniedReason || undefined}
                       onClick={() => onToggle(row)}
                       className="text-xs text-amber-700 hover:underline"
                     >
@@ -1352,7 +1477,8 @@ function SymbolsTable({ rows, totalCount, page, loading, onPageChange, hasNext,
                   ) : (
                     <button
                       type="button"
-                      disabled={busyId === row.id}
+                      disabled={busyId === row.id || !!toggleDeniedReason}
+                      title={toggleDeniedReason || undefined}
                       onClick={() => onToggle(row)}
                       className="text-xs text-accent hover:underline"
                     >
@@ -5,11 +5,13 @@
 
 import { useLoaderData, useSearchParams } from 'react-router-dom';
 import { useState, useEffect, useRef } from 'react';
-import { Search, ChevronLeft, ChevronRight, BarChart3, Settings, X } from 'lucide-react';
+import { Search, ChevronLeft, ChevronRight, BarChart3, Settings, X, FileUp } from 'lucide-react';
 import SymbolCard from '../components/SymbolCard';
 import FetchOHLCVModal from '../components/FetchOHLCVModal';
+import ImportOHLCVModal from '../components/ImportOHLCVModal';
 import MarketDataManageModal from '../components/MarketDataManageModal';
 import TaskProgress from '../components/TaskProgress';
+import DataQualityBulkPanel from '../components/DataQualityBulkPanel';
 import { marketDataAPI } from '../data/api';
 import { fetchOHLCVData } from '../data/symbols';
 import { motion } from 'framer-motion';
@@ -23,6 +25,7 @@ export default function Home() {
   const [exchanges, setExchanges] = useState([]);
   const [loadingExchanges, setLoadingExchanges] = useState(false);
   const [showFetchOHLCVModal, setShowFetchOHLCVModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
   const [showManageModal, setShowManageModal] = useState(false);
   const [taskId, setTaskId] = useState(null);
   const [showProgress, setShowProgress] = useState(false);
@@ -179,6 +182,12 @@ export default function Home() {
         onFetch={handleFetchOHLCV}
       />
 
+      <ImportOHLCVModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onTaskStarted={handleTaskStarted}
+      />
+
       <MarketDataManageModal
         isOpen={showManageModal}
         onClose={() => setShowManageModal(false)}
@@ -202,6 +211,14 @@ export default function Home() {
             <BarChart3 className="w-5 h-5" />
             Fetch OHLCV Data
           </button>
+          <button
+            type="button"
+            onClick={() => setShowImportModal(true)}
+            className="px-6 py-3 bg-surface border border-border-strong text-ink rounded-lg hover:bg-surface-sunken transition-colors font-medium flex items-center gap-2"
+          >
+            <FileUp className="w-5 h-5" />
+            Import File
+          </button>
           <button
             type="button"
             onClick={() => setShowManageModal(true)}
@@ -365,6 +382,11 @@ export default function Home() {
           )}
         </div>
 
+        {/* Data quality of the listed symbols */}
+        {symbols.length > 0 && (
+          <DataQualityBulkPanel symbols={symbols} onTaskStarted={handleTaskStarted} />
+        )}
+
         {/* Symbols Grid */}
         {symbols.length > 0 ? (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
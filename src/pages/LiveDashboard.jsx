@@ -4,11 +4,16 @@
  * Aggregates all StrategyDeployments into a single command-center view:
  *  - Top KPI strip (active deployments, open trades, today's signals,
  *    today's PnL, error count).
+ *  - Portfolio risk of the open book (exposure, concentration, correlation, VaR).
  *  - Per-strategy deployment cards grouped by strategy.
  *  - Right column: live signals feed and recent audit events.
  *  - Bottom: open and recently-closed trades.
  *
- * Loads once on open; use Refresh to reload (no automatic polling).
+ * Reads go through the query cache, so returning to the page renders cached data at once and
+ * deployment / trade mutations elsewhere reload it. Running deployments and live trades are
+ * subscribed on the real-time stream, whose pushes invalidate the cache and reload the page.
+ * Refresh forces a network reload; auto-refresh (off by default) polls every AUTO_REFRESH_MS, but
+ * only while the stream is down.
  */
 
 import { useCallback, useEffect, useMemo, useState } from 'react';
@@ -46,10 +51,26 @@ import {
 import { getHedgePanicSnapshot } from '../data/backtests';
 import {
   listAllDeploymentEvents,
+  listAllLiveTrades,
   listLiveTrades,
   listStrategyDeployments,
 } from '../data/strategyDeployments';
 import { getMarketOpenProgress } from '../data/liveTrading';
+import { deploymentChannel } from '../data/realtime';
+import { useChannels } from '../hooks/useChannels';
+import { useQueryRefresh } from '../hooks/useQueryRefresh';
+import LiveRiskPanel from '../components/LiveRiskPanel';
+
+/** API resources fetchAll reads; invalidating any of them reloads the dashboard. */
+const DASHBOARD_RESOURCES = ['strategy-deployments', 'live-trades', 'deployment-events', 'backtests'];
+const AUTO_REFRESH_MS = 30000;
+/** Deployments that emit signals and trades, i.e. worth a stream subscription. */
+const STREAMED_STATUSES = ['active', 'evaluating', 'passed'];
+const STREAM_STATUS_LABELS = {
+  connecting: 'Connecting to live updates…',
+  reconnecting: 'Reconnecting to live updates…',
+  offline: 'Live updates unavailable',
+};
 
 const STATUS_BADGE = {
   pending: 'bg-surface-sunken text-ink-secondary',
@@ -176,22 +197,24 @@ export default function LiveDashboard() {
   const [lastUpdated, setLastUpdated] = useState(null);
   const [error, setError] = useState(null);
   const [hedgePanic, setHedgePanic] = useState(null);
+  const [autoRefresh, setAutoRefresh] = useState(false);
 
   const fetchAll = useCallback(async () => {
     setRefreshing(true);
     setError(null);
     const since = startOfTodayIso();
     try {
-      const [depPage, openPage, closedPage, signalPage, eventPage, openProg] = await Promise.all([
+      const [depPage, openAll, closedPage, signalPage, eventPage, openProg] = await Promise.all([
         listStrategyDeployments({}),
-        listLiveTrades({ status: 'open', pageSize: 200 }),
+        // Every open trade across deployments: the risk panel needs the whole book, not one page.
+        listAllLiveTrades({ status: 'open' }),
         listLiveTrades({ status: 'closed', pageSize: 200 }),
         listAllDeploymentEvents({ since, pageSize: 50 }),
         listAllDeploymentEvents({ pageSize: 30 }),
         getMarketOpenProgress(),
       ]);
       setDeployments(depPage.results || []);
-      setOpenTrades(openPage);
+      setOpenTrades({ results: openAll, count: openAll.length });
       setClosedTrades(closedPage);
       setSignals({
         ...signalPage,
@@ -222,6 +245,19 @@ export default function LiveDashboard() {
     fetchAll();
   }, [fetchAll]);
 
+  const channels = useMemo(
+    () => [
+      'live-trades',
+      ...deployments.filter((d) => STREAMED_STATUSES.includes(d.status)).map((d) => deploymentChannel(d.id)),
+    ],
+    [deployments],
+  );
+  const { status: streamStatus, isLive } = useChannels(channels);
+
+  const { refresh } = useQueryRefresh(DASHBOARD_RESOURCES, fetchAll, {
+    refetchInterval: autoRefresh && !isLive ? AUTO_REFRESH_MS : null,
+  });
+
   const aggregates = useMemo(() => {
     const todayIso = startOfTodayIso();
     const todayMs = new Date(todayIso).getTime();
@@ -299,13 +335,25 @@ export default function LiveDashboard() {
         </div>
         <div className="flex flex-col items-end gap-2">
           <button
-            onClick={fetchAll}
+            onClick={refresh}
             disabled={refreshing}
             className="flex items-center gap-2 text-sm bg-accent text-white px-4 py-2 rounded-lg hover:bg-accent-hover disabled:opacity-50"
           >
             <RefreshCw className={`w-4 h-4 ${refreshing ? 'animate-spin' : ''}`} />
             Refresh
           </button>
+          <label className="flex items-center gap-1.5 text-xs text-ink-secondary">
+            <input
+              type="checkbox"
+              checked={autoRefresh}
+              onChange={(e) => setAutoRefresh(e.target.checked)}
+            />
+            Auto-refresh every {AUTO_REFRESH_MS / 1000}s{isLive ? ' when offline' : ''}
+          </label>
+          <span className={`flex items-center gap-1.5 text-xs ${isLive ? 'text-profit-ink' : 'text-ink-tertiary'}`}>
+            <span className={`w-2 h-2 rounded-full ${isLive ? 'bg-profit' : 'bg-surface-sunken border border-border-strong'}`} />
+            {isLive ? 'Live updates' : STREAM_STATUS_LABELS[streamStatus] || 'Live updates off'}
+          </span>
           {lastUpdated && (
             <span className="text-xs text-ink-tertiary">
               Updated {fmtRelative(lastUpdated.toISOString())}
@@ -379,6 +427,8 @@ export default function LiveDashboard() {
         />
       </div>
 
+      <LiveRiskPanel trades={openTrades.results || []} />
+
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
         <div className="lg:col-span-2">
           <div className="flex items-center justify-between mb-3">
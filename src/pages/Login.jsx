@@ -0,0 +1,87 @@
+/**
+ * Login Page Component
+ * Username / password sign-in; returns to the page that required auth
+ * URL: /login?next=/deployments/12
+ */
+
+import { useState } from 'react';
+import { Navigate, useNavigate, useSearchParams } from 'react-router-dom';
+import { Loader, LogIn } from 'lucide-react';
+import { Button, Input } from '../components/ui';
+import { APP_NAME } from '../constants/navigation';
+import { useAuth } from '../store/AuthContext';
+
+/** Only same-app paths; anything else falls back to the dashboard. */
+function safeNext(raw) {
+  return raw && raw.startsWith('/') && !raw.startsWith('//') && !raw.startsWith('/login') ? raw : '/';
+}
+
+export default function Login() {
+  const { status, login } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const next = safeNext(searchParams.get('next'));
+
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (status === 'authenticated') {
+    return <Navigate to={next} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await login(username.trim(), password);
+      navigate(next, { replace: true });
+    } catch (err) {
+      setError(err.message || 'Sign-in failed');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-bg px-4">
+      <form onSubmit={handleSubmit} className="max-w-sm w-full bg-surface rounded-lg shadow-lg p-8 space-y-4">
+        <div className="text-center mb-2">
+          <h1 className="text-2xl font-bold text-ink">{APP_NAME}</h1>
+          <p className="text-sm text-ink-secondary mt-1">Sign in to continue</p>
+        </div>
+        {searchParams.get('next') && !error && (
+          <p className="text-xs text-ink-tertiary text-center">Your session ended or this page needs an account.</p>
+        )}
+        <Input
+          label="Username"
+          id="login-username"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          required
+          autoFocus
+        />
+        <Input
+          label="Password"
+          id="login-password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+        {error && (
+          <div className="px-3 py-2 bg-loss-soft border border-loss rounded text-loss-ink text-sm" role="alert">
+            {error}
+          </div>
+        )}
+        <Button type="submit" className="w-full justify-center" disabled={submitting || !username.trim() || !password}>
+          {submitting ? <Loader className="w-4 h-4 animate-spin" /> : <LogIn className="w-4 h-4" />}
+          Sign in
+        </Button>
+      </form>
+    </div>
+  );
+}
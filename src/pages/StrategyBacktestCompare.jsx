@@ -0,0 +1,477 @@
+/**
+ * Strategy Backtest Compare Page Component
+ * Side-by-side parameters, key stats (with diffs vs the first backtest) and overlaid equity curves
+ * URL: /strategies/:id/compare?backtests=1,2,3
+ */
+
+import { useParams, useSearchParams, Link } from 'react-router-dom';
+import { useState, useEffect, useMemo } from 'react';
+import { Loader, Plus, X, GitCompare } from 'lucide-react';
+import { useNavigateBack } from '../lib/navigation';
+import { getStrategy } from '../data/strategies';
+import { getBacktest, getBacktestStatisticsOptimized, getBacktests } from '../data/backtests';
+import { getChartTheme } from '../lib/chartTheme';
+import ApexEquityChart, { equityPointsToApexData } from '../components/charts/ApexEquityChart';
+import BacktestParametersPanel from '../components/BacktestParametersPanel';
+import { formatPortfolioCurrency, formatPortfolioPercentage } from '../components/PortfolioPerformanceMetricsGrid';
+import { positionModesAvailable } from '../utils/backtestPositionMode';
+import { extractEquityCurve } from '../utils/backtestEquityCurve';
+import { parseBacktestIds } from '../utils/backtestIds';
+
+const MAX_COMPARED = 6;
+
+/** `better` drives diff colouring: drawdown is compared by magnitude (backend sign is not guaranteed). */
+const COMPARE_METRICS = [
+  { key: 'total_trades', label: 'Total trades', kind: 'count', better: 'higher' },
+  { key: 'win_rate', label: 'Win rate', kind: 'percent', better: 'higher' },
+  { key: 'total_pnl', label: 'Total PnL', kind: 'currency', better: 'higher' },
+  { key: 'total_return', label: 'Total return', kind: 'percent', better: 'higher' },
+  { key: 'cagr', label: 'CAGR', kind: 'percent', better: 'higher' },
+  { key: 'sharpe_ratio', label: 'Sharpe ratio', kind: 'ratio', better: 'higher' },
+  { key: 'profit_factor', label: 'Profit factor', kind: 'ratio', better: 'higher' },
+  { key: 'max_drawdown', label: 'Max drawdown', kind: 'percent', better: 'lowerAbs' },
+  { key: 'average_pnl', label: 'Average PnL', kind: 'currency', better: 'higher' },
+  { key: 'average_winner', label: 'Average winner', kind: 'currency', better: 'higher' },
+  { key: 'average_loser', label: 'Average loser', kind: 'currency', better: 'higher' },
+];
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = typeof value === 'string' ? parseFloat(value) : Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function formatMetric(kind, value) {
+  if (toNumber(value) === null) return 'N/A';
+  switch (kind) {
+    case 'currency':
+      return formatPortfolioCurrency(value);
+    case 'percent':
+      return formatPortfolioPercentage(value);
+    case 'ratio':
+      return toNumber(value).toFixed(2);
+    default:
+      return String(value);
+  }
+}
+
+function formatDiff(kind, diff) {
+  const sign = diff > 0 ? '+' : diff < 0 ? '−' : '';
+  const abs = Math.abs(diff);
+  switch (kind) {
+    case 'currency':
+      return `${sign}${formatPortfolioCurrency(abs)}`;
+    case 'percent':
+      return `${sign}${abs.toFixed(2)} pp`;
+    case 'count':
+      return `${sign}${abs}`;
+    default:
+      return `${sign}${abs.toFixed(2)}`;
+  }
+}
+
+/** Diff of `value` vs `baseline`; `tone` is 'better' | 'worse' | 'same' according to the metric direction. */
+function metricDiff(metric, value, baseline) {
+  const v = toNumber(value);
+  const b = toNumber(baseline);
+  if (v === null || b === null) return null;
+  const diff = v - b;
+  if (diff === 0) return { diff, tone: 'same' };
+  let improved;
+  if (metric.better === 'lowerAbs') improved = Math.abs(v) < Math.abs(b);
+  else if (metric.better === 'lower') improved = v < b;
+  else improved = v > b;
+  return { diff, tone: improved ? 'better' : 'worse' };
+}
+
+export default function StrategyBacktestCompare() {
+  const chartTheme = getChartTheme();
+  const { id } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { goBack } = useNavigateBack(`/strategies/${id}`);
+  const backtestIds = useMemo(() => parseBacktestIds(searchParams.get('backtests'), MAX_COMPARED), [searchParams]);
+  const backtestIdsKey = backtestIds.join(',');
+
+  const [strategy, setStrategy] = useState(null);
+  const [strategyLoading, setStrategyLoading] = useState(true);
+  const [entries, setEntries] = useState([]);
+  const [entriesLoading, setEntriesLoading] = useState(false);
+  const [candidates, setCandidates] = useState([]);
+  const [candidatesPage, setCandidatesPage] = useState(1);
+  const [candidatesHasMore, setCandidatesHasMore] = useState(false);
+  const [candidatesLoadingMore, setCandidatesLoadingMore] = useState(false);
+  const [selectedMode, setSelectedMode] = useState('long');
+  const [pickerValue, setPickerValue] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      setStrategyLoading(true);
+      try {
+        const [strategyData, backtestList] = await Promise.all([
+          getStrategy(id),
+          getBacktests(1, id).catch(() => ({ results: [] })),
+        ]);
+        if (cancelled) return;
+        setStrategy(strategyData);
+        setCandidates(Array.isArray(backtestList?.results) ? backtestList.results : []);
+        setCandidatesPage(1);
+        setCandidatesHasMore(Boolean(backtestList?.next));
+      } catch {
+        if (!cancelled) setStrategy(null);
+      } finally {
+        if (!cancelled) setStrategyLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  useEffect(() => {
+    const ids = backtestIdsKey ? backtestIdsKey.split(',').map(Number) : [];
+    if (!ids.length) {
+      setEntries([]);
+      return undefined;
+    }
+    let cancelled = false;
+    (async () => {
+      setEntriesLoading(true);
+      const loaded = await Promise.all(
+        ids.map(async (backtestId) => {
+          try {
+            const [backtest, statistics] = await Promise.all([
+              getBacktest(backtestId),
+              getBacktestStatisticsOptimized(backtestId),
+            ]);
+            return { id: backtestId, backtest, statistics: statistics || { portfolio: null, symbols: [] }, error: null };
+          } catch (e) {
+            return { id: backtestId, backtest: null, statistics: null, error: e.message || 'Failed to load backtest' };
+          }
+        }),
+      );
+      if (!cancelled) {
+        setEntries(loaded);
+        setEntriesLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [backtestIdsKey]);
+
+  const loadedEntries = useMemo(() => entries.filter((e) => e.backtest), [entries]);
+
+  const modesAvailable = useMemo(() => {
+    const modes = new Set();
+    loadedEntries.forEach((e) => positionModesAvailable(e.backtest).forEach((m) => modes.add(m)));
+    return ['long', 'short'].filter((m) => modes.has(m));
+  }, [loadedEntries]);
+
+  useEffect(() => {
+    if (!modesAvailable.length) return;
+    setSelectedMode((m) => (modesAvailable.includes(m) ? m : modesAvailable[0]));
+  }, [modesAvailable]);
+
+  const statsForMode = (entry) => entry?.statistics?.portfolio?.stats_by_mode?.[selectedMode] || null;
+
+  const equitySeries = useMemo(
+    () =>
+      loadedEntries
+        .map((entry) => {
+          const curve = extractEquityCurve(entry.statistics?.portfolio, selectedMode);
+          if (!curve?.length) return null;
+          const colorIndex = backtestIds.indexOf(entry.id);
+          return {
+            name: `#${entry.id} ${entry.backtest.name || ''}`.trim(),
+            data: equityPointsToApexData(curve),
+            color: chartTheme.series[Math.max(0, colorIndex) % chartTheme.series.length],
+            strokeWidth: 2,
+          };
+        })
+        .filter(Boolean),
+    [loadedEntries, backtestIds, selectedMode, chartTheme],
+  );
+
+  const setIds = (ids) => {
+    const next = new URLSearchParams(searchParams);
+    if (ids.length) next.set('backtests', ids.join(','));
+    else next.delete('backtests');
+    setSearchParams(next, { replace: true });
+  };
+
+  const handleAdd = () => {
+    const n = parseInt(pickerValue, 10);
+    if (!Number.isFinite(n) || backtestIds.includes(n)) return;
+    setIds([...backtestIds, n]);
+    setPickerValue('');
+  };
+
+  const handleRemove = (backtestId) => {
+    setIds(backtestIds.filter((b) => b !== backtestId));
+  };
+
+  const handleLoadMoreCandidates = async () => {
+    if (candidatesLoadingMore) return;
+    setCandidatesLoadingMore(true);
+    try {
+      const nextPage = candidatesPage + 1;
+      const backtestList = await getBacktests(nextPage, id);
+      const results = Array.isArray(backtestList?.results) ? backtestList.results : [];
+      setCandidates((prev) => [...prev, ...results.filter((b) => !prev.some((p) => p.id === b.id))]);
+      setCandidatesPage(nextPage);
+      setCandidatesHasMore(Boolean(backtestList?.next));
+    } catch {
+      setCandidatesHasMore(false);
+    } finally {
+      setCandidatesLoadingMore(false);
+    }
+  };
+
+  const pickerOptions = candidates.filter((b) => !backtestIds.includes(b.id));
+
+  if (strategyLoading) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="text-center py-8">Loading strategy...</div>
+      </div>
+    );
+  }
+
+  if (!strategy) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="text-center py-8">
+          <p className="text-ink-secondary">Strategy not found</p>
+          <button
+            onClick={goBack}
+            className="mt-4 px-4 py-2 bg-accent text-white rounded-lg hover:bg-accent-hover"
+          >
+            Back to Strategy
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const baseline = loadedEntries[0] || null;
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <nav className="mb-6 text-sm text-ink-secondary flex flex-wrap items-center gap-2">
+        <Link to="/strategies" className="hover:text-ink">Strategies</Link>
+        <span>→</span>
+        <Link to={`/strategies/${id}`} className="hover:text-ink">{strategy.name}</Link>
+        <span>→</span>
+        <span className="text-ink font-medium">Compare backtests</span>
+      </nav>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-ink mb-2 flex items-center gap-3">
+          <GitCompare className="w-7 h-7 shrink-0" />
+          Compare backtests
+        </h1>
+        <p className="text-sm text-ink-secondary">
+          Up to {MAX_COMPARED} portfolio backtests of {strategy.name}. Diffs are relative to the first backtest in the list.
+        </p>
+      </div>
+
+      {/* Backtest picker */}
+      <div className="mb-6 bg-surface rounded-lg shadow-lg p-4">
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          {backtestIds.map((backtestId, index) => {
+            const entry = entries.find((e) => e.id === backtestId);
+            return (
+              <span
+                key={backtestId}
+                className="inline-flex items-center gap-2 px-3 py-1 rounded-full text-sm bg-surface-sunken text-ink"
+              >
+                <span
+                  className="inline-block w-2.5 h-2.5 rounded-full"
+                  style={{ backgroundColor: chartTheme.series[index % chartTheme.series.length] }}
+                  aria-hidden="true"
+                />
+                <Link to={`/strategies/${id}/backtests/${backtestId}`} className="hover:underline">
+                  #{backtestId}
+                  {entry?.backtest?.name ? ` ${entry.backtest.name}` : ''}
+                </Link>
+                {index === 0 && <span className="text-xs text-ink-tertiary">(baseline)</span>}
+                <button
+                  type="button"
+                  onClick={() => handleRemove(backtestId)}
+                  className="text-ink-tertiary hover:text-ink-secondary"
+                  title="Remove from comparison"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </span>
+            );
+          })}
+        </div>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <select
+            value={pickerValue}
+            onChange={(e) => setPickerValue(e.target.value)}
+            disabled={backtestIds.length >= MAX_COMPARED || pickerOptions.length === 0}
+            className="flex-1 px-3 py-3 border border-border-strong rounded-lg bg-surface focus:ring-2 focus:ring-accent focus:border-transparent"
+          >
+            <option value="">
+              {pickerOptions.length === 0 ? 'No other backtests for this strategy' : 'Select a backtest to add…'}
+            </option>
+            {pickerOptions.map((b) => (
+              <option key={b.id} value={b.id}>
+                #{b.id} {b.name || ''} ({b.status})
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={handleAdd}
+            disabled={!pickerValue || backtestIds.length >= MAX_COMPARED}
+            className="inline-flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-accent text-white font-medium disabled:opacity-50 disabled:cursor-not-allowed min-h-[44px]"
+          >
+            <Plus className="w-4 h-4" />
+            Add
+          </button>
+          {candidatesHasMore && (
+            <button
+              type="button"
+              onClick={handleLoadMoreCandidates}
+              disabled={candidatesLoadingMore}
+              className="inline-flex items-center justify-center gap-2 px-4 py-2 rounded-lg bg-surface-sunken text-ink-secondary font-medium hover:text-ink disabled:opacity-50 disabled:cursor-not-allowed min-h-[44px]"
+              title="Load older backtests into the list"
+            >
+              {candidatesLoadingMore && <Loader className="w-4 h-4 animate-spin" />}
+              Load older
+            </button>
+          )}
+        </div>
+      </div>
+
+      {backtestIds.length === 0 ? (
+        <div className="text-center py-12 bg-surface rounded-lg shadow">
+          <p className="text-ink-secondary">Pick at least two backtests above to compare them.</p>
+        </div>
+      ) : entriesLoading ? (
+        <div className="text-center py-12">
+          <Loader className="w-8 h-8 animate-spin mx-auto text-accent" />
+          <p className="text-ink-secondary mt-4">Loading backtests…</p>
+        </div>
+      ) : (
+        <>
+          {entries.some((e) => e.error) && (
+            <div className="mb-6 p-3 bg-loss-soft border-l-4 border-red-400 rounded">
+              {entries
+                .filter((e) => e.error)
+                .map((e) => (
+                  <p key={e.id} className="text-sm text-loss-ink">
+                    <strong>#{e.id}:</strong> {e.error}
+                  </p>
+                ))}
+            </div>
+          )}
+
+          {/* Mode Selector */}
+          {modesAvailable.length > 1 && (
+            <div className="mb-6 bg-surface rounded-lg shadow-lg p-4">
+              <h2 className="text-lg font-bold text-ink mb-3">Position Mode</h2>
+              <div className="flex gap-3">
+                {modesAvailable.map((mode) => (
+                  <button
+                    key={mode}
+                    type="button"
+                    onClick={() => setSelectedMode(mode)}
+                    className={`px-4 py-2 rounded-lg font-medium transition-colors capitalize ${
+                      selectedMode === mode
+                        ? 'bg-accent text-white'
+                        : 'bg-surface-sunken text-ink-secondary hover:bg-surface-sunken'
+                    }`}
+                  >
+                    {mode.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Key stats with per-metric diffs */}
+          {loadedEntries.length > 0 && (
+            <div className="mb-6 bg-surface rounded-lg shadow-lg p-6">
+              <h2 className="text-xl font-bold text-ink mb-4">
+                Key statistics ({selectedMode.toUpperCase()})
+              </h2>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-border">
+                  <thead className="bg-bg">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-ink-tertiary uppercase">Metric</th>
+                      {loadedEntries.map((entry) => (
+                        <th key={entry.id} className="px-4 py-3 text-left text-xs font-medium text-ink-tertiary uppercase">
+                          #{entry.id}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-surface divide-y divide-border">
+                    {COMPARE_METRICS.map((metric) => {
+                      const baseValue = statsForMode(baseline)?.[metric.key];
+                      return (
+                        <tr key={metric.key} className="hover:bg-bg">
+                          <td className="px-4 py-3 text-sm font-medium text-ink">{metric.label}</td>
+                          {loadedEntries.map((entry, index) => {
+                            const value = statsForMode(entry)?.[metric.key];
+                            const diff = index > 0 ? metricDiff(metric, value, baseValue) : null;
+                            return (
+                              <td key={entry.id} className="px-4 py-3 text-sm text-ink font-mono tabular-nums">
+                                <div>{formatMetric(metric.kind, value)}</div>
+                                {diff && (
+                                  <div
+                                    className={`text-xs ${
+                                      diff.tone === 'better'
+                                        ? 'text-profit'
+                                        : diff.tone === 'worse'
+                                          ? 'text-loss'
+                                          : 'text-ink-tertiary'
+                                    }`}
+                                  >
+                                    {formatDiff(metric.kind, diff.diff)}
+                                    {diff.tone === 'better' ? ' ▲' : diff.tone === 'worse' ? ' ▼' : ''}
+                                  </div>
+                                )}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Overlaid equity curves */}
+          <div className="mb-6 bg-surface rounded-lg shadow-lg p-6">
+            <h2 className="text-xl font-bold text-ink mb-4">
+              Equity Curves ({selectedMode.toUpperCase()})
+            </h2>
+            <ApexEquityChart series={equitySeries} height={400} />
+          </div>
+
+          {/* Parameters side by side */}
+          {loadedEntries.length > 0 && (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-x-6">
+              {loadedEntries.map((entry) => (
+                <BacktestParametersPanel
+                  key={entry.id}
+                  backtest={entry.backtest}
+                  title={`#${entry.id} parameters`}
+                />
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
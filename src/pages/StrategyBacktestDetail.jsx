@@ -7,7 +7,7 @@
 import { useParams, Link } from 'react-router-dom';
 import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import { motion } from 'framer-motion';
-import { TrendingUp, TrendingDown, BarChart3, Loader, ChevronLeft, ChevronRight, Search, List } from 'lucide-react';
+import { TrendingUp, TrendingDown, BarChart3, Loader, ChevronLeft, ChevronRight, Search, List, GitCompare } from 'lucide-react';
 import { useNavigateBack } from '../lib/navigation';
 import { getStrategy } from '../data/strategies';
 import {
@@ -21,6 +21,7 @@ import { marketDataAPI } from '../data/api';
 import StatisticsCard from '../components/StatisticsCard';
 import { getChartTheme } from '../lib/chartTheme';
 import ApexEquityChart, { equityPointsToApexData } from '../components/charts/ApexEquityChart';
+import BacktestAnalyticsCharts from '../components/charts/BacktestAnalyticsCharts';
 import TaskProgress from '../components/TaskProgress';
 import TopPerformersChart from '../components/TopPerformersChart';
 import { buildChronologicalTradeTableRows } from '../utils/chronologicalTradeTableRows';
@@ -36,43 +37,16 @@ import {
   HedgeTradePnlBodyCells,
 } from '../components/BacktestHedgeTradeTableCols';
 import BacktestParametersPanel from '../components/BacktestParametersPanel';
+import TradeSubsetMetrics, { EMPTY_TRADE_FILTERS, hasTradeFilters } from '../components/TradeSubsetMetrics';
+import { filterTrades } from '../utils/tradeMetrics';
 import PortfolioVarianceSection from '../components/PortfolioVarianceSection';
 import SymbolCard from '../components/SymbolCard';
 import { positionModesAvailable, positionModeRunLabel, monteCarloPositionMode } from '../utils/backtestPositionMode';
-
-function extractEquityCurve(portfolioOrSymbol, mode) {
-  if (!portfolioOrSymbol) return null;
-
-  const statsByMode = portfolioOrSymbol.stats_by_mode || {};
-  const modeStats = statsByMode[mode];
-  if (!modeStats) return null;
-
-  if (modeStats.equity_curve_x && modeStats.equity_curve_y) {
-    const x = modeStats.equity_curve_x;
-    const y = modeStats.equity_curve_y;
-    if (x.length === 0 || y.length === 0) return null;
-    return x
-      .map((timestamp, index) => ({ timestamp, equity: y[index] }))
-      .filter((point) => point.timestamp && point.equity !== null && point.equity !== undefined);
-  }
-
-  if (modeStats.equity_curve && Array.isArray(modeStats.equity_curve)) {
-    return modeStats.equity_curve.filter(
-      (point) => point && point.timestamp && point.equity !== null && point.equity !== undefined,
-    );
-  }
-
-  if (mode === 'long') {
-    const x = portfolioOrSymbol.equity_curve_x || [];
-    const y = portfolioOrSymbol.equity_curve_y || [];
-    if (x.length === 0 || y.length === 0) return null;
-    return x
-      .map((timestamp, index) => ({ timestamp, equity: y[index] }))
-      .filter((point) => point.timestamp && point.equity !== null && point.equity !== undefined);
-  }
-
-  return null;
-}
+import { extractEquityCurve } from '../utils/backtestEquityCurve';
+import { backtestTestStart } from '../utils/walkForward';
+import { useBenchmarkBars, DEFAULT_BENCHMARK } from '../hooks/useBenchmarkBars';
+import { benchmarkEquityCurve, relativeMetrics } from '../utils/benchmarkMetrics';
+import BenchmarkComparison from '../components/BenchmarkComparison';
 
 export default function StrategyBacktestDetail() {
   const chartTheme = getChartTheme();
@@ -89,6 +63,9 @@ export default function StrategyBacktestDetail() {
   const [taskId, setTaskId] = useState(null);
   const [showTaskProgress, setShowTaskProgress] = useState(false);
   const [tradesPage, setTradesPage] = useState(1);
+  const [tradeFilters, setTradeFilters] = useState(EMPTY_TRADE_FILTERS);
+  /** Every trade of the current backtest / symbol / mode, fetched once while filters are active */
+  const [allTradesForFilters, setAllTradesForFilters] = useState(null); // { key, trades }
   const [tradesPageInput, setTradesPageInput] = useState('1');
   const pollingIntervalRef = useRef(null);
   const [exportingTrades, setExportingTrades] = useState(false);
@@ -104,6 +81,7 @@ export default function StrategyBacktestDetail() {
   /** All trades for current mode — used to rebuild top/worst performers without symbol-level BacktestStatistics rows */
   const [performerTrades, setPerformerTrades] = useState([]);
   const [performerTradesLoading, setPerformerTradesLoading] = useState(false);
+  const [benchmarkTicker, setBenchmarkTicker] = useState(DEFAULT_BENCHMARK);
 
   useEffect(() => {
     loadData();
@@ -141,9 +119,13 @@ export default function StrategyBacktestDetail() {
 
   // Trades are loaded once in loadData, then filtered client-side
 
-  // Load trades with server-side pagination and filtering
+  const filtersActive = hasTradeFilters(tradeFilters);
+  const allTradesKey = `${backtestId}:${selectedSymbol || ''}:${selectedMode}`;
+  const loadedAllTradesKey = allTradesForFilters?.key;
+
+  // Load trades with server-side pagination (no filters)
   useEffect(() => {
-    if (!backtestId) return;
+    if (!backtestId || filtersActive) return;
     
     const loadTrades = async () => {
       setTradesLoading(true);
@@ -158,7 +140,46 @@ export default function StrategyBacktestDetail() {
     };
     
     loadTrades();
-  }, [backtestId, tradesPage, selectedSymbol, selectedMode]);
+  }, [backtestId, tradesPage, selectedSymbol, selectedMode, filtersActive]);
+
+  // Date range / outcome filters aren't server-side: fetch the full list once and filter / page it here
+  useEffect(() => {
+    if (!backtestId || !filtersActive || loadedAllTradesKey === allTradesKey) return undefined;
+    let cancelled = false;
+    (async () => {
+      setTradesLoading(true);
+      try {
+        const all = await getAllBacktestTrades(backtestId, selectedSymbol || null, selectedMode);
+        if (!cancelled) setAllTradesForFilters({ key: allTradesKey, trades: Array.isArray(all) ? all : [] });
+      } catch {
+        if (!cancelled) setAllTradesForFilters({ key: allTradesKey, trades: [] });
+      } finally {
+        if (!cancelled) setTradesLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [backtestId, selectedSymbol, selectedMode, filtersActive, allTradesKey, loadedAllTradesKey]);
+
+  /** Full filtered list while filters are active (the table then paginates client-side) */
+  const filteredAllTrades = useMemo(
+    () => (filtersActive && allTradesForFilters?.key === allTradesKey
+      ? filterTrades(allTradesForFilters.trades, tradeFilters)
+      : null),
+    [filtersActive, allTradesForFilters, allTradesKey, tradeFilters]
+  );
+
+  useEffect(() => {
+    if (!filteredAllTrades) return;
+    const start = (tradesPage - 1) * 20;
+    setTrades({
+      results: filteredAllTrades.slice(start, start + 20),
+      count: filteredAllTrades.length,
+      next: start + 20 < filteredAllTrades.length ? 'client' : null,
+      previous: tradesPage > 1 ? 'client' : null,
+    });
+  }, [filteredAllTrades, tradesPage]);
 
   useEffect(() => {
     setSymbolPage(1);
@@ -395,6 +416,14 @@ export default function StrategyBacktestDetail() {
     return extractEquityCurve(portfolioOrSymbol, selectedMode);
   }, [selectedSymbol, selectedMode, statistics]);
 
+  /** Trade count of the current view before date / outcome filters (from backend statistics) */
+  const unfilteredTradesCount = useMemo(() => {
+    const portfolioOrSymbol = selectedSymbol
+      ? statistics.symbols?.find((s) => s.symbol_ticker === selectedSymbol)
+      : statistics.portfolio;
+    return portfolioOrSymbol?.stats_by_mode?.[selectedMode]?.total_trades ?? null;
+  }, [selectedSymbol, selectedMode, statistics]);
+
   /** Same mode as order-variance backend (long when available) */
   const equityCurveForMonteCarlo = useMemo(() => {
     if (!statistics.portfolio || !backtest) return null;
@@ -463,6 +492,39 @@ export default function StrategyBacktestDetail() {
     return data.length > 1 ? data : null;
   }, [selectedSymbol, selectedMode, statistics?.portfolio, statistics?.symbols]);
 
+  /** Train/test boundary in ms, only when the backtest actually has a test segment */
+  const splitAt = useMemo(() => {
+    const ratio = Number(backtest?.split_ratio);
+    if (!(ratio > 0 && ratio < 1)) return null;
+    return backtestTestStart(backtest)?.getTime() ?? null;
+  }, [backtest]);
+
+  const primaryEquityPoints = useMemo(
+    () => equityPointsToApexData(equityCurveForMode),
+    [equityCurveForMode],
+  );
+
+  /** User-picked benchmark from stored daily OHLCV, over the primary equity series' window */
+  const benchmarkWindow = primaryEquityPoints.length > 1
+    ? [
+        new Date(primaryEquityPoints[0].x).toISOString().slice(0, 10),
+        new Date(primaryEquityPoints[primaryEquityPoints.length - 1].x).toISOString().slice(0, 10),
+      ]
+    : [null, null];
+  const { bars: benchmarkBars, loading: benchmarkLoading } = useBenchmarkBars(
+    benchmarkTicker,
+    benchmarkWindow[0],
+    benchmarkWindow[1],
+  );
+  const benchmarkOverlay = useMemo(
+    () => benchmarkEquityCurve(benchmarkBars, primaryEquityPoints),
+    [benchmarkBars, primaryEquityPoints],
+  );
+  const benchmarkMetrics = useMemo(
+    () => relativeMetrics(primaryEquityPoints, benchmarkBars),
+    [primaryEquityPoints, benchmarkBars],
+  );
+
   const equityChartSeries = useMemo(() => {
     if (!equityCurveForMode?.length) return [];
     const hedgedLabel =
@@ -473,7 +535,7 @@ export default function StrategyBacktestDetail() {
           : 'Portfolio';
     const series = [{
       name: hedgedLabel,
-      data: equityPointsToApexData(equityCurveForMode),
+      data: primaryEquityPoints,
       color: chartTheme.accent,
       strokeWidth: 2,
     }];
@@ -485,7 +547,8 @@ export default function StrategyBacktestDetail() {
         strokeWidth: 2,
       });
     }
-    if (benchmarkSeriesForChart) {
+    // The picked benchmark replaces the backend S&P 500 series (the default SPY would draw it twice).
+    if (benchmarkSeriesForChart && benchmarkOverlay.length <= 1) {
       series.push({
         name: 'S&P 500 (buy & hold)',
         data: benchmarkSeriesForChart,
@@ -493,11 +556,22 @@ export default function StrategyBacktestDetail() {
         strokeWidth: 2,
       });
     }
+    if (benchmarkOverlay.length > 1) {
+      series.push({
+        name: `${benchmarkTicker} (normalized)`,
+        data: benchmarkOverlay,
+        color: chartTheme.series[4],
+        strokeWidth: 1.5,
+      });
+    }
     return series;
   }, [
     equityCurveForMode,
+    primaryEquityPoints,
     strategyOnlySeriesForChart,
     benchmarkSeriesForChart,
+    benchmarkOverlay,
+    benchmarkTicker,
     backtest?.hedge_enabled,
     selectedSymbol,
     chartTheme,
@@ -581,9 +655,19 @@ export default function StrategyBacktestDetail() {
       </nav>
 
       <div className="mb-6">
-        <h1 className="text-3xl font-bold text-ink mb-2">
-          {backtest.name || `${strategy.name} - Backtest #${backtest.id}`}
-        </h1>
+        <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between mb-2">
+          <h1 className="text-3xl font-bold text-ink">
+            {backtest.name || `${strategy.name} - Backtest #${backtest.id}`}
+          </h1>
+          <button
+            type="button"
+            onClick={() => navigateWithReturn(`/strategies/${id}/compare?backtests=${backtestId}`)}
+            className="inline-flex items-center justify-center gap-2 px-3 py-2 text-sm rounded-lg border border-border-strong text-ink bg-surface hover:bg-surface-sunken min-h-[44px] shrink-0"
+          >
+            <GitCompare className="w-4 h-4" />
+            Compare
+          </button>
+        </div>
         <div className="flex items-center gap-4 text-sm text-ink-secondary">
           <span>Strategy: {strategy.name}</span>
           <span>•</span>
@@ -1033,7 +1117,7 @@ export default function StrategyBacktestDetail() {
           {backtest.hedge_enabled && strategyOnlySeriesForChart && (
             <p className="text-sm text-ink-secondary mb-3">
               Blue = strategy + VIX sleeve; slate = strategy-only baseline
-              {!selectedSymbol ? '; orange = S&P 500 buy-and-hold (if available)' : ''}.
+              {!selectedSymbol && benchmarkOverlay.length <= 1 ? '; orange = S&P 500 buy-and-hold (if available)' : ''}.
             </p>
           )}
           {benchmarkErrorPortfolio && !benchmarkSeriesForChart && (
@@ -1045,10 +1129,27 @@ export default function StrategyBacktestDetail() {
             series={equityChartSeries}
             height={400}
             initialCapital={backtest?.initial_capital ? Number(backtest.initial_capital) : null}
+            splitAt={splitAt}
+          />
+          <BenchmarkComparison
+            ticker={benchmarkTicker}
+            onTickerChange={setBenchmarkTicker}
+            loading={benchmarkLoading}
+            hasBars={benchmarkOverlay.length > 1}
+            metrics={benchmarkMetrics}
           />
         </div>
       )}
 
+      {/* Drawdown, rolling metrics and monthly returns of the primary equity series */}
+      {equityChartSeries.length > 0 && (
+        <BacktestAnalyticsCharts
+          points={equityChartSeries[0].data}
+          splitAt={splitAt}
+          label={`${selectedSymbol || 'Portfolio'} · ${selectedMode.toUpperCase()}`}
+        />
+      )}
+
       {/* Trades Table with Pagination */}
       <div className="bg-surface rounded-lg shadow-lg p-6">
         <div className="flex flex-col gap-4 sm:flex-row sm:items-start sm:justify-between mb-4">
@@ -1065,6 +1166,18 @@ export default function StrategyBacktestDetail() {
           />
         </div>
 
+        <TradeSubsetMetrics
+          trades={filteredAllTrades || []}
+          loading={filtersActive && !filteredAllTrades}
+          totalCount={unfilteredTradesCount ?? totalTradesCount}
+          filters={tradeFilters}
+          onChange={(next) => {
+            setTradeFilters(next);
+            setTradesPage(1);
+          }}
+          initialCapital={backtest?.initial_capital ? Number(backtest.initial_capital) : undefined}
+        />
+
         {tradesLoading ? (
           <div className="text-center py-12">
             <Loader className="w-8 h-8 animate-spin mx-auto text-accent" />
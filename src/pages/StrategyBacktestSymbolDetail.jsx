@@ -34,7 +34,14 @@ import {
   HedgeTradePnlBodyCells,
 } from '../components/BacktestHedgeTradeTableCols';
 import BacktestParametersPanel from '../components/BacktestParametersPanel';
+import TradeSubsetMetrics, { EMPTY_TRADE_FILTERS } from '../components/TradeSubsetMetrics';
+import TradeAnalyticsCharts from '../components/charts/TradeAnalyticsCharts';
+import { filterTrades } from '../utils/tradeMetrics';
 import { useNavigateBack } from '../lib/navigation';
+import { getChartTheme } from '../lib/chartTheme';
+import { useBenchmarkBars, DEFAULT_BENCHMARK } from '../hooks/useBenchmarkBars';
+import { benchmarkEquityCurve, relativeMetrics } from '../utils/benchmarkMetrics';
+import BenchmarkComparison from '../components/BenchmarkComparison';
 
 export default function StrategyBacktestSymbolDetail({
   embeddedBacktestId = null,
@@ -72,7 +79,13 @@ export default function StrategyBacktestSymbolDetail({
   const [loading, setLoading] = useState(true);
   const [positionModeTab, setPositionModeTab] = useState('long'); // 'long', 'short'
   const [currentPage, setCurrentPage] = useState(1);
+  const [tradeFilters, setTradeFilters] = useState(EMPTY_TRADE_FILTERS);
+  const [historyView, setHistoryView] = useState('trades'); // 'trades', 'analytics'
+  const [focusedTradeId, setFocusedTradeId] = useState(null); // trade picked on the price chart
+  /** Trades of every position mode for the analytics view (long vs short needs both); null until loaded */
+  const [allModeTrades, setAllModeTrades] = useState(null);
   const [exportingSymbolTrades, setExportingSymbolTrades] = useState(false);
+  const [benchmarkTicker, setBenchmarkTicker] = useState(DEFAULT_BENCHMARK);
 
   const loadData = useCallback(async () => {
     setLoading(true);
@@ -171,6 +184,31 @@ export default function StrategyBacktestSymbolDetail({
     reloadTradesForMode();
   }, [positionModeTab, backtestId, runId, isSymbolRun, ticker]);
 
+  useEffect(() => {
+    setAllModeTrades(null);
+  }, [backtestId, runId, isSymbolRun, ticker]);
+
+  useEffect(() => {
+    if (historyView !== 'analytics' || allModeTrades) return undefined;
+    const idToUse = isSymbolRun ? runId : backtestId;
+    if (!idToUse || !ticker) return undefined;
+    let cancelled = false;
+    (async () => {
+      try {
+        const rows = isSymbolRun
+          ? await getAllSymbolRunTrades(idToUse, ticker, null)
+          : await getAllBacktestTrades(idToUse, ticker, null);
+        if (!cancelled) setAllModeTrades(Array.isArray(rows) ? rows : []);
+      } catch (tradeError) {
+        console.error('Error loading trades for analytics:', tradeError);
+        if (!cancelled) setAllModeTrades([]);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [historyView, allModeTrades, backtestId, runId, isSymbolRun, ticker]);
+
   // Update current page when searchParams change (for client-side pagination)
   useEffect(() => {
     const page = parseInt(searchParams.get('page') || '1');
@@ -272,6 +310,56 @@ export default function StrategyBacktestSymbolDetail({
     return data.length > 1 ? data : null;
   }, [backtest?.hedge_enabled, currentStats]);
 
+  /** Equity curve of the current mode: equity_curve_x/y arrays, else the equity_curve point list */
+  const equityCurveData = useMemo(() => {
+    const equityCurveX = currentStats?.equity_curve_x || [];
+    const equityCurveY = currentStats?.equity_curve_y || [];
+    if (equityCurveX.length > 0 && equityCurveY.length > 0) {
+      return equityCurveX.map((timestamp, index) => ({
+        x: new Date(timestamp).getTime(),
+        y: parseFloat(equityCurveY[index] || 0),
+      })).filter(point => !isNaN(point.x) && !isNaN(point.y));
+    }
+    if (currentStats?.equity_curve && Array.isArray(currentStats.equity_curve)) {
+      return currentStats.equity_curve
+        .filter(point => point && point.timestamp && point.equity !== null && point.equity !== undefined)
+        .map(point => {
+          const timestamp = new Date(point.timestamp).getTime();
+          const equity = parseFloat(point.equity);
+          if (isNaN(timestamp) || isNaN(equity)) {
+            return null;
+          }
+          return {
+            x: timestamp,
+            y: equity,
+          };
+        })
+        .filter(point => point !== null);
+    }
+    return [];
+  }, [currentStats]);
+
+  /** User-picked benchmark from stored daily OHLCV, over the equity curve's window */
+  const benchmarkWindow = equityCurveData.length > 1
+    ? [
+        new Date(equityCurveData[0].x).toISOString().slice(0, 10),
+        new Date(equityCurveData[equityCurveData.length - 1].x).toISOString().slice(0, 10),
+      ]
+    : [null, null];
+  const { bars: benchmarkBars, loading: benchmarkLoading } = useBenchmarkBars(
+    benchmarkTicker,
+    benchmarkWindow[0],
+    benchmarkWindow[1],
+  );
+  const benchmarkOverlay = useMemo(
+    () => benchmarkEquityCurve(benchmarkBars, equityCurveData),
+    [benchmarkBars, equityCurveData],
+  );
+  const benchmarkMetrics = useMemo(
+    () => relativeMetrics(equityCurveData, benchmarkBars),
+    [equityCurveData, benchmarkBars],
+  );
+
   const allFilteredTrades = useMemo(() => {
     return allTrades.filter(trade => {
       const metadata = trade.metadata || {};
@@ -291,19 +379,67 @@ export default function StrategyBacktestSymbolDetail({
     });
   }, [allTrades, positionModeTab]);
 
+  /** Mode trades narrowed by the table's date range / outcome filters (the chart keeps all of them) */
+  const tableTrades = useMemo(
+    () => filterTrades(allFilteredTrades, tradeFilters),
+    [allFilteredTrades, tradeFilters]
+  );
+
+  /** Analytics cover both sides, narrowed by the same date range / outcome filters as the table */
+  const analyticsTrades = useMemo(
+    () => filterTrades(allModeTrades || [], tradeFilters),
+    [allModeTrades, tradeFilters]
+  );
+
+  /** Change the table page without dropping other query params (`?run=` when embedded in StrategySymbolDetail) */
+  const setPageParam = useCallback((page) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      next.set('page', String(page));
+      return next;
+    });
+  }, [setSearchParams]);
+
+  const handleTradeFiltersChange = (next) => {
+    setTradeFilters(next);
+    if (currentPage !== 1) setPageParam(1);
+  };
+
+  /** Chart marker click: open the table page holding that trade (clearing filters that hide it) */
+  const handleSignalClick = useCallback((signal) => {
+    let rows = tableTrades;
+    if (!rows.some((t) => t.id === signal.tradeId)) {
+      rows = allFilteredTrades;
+      setTradeFilters(EMPTY_TRADE_FILTERS);
+    }
+    const index = rows.findIndex((t) => t.id === signal.tradeId);
+    if (index < 0) return;
+    const page = Math.floor(index / 20) + 1;
+    setHistoryView('trades');
+    if (page !== currentPage) setPageParam(page);
+    setFocusedTradeId(signal.tradeId);
+  }, [tableTrades, allFilteredTrades, currentPage, setPageParam]);
+
   // Client-side pagination for table (20 items per page)
   const filteredTrades = useMemo(() => {
     const itemsPerPage = 20;
     const startIndex = (currentPage - 1) * itemsPerPage;
     const endIndex = startIndex + itemsPerPage;
-    return allFilteredTrades.slice(startIndex, endIndex);
-  }, [allFilteredTrades, currentPage]);
+    return tableTrades.slice(startIndex, endIndex);
+  }, [tableTrades, currentPage]);
 
   const chronologicalSymbolTradeRows = useMemo(
     () => buildChronologicalTradeTableRows(filteredTrades),
     [filteredTrades]
   );
 
+  // Bring the trade picked on the chart into view once its page has rendered
+  useEffect(() => {
+    if (focusedTradeId == null || historyView !== 'trades') return;
+    const row = document.querySelector(`[data-trade-id="${focusedTradeId}"]`);
+    if (row) row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [focusedTradeId, historyView, filteredTrades]);
+
   const handleExportSymbolTradesCsv = async () => {
     setExportingSymbolTrades(true);
     try {
@@ -349,7 +485,7 @@ export default function StrategyBacktestSymbolDetail({
   };
 
   // Calculate pagination info for client-side pagination
-  const totalFilteredCount = allFilteredTrades.length;
+  const totalFilteredCount = tableTrades.length;
   const itemsPerPage = 20;
   const totalPages = Math.ceil(totalFilteredCount / itemsPerPage);
   const hasNextPage = currentPage < totalPages;
@@ -414,6 +550,12 @@ export default function StrategyBacktestSymbolDetail({
       // Determine position type exactly as in datatable
       const positionType = trade.trade_type === 'buy' ? 'Long' : 'Short';
       const isLong = trade.trade_type === 'buy';
+      // Trade-level details for the marker hover card
+      const details = {
+        tradeId: trade.id,
+        pnl: trade.pnl == null ? null : parseFloat(trade.pnl),
+        pnlPct: trade.pnl_percentage == null ? null : parseFloat(trade.pnl_percentage),
+      };
 
       // Entry signal
       if (trade.entry_timestamp && trade.entry_price) {
@@ -426,7 +568,7 @@ export default function StrategyBacktestSymbolDetail({
             type: 'entry',
             positionType: isLong ? 'long' : 'short', // lowercase for chart component
             signal: positionType, // 'Long' or 'Short' for display
-            tradeId: trade.id,
+            ...details,
           });
         }
       }
@@ -442,7 +584,8 @@ export default function StrategyBacktestSymbolDetail({
             type: 'exit',
             positionType: isLong ? 'long' : 'short', // lowercase for chart component
             signal: 'Exit',
-            tradeId: trade.id,
+            exitReason: trade.metadata?.exit_reason || null,
+            ...details,
           });
         }
       }
@@ -942,42 +1085,15 @@ export default function StrategyBacktestSymbolDetail({
 
       {/* Equity Curve Chart */}
       {(() => {
-        // Get equity curve data from stats_by_mode structure
-        // Backend provides equity_curve_x and equity_curve_y arrays
-        const equityCurveX = currentStats?.equity_curve_x || [];
-        const equityCurveY = currentStats?.equity_curve_y || [];
-
-        // Fallback: if x/y arrays not available, try equity_curve array
-        let equityCurveData = [];
-        if (equityCurveX.length > 0 && equityCurveY.length > 0) {
-          equityCurveData = equityCurveX.map((timestamp, index) => ({
-            x: new Date(timestamp).getTime(),
-            y: parseFloat(equityCurveY[index] || 0),
-          })).filter(point => !isNaN(point.x) && !isNaN(point.y));
-        } else if (currentStats?.equity_curve && Array.isArray(currentStats.equity_curve)) {
-          equityCurveData = currentStats.equity_curve
-            .filter(point => point && point.timestamp && point.equity !== null && point.equity !== undefined)
-            .map(point => {
-              const timestamp = new Date(point.timestamp).getTime();
-              const equity = parseFloat(point.equity);
-              if (isNaN(timestamp) || isNaN(equity)) {
-                return null;
-              }
-              return {
-                x: timestamp,
-                y: equity,
-              };
-            })
-            .filter(point => point !== null);
-        }
-        
         if (equityCurveData.length === 0) {
           return null;
         }
 
-        const nSeries = 1 + (strategyOnlySeriesForChart ? 1 : 0);
+        const hasBenchmarkOverlay = benchmarkOverlay.length > 1;
+        const nSeries = 1 + (strategyOnlySeriesForChart ? 1 : 0) + (hasBenchmarkOverlay ? 1 : 0);
         const colors = ['#3B82F6'];
         if (strategyOnlySeriesForChart) colors.push('#64748B');
+        if (hasBenchmarkOverlay) colors.push(getChartTheme().series[4]);
         
         return (
           <div className="mb-6 bg-surface rounded-lg shadow-lg p-6">
@@ -1023,11 +1139,21 @@ export default function StrategyBacktestSymbolDetail({
                 if (strategyOnlySeriesForChart) {
                   out.push({ name: 'Strategy only', data: strategyOnlySeriesForChart });
                 }
+                if (hasBenchmarkOverlay) {
+                  out.push({ name: `${benchmarkTicker} (normalized)`, data: benchmarkOverlay });
+                }
                 return out;
               })()}
               type="line"
               height={350}
             />
+            <BenchmarkComparison
+              ticker={benchmarkTicker}
+              onTickerChange={setBenchmarkTicker}
+              loading={benchmarkLoading}
+              hasBars={hasBenchmarkOverlay}
+              metrics={benchmarkMetrics}
+            />
           </div>
         );
       })()}
@@ -1102,14 +1228,35 @@ export default function StrategyBacktestSymbolDetail({
           ticker={ticker}
           indicators={chartIndicators}
           signals={signals}
+          onSignalClick={handleSignalClick}
         />
       </div>
 
       {/* Trading History Datatable */}
-      {totalFilteredCount > 0 && (
+      {allFilteredTrades.length > 0 && (
         <div className="bg-surface rounded-lg shadow-lg p-6">
           <div className="flex flex-col gap-4 sm:flex-row sm:items-start sm:justify-between mb-4">
-            <h2 className="text-xl font-bold text-ink">Trading History ({positionModeTab.toUpperCase()})</h2>
+            <div className="flex flex-wrap items-center gap-4">
+              <h2 className="text-xl font-bold text-ink">
+                {historyView === 'analytics' ? 'Trade Analytics (ALL MODES)' : `Trading History (${positionModeTab.toUpperCase()})`}
+              </h2>
+              <div className="flex items-center gap-1 text-sm" role="group" aria-label="Trade view">
+                {[['trades', 'Trades'], ['analytics', 'Analytics']].map(([key, label]) => (
+                  <button
+                    key={key}
+                    type="button"
+                    onClick={() => setHistoryView(key)}
+                    className={`px-2.5 py-1 rounded border ${
+                      historyView === key
+                        ? 'bg-accent text-white border-accent'
+                        : 'border-border-strong text-ink-secondary hover:bg-bg'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
             <ExportTableToolbar
               onExportCsv={handleExportSymbolTradesCsv}
               onExportJson={handleExportSymbolTradesJson}
@@ -1120,7 +1267,20 @@ export default function StrategyBacktestSymbolDetail({
             />
           </div>
 
-          {totalFilteredCount > 0 && (
+          <TradeSubsetMetrics
+            trades={historyView === 'analytics' ? analyticsTrades : tableTrades}
+            loading={historyView === 'analytics' && allModeTrades == null}
+            totalCount={historyView === 'analytics' ? (allModeTrades || []).length : allFilteredTrades.length}
+            filters={tradeFilters}
+            onChange={handleTradeFiltersChange}
+            initialCapital={backtest?.initial_capital ? Number(backtest.initial_capital) : undefined}
+          />
+
+          {historyView === 'analytics' && (
+            <TradeAnalyticsCharts trades={analyticsTrades} loading={allModeTrades == null} />
+          )}
+
+          {historyView === 'trades' && totalFilteredCount > 0 && (
             <div className="mb-4 flex items-center justify-between">
               <div className="text-sm text-ink-secondary">
                 Found {totalFilteredCount} trade{totalFilteredCount !== 1 ? 's' : ''} ({positionModeTab.toUpperCase()})
@@ -1134,7 +1294,7 @@ export default function StrategyBacktestSymbolDetail({
                 <button
                   onClick={() => {
                     if (hasPreviousPage) {
-                      setSearchParams({ page: currentPage - 1 });
+                      setPageParam(currentPage - 1);
                     }
                   }}
                   disabled={!hasPreviousPage}
@@ -1149,7 +1309,7 @@ export default function StrategyBacktestSymbolDetail({
                 <button
                   onClick={() => {
                     if (hasNextPage) {
-                      setSearchParams({ page: currentPage + 1 });
+                      setPageParam(currentPage + 1);
                     }
                   }}
                   disabled={!hasNextPage}
@@ -1162,7 +1322,7 @@ export default function StrategyBacktestSymbolDetail({
             </div>
           )}
 
-          <div className="overflow-x-auto">
+          <div className={historyView === 'trades' ? 'overflow-x-auto' : 'hidden'}>
             <table className="min-w-full divide-y divide-border">
               <thead className="bg-bg">
                 <tr>
@@ -1203,7 +1363,11 @@ export default function StrategyBacktestSymbolDetail({
 
                   if (rowType === 'entry') {
                     return (
-                      <tr key={key} className="hover:bg-bg">
+                      <tr
+                        key={key}
+                        data-trade-id={trade.id}
+                        className={`hover:bg-bg ${trade.id === focusedTradeId ? 'ring-2 ring-inset ring-accent' : ''}`}
+                      >
                         <td className="px-4 py-3 text-sm text-ink">
                           {trade.entry_timestamp ? new Date(trade.entry_timestamp).toLocaleDateString('en-GB', { day: '2-digit', month: '2-digit', year: 'numeric' }) : 'N/A'}
                         </td>
@@ -1243,7 +1407,8 @@ export default function StrategyBacktestSymbolDetail({
                   return (
                     <tr
                       key={key}
-                      className={`hover:bg-bg ${trade.is_winner ? 'bg-profit-soft' : 'bg-loss-soft'}`}
+                      data-trade-id={trade.id}
+                      className={`hover:bg-bg ${trade.is_winner ? 'bg-profit-soft' : 'bg-loss-soft'} ${trade.id === focusedTradeId ? 'ring-2 ring-inset ring-accent' : ''}`}
                     >
                       <td className="px-4 py-3 text-sm text-ink">
                         {new Date(trade.exit_timestamp).toLocaleDateString('en-GB', { day: '2-digit', month: '2-digit', year: 'numeric' })}
@@ -14,6 +14,7 @@ import { getBacktest, getBacktestTrades, getBacktestStatisticsOptimized } from '
 import { motion } from 'framer-motion';
 import TaskProgress from '../components/TaskProgress';
 import StatisticsCard from '../components/StatisticsCard';
+import BacktestCorrelationPanel from '../components/BacktestCorrelationPanel';
 import Chart from 'react-apexcharts';
 import {
   HedgeQtySplitBodyCells,
@@ -578,6 +579,16 @@ export default function StrategyBacktestSymbols() {
         return null;
       })()}
 
+      {/* Return correlation across symbols */}
+      {backtest.status === 'completed' && symbols.length > 1 && (
+        <BacktestCorrelationPanel
+          backtestId={backtestId}
+          mode={portfolioStatsTab}
+          capital={Number(backtest.initial_capital) || 10000}
+          onSymbolClick={handleSymbolClick}
+        />
+      )}
+
       {/* Search Bar */}
       <div className="mb-6">
         <form onSubmit={(e) => e.preventDefault()} className="mb-4">
@@ -18,6 +18,7 @@ import {
   List,
   Search,
   Loader,
+  GitCompare,
 } from 'lucide-react';
 import {
   getStrategy,
@@ -35,6 +36,7 @@ import DeployStrategyModal from '../components/DeployStrategyModal';
 import PortfolioRunModal from '../components/PortfolioRunModal';
 import TaskProgress from '../components/TaskProgress';
 import BackButton from '../components/BackButton';
+import WalkForwardRunsPanel from '../components/WalkForwardRunsPanel';
 import { useNavigateBack } from '../lib/navigation';
 
 export default function StrategyDetail() {
@@ -219,6 +221,8 @@ export default function StrategyDetail() {
     return {
       initial_capital: portfolioBacktest.initial_capital,
       bet_size_percentage: portfolioBacktest.bet_size_percentage,
+      sizing_model: portfolioBacktest.sizing_model,
+      sizing_config: portfolioBacktest.sizing_config,
       split_ratio: portfolioBacktest.split_ratio,
       position_modes: portfolioBacktest.position_modes,
     };
@@ -332,6 +336,15 @@ export default function StrategyDetail() {
       }
       return;
     }
+    if (ctx?.runMode === 'parameter_sweep') {
+      riskScatterLoadedForRef.current = '';
+      refreshAllSnapshotPanels();
+      return;
+    }
+    if (ctx?.runMode === 'walk_forward' && ctx?.backtestIds?.length) {
+      navigateWithReturn(`/strategies/${id}/walk-forward?backtests=${ctx.backtestIds.join(',')}`);
+      return;
+    }
     if (ctx?.runMode === 'single_symbol' && ctx?.ticker && backtest?.id) {
       refreshAllSnapshotPanels();
       navigateWithReturn(`/strategies/${id}/${ctx.ticker}?run=${backtest.id}`);
@@ -439,9 +452,18 @@ export default function StrategyDetail() {
               defaultStrategyId={strategy.id}
               onBacktestCreated={handleStrategyBacktestCreated}
             />
+            <BacktestConfig
+              runMode="portfolio"
+              defaultValidation="walk_forward"
+              defaultStrategyId={strategy.id}
+              triggerLabel="Walk-forward"
+              onBacktestCreated={handleStrategyBacktestCreated}
+            />
           </div>
         </div>
 
+        <WalkForwardRunsPanel strategyId={strategy.id} onOpen={navigateWithReturn} />
+
         {/* Long Description */}
         {strategy.description_long && (
           <div className="mb-6">
@@ -620,6 +642,18 @@ export default function StrategyDetail() {
                     View results
                   </button>
                 )}
+                {portfolioBacktest?.id && (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      navigateWithReturn(`/strategies/${id}/compare?backtests=${portfolioBacktest.id}`)
+                    }
+                    className="inline-flex items-center justify-center gap-2 px-3 py-2 text-sm rounded-lg border border-border-strong text-ink bg-surface hover:bg-surface-sunken min-h-[44px]"
+                  >
+                    <GitCompare className="w-4 h-4" />
+                    Compare
+                  </button>
+                )}
                 <button
                   type="button"
                   onClick={() => setPortfolioModalOpen(true)}
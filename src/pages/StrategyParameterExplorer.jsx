@@ -0,0 +1,366 @@
+/**
+ * Strategy Parameter Explorer Page Component
+ * Heatmap of any metric over two strategy parameters, built from the stored single-symbol runs of one ticker
+ * (e.g. a parameter sweep). Remaining parameters are sliced; cells link to the matching run.
+ * URL: /strategies/:id/:ticker/explorer
+ */
+
+import { useParams, Link } from 'react-router-dom';
+import { useState, useEffect, useMemo } from 'react';
+import { Loader, Grid2x2 } from 'lucide-react';
+import { useNavigateBack } from '../lib/navigation';
+import { getChartTheme, hexToRgba } from '../lib/chartTheme';
+import { getStrategy, getStrategySymbolSnapshot } from '../data/strategies';
+import { getSymbolRunStatisticsOptimized } from '../data/backtests';
+import {
+  HEATMAP_METRICS,
+  SLICE_ANY,
+  buildParameterHeatmap,
+  cellKey,
+  heatmapIntensity,
+  varyingParameters,
+} from '../utils/parameterHeatmap';
+import { mapWithConcurrency } from '../utils/concurrency';
+
+/** Statistics are fetched per run; cap so a huge sweep does not fire thousands of requests. */
+const MAX_RUNS = 300;
+const FETCH_CONCURRENCY = 4;
+
+function formatParam(key) {
+  return key.replace(/_/g, ' ');
+}
+
+function formatCellValue(metric, value) {
+  if (value === null || value === undefined) return '—';
+  return metric.kind === 'percent' ? `${value.toFixed(1)}%` : value.toFixed(2);
+}
+
+export default function StrategyParameterExplorer() {
+  const chartTheme = getChartTheme();
+  const { id, ticker } = useParams();
+  const { goBack, navigateWithReturn } = useNavigateBack(`/strategies/${id}/${encodeURIComponent(ticker)}`);
+
+  const [strategy, setStrategy] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [progress, setProgress] = useState({ loaded: 0, total: 0 });
+  const [runPoints, setRunPoints] = useState([]);
+  const [truncated, setTruncated] = useState(false);
+  const [mode, setMode] = useState('long');
+  const [metricKey, setMetricKey] = useState('sharpe_ratio');
+  const [xKey, setXKey] = useState('');
+  const [yKey, setYKey] = useState('');
+  const [slice, setSlice] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      try {
+        const [strategyData, snapshot] = await Promise.all([
+          getStrategy(id),
+          getStrategySymbolSnapshot(id, ticker),
+        ]);
+        if (cancelled) return;
+        setStrategy(strategyData);
+        const completed = (snapshot?.runs || []).filter(
+          (r) => r.status === 'completed' && r.parameters?.strategy_parameters,
+        );
+        setTruncated(completed.length > MAX_RUNS);
+        const runs = completed.slice(0, MAX_RUNS);
+        setProgress({ loaded: 0, total: runs.length });
+        let loaded = 0;
+        const points = await mapWithConcurrency(runs, FETCH_CONCURRENCY, async (run) => {
+          const runId = run.run_id ?? run.id;
+          let statsByMode = null;
+          try {
+            const stats = await getSymbolRunStatisticsOptimized(runId);
+            const entry = (stats?.symbols || []).find((s) => s?.symbol_ticker === ticker) || stats?.portfolio;
+            statsByMode = entry?.stats_by_mode || null;
+          } catch (e) {
+            console.error(`Error loading statistics for run ${runId}:`, e);
+          }
+          loaded += 1;
+          if (!cancelled) setProgress({ loaded, total: runs.length });
+          return {
+            runId,
+            label: run.label || run.parameters?.name || `#${runId}`,
+            params: run.parameters.strategy_parameters,
+            statsByMode,
+          };
+        });
+        if (!cancelled) setRunPoints(points);
+      } catch (e) {
+        console.error('Error loading parameter explorer:', e);
+        if (!cancelled) {
+          setStrategy(null);
+          setRunPoints([]);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [id, ticker]);
+
+  const parameters = useMemo(() => varyingParameters(runPoints), [runPoints]);
+
+  // Default axes: first two varying parameters; keep choices valid when data changes
+  useEffect(() => {
+    const keys = parameters.map((p) => p.key);
+    setXKey((x) => (keys.includes(x) ? x : keys[0] || ''));
+    setYKey((y) => (keys.includes(y) ? y : keys[1] || keys[0] || ''));
+  }, [parameters]);
+
+  const sliceParameters = parameters.filter((p) => p.key !== xKey && p.key !== yKey);
+
+  const effectiveSlice = useMemo(() => {
+    const out = {};
+    parameters
+      .filter((p) => p.key !== xKey && p.key !== yKey)
+      .forEach((p) => {
+        const chosen = slice[p.key];
+        out[p.key] =
+          chosen === SLICE_ANY || p.values.some((v) => JSON.stringify(v) === JSON.stringify(chosen))
+            ? chosen
+            : p.values[0];
+      });
+    return out;
+  }, [parameters, xKey, yKey, slice]);
+
+  const metric = HEATMAP_METRICS.find((m) => m.key === metricKey) || HEATMAP_METRICS[0];
+
+  const heatmap = useMemo(() => {
+    if (!xKey || !yKey || xKey === yKey) return null;
+    const points = runPoints.map((p) => ({ runId: p.runId, params: p.params, metrics: p.statsByMode?.[mode] || null }));
+    return buildParameterHeatmap(points, { xKey, yKey, metric, slice: effectiveSlice });
+  }, [runPoints, xKey, yKey, metric, effectiveSlice, mode]);
+
+  const cellColor = (value) => {
+    const t = heatmapIntensity(metric, value, heatmap.worstScore, heatmap.bestScore);
+    if (t === null) return 'transparent';
+    return t >= 0.5
+      ? hexToRgba(chartTheme.profit, 0.15 + (t - 0.5) * 1.5)
+      : hexToRgba(chartTheme.loss, 0.15 + (0.5 - t) * 1.5);
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="text-center py-12">
+          <Loader className="w-8 h-8 animate-spin mx-auto text-accent" />
+          <p className="text-ink-secondary mt-4">
+            {progress.total ? `Loading run statistics… ${progress.loaded} / ${progress.total}` : 'Loading runs…'}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!strategy) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="text-center py-8">
+          <p className="text-ink-secondary">Strategy not found</p>
+          <button
+            onClick={goBack}
+            className="mt-4 px-4 py-2 bg-accent text-white rounded-lg hover:bg-accent-hover"
+          >
+            Back to Strategy
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const selectClass =
+    'px-3 py-2 border border-border-strong rounded-lg bg-surface text-sm focus:ring-2 focus:ring-accent focus:border-transparent';
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <nav className="mb-6 text-sm text-ink-secondary flex flex-wrap items-center gap-2">
+        <Link to="/strategies" className="hover:text-ink">Strategies</Link>
+        <span>→</span>
+        <Link to={`/strategies/${id}`} className="hover:text-ink">{strategy.name}</Link>
+        <span>→</span>
+        <Link to={`/strategies/${id}/${encodeURIComponent(ticker)}`} className="hover:text-ink">{ticker}</Link>
+        <span>→</span>
+        <span className="text-ink font-medium">Parameter explorer</span>
+      </nav>
+
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-ink mb-2 flex items-center gap-3">
+          <Grid2x2 className="w-7 h-7 shrink-0" />
+          Parameter explorer — {ticker}
+        </h1>
+        <p className="text-sm text-ink-secondary">
+          {runPoints.length} completed run{runPoints.length === 1 ? '' : 's'}
+          {truncated ? ` (first ${MAX_RUNS} only)` : ''}. When several runs fall into one cell the best one by the
+          selected metric is shown.
+        </p>
+      </div>
+
+      {parameters.length < 2 ? (
+        <div className="text-center py-12 bg-surface rounded-lg shadow">
+          <p className="text-ink-secondary">
+            Need runs that vary at least two strategy parameters. Start a parameter sweep from{' '}
+            <Link to={`/strategies/${id}/${encodeURIComponent(ticker)}`} className="text-accent hover:underline">
+              New run
+            </Link>
+            .
+          </p>
+        </div>
+      ) : (
+        <>
+          {/* Controls */}
+          <div className="mb-6 bg-surface rounded-lg shadow-lg p-4 space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+              <label className="text-sm">
+                <span className="block text-ink-secondary mb-1">X axis</span>
+                <select value={xKey} onChange={(e) => setXKey(e.target.value)} className={`w-full ${selectClass}`}>
+                  {parameters.map((p) => (
+                    <option key={p.key} value={p.key} disabled={p.key === yKey}>
+                      {formatParam(p.key)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm">
+                <span className="block text-ink-secondary mb-1">Y axis</span>
+                <select value={yKey} onChange={(e) => setYKey(e.target.value)} className={`w-full ${selectClass}`}>
+                  {parameters.map((p) => (
+                    <option key={p.key} value={p.key} disabled={p.key === xKey}>
+                      {formatParam(p.key)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm">
+                <span className="block text-ink-secondary mb-1">Colour by</span>
+                <select value={metricKey} onChange={(e) => setMetricKey(e.target.value)} className={`w-full ${selectClass}`}>
+                  {HEATMAP_METRICS.map((m) => (
+                    <option key={m.key} value={m.key}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <div className="text-sm">
+                <span className="block text-ink-secondary mb-1">Position mode</span>
+                <div className="flex gap-2">
+                  {['long', 'short'].map((m) => (
+                    <button
+                      key={m}
+                      type="button"
+                      onClick={() => setMode(m)}
+                      className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                        mode === m ? 'bg-accent text-white' : 'bg-surface-sunken text-ink-secondary'
+                      }`}
+                    >
+                      {m.toUpperCase()}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            {sliceParameters.length > 0 && (
+              <div className="pt-4 border-t border-border">
+                <p className="text-sm font-medium text-ink mb-2">Slice (other parameters)</p>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                  {sliceParameters.map((p) => (
+                    <label key={p.key} className="text-sm">
+                      <span className="block text-ink-secondary mb-1 capitalize">{formatParam(p.key)}</span>
+                      <select
+                        value={effectiveSlice[p.key] === SLICE_ANY ? SLICE_ANY : JSON.stringify(effectiveSlice[p.key])}
+                        onChange={(e) =>
+                          setSlice((prev) => ({
+                            ...prev,
+                            [p.key]: e.target.value === SLICE_ANY ? SLICE_ANY : JSON.parse(e.target.value),
+                          }))
+                        }
+                        className={`w-full ${selectClass}`}
+                      >
+                        {p.values.map((v) => (
+                          <option key={JSON.stringify(v)} value={JSON.stringify(v)}>
+                            {String(v)}
+                          </option>
+                        ))}
+                        <option value={SLICE_ANY}>Any (best)</option>
+                      </select>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Heatmap */}
+          <div className="mb-6 bg-surface rounded-lg shadow-lg p-6">
+            <h2 className="text-xl font-bold text-ink mb-4">
+              {metric.label} ({mode.toUpperCase()})
+            </h2>
+            {heatmap && heatmap.cells.size > 0 ? (
+              <div className="overflow-x-auto">
+                <table className="border-separate border-spacing-1 text-xs">
+                  <thead>
+                    <tr>
+                      <th className="px-2 py-1 text-right text-ink-tertiary font-medium whitespace-nowrap">
+                        {formatParam(yKey)} ↓ / {formatParam(xKey)} →
+                      </th>
+                      {heatmap.xValues.map((x) => (
+                        <th key={JSON.stringify(x)} className="px-2 py-1 text-ink-secondary font-medium font-mono">
+                          {String(x)}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {heatmap.yValues.map((y) => (
+                      <tr key={JSON.stringify(y)}>
+                        <th className="px-2 py-1 text-right text-ink-secondary font-medium font-mono">{String(y)}</th>
+                        {heatmap.xValues.map((x) => {
+                          const cell = heatmap.cells.get(cellKey(x, y));
+                          if (!cell) {
+                            return (
+                              <td
+                                key={JSON.stringify(x)}
+                                className="min-w-[64px] h-10 rounded bg-surface-sunken text-center text-ink-tertiary"
+                              >
+                                —
+                              </td>
+                            );
+                          }
+                          return (
+                            <td key={JSON.stringify(x)} className="p-0">
+                              <button
+                                type="button"
+                                onClick={() =>
+                                  navigateWithReturn(`/strategies/${id}/${encodeURIComponent(ticker)}?run=${cell.runId}`)
+                                }
+                                title={`${formatParam(xKey)} ${x}, ${formatParam(yKey)} ${y} — run #${cell.runId}${
+                                  cell.count > 1 ? ` (best of ${cell.count})` : ''
+                                }`}
+                                className="min-w-[64px] w-full h-10 rounded font-mono tabular-nums text-ink hover:ring-2 hover:ring-accent"
+                                style={{ backgroundColor: cellColor(cell.value) }}
+                              >
+                                {formatCellValue(metric, cell.value)}
+                              </button>
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="text-sm text-ink-tertiary">No runs with {metric.label.toLowerCase()} in this slice.</p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -5,7 +5,7 @@
 
 import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useState, useEffect, useCallback, useMemo } from 'react';
-import { Play, BarChart3, Plus } from 'lucide-react';
+import { Play, BarChart3, Plus, Grid2x2 } from 'lucide-react';
 import BackButton from '../components/BackButton';
 import { useNavigateBack } from '../lib/navigation';
 import {
@@ -17,6 +17,7 @@ import { deleteSymbolRun } from '../data/backtests';
 import StrategyBacktestSymbolDetail from './StrategyBacktestSymbolDetail';
 import StrategySymbolBacktestRunModal from '../components/StrategySymbolBacktestRunModal';
 import TaskProgress from '../components/TaskProgress';
+import ParameterSweepProgress from '../components/ParameterSweepProgress';
 
 /** Run picker: name · #id · date only */
 function snapshotRunSelectLabel(s) {
@@ -30,7 +31,7 @@ function snapshotRunSelectLabel(s) {
 export default function StrategySymbolDetail() {
   const { id, ticker } = useParams();
   const navigate = useNavigate();
-  const { goBack } = useNavigateBack(`/strategies/${id}`);
+  const { goBack, navigateWithReturn } = useNavigateBack(`/strategies/${id}`);
   const [searchParams, setSearchParams] = useSearchParams();
   const [strategy, setStrategy] = useState(null);
   const [snapshotPayload, setSnapshotPayload] = useState(null);
@@ -38,6 +39,7 @@ export default function StrategySymbolDetail() {
   const [runModalOpen, setRunModalOpen] = useState(false);
   const [taskId, setTaskId] = useState(null);
   const [showTaskProgress, setShowTaskProgress] = useState(false);
+  const [sweepTasks, setSweepTasks] = useState(null);
   const [pendingBacktestId, setPendingBacktestId] = useState(null);
   const [pendingRunName, setPendingRunName] = useState('');
   const [recalculateBusy, setRecalculateBusy] = useState(false);
@@ -127,7 +129,11 @@ export default function StrategySymbolDetail() {
     return () => clearInterval(t);
   }, [status, pendingBacktestId, loadSnapshot]);
 
-  const handleStarted = ({ taskId: tid, backtestId: bid, runName }) => {
+  const handleStarted = ({ taskId: tid, backtestId: bid, runName, sweepTasks: queuedSweep }) => {
+    if (queuedSweep) {
+      setSweepTasks(queuedSweep);
+      return;
+    }
     if (bid != null) {
       setPendingBacktestId(bid);
       if (runName) setPendingRunName(String(runName));
@@ -149,6 +155,11 @@ export default function StrategySymbolDetail() {
     setSymbolRunReloadNonce((n) => n + 1);
   }, [loadSnapshot]);
 
+  const handleSweepClose = useCallback(async () => {
+    setSweepTasks(null);
+    await loadSnapshot();
+  }, [loadSnapshot]);
+
   const openNewRun = () => {
     setRunModalOpen(true);
   };
@@ -237,6 +248,13 @@ export default function StrategySymbolDetail() {
         {showTaskProgress && taskId && (
           <TaskProgress taskId={taskId} onComplete={handleTaskComplete} onClose={handleTaskComplete} />
         )}
+        {sweepTasks && (
+          <ParameterSweepProgress
+            tasks={sweepTasks}
+            title={`Parameter sweep — ${ticker}`}
+            onClose={handleSweepClose}
+          />
+        )}
         <BackButton to={`/strategies/${id}`} label="Back to strategy" className="mb-6 flex items-center gap-2 text-ink-secondary hover:text-ink" iconClassName="w-4 h-4" />
 
         <div className="bg-surface rounded-lg shadow-lg p-8 text-center max-w-xl mx-auto">
@@ -276,6 +294,13 @@ export default function StrategySymbolDetail() {
       {showTaskProgress && taskId && (
         <TaskProgress taskId={taskId} onComplete={handleTaskComplete} onClose={handleTaskComplete} />
       )}
+      {sweepTasks && (
+        <ParameterSweepProgress
+          tasks={sweepTasks}
+          title={`Parameter sweep — ${ticker}`}
+          onClose={handleSweepClose}
+        />
+      )}
 
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 border-b border-border bg-bg/80">
         <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
@@ -315,6 +340,16 @@ export default function StrategySymbolDetail() {
             </select>
           </div>
           <div className="flex flex-wrap gap-2">
+            {runs.length > 1 && (
+              <button
+                type="button"
+                onClick={() => navigateWithReturn(`/strategies/${id}/${encodeURIComponent(ticker)}/explorer`)}
+                className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm border border-border-strong text-ink-secondary rounded-lg hover:bg-bg"
+              >
+                <Grid2x2 className="w-4 h-4" />
+                Parameter explorer
+              </button>
+            )}
             <button
               type="button"
               onClick={openNewRun}
@@ -0,0 +1,410 @@
+/**
+ * Strategy Walk-Forward Page Component
+ * Per-window out-of-sample stats and the stitched out-of-sample equity curve of a walk-forward run
+ * (one portfolio backtest per window, queued from BacktestConfig)
+ * URL: /strategies/:id/walk-forward?backtests=1,2,3
+ */
+
+import { useParams, useSearchParams, Link } from 'react-router-dom';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Loader, GitCompare } from 'lucide-react';
+import { useNavigateBack } from '../lib/navigation';
+import { normalizeStatus } from '../lib/statusTokens';
+import { getStrategy } from '../data/strategies';
+import { getBacktest, getBacktestStatisticsOptimized } from '../data/backtests';
+import { getChartTheme } from '../lib/chartTheme';
+import ApexEquityChart, { equityPointsToApexData } from '../components/charts/ApexEquityChart';
+import BacktestParametersPanel from '../components/BacktestParametersPanel';
+import { Badge } from '../components/ui';
+import { positionModesAvailable } from '../utils/backtestPositionMode';
+import { extractEquityCurve } from '../utils/backtestEquityCurve';
+import { parseBacktestIds } from '../utils/backtestIds';
+import {
+  WALK_FORWARD_MAX_WINDOWS,
+  backtestTestStart,
+  equitySegmentStats,
+  stitchEquitySegments,
+} from '../utils/walkForward';
+
+const POLL_INTERVAL_MS = 5000;
+const TERMINAL_STATUSES = ['completed', 'failed'];
+
+function formatDay(value) {
+  if (!value) return '—';
+  const d = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(d.getTime()) ? '—' : d.toISOString().split('T')[0];
+}
+
+/** Equity points from the last bar at or before the train/test cut onwards (so the first OOS move is included). */
+function outOfSampleSegment(points, testStart) {
+  if (!points?.length || !testStart) return [];
+  const cut = testStart.getTime();
+  let first = points.findIndex((p) => p.x > cut);
+  if (first === -1) return [];
+  if (first > 0) first -= 1;
+  return points.slice(first);
+}
+
+function formatPct(value) {
+  return `${value.toFixed(2)}%`;
+}
+
+function toneClass(value) {
+  if (value === null || value === undefined) return 'text-ink-tertiary';
+  return value >= 0 ? 'text-profit' : 'text-loss';
+}
+
+export default function StrategyWalkForward() {
+  const chartTheme = getChartTheme();
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const { goBack, navigateWithReturn } = useNavigateBack(`/strategies/${id}`);
+  const backtestIds = useMemo(() => parseBacktestIds(searchParams.get('backtests'), WALK_FORWARD_MAX_WINDOWS), [searchParams]);
+  const backtestIdsKey = backtestIds.join(',');
+
+  const [strategy, setStrategy] = useState(null);
+  const [strategyLoading, setStrategyLoading] = useState(true);
+  const [entries, setEntries] = useState([]);
+  const [entriesLoading, setEntriesLoading] = useState(false);
+  const [refreshTick, setRefreshTick] = useState(0);
+  const [selectedMode, setSelectedMode] = useState('long');
+  const entriesRef = useRef(entries);
+  entriesRef.current = entries;
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      setStrategyLoading(true);
+      try {
+        const strategyData = await getStrategy(id);
+        if (!cancelled) setStrategy(strategyData);
+      } catch {
+        if (!cancelled) setStrategy(null);
+      } finally {
+        if (!cancelled) setStrategyLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  useEffect(() => {
+    const ids = backtestIdsKey ? backtestIdsKey.split(',').map(Number) : [];
+    if (!ids.length) {
+      setEntries([]);
+      return undefined;
+    }
+    let cancelled = false;
+    (async () => {
+      if (refreshTick === 0) setEntriesLoading(true);
+      // Polls only refetch windows that can still change; finished ones keep their loaded stats.
+      const previous = refreshTick === 0 ? [] : entriesRef.current;
+      const loaded = await Promise.all(
+        ids.map(async (backtestId) => {
+          const known = previous.find((e) => e.id === backtestId);
+          if (known?.backtest && TERMINAL_STATUSES.includes(normalizeStatus(known.backtest.status))) return known;
+          try {
+            const backtest = await getBacktest(backtestId);
+            const statistics =
+              normalizeStatus(backtest?.status) === 'completed'
+                ? await getBacktestStatisticsOptimized(backtestId)
+                : null;
+            return { id: backtestId, backtest, statistics: statistics || { portfolio: null, symbols: [] }, error: null };
+          } catch (e) {
+            return { id: backtestId, backtest: null, statistics: null, error: e.message || 'Failed to load backtest' };
+          }
+        }),
+      );
+      if (!cancelled) {
+        setEntries(loaded);
+        setEntriesLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [backtestIdsKey, refreshTick]);
+
+  const pendingCount = entries.filter((e) => {
+    const status = normalizeStatus(e.backtest?.status);
+    return e.backtest && (status === 'pending' || status === 'running');
+  }).length;
+
+  // Poll while any window is still queued or running
+  useEffect(() => {
+    if (pendingCount === 0) return undefined;
+    const timer = setTimeout(() => setRefreshTick((t) => t + 1), POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [pendingCount, entries]);
+
+  const loadedEntries = useMemo(() => entries.filter((e) => e.backtest), [entries]);
+
+  const modesAvailable = useMemo(() => {
+    const modes = new Set();
+    loadedEntries.forEach((e) => positionModesAvailable(e.backtest).forEach((m) => modes.add(m)));
+    return ['long', 'short'].filter((m) => modes.has(m));
+  }, [loadedEntries]);
+
+  useEffect(() => {
+    if (!modesAvailable.length) return;
+    setSelectedMode((m) => (modesAvailable.includes(m) ? m : modesAvailable[0]));
+  }, [modesAvailable]);
+
+  const windows = useMemo(
+    () =>
+      loadedEntries
+        .map((entry) => {
+          const testStart = backtestTestStart(entry.backtest);
+          const curve = extractEquityCurve(entry.statistics?.portfolio, selectedMode);
+          const segment = curve?.length ? outOfSampleSegment(equityPointsToApexData(curve), testStart) : [];
+          const modeStats = entry.statistics?.portfolio?.stats_by_mode?.[selectedMode] || null;
+          return {
+            entry,
+            testStart,
+            segment,
+            oos: equitySegmentStats(segment),
+            fullSharpe: modeStats?.sharpe_ratio ?? null,
+          };
+        })
+        .sort((a, b) => (a.testStart?.getTime() ?? 0) - (b.testStart?.getTime() ?? 0)),
+    [loadedEntries, selectedMode],
+  );
+
+  const initialCapital = Number(loadedEntries[0]?.backtest?.initial_capital) || 10000;
+
+  const stitched = useMemo(
+    () => stitchEquitySegments(windows.map((w) => w.segment), initialCapital),
+    [windows, initialCapital],
+  );
+
+  const summary = useMemo(() => {
+    const scored = windows.filter((w) => w.oos.returnPct !== null);
+    const stitchedStats = equitySegmentStats(stitched);
+    return {
+      windowsScored: scored.length,
+      profitableWindows: scored.filter((w) => w.oos.returnPct > 0).length,
+      totalReturnPct: stitchedStats.returnPct,
+      maxDrawdownPct: stitchedStats.maxDrawdownPct,
+      worstWindowPct: scored.length ? Math.min(...scored.map((w) => w.oos.returnPct)) : null,
+    };
+  }, [windows, stitched]);
+
+  if (strategyLoading) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="text-center py-8">Loading strategy...</div>
+      </div>
+    );
+  }
+
+  if (!strategy) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="text-center py-8">
+          <p className="text-ink-secondary">Strategy not found</p>
+          <button
+            onClick={goBack}
+            className="mt-4 px-4 py-2 bg-accent text-white rounded-lg hover:bg-accent-hover"
+          >
+            Back to Strategy
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const anchored =
+    windows.length > 1 &&
+    windows.every((w) => formatDay(w.entry.backtest.start_date) === formatDay(windows[0].entry.backtest.start_date));
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <nav className="mb-6 text-sm text-ink-secondary flex flex-wrap items-center gap-2">
+        <Link to="/strategies" className="hover:text-ink">Strategies</Link>
+        <span>→</span>
+        <Link to={`/strategies/${id}`} className="hover:text-ink">{strategy.name}</Link>
+        <span>→</span>
+        <span className="text-ink font-medium">Walk-forward</span>
+      </nav>
+
+      <div className="mb-6 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-ink mb-2">Walk-forward analysis</h1>
+          <p className="text-sm text-ink-secondary">
+            {backtestIds.length} window{backtestIds.length === 1 ? '' : 's'}
+            {windows.length > 1 ? (anchored ? ' · anchored' : ' · rolling') : ''}. Only the test (out-of-sample)
+            part of each window is used for the stitched curve and per-window returns.
+          </p>
+        </div>
+        {backtestIds.length > 1 && (
+          <button
+            type="button"
+            onClick={() =>
+              navigateWithReturn(`/strategies/${id}/compare?backtests=${backtestIds.slice(0, 6).join(',')}`)
+            }
+            className="inline-flex items-center justify-center gap-2 px-4 py-2 rounded-lg border border-border-strong text-ink-secondary hover:bg-bg font-medium min-h-[44px] shrink-0"
+          >
+            <GitCompare className="w-4 h-4" />
+            Compare windows
+          </button>
+        )}
+      </div>
+
+      {backtestIds.length === 0 ? (
+        <div className="text-center py-12 bg-surface rounded-lg shadow">
+          <p className="text-ink-secondary">No walk-forward backtests in the URL.</p>
+        </div>
+      ) : entriesLoading ? (
+        <div className="text-center py-12">
+          <Loader className="w-8 h-8 animate-spin mx-auto text-accent" />
+          <p className="text-ink-secondary mt-4">Loading windows…</p>
+        </div>
+      ) : (
+        <>
+          {pendingCount > 0 && (
+            <div className="mb-6 p-3 bg-status-running-soft rounded flex items-center gap-2 text-sm text-status-running">
+              <Loader className="w-4 h-4 animate-spin" />
+              {pendingCount} of {loadedEntries.length} windows still running — results update automatically.
+            </div>
+          )}
+
+          {entries.some((e) => e.error) && (
+            <div className="mb-6 p-3 bg-loss-soft border-l-4 border-red-400 rounded">
+              {entries
+                .filter((e) => e.error)
+                .map((e) => (
+                  <p key={e.id} className="text-sm text-loss-ink">
+                    <strong>#{e.id}:</strong> {e.error}
+                  </p>
+                ))}
+            </div>
+          )}
+
+          {/* Mode Selector */}
+          {modesAvailable.length > 1 && (
+            <div className="mb-6 bg-surface rounded-lg shadow-lg p-4">
+              <h2 className="text-lg font-bold text-ink mb-3">Position Mode</h2>
+              <div className="flex gap-3">
+                {modesAvailable.map((mode) => (
+                  <button
+                    key={mode}
+                    type="button"
+                    onClick={() => setSelectedMode(mode)}
+                    className={`px-4 py-2 rounded-lg font-medium transition-colors capitalize ${
+                      selectedMode === mode
+                        ? 'bg-accent text-white'
+                        : 'bg-surface-sunken text-ink-secondary hover:bg-surface-sunken'
+                    }`}
+                  >
+                    {mode.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Aggregate out-of-sample stats */}
+          <div className="mb-6 grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <div className="bg-surface rounded-lg shadow p-4">
+              <p className="text-xs text-ink-tertiary uppercase mb-1">OOS total return</p>
+              <p className={`text-2xl font-bold tabular-nums ${toneClass(summary.totalReturnPct)}`}>
+                {summary.totalReturnPct === null ? 'N/A' : formatPct(summary.totalReturnPct)}
+              </p>
+            </div>
+            <div className="bg-surface rounded-lg shadow p-4">
+              <p className="text-xs text-ink-tertiary uppercase mb-1">OOS max drawdown</p>
+              <p className="text-2xl font-bold tabular-nums text-ink">
+                {summary.maxDrawdownPct === null ? 'N/A' : formatPct(summary.maxDrawdownPct)}
+              </p>
+            </div>
+            <div className="bg-surface rounded-lg shadow p-4">
+              <p className="text-xs text-ink-tertiary uppercase mb-1">Profitable windows</p>
+              <p className="text-2xl font-bold tabular-nums text-ink">
+                {summary.windowsScored ? `${summary.profitableWindows} / ${summary.windowsScored}` : 'N/A'}
+              </p>
+            </div>
+            <div className="bg-surface rounded-lg shadow p-4">
+              <p className="text-xs text-ink-tertiary uppercase mb-1">Worst window</p>
+              <p className={`text-2xl font-bold tabular-nums ${toneClass(summary.worstWindowPct)}`}>
+                {summary.worstWindowPct === null ? 'N/A' : formatPct(summary.worstWindowPct)}
+              </p>
+            </div>
+          </div>
+
+          {/* Stitched out-of-sample equity */}
+          <div className="mb-6 bg-surface rounded-lg shadow-lg p-6">
+            <h2 className="text-xl font-bold text-ink mb-4">
+              Stitched out-of-sample equity ({selectedMode.toUpperCase()})
+            </h2>
+            <ApexEquityChart
+              series={
+                stitched.length
+                  ? [{ name: 'Out-of-sample', data: stitched, color: chartTheme.accent, strokeWidth: 2 }]
+                  : []
+              }
+              height={380}
+              initialCapital={initialCapital}
+            />
+          </div>
+
+          {/* Per-window table */}
+          <div className="mb-6 bg-surface rounded-lg shadow-lg p-6">
+            <h2 className="text-xl font-bold text-ink mb-4">Windows</h2>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-border">
+                <thead className="bg-bg">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-ink-tertiary uppercase">#</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-ink-tertiary uppercase">Train</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-ink-tertiary uppercase">Test</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-ink-tertiary uppercase">Status</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-ink-tertiary uppercase">OOS return</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-ink-tertiary uppercase">OOS max DD</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-ink-tertiary uppercase">Sharpe (full window)</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-surface divide-y divide-border">
+                  {windows.map((w, index) => {
+                    const { backtest } = w.entry;
+                    return (
+                      <tr
+                        key={w.entry.id}
+                        className="hover:bg-bg cursor-pointer"
+                        onClick={() => navigateWithReturn(`/strategies/${id}/backtests/${w.entry.id}`)}
+                      >
+                        <td className="px-4 py-3 text-sm text-ink">{index + 1}</td>
+                        <td className="px-4 py-3 text-sm text-ink font-mono">
+                          {formatDay(backtest.start_date)} → {formatDay(w.testStart)}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-ink font-mono">
+                          {formatDay(w.testStart)} → {formatDay(backtest.end_date)}
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          <Badge status={backtest.status} />
+                        </td>
+                        <td className={`px-4 py-3 text-sm text-right font-mono tabular-nums ${toneClass(w.oos.returnPct)}`}>
+                          {w.oos.returnPct === null ? '—' : formatPct(w.oos.returnPct)}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-right font-mono tabular-nums text-ink">
+                          {w.oos.maxDrawdownPct === null ? '—' : formatPct(w.oos.maxDrawdownPct)}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-right font-mono tabular-nums text-ink">
+                          {w.fullSharpe === null ? '—' : Number(w.fullSharpe).toFixed(2)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {loadedEntries[0] && (
+            <BacktestParametersPanel backtest={loadedEntries[0].backtest} title="Window parameters" />
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -5,7 +5,7 @@
 
 import { useLoaderData, useParams, useRevalidator, useSearchParams } from 'react-router-dom';
 import { Calendar, RefreshCw, Trash2, Download, RotateCcw, TrendingUp } from 'lucide-react';
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import BackButton from '../components/BackButton';
 import { useNavigateBack } from '../lib/navigation';
 import CandlestickChart from '../components/CandlestickChart';
@@ -14,13 +14,40 @@ import TaskProgress from '../components/TaskProgress';
 import DateRangeModal from '../components/DateRangeModal';
 import ToolAssignmentManager from '../components/ToolAssignmentManager';
 import StatisticsCard from '../components/StatisticsCard';
-import { updateSymbolOHLCV, refetchSymbolOHLCV, fetchOHLCVData, deleteSymbol } from '../data/symbols';
-import { getSymbolAssignments } from '../data/tools';
+import DataQualityPanel from '../components/DataQualityPanel';
+import {
+  updateSymbolOHLCV,
+  refetchSymbolOHLCV,
+  fetchOHLCVData,
+  deleteSymbol,
+  getSymbolDataQuality,
+} from '../data/symbols';
+import { getAssignmentIndicatorValues, getSymbolAssignments } from '../data/tools';
+import { loadChartLayout, saveChartLayout } from '../data/chartLayouts';
+import {
+  assignmentIndicators,
+  hasIndicatorColumns,
+  indicatorBaseKey,
+  keyIndicatorRows,
+} from '../utils/indicatorSeries';
 import { exportOhlcvBarsToCsv, downloadJson } from '../utils/exportCsv';
+import { BAR_SIZES, barSizeByKey, DEFAULT_BAR_SIZE, isIntradayBarSize } from '../utils/ohlcvResample';
+import { scanOhlcvQuality } from '../utils/ohlcvQuality';
 import ExportTableToolbar from '../components/ExportTableToolbar';
 
 export default function SymbolDetail() {
-  const { symbol, ohlcv, ohlcvCount, indicators: indicatorsMetadata, statistics, range: initialRange } = useLoaderData();
+  const {
+    symbol,
+    ohlcv,
+    ohlcvCount,
+    indicators: indicatorsMetadata,
+    statistics,
+    range: initialRange,
+    barSize,
+    sourceBarSize,
+    resampled,
+    resampleTruncated,
+  } = useLoaderData();
   
   // Debug: Log statistics to see what we're receiving
   useEffect(() => {
@@ -34,7 +61,6 @@ export default function SymbolDetail() {
   const { ticker } = useParams();
   const revalidator = useRevalidator();
   const [searchParams, setSearchParams] = useSearchParams();
-  const [timeframe, setTimeframe] = useState('daily');
   const [isUpdating, setIsUpdating] = useState(false);
   const [isFetching, setIsFetching] = useState(false);
   const [isRefetching, setIsRefetching] = useState(false);
@@ -43,153 +69,51 @@ export default function SymbolDetail() {
   const [showProgress, setShowProgress] = useState(false);
   const [showDateModal, setShowDateModal] = useState(false);
   const [dateModalMode, setDateModalMode] = useState(null); // 'fetch' or 'refetch'
+  const [dateModalRange, setDateModalRange] = useState(null); // prefilled { start_date, end_date }
+  const [qualityReport, setQualityReport] = useState(null);
+  const [qualityLoading, setQualityLoading] = useState(false);
   // Extract indicators from OHLCV data (indicators come embedded in OHLCV response)
   const [indicators, setIndicators] = useState([]);
+  // Saved chart layout (timeframe, layers, drawings); the chart is keyed by ticker so it restores on open
+  const chartLayout = useMemo(() => loadChartLayout(ticker), [ticker]);
   
   // Check if symbol has OHLCV data
   const hasOHLCVData = ohlcv && Array.isArray(ohlcv) && ohlcv.length > 0;
 
-  // Extract indicators from OHLCV response
+  // Indicators of the symbol's enabled tool assignments: embedded OHLCV columns when present,
+  // otherwise the assignment's values endpoint (daily values, so daily bars only; limited to the
+  // loaded date range)
   useEffect(() => {
+    let cancelled = false;
     const extractIndicators = async () => {
       if (!ticker) return;
       
       if (ohlcv && Array.isArray(ohlcv) && ohlcv.length > 0) {
-        // Get assignments to map indicator keys to tool info
         try {
           const assignments = await getSymbolAssignments(ticker);
           const enabledAssignments = assignments.filter(a => a.enabled);
+          const times = ohlcv.map(row => Date.parse(row.timestamp)).filter(Number.isFinite);
+          const first = Math.min(...times);
+          const last = Math.max(...times);
           
-          if (enabledAssignments.length === 0) {
-            setIndicators([]);
-            return;
-          }
-          
-          // Get first result to check for indicator keys
-          const firstResult = ohlcv[0];
-          
-          const indicatorsList = [];
-          
-          enabledAssignments.forEach(assignment => {
-            const toolName = assignment.tool.name;
-            const period = assignment.parameters?.period || assignment.tool.default_parameters?.period || '';
-            const baseKey = period ? `${toolName}_${period}` : toolName;
-            
-            // Special handling for Bollinger Bands (multiple series)
-            if (toolName === 'BollingerBands') {
-              // Check for Bollinger Bands keys
-              const upperKey = `${baseKey}_upper`;
-              const middleKey = `${baseKey}_middle`;
-              const lowerKey = `${baseKey}_lower`;
-              const bandwidthKey = `${baseKey}_bandwidth`;
-              
-              // Check if Bollinger Bands exist in OHLCV data
-              if (firstResult[upperKey] === undefined) {
-                return;
-              }
-              
-              // Get metadata for display names
-              const upperMetadata = indicatorsMetadata?.[upperKey];
-              const middleMetadata = indicatorsMetadata?.[middleKey];
-              const lowerMetadata = indicatorsMetadata?.[lowerKey];
-              const bandwidthMetadata = indicatorsMetadata?.[bandwidthKey];
-              
-              // Extract values for each band
-              const extractValues = (key) => {
-                return ohlcv
-                  .map(item => ({
-                    timestamp: item.timestamp,
-                    value: item[key] !== null && item[key] !== undefined ? parseFloat(item[key]) : null
-                  }))
-                  .filter(item => item.value !== null && !isNaN(item.value));
-              };
-              
-              // Add upper band (main chart)
-              indicatorsList.push({
-                ...assignment,
-                toolName: upperMetadata?.display_name || `${baseKey} Upper`,
-                values: extractValues(upperKey),
-                subchart: false,
-                indicatorKey: upperKey,
-                style: {
-                  color: upperMetadata?.color || assignment.style?.upper_color || assignment.style?.color || '#EF4444',
-                  line_width: upperMetadata?.line_width || assignment.style?.line_width || 2,
-                },
-              });
-              
-              // Add middle band (main chart)
-              indicatorsList.push({
-                ...assignment,
-                toolName: middleMetadata?.display_name || `${baseKey} Middle`,
-                values: extractValues(middleKey),
-                subchart: false,
-                indicatorKey: middleKey,
-                style: {
-                  color: middleMetadata?.color || assignment.style?.middle_color || assignment.style?.color || '#3B82F6',
-                  line_width: middleMetadata?.line_width || assignment.style?.line_width || 2,
-                },
-              });
-              
-              // Add lower band (main chart)
-              indicatorsList.push({
-                ...assignment,
-                toolName: lowerMetadata?.display_name || `${baseKey} Lower`,
-                values: extractValues(lowerKey),
-                subchart: false,
-                indicatorKey: lowerKey,
-                style: {
-                  color: lowerMetadata?.color || assignment.style?.lower_color || assignment.style?.color || '#10B981',
-                  line_width: lowerMetadata?.line_width || assignment.style?.line_width || 2,
-                },
-              });
-              
-              // Add bandwidth (subchart)
-              indicatorsList.push({
-                ...assignment,
-                toolName: bandwidthMetadata?.display_name || `${baseKey} Bandwidth`,
-                values: extractValues(bandwidthKey),
-                subchart: true, // Bandwidth goes in subchart
-                indicatorKey: bandwidthKey,
-                style: {
-                  color: bandwidthMetadata?.color || assignment.style?.bandwidth_color || assignment.style?.color || '#8B5CF6',
-                  line_width: bandwidthMetadata?.line_width || assignment.style?.line_width || 2,
-                },
-              });
-            } else {
-              // Regular indicator handling
-              const indicatorKey = baseKey;
-              
-              // Check if this indicator exists in OHLCV data
-              if (firstResult[indicatorKey] === undefined) {
-                return;
-              }
-              
-              // Get display name from indicators metadata (e.g., "SMA15" instead of "SMA")
-              const indicatorMetadata = indicatorsMetadata?.[indicatorKey];
-              const displayName = indicatorMetadata?.display_name || toolName;
-              
-              // Extract values from OHLCV data
-              const values = ohlcv
-                .map(item => ({
-                  timestamp: item.timestamp,
-                  value: item[indicatorKey] !== null && item[indicatorKey] !== undefined ? parseFloat(item[indicatorKey]) : null
-                }))
-                .filter(item => item.value !== null && !isNaN(item.value));
-              
-              indicatorsList.push({
-                ...assignment,
-                toolName: displayName, // Use display name (e.g., "SMA15")
-                values: values,
-                subchart: assignment.subchart || false, // Include subchart flag
-                indicatorKey: indicatorKey,
-              });
+          const perAssignment = await Promise.all(enabledAssignments.map(async (assignment) => {
+            const baseKey = indicatorBaseKey(assignment);
+            if (hasIndicatorColumns(ohlcv, baseKey)) {
+              return assignmentIndicators(assignment, ohlcv, indicatorsMetadata);
             }
-          });
+            if (barSize !== DEFAULT_BAR_SIZE) return [];
+            const rows = keyIndicatorRows(await getAssignmentIndicatorValues(assignment.id, ticker), baseKey)
+              .filter(row => {
+                const t = Date.parse(row.timestamp);
+                return t >= first && t <= last;
+              });
+            return assignmentIndicators(assignment, rows, indicatorsMetadata);
+          }));
           
-          setIndicators(indicatorsList);
+          if (!cancelled) setIndicators(perAssignment.flat());
         } catch (error) {
           console.error('Error extracting indicators:', error);
-          setIndicators([]);
+          if (!cancelled) setIndicators([]);
         }
       } else {
         setIndicators([]);
@@ -197,7 +121,32 @@ export default function SymbolDetail() {
     };
     
     extractIndicators();
-  }, [ohlcv, ticker]);
+    return () => {
+      cancelled = true;
+    };
+  }, [ohlcv, ticker, indicatorsMetadata, barSize]);
+
+  // Data-quality scan runs on daily bars: the loaded ones, or the stored ones at other bar sizes
+  useEffect(() => {
+    if (!ticker) return undefined;
+    if (barSize === DEFAULT_BAR_SIZE && !resampled) {
+      setQualityReport(scanOhlcvQuality(ohlcv, { totalCount: ohlcvCount }));
+      setQualityLoading(false);
+      return undefined;
+    }
+    let cancelled = false;
+    setQualityLoading(true);
+    getSymbolDataQuality(ticker)
+      .then((report) => {
+        if (!cancelled) setQualityReport(report);
+      })
+      .finally(() => {
+        if (!cancelled) setQualityLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [ticker, barSize, resampled, ohlcv, ohlcvCount]);
 
   const handleAssignmentChange = () => {
     // Revalidate loader data to get updated OHLCV with indicators
@@ -239,6 +188,18 @@ export default function SymbolDetail() {
 
   const handleRefetchClick = () => {
     setDateModalMode('refetch');
+    setDateModalRange(null);
+    setShowDateModal(true);
+  };
+
+  // Data-quality repair links: refetch the issue's range (confirmed in the date modal) or update
+  const handleQualityRepair = (issue) => {
+    if (issue.repair.action === 'update') {
+      handleUpdate();
+      return;
+    }
+    setDateModalMode('refetch');
+    setDateModalRange({ start_date: issue.repair.start_date, end_date: issue.repair.end_date });
     setShowDateModal(true);
   };
 
@@ -312,18 +273,30 @@ export default function SymbolDetail() {
   const statusBg = symbol.status === 'active' ? 'bg-profit-soft text-profit-ink' : 'bg-surface-sunken text-ink';
 
   const rangeLabel = searchParams.get('range') || initialRange || '5Y';
+  const barSizeLabel = barSizeByKey(barSize).label;
+
+  // Bar size and range live in the URL so the loader refetches; keep the other one when changing
+  const updateSearchParam = (name, value) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      next.set(name, value);
+      return next;
+    });
+  };
 
   const handleExportOhlcvCsv = () => {
     if (!ohlcv?.length) return;
-    exportOhlcvBarsToCsv(ohlcv, `${ticker}_ohlcv_${timeframe}_${rangeLabel}.csv`);
+    exportOhlcvBarsToCsv(ohlcv, `${ticker}_ohlcv_${barSize}_${rangeLabel}.csv`);
   };
 
   const handleExportOhlcvJson = () => {
     if (!ohlcv?.length) return;
-    downloadJson(`${ticker}_ohlcv_${timeframe}_${rangeLabel}.json`, {
+    downloadJson(`${ticker}_ohlcv_${barSize}_${rangeLabel}.json`, {
       exportedAt: new Date().toISOString(),
       ticker,
-      timeframe,
+      timeframe: barSizeByKey(barSize).timeframe,
+      barSize,
+      resampledFrom: resampled ? sourceBarSize : null,
       range: rangeLabel,
       barCount: ohlcv.length,
       bars: ohlcv,
@@ -338,11 +311,14 @@ export default function SymbolDetail() {
         onClose={() => {
           setShowDateModal(false);
           setDateModalMode(null);
+          setDateModalRange(null);
         }}
         onConfirm={handleDateModalConfirm}
         title={dateModalMode === 'fetch' ? 'Fetch OHLCV Data' : 'Refetch OHLCV Data'}
         showProvider
         providerHint={dateModalMode === 'refetch' ? 'refetch' : 'fetch'}
+        initialStartDate={dateModalRange?.start_date || ''}
+        initialEndDate={dateModalRange?.end_date || ''}
       />
 
       {/* Task Progress Overlay */}
@@ -506,17 +482,53 @@ export default function SymbolDetail() {
           </div>
         )}
 
-        {/* Chart (daily OHLCV only) */}
+        {/* Bar size */}
+        <div className="mb-3 flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium text-ink-secondary">Bar size:</span>
+          <div className="flex gap-1" role="group" aria-label="Bar size">
+            {BAR_SIZES.map((size) => (
+              <button
+                key={size.key}
+                type="button"
+                aria-pressed={barSize === size.key}
+                onClick={() => updateSearchParam('bar', size.key)}
+                className={`px-3 py-1 text-xs rounded-lg font-medium transition-colors ${
+                  barSize === size.key
+                    ? 'bg-accent text-white'
+                    : 'bg-surface-sunken text-ink-secondary hover:bg-surface-sunken'
+                }`}
+              >
+                {size.label}
+              </button>
+            ))}
+          </div>
+          {resampled && (
+            <span className="text-xs text-ink-tertiary">
+              No stored {barSizeLabel} bars; resampled from {barSizeByKey(sourceBarSize).label} bars
+              {resampleTruncated && ' (most recent 10,000 only; the oldest, incomplete bar is left out)'}.
+            </span>
+          )}
+          {!hasOHLCVData && barSize !== DEFAULT_BAR_SIZE && (
+            <span className="text-xs text-ink-tertiary">
+              No {barSizeLabel} or finer bars stored for {ticker}.
+            </span>
+          )}
+        </div>
+
+        {/* Chart */}
         <div className="mb-6">
           <CandlestickChart 
+            key={ticker}
             data={ohlcv} 
             ticker={ticker} 
+            intraday={isIntradayBarSize(barSize)}
             indicators={indicators}
+            layout={chartLayout}
+            onLayoutChange={(layout) => saveChartLayout(ticker, layout)}
             onTimeframeChange={(newRange) => {
               // When user clicks "All", refetch with all data
               if (newRange === 'All') {
-                setSearchParams({ range: 'ALL' });
-                revalidator.revalidate();
+                updateSearchParam('range', 'ALL');
               }
             }}
           />
@@ -527,10 +539,22 @@ export default function SymbolDetail() {
           <ToolAssignmentManager symbolTicker={ticker} onAssignmentChange={handleAssignmentChange} />
         </div>
 
+        {/* Data quality */}
+        {hasOHLCVData && (
+          <div className="mb-6">
+            <DataQualityPanel
+              report={qualityReport}
+              loading={qualityLoading}
+              onRepair={handleQualityRepair}
+              repairDisabled={isUpdating || isFetching || isRefetching}
+            />
+          </div>
+        )}
+
         {/* Data Table */}
         <div className="bg-surface rounded-lg shadow-lg p-6">
           <div className="flex flex-col gap-4 sm:flex-row sm:items-start sm:justify-between mb-4">
-            <h2 className="text-xl font-bold text-ink">OHLCV Data</h2>
+            <h2 className="text-xl font-bold text-ink">OHLCV Data <span className="text-sm font-normal text-ink-tertiary">({barSizeLabel} bars)</span></h2>
             <ExportTableToolbar
               onExportCsv={handleExportOhlcvCsv}
               onExportJson={handleExportOhlcvJson}
@@ -539,7 +563,14 @@ export default function SymbolDetail() {
               disabled={!ohlcv?.length}
             />
           </div>
-          <DataTable initialData={ohlcv} ticker={ticker} totalCount={ohlcvCount} />
+          <DataTable
+            key={barSize}
+            initialData={ohlcv}
+            ticker={ticker}
+            totalCount={ohlcvCount}
+            timeframe={barSizeByKey(barSize).timeframe}
+            resampled={resampled}
+          />
         </div>
       </div>
     </>
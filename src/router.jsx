@@ -3,8 +3,10 @@
  * Uses React Router DOM v6+ with loaders and actions
  */
 
-import { createBrowserRouter, Navigate } from 'react-router-dom';
+import { createBrowserRouter, Navigate, redirect } from 'react-router-dom';
 import Layout from './components/Layout';
+import RequireAuth from './components/RequireAuth';
+import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import Home from './pages/Home';
 import SymbolDetail from './pages/SymbolDetail';
@@ -15,6 +17,9 @@ import StrategyDetail from './pages/StrategyDetail';
 import StrategySymbolDetail from './pages/StrategySymbolDetail';
 import StrategyBacktestSymbols from './pages/StrategyBacktestSymbols';
 import StrategyBacktestDetail from './pages/StrategyBacktestDetail';
+import StrategyBacktestCompare from './pages/StrategyBacktestCompare';
+import StrategyWalkForward from './pages/StrategyWalkForward';
+import StrategyParameterExplorer from './pages/StrategyParameterExplorer';
 import StrategyBacktestSymbolDetail from './pages/StrategyBacktestSymbolDetail';
 import Brokers from './pages/Brokers';
 import BrokerForm from './pages/BrokerForm';
@@ -24,9 +29,23 @@ import StrategyDeployments from './pages/StrategyDeployments';
 import DeploymentDetail from './pages/DeploymentDetail';
 import HedgeConfiguration from './pages/HedgeConfiguration';
 import PlatformLogs from './pages/PlatformLogs';
+import Alerts from './pages/Alerts';
 import ErrorPage from './pages/ErrorPage';
 import { getSymbols } from './data/symbols';
-import { getSymbolDetails, getSymbolOHLCV } from './data/symbols';
+import { getSymbolDetails, getSymbolOHLCVBars } from './data/symbols';
+import { barSizeByKey, isIntradayBarSize } from './utils/ohlcvResample';
+import { hasSession } from './data/auth';
+
+/**
+ * Loader guard: signed-out visitors go to /login before the loader hits the API
+ */
+const requireSession = (loader) => async (args) => {
+  if (!hasSession()) {
+    const url = new URL(args.request.url);
+    throw redirect(`/login?next=${encodeURIComponent(`${url.pathname}${url.search}`)}`);
+  }
+  return loader(args);
+};
 
 /**
  * Market Data (Home) page loader
@@ -52,12 +71,14 @@ Home.loader = async ({ request }) => {
 
 /**
  * Symbol detail page loader
- * Loads OHLCV data with optional date range (default: last 5 years for performance)
+ * Loads OHLCV data with optional date range (default: last 5 years for performance) at the bar
+ * size in `?bar=` (default 1d; coarser sizes may be resampled from finer stored bars)
  */
 SymbolDetail.loader = async ({ params, request }) => {
   const { ticker } = params;
   const url = new URL(request.url);
   const range = url.searchParams.get('range') || '5Y'; // Default to 5Y for performance
+  const barSize = barSizeByKey(url.searchParams.get('bar')).key;
   
   // Calculate start date based on range
   let startDate = null;
@@ -70,11 +91,13 @@ SymbolDetail.loader = async ({ params, request }) => {
     // For 5Y, we can use a smaller page size since we know it's limited
     pageSize = 2000; // 5 years ≈ 1250 trading days, 2000 is safe
   }
+  // Intraday bars: the most recent 10000 of the range
+  if (isIntradayBarSize(barSize)) pageSize = 10000;
   // If range is 'ALL', startDate remains null to fetch all data (up to 10000 records)
   
   const [symbol, ohlcv] = await Promise.all([
     getSymbolDetails(ticker),
-    getSymbolOHLCV(ticker, 'daily', startDate, null, 1, pageSize),
+    getSymbolOHLCVBars(ticker, barSize, startDate, pageSize),
   ]);
   return { 
     symbol, 
@@ -82,14 +105,27 @@ SymbolDetail.loader = async ({ params, request }) => {
     ohlcvCount: ohlcv.count || 0,
     indicators: ohlcv.indicators || {}, // Indicator metadata from API
     statistics: ohlcv.statistics || {}, // Statistics (volatility, etc.)
-    range // Pass range to component
+    range, // Pass range to component
+    barSize,
+    sourceBarSize: ohlcv.sourceBarSize,
+    resampled: ohlcv.resampled,
+    resampleTruncated: ohlcv.truncated,
   };
 };
 
 const router = createBrowserRouter([
+  {
+    path: '/login',
+    element: <Login />,
+    errorElement: <ErrorPage />,
+  },
   {
     path: '/',
-    element: <Layout />,
+    element: (
+      <RequireAuth>
+        <Layout />
+      </RequireAuth>
+    ),
     errorElement: <ErrorPage />,
     children: [
       {
@@ -99,12 +135,12 @@ const router = createBrowserRouter([
       {
         path: 'market-data',
         element: <Home />,
-        loader: Home.loader,
+        loader: requireSession(Home.loader),
       },
       {
         path: 'symbols/:ticker',
         element: <SymbolDetail />,
-        loader: SymbolDetail.loader,
+        loader: requireSession(SymbolDetail.loader),
       },
       {
         path: 'tasks',
@@ -122,10 +158,22 @@ const router = createBrowserRouter([
         path: 'strategies/:id',
         element: <StrategyDetail />,
       },
+      {
+        path: 'strategies/:id/compare',
+        element: <StrategyBacktestCompare />,
+      },
+      {
+        path: 'strategies/:id/walk-forward',
+        element: <StrategyWalkForward />,
+      },
       {
         path: 'strategies/:id/:ticker',
         element: <StrategySymbolDetail />,
       },
+      {
+        path: 'strategies/:id/:ticker/explorer',
+        element: <StrategyParameterExplorer />,
+      },
       {
         path: 'strategies/:id/backtests/:backtestId',
         element: <StrategyBacktestDetail />,
@@ -174,6 +222,10 @@ const router = createBrowserRouter([
         path: 'logs',
         element: <PlatformLogs />,
       },
+      {
+        path: 'alerts',
+        element: <Alerts />,
+      },
       {
         path: 'hedge-config',
         element: <HedgeConfiguration />,
@@ -0,0 +1,216 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getHedgePanicSnapshot } from '../data/backtests';
+import {
+  isSilenced,
+  loadAlertState,
+  notificationPermission,
+  requestNotificationPermission,
+  saveAlertState,
+  showBrowserNotification,
+} from '../data/alerts';
+import { subscribeQueries } from '../data/queryCache';
+import { deploymentChannel } from '../data/realtime';
+import { listDeploymentEventsSince, listLiveTrades, listStrategyDeployments } from '../data/strategyDeployments';
+import { useChannels } from '../hooks/useChannels';
+import { dailyPnlPct, describeRule, eventMatches, isPanicRegime } from '../lib/alertRules';
+
+/** Safety-net poll; pushes on the real-time stream usually trigger evaluation sooner. */
+const ALERT_POLL_MS = 60000;
+/** Query-cache resources whose invalidation re-runs the rules. */
+const ALERT_RESOURCES = ['deployment-events', 'live-trades'];
+const ERROR_EVENT_TYPES = ['order_failed', 'evaluation_failed'];
+const STREAMED_STATUSES = ['active', 'evaluating', 'passed'];
+
+const AlertsContext = createContext(null);
+
+function startOfTodayMs() {
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+const todayKey = () => new Date(startOfTodayMs()).toISOString().slice(0, 10);
+
+function alertId() {
+  return `alert-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Run every enabled rule against fresh data.
+ * @returns {{ alerts: object[], cursor: object, deployments: object[] }}
+ */
+async function evaluateRules(state) {
+  const rules = state.rules.filter((r) => r.enabled);
+  const wants = (type) => rules.some((r) => r.type === type);
+  const since = startOfTodayMs();
+  const [depPage, newEvents, closedPage, snapshot] = await Promise.all([
+    listStrategyDeployments({}),
+    listDeploymentEventsSince(state.cursor.eventId),
+    wants('daily_pnl')
+      ? listLiveTrades({ status: 'closed', exitAfter: new Date(since).toISOString(), pageSize: 500 })
+      : null,
+    wants('hedge_panic') ? getHedgePanicSnapshot({ chartTailDays: 120 }) : null,
+  ]);
+  const deployments = depPage.results || [];
+  const deploymentsById = new Map(deployments.map((d) => [Number(d.id), d]));
+  const cursor = { ...state.cursor, dailyFired: { ...state.cursor.dailyFired } };
+  const alerts = [];
+  const push = (rule, fields) => alerts.push({
+    id: alertId(),
+    ruleId: rule.id,
+    rule: describeRule(rule),
+    createdAt: new Date().toISOString(),
+    read: false,
+    silenced: isSilenced(state, rule),
+    ...fields,
+  });
+
+  // Deployment events newer than the cursor; the first run only records where "now" is.
+  const newestId = newEvents.length ? newEvents[0].id : cursor.eventId;
+  if (cursor.eventId != null) {
+    newEvents.slice().reverse().forEach((event) => {
+      const rule = rules.find((r) => eventMatches(r, event, deploymentsById));
+      if (!rule) return;
+      push(rule, {
+        title: `${event.event_type} · ${event.deployment_name || `deployment #${event.deployment}`}`,
+        body: event.message || event.error || '',
+        level: event.level === 'error' || ERROR_EVENT_TYPES.includes(event.event_type) ? 'error' : event.level || 'info',
+        link: `/deployments/${event.deployment}`,
+      });
+    });
+  }
+  cursor.eventId = newestId ?? null;
+
+  // Daily PnL: at most once per rule per calendar day.
+  const today = todayKey();
+  rules
+    .filter((r) => r.type === 'daily_pnl' && cursor.dailyFired[r.id] !== today)
+    .forEach((rule) => {
+      const pct = dailyPnlPct(rule, closedPage?.results || [], deployments, since);
+      if (pct == null || pct >= Number(rule.thresholdPct)) return;
+      cursor.dailyFired[rule.id] = today;
+      push(rule, {
+        title: `Daily PnL ${pct.toFixed(2)}%`,
+        body: describeRule(rule),
+        level: 'error',
+        link: '/',
+      });
+    });
+
+  // Hedge panic: only the transition into panic, not every poll while it lasts.
+  if (snapshot) {
+    const panic = isPanicRegime(snapshot);
+    if (panic && cursor.panic === false) {
+      rules
+        .filter((r) => r.type === 'hedge_panic')
+        .slice(0, 1)
+        .forEach((rule) => push(rule, {
+          title: 'VIX panic regime entered',
+          body: snapshot.as_of ? `As of ${snapshot.as_of}` : 'The hedge switched to the panic mix.',
+          level: 'warning',
+          link: '/hedge-config',
+        }));
+    }
+    cursor.panic = panic;
+  }
+
+  return { alerts, cursor, deployments };
+}
+
+/**
+ * Evaluates alert rules while the user is signed in (mounted inside the authenticated Layout) and
+ * owns the inbox. Browser notifications are skipped for muted / snoozed rules; the inbox keeps them.
+ * State is stored under `userId`; remount (key) the provider when the signed-in user changes.
+ */
+export function AlertsProvider({ userId = null, children }) {
+  const navigate = useNavigate();
+  const [state, setState] = useState(() => loadAlertState(userId));
+  const [permission, setPermission] = useState(notificationPermission);
+  const [watched, setWatched] = useState([]);
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  const navigateRef = useRef(navigate);
+  navigateRef.current = navigate;
+  const runningRef = useRef(false);
+  const rerunRef = useRef(false);
+
+  useEffect(() => {
+    saveAlertState(userId, state);
+  }, [userId, state]);
+
+  const evaluate = useCallback(async () => {
+    if (runningRef.current) {
+      rerunRef.current = true;
+      return;
+    }
+    runningRef.current = true;
+    try {
+      do {
+        rerunRef.current = false;
+        const { alerts, cursor, deployments } = await evaluateRules(stateRef.current);
+        // A rerun may start before React re-renders; advance the cursor it will read right away.
+        stateRef.current = { ...stateRef.current, cursor };
+        setWatched(deployments.filter((d) => STREAMED_STATUSES.includes(d.status)).map((d) => deploymentChannel(d.id)));
+        setState((prev) => ({ ...prev, cursor, inbox: [...alerts.slice().reverse(), ...prev.inbox] }));
+        alerts
+          .filter((a) => !a.silenced)
+          .forEach((a) => showBrowserNotification(a, (clicked) => navigateRef.current(clicked.link)));
+      } while (rerunRef.current);
+    } catch (error) {
+      console.error('Alert evaluation failed:', error);
+    } finally {
+      runningRef.current = false;
+    }
+  }, []);
+
+  useEffect(() => {
+    evaluate();
+    const timer = setInterval(evaluate, ALERT_POLL_MS);
+    const unsubscribe = subscribeQueries(ALERT_RESOURCES, evaluate);
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+    };
+  }, [evaluate]);
+
+  // Stream pushes invalidate the cache, which re-runs evaluate through subscribeQueries.
+  useChannels(watched.length ? ['live-trades', ...watched] : []);
+
+  const updateRules = useCallback((fn) => setState((prev) => ({ ...prev, rules: fn(prev.rules) })), []);
+
+  const actions = useMemo(() => ({
+    addRule: (rule) => updateRules((rules) => [...rules, rule]),
+    updateRule: (id, patch) => updateRules((rules) => rules.map((r) => (r.id === id ? { ...r, ...patch } : r))),
+    removeRule: (id) => updateRules((rules) => rules.filter((r) => r.id !== id)),
+    /** Snooze one rule for `ms` (null clears). */
+    snoozeRule: (id, ms) => updateRules((rules) => rules.map((r) => (
+      r.id === id ? { ...r, mutedUntil: ms ? Date.now() + ms : null } : r
+    ))),
+    /** Snooze every rule for `ms` (null clears). */
+    snoozeAll: (ms) => setState((prev) => ({ ...prev, snoozedUntil: ms ? Date.now() + ms : null })),
+    setMuted: (muted) => setState((prev) => ({ ...prev, muted })),
+    markRead: (id = null) => setState((prev) => ({
+      ...prev,
+      inbox: prev.inbox.map((a) => (id === null || a.id === id ? { ...a, read: true } : a)),
+    })),
+    clearInbox: () => setState((prev) => ({ ...prev, inbox: [] })),
+    requestPermission: async () => setPermission(await requestNotificationPermission()),
+    evaluateNow: evaluate,
+  }), [updateRules, evaluate]);
+
+  const value = useMemo(() => ({
+    ...state,
+    ...actions,
+    permission,
+    unreadCount: state.inbox.filter((a) => !a.read).length,
+  }), [state, actions, permission]);
+
+  return <AlertsContext.Provider value={value}>{children}</AlertsContext.Provider>;
+}
+
+export function useAlerts() {
+  const ctx = useContext(AlertsContext);
+  if (!ctx) throw new Error('useAlerts must be used within AlertsProvider');
+  return ctx;
+}
@@ -0,0 +1,115 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import {
+  getCurrentUser,
+  hasSession,
+  login as loginRequest,
+  logout as logoutRequest,
+  msUntilTokenRefresh,
+  onSessionChange,
+  refreshSession,
+} from '../data/auth';
+import { checkPermission } from '../lib/permissions';
+
+const AuthContext = createContext(null);
+
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [status, setStatus] = useState(() => (hasSession() ? 'loading' : 'unauthenticated'));
+  const [rotation, setRotation] = useState(0);
+  const [loadError, setLoadError] = useState(null);
+
+  // A failed profile load that is not a 401/403 keeps the session: status 'error' until retried.
+  const loadUser = useCallback(async () => {
+    setLoadError(null);
+    try {
+      const me = await getCurrentUser();
+      setUser(me);
+      setStatus(me ? 'authenticated' : 'unauthenticated');
+    } catch (error) {
+      setLoadError(error.message);
+      setStatus((prev) => (prev === 'authenticated' ? prev : 'error'));
+    }
+  }, []);
+
+  const retry = useCallback(() => {
+    setStatus((prev) => (prev === 'error' ? 'loading' : prev));
+    return loadUser();
+  }, [loadUser]);
+
+  useEffect(() => {
+    if (hasSession()) loadUser();
+  }, [loadUser]);
+
+  // 401s (handleResponse), sign-out and token rotation all come through the session store.
+  useEffect(
+    () => onSessionChange((reason) => {
+      if (reason === 'expired' || reason === 'signed-out') {
+        setUser(null);
+        setStatus('unauthenticated');
+      } else if (reason === 'rotated') {
+        setRotation((n) => n + 1);
+      }
+    }),
+    [],
+  );
+
+  // Signing in or out in another tab.
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key !== null && !e.key.startsWith('auth_')) return;
+      if (!hasSession()) {
+        setUser(null);
+        setStatus('unauthenticated');
+      } else if (e.key === 'auth_refresh_token') {
+        loadUser();
+      }
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, [loadUser]);
+
+  // Rotate the token pair shortly before the access token expires.
+  useEffect(() => {
+    if (status !== 'authenticated') return undefined;
+    const wait = msUntilTokenRefresh();
+    if (wait === null) return undefined;
+    const timer = setTimeout(() => {
+      refreshSession();
+    }, wait);
+    return () => clearTimeout(timer);
+  }, [status, rotation]);
+
+  const login = useCallback(async (username, password) => {
+    const me = await loginRequest(username, password);
+    if (!me) throw new Error('Signed in, but the user profile could not be loaded');
+    setUser(me);
+    setStatus('authenticated');
+    return me;
+  }, []);
+
+  const logout = useCallback(async () => {
+    await logoutRequest();
+  }, []);
+
+  const value = useMemo(
+    () => ({ user, status, loadError, isAuthenticated: status === 'authenticated', login, logout, retry }),
+    [user, status, loadError, login, logout, retry],
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export function useAuth() {
+  const ctx = useContext(AuthContext);
+  if (!ctx) throw new Error('useAuth must be used within AuthProvider');
+  return ctx;
+}
+
+/**
+ * Whether the signed-in user may perform `action` (see lib/permissions.js).
+ * @returns {{ allowed: boolean, reason: string|null }}
+ */
+export function usePermission(action) {
+  const { user } = useAuth();
+  return useMemo(() => checkPermission(user, action), [user, action]);
+}
@@ -0,0 +1,42 @@
+/**
+ * Equity curve extraction from optimized statistics (portfolio or symbol row, per position mode).
+ */
+
+/**
+ * @param {object|null} portfolioOrSymbol - `statistics.portfolio` or an entry of `statistics.symbols`
+ * @param {'long'|'short'} mode
+ * @returns {Array<{ timestamp: string, equity: number }>|null}
+ */
+export function extractEquityCurve(portfolioOrSymbol, mode) {
+  if (!portfolioOrSymbol) return null;
+
+  const statsByMode = portfolioOrSymbol.stats_by_mode || {};
+  const modeStats = statsByMode[mode];
+  if (!modeStats) return null;
+
+  if (modeStats.equity_curve_x && modeStats.equity_curve_y) {
+    const x = modeStats.equity_curve_x;
+    const y = modeStats.equity_curve_y;
+    if (x.length === 0 || y.length === 0) return null;
+    return x
+      .map((timestamp, index) => ({ timestamp, equity: y[index] }))
+      .filter((point) => point.timestamp && point.equity !== null && point.equity !== undefined);
+  }
+
+  if (modeStats.equity_curve && Array.isArray(modeStats.equity_curve)) {
+    return modeStats.equity_curve.filter(
+      (point) => point && point.timestamp && point.equity !== null && point.equity !== undefined,
+    );
+  }
+
+  if (mode === 'long') {
+    const x = portfolioOrSymbol.equity_curve_x || [];
+    const y = portfolioOrSymbol.equity_curve_y || [];
+    if (x.length === 0 || y.length === 0) return null;
+    return x
+      .map((timestamp, index) => ({ timestamp, equity: y[index] }))
+      .filter((point) => point.timestamp && point.equity !== null && point.equity !== undefined);
+  }
+
+  return null;
+}
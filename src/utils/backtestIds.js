@@ -0,0 +1,24 @@
+/**
+ * `?backtests=1,2,3` query value shared by the compare and walk-forward pages.
+ */
+
+/** Upper bound when a caller passes no limit; pages pass their own (MAX_COMPARED, WALK_FORWARD_MAX_WINDOWS). */
+export const MAX_BACKTEST_IDS = 50;
+
+/**
+ * Unique positive backtest ids from a comma-separated query value, in order.
+ * @param {string|null} raw
+ * @param {number} [limit]
+ * @returns {number[]}
+ */
+export function parseBacktestIds(raw, limit = MAX_BACKTEST_IDS) {
+  if (!raw) return [];
+  const ids = [];
+  String(raw)
+    .split(',')
+    .forEach((part) => {
+      const n = parseInt(part.trim(), 10);
+      if (Number.isFinite(n) && n > 0 && !ids.includes(n)) ids.push(n);
+    });
+  return ids.slice(0, limit);
+}
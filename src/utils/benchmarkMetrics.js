@@ -0,0 +1,108 @@
+/**
+ * Strategy vs benchmark from locally stored daily OHLCV: the benchmark's buy-and-hold equity
+ * rescaled to the strategy's starting equity, and relative metrics on daily returns.
+ *
+ * Strategy returns come from its equity carried forward over business days (businessDayEquity);
+ * benchmark returns are close-to-close. Only dates both series have are compared. Alpha is
+ * Jensen's alpha with a zero risk-free rate; alpha, tracking error and the information ratio are
+ * annualised with 252 days. Capture ratios compare average daily returns on the benchmark's up
+ * (down) days.
+ */
+
+import { businessDayEquity } from './equityAnalytics';
+import { dailyReturns, pearson } from './correlation';
+
+const TRADING_DAYS = 252;
+/** Fewer common return days than this gives no metrics. */
+export const MIN_BENCHMARK_DAYS = 20;
+
+const day = (ms) => new Date(ms).toISOString().slice(0, 10);
+const mean = (values) => values.reduce((s, v) => s + v, 0) / values.length;
+
+/** Sample std-dev; 0 for fewer than two values. */
+function stdev(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((s, v) => s + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+/** Date → close, oldest first, restricted to [from, to] (YYYY-MM-DD, inclusive). */
+function closesBetween(bars, from, to) {
+  return (bars || [])
+    .map((bar) => ({ date: String(bar.timestamp).slice(0, 10), close: parseFloat(bar.close) }))
+    .filter((row) => row.close > 0 && row.date >= from && row.date <= to)
+    .sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+/**
+ * Benchmark buy-and-hold over the strategy's window, starting at the strategy's first equity.
+ * @param {object[]} bars - benchmark daily OHLCV, any order
+ * @param {Array<{x:number,y:number}>} strategyPoints - strategy equity, oldest first
+ * @returns {Array<{x:number,y:number}>} one point per benchmark bar
+ */
+export function benchmarkEquityCurve(bars, strategyPoints) {
+  if (!strategyPoints?.length) return [];
+  const first = strategyPoints[0];
+  const closes = closesBetween(bars, day(first.x), day(strategyPoints[strategyPoints.length - 1].x));
+  if (closes.length === 0) return [];
+  const base = closes[0].close;
+  return closes.map((row) => ({ x: Date.parse(`${row.date}T00:00:00Z`), y: (first.y * row.close) / base }));
+}
+
+/**
+ * @param {Array<{x:number,y:number}>} strategyPoints - strategy equity, oldest first
+ * @param {object[]} bars - benchmark daily OHLCV, any order
+ * @returns {{ days: number, alpha: number, beta: number|null, correlation: number|null,
+ *   trackingError: number, informationRatio: number|null, upCapture: number|null,
+ *   downCapture: number|null, strategyReturn: number, benchmarkReturn: number }|null} fractions
+ *   (0.05 = 5%); null below MIN_BENCHMARK_DAYS common days
+ */
+export function relativeMetrics(strategyPoints, bars) {
+  const daily = businessDayEquity(strategyPoints);
+  const strategyReturns = new Map();
+  for (let i = 1; i < daily.length; i += 1) {
+    strategyReturns.set(day(daily[i].x), daily[i].y / daily[i - 1].y - 1);
+  }
+  const benchmarkReturns = dailyReturns(bars);
+  const s = [];
+  const b = [];
+  strategyReturns.forEach((value, date) => {
+    if (benchmarkReturns.has(date)) {
+      s.push(value);
+      b.push(benchmarkReturns.get(date));
+    }
+  });
+  if (s.length < MIN_BENCHMARK_DAYS) return null;
+
+  const meanB = mean(b);
+  const meanS = mean(s);
+  let cov = 0;
+  let varB = 0;
+  for (let i = 0; i < s.length; i += 1) {
+    cov += (s[i] - meanS) * (b[i] - meanB);
+    varB += (b[i] - meanB) ** 2;
+  }
+  const beta = varB > 0 ? cov / varB : null;
+  const active = s.map((value, i) => value - b[i]);
+  const trackingError = stdev(active) * Math.sqrt(TRADING_DAYS);
+  const capture = (predicate) => {
+    const idx = b.map((value, i) => (predicate(value) ? i : -1)).filter((i) => i >= 0);
+    if (idx.length === 0) return null;
+    const benchmarkMean = mean(idx.map((i) => b[i]));
+    return benchmarkMean !== 0 ? mean(idx.map((i) => s[i])) / benchmarkMean : null;
+  };
+  const compound = (returns) => returns.reduce((acc, r) => acc * (1 + r), 1) - 1;
+
+  return {
+    days: s.length,
+    alpha: (meanS - (beta ?? 0) * meanB) * TRADING_DAYS,
+    beta,
+    correlation: pearson(s, b),
+    trackingError,
+    informationRatio: trackingError > 0 ? (mean(active) * TRADING_DAYS) / trackingError : null,
+    upCapture: capture((r) => r > 0),
+    downCapture: capture((r) => r < 0),
+    strategyReturn: compound(s),
+    benchmarkReturn: compound(b),
+  };
+}
@@ -0,0 +1,211 @@
+/**
+ * Return correlation across symbols: close-to-close daily returns keyed by date, and a Pearson
+ * matrix where each pair is aligned on the dates both series have.
+ *
+ * For backtests, per-symbol daily returns come from the closed trades instead (tradeDailyReturns),
+ * and clusterCorrelation orders the matrix so symbols that move together sit next to each other.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const day = (timestamp) => String(timestamp).slice(0, 10);
+
+/**
+ * @param {object[]} bars - OHLCV rows, any order
+ * @returns {Map<string, number>} date (YYYY-MM-DD) → return since the previous bar, oldest first
+ */
+export function dailyReturns(bars) {
+  const closes = (bars || [])
+    .map((bar) => ({ date: day(bar.timestamp), close: parseFloat(bar.close) }))
+    .filter((row) => row.close > 0)
+    .sort((a, b) => (a.date < b.date ? -1 : 1));
+  const returns = new Map();
+  for (let i = 1; i < closes.length; i += 1) {
+    returns.set(closes[i].date, closes[i].close / closes[i - 1].close - 1);
+  }
+  return returns;
+}
+
+/** Pearson correlation of two equal-length arrays; null without variance or enough points. */
+export function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 3) return null;
+  const mx = xs.reduce((s, v) => s + v, 0) / n;
+  const my = ys.reduce((s, v) => s + v, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i += 1) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+/**
+ * @param {Object<string, Map<string, number>>} returnsByKey - e.g. ticker → dailyReturns(...)
+ * @param {{ minOverlap?: number }} [options] - pairs with fewer common dates get null
+ * @returns {{ keys: string[], matrix: (number|null)[][], overlap: number[][] }}
+ */
+export function correlationMatrix(returnsByKey, { minOverlap = 20 } = {}) {
+  const keys = Object.keys(returnsByKey);
+  const matrix = keys.map(() => keys.map(() => null));
+  const overlap = keys.map(() => keys.map(() => 0));
+  keys.forEach((a, i) => {
+    const ra = returnsByKey[a];
+    overlap[i][i] = ra.size;
+    matrix[i][i] = ra.size >= minOverlap ? 1 : null;
+    for (let j = i + 1; j < keys.length; j += 1) {
+      const rb = returnsByKey[keys[j]];
+      const xs = [];
+      const ys = [];
+      ra.forEach((value, date) => {
+        if (rb.has(date)) {
+          xs.push(value);
+          ys.push(rb.get(date));
+        }
+      });
+      const r = xs.length >= minOverlap ? pearson(xs, ys) : null;
+      matrix[i][j] = r;
+      matrix[j][i] = r;
+      overlap[i][j] = xs.length;
+      overlap[j][i] = xs.length;
+    }
+  });
+  return { keys, matrix, overlap };
+}
+
+/**
+ * Daily strategy returns per symbol from closed trades, on one shared business-day calendar.
+ * Each trade's P&L is spread evenly over the business days it was held (entry day excluded, exit
+ * day included), so symbols that are in the market at the same time with the same outcome move
+ * together; days with no open trade are flat (0). Hedge legs (`metadata.is_hedge_leg`) are left
+ * out, so the hedge instrument does not show up as a symbol.
+ * @param {object[]} trades - backtest trades with `symbol_ticker`, `pnl` and entry / exit timestamps
+ * @param {{ capital?: number }} [options] - returns are P&L / capital
+ * @returns {Object<string, Map<string, number>>} ticker → date (YYYY-MM-DD) → return, oldest first
+ */
+export function tradeDailyReturns(trades, { capital = 10000 } = {}) {
+  const rows = (trades || [])
+    .filter((trade) => !trade.metadata?.is_hedge_leg)
+    .map((trade) => ({
+      ticker: trade.symbol_ticker || trade.symbol_info?.ticker || trade.symbol,
+      entry: Math.floor(Date.parse(trade.entry_timestamp) / DAY_MS),
+      exit: Math.floor(Date.parse(trade.exit_timestamp) / DAY_MS),
+      pnl: Number(trade.pnl),
+    }))
+    .filter((row) => row.ticker && Number.isFinite(row.entry) && Number.isFinite(row.exit) && Number.isFinite(row.pnl));
+  if (rows.length === 0) return {};
+
+  const calendar = [];
+  const firstDay = Math.min(...rows.map((row) => row.entry));
+  const lastDay = Math.max(...rows.map((row) => row.exit));
+  for (let d = firstDay; d <= lastDay; d += 1) {
+    const weekday = new Date(d * DAY_MS).getUTCDay();
+    if (weekday !== 0 && weekday !== 6) calendar.push(d);
+  }
+  // Index of the first business day on or after `d`.
+  const indexFrom = (d) => {
+    let lo = 0;
+    let hi = calendar.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (calendar[mid] < d) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+
+  const pnlByTicker = {};
+  rows.forEach((row) => {
+    if (!pnlByTicker[row.ticker]) pnlByTicker[row.ticker] = new Array(calendar.length).fill(0);
+    const last = Math.min(calendar.length - 1, Math.max(0, indexFrom(row.exit + 1) - 1));
+    const first = Math.min(last, indexFrom(row.entry + 1));
+    const perDay = row.pnl / (last - first + 1);
+    for (let i = first; i <= last; i += 1) pnlByTicker[row.ticker][i] += perDay;
+  });
+
+  const dates = calendar.map((d) => new Date(d * DAY_MS).toISOString().slice(0, 10));
+  return Object.fromEntries(
+    Object.entries(pnlByTicker).map(([ticker, pnl]) => [
+      ticker,
+      new Map(dates.map((date, i) => [date, capital > 0 ? pnl[i] / capital : 0])),
+    ]),
+  );
+}
+
+/** Mean of the off-diagonal correlations among `indices` (null pairs count as 0). */
+function averageCorrelation(matrix, indices) {
+  let sum = 0;
+  let pairs = 0;
+  indices.forEach((i, a) => {
+    indices.slice(a + 1).forEach((j) => {
+      sum += matrix[i][j] ?? 0;
+      pairs += 1;
+    });
+  });
+  return pairs > 0 ? sum / pairs : null;
+}
+
+/**
+ * Average-linkage hierarchical clustering on a correlation matrix (similarity r, null as 0).
+ * @param {(number|null)[][]} matrix - correlationMatrix(...).matrix
+ * @param {{ threshold?: number }} [options] - clusters stop merging once their average
+ *   correlation falls below this
+ * @returns {{ order: number[], groups: Array<{ members: number[], averageCorrelation: number }> }}
+ *   `order` is the dendrogram leaf order (for CorrelationMatrix `order`); `groups` are the
+ *   clusters of two or more at the threshold, most correlated first
+ */
+export function clusterCorrelation(matrix, { threshold = 0.7 } = {}) {
+  const n = matrix.length;
+  const clusters = matrix.map((_, i) => [i]); // members in leaf order
+  // Linkage between active clusters, updated in place (Lance–Williams for average linkage).
+  const link = matrix.map((row, i) => row.map((r, j) => (i === j ? null : r ?? 0)));
+  const active = new Set(clusters.map((_, i) => i));
+  let groups = null;
+  const snapshot = () => [...active]
+    .map((c) => clusters[c])
+    .filter((members) => members.length > 1)
+    .map((members) => ({ members, averageCorrelation: averageCorrelation(matrix, members) }))
+    .sort((a, b) => b.averageCorrelation - a.averageCorrelation);
+
+  while (active.size > 1) {
+    let best = null;
+    active.forEach((a) => {
+      active.forEach((b) => {
+        if (b > a && (!best || link[a][b] > best.r)) best = { a, b, r: link[a][b] };
+      });
+    });
+    if (!groups && best.r < threshold) groups = snapshot();
+    const { a, b } = best;
+    const na = clusters[a].length;
+    const nb = clusters[b].length;
+    active.forEach((k) => {
+      if (k === a || k === b) return;
+      const r = (na * link[a][k] + nb * link[b][k]) / (na + nb);
+      link[a][k] = r;
+      link[k][a] = r;
+    });
+    clusters[a] = [...clusters[a], ...clusters[b]];
+    active.delete(b);
+  }
+  return {
+    order: n > 0 ? clusters[[...active][0]] : [],
+    groups: groups || snapshot(),
+  };
+}
+
+/**
+ * Effective number of independent bets in an equally weighted book: N² / Σ r over every pair
+ * (diagonal included). N uncorrelated symbols give N; N perfectly correlated ones give 1. Keys
+ * with a null diagonal (no variance) are left out.
+ * @returns {number|null}
+ */
+export function effectiveBets(matrix) {
+  const keys = matrix.map((_, i) => i).filter((i) => matrix[i][i] !== null);
+  if (keys.length === 0) return null;
+  const total = keys.reduce((s, i) => s + keys.reduce((t, j) => t + (matrix[i][j] ?? 0), 0), 0);
+  const n = keys.length;
+  return total > 0 ? Math.min(n, Math.max(1, (n * n) / total)) : n;
+}
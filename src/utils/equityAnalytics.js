@@ -0,0 +1,148 @@
+/**
+ * Equity-curve analytics for the backtest charts: drawdown (underwater) series, rolling Sharpe /
+ * volatility and a monthly returns calendar.
+ *
+ * Inputs are Apex-style `{ x: ms, y: equity }` points sorted by x (see equityPointsToApexData).
+ * Trade-driven curves are irregular, so rolling metrics and monthly returns work on a business-day
+ * resample (last value per day, carried forward over days without trades).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const TRADING_DAYS_PER_YEAR = 252;
+
+/** Rolling window choices, in trading days. */
+export const ROLLING_WINDOWS = [
+  { label: '1M', days: 21 },
+  { label: '3M', days: 63 },
+  { label: '6M', days: 126 },
+  { label: '1Y', days: 252 },
+];
+
+/**
+ * Percent below the running peak at every point (0 at new highs, negative otherwise).
+ * @returns {Array<{x:number,y:number}>}
+ */
+export function drawdownSeries(points) {
+  const out = [];
+  let peak = -Infinity;
+  for (const p of points || []) {
+    if (!(p.y > 0)) continue;
+    if (p.y > peak) peak = p.y;
+    out.push({ x: p.x, y: ((p.y - peak) / peak) * 100 });
+  }
+  return out;
+}
+
+/**
+ * Longest stretch below a prior peak.
+ * @returns {{ start: number, end: number|null, days: number }|null} end null = not yet recovered
+ */
+export function longestUnderwater(points) {
+  let best = null;
+  let peak = -Infinity;
+  let start = null;
+  for (const p of points || []) {
+    if (p.y >= peak) {
+      if (start != null) {
+        const days = (p.x - start) / DAY_MS;
+        if (!best || days > best.days) best = { start, end: p.x, days };
+      }
+      peak = p.y;
+      start = null;
+    } else if (start == null) {
+      start = p.x;
+    }
+  }
+  const last = points?.[points.length - 1];
+  if (start != null && last) {
+    const days = (last.x - start) / DAY_MS;
+    if (!best || days > best.days) best = { start, end: null, days };
+  }
+  return best;
+}
+
+/**
+ * Last equity of each business day (UTC), carried forward over days without a point.
+ * @returns {Array<{x:number,y:number}>}
+ */
+export function businessDayEquity(points) {
+  const valid = (points || []).filter((p) => Number.isFinite(p.x) && p.y > 0);
+  if (valid.length === 0) return [];
+  const byDay = new Map();
+  valid.forEach((p) => byDay.set(Math.floor(p.x / DAY_MS), p.y));
+  const firstDay = Math.floor(valid[0].x / DAY_MS);
+  const lastDay = Math.floor(valid[valid.length - 1].x / DAY_MS);
+  const out = [];
+  let equity = valid[0].y;
+  for (let day = firstDay; day <= lastDay; day += 1) {
+    if (byDay.has(day)) equity = byDay.get(day);
+    const weekday = new Date(day * DAY_MS).getUTCDay();
+    if (weekday === 0 || weekday === 6) continue;
+    out.push({ x: day * DAY_MS, y: equity });
+  }
+  return out;
+}
+
+/**
+ * Annualized rolling Sharpe (risk-free 0) and volatility (%) over `windowDays` daily returns.
+ * @returns {Array<{ x: number, sharpe: number|null, volatility: number }>}
+ */
+export function rollingMetrics(points, windowDays) {
+  const daily = businessDayEquity(points);
+  const returns = [];
+  for (let i = 1; i < daily.length; i += 1) {
+    returns.push({ x: daily[i].x, r: daily[i].y / daily[i - 1].y - 1 });
+  }
+  const n = Math.floor(windowDays);
+  if (!(n > 1) || returns.length < n) return [];
+  const annual = Math.sqrt(TRADING_DAYS_PER_YEAR);
+  const out = [];
+  let sum = 0;
+  let sumSq = 0;
+  for (let i = 0; i < returns.length; i += 1) {
+    sum += returns[i].r;
+    sumSq += returns[i].r * returns[i].r;
+    if (i >= n) {
+      sum -= returns[i - n].r;
+      sumSq -= returns[i - n].r * returns[i - n].r;
+    }
+    if (i < n - 1) continue;
+    const mean = sum / n;
+    const variance = Math.max(0, (sumSq - n * mean * mean) / (n - 1));
+    const std = Math.sqrt(variance);
+    out.push({
+      x: returns[i].x,
+      sharpe: std > 1e-12 ? (mean / std) * annual : null,
+      volatility: std * annual * 100,
+    });
+  }
+  return out;
+}
+
+/**
+ * Calendar of monthly returns (%), each month measured from the previous month's close.
+ * @returns {Array<{ year: number, months: Array<number|null>, total: number|null }>} newest year first
+ */
+export function monthlyReturns(points) {
+  const daily = businessDayEquity(points);
+  if (daily.length < 2) return [];
+  const monthEnds = new Map();
+  daily.forEach((p) => {
+    const d = new Date(p.x);
+    monthEnds.set(`${d.getUTCFullYear()}-${d.getUTCMonth()}`, p.y);
+  });
+  const years = new Map();
+  let prev = daily[0].y;
+  monthEnds.forEach((equity, key) => {
+    const [year, month] = key.split('-').map(Number);
+    if (!years.has(year)) years.set(year, { year, months: Array(12).fill(null), growth: 1 });
+    const row = years.get(year);
+    const ret = equity / prev - 1;
+    row.months[month] = ret * 100;
+    row.growth *= 1 + ret;
+    prev = equity;
+  });
+  return [...years.values()]
+    .sort((a, b) => b.year - a.year)
+    .map(({ year, months, growth }) => ({ year, months, total: (growth - 1) * 100 }));
+}
@@ -0,0 +1,109 @@
+/**
+ * Turns an analytical-tool assignment plus its values into CandlestickChart indicator entries.
+ *
+ * Values arrive either embedded in the OHLCV rows (`SMA_20`, `BollingerBands_20_upper`, …) or from
+ * the values endpoint (`{ timestamp, value, upper, … }`); `keyIndicatorRows` maps the latter onto the
+ * embedded column names so both go through `assignmentIndicators`.
+ *
+ * Layout: Bollinger bands share the price scale (bandwidth gets a sub-pane); RSI and MACD always get
+ * their own sub-pane; other tools (moving averages…) follow the assignment's `subchart` flag, which
+ * defaults to the price chart. Every entry of one assignment shares a `group` so the chart legend
+ * toggles them together.
+ */
+
+/** Oscillator panes: fixed y range and horizontal reference levels */
+const OSCILLATORS = {
+  RSI: { range: { min: 0, max: 100 }, levels: [30, 70] },
+  MACD: { levels: [0] },
+};
+
+/** Column prefix of an assignment's values: `<tool>_<period>` or just the tool name. */
+export function indicatorBaseKey(assignment) {
+  const toolName = assignment.tool?.name;
+  const period = assignment.parameters?.period || assignment.tool?.default_parameters?.period || '';
+  return period ? `${toolName}_${period}` : toolName;
+}
+
+/** True when the OHLCV rows already carry this assignment's columns. */
+export function hasIndicatorColumns(rows, baseKey) {
+  const first = rows?.[0];
+  return !!first && (first[baseKey] !== undefined || first[`${baseKey}_upper`] !== undefined);
+}
+
+/** Values-endpoint rows → rows keyed like the embedded OHLCV columns. */
+export function keyIndicatorRows(rows, baseKey) {
+  return (rows || []).map(({ timestamp, value, ...outputs }) => ({
+    timestamp,
+    [baseKey]: value,
+    ...Object.fromEntries(Object.entries(outputs).map(([k, v]) => [`${baseKey}_${k}`, v])),
+  }));
+}
+
+function extractValues(rows, key) {
+  return rows
+    .map((item) => ({
+      timestamp: item.timestamp,
+      value: item[key] !== null && item[key] !== undefined ? parseFloat(item[key]) : null,
+    }))
+    .filter((item) => item.value !== null && !isNaN(item.value));
+}
+
+/**
+ * @param {object} assignment - serialized assignment (`tool`, `parameters`, `style`, `subchart`)
+ * @param {object[]} rows - rows keyed by column (OHLCV rows or `keyIndicatorRows` output)
+ * @param {object} [metadata] - OHLCV `indicators` metadata (display names, colours) by column
+ * @returns {object[]} CandlestickChart `indicators` entries
+ */
+export function assignmentIndicators(assignment, rows, metadata = {}) {
+  const toolName = assignment.tool?.name;
+  const baseKey = indicatorBaseKey(assignment);
+  const style = assignment.style || {};
+  const group = `assignment-${assignment.id}`;
+  const groupLabel = metadata?.[baseKey]?.display_name || baseKey;
+  const entry = (key, label, color, extra = {}) => ({
+    ...assignment,
+    toolName: metadata?.[key]?.display_name || label,
+    values: extractValues(rows, key),
+    indicatorKey: key,
+    group,
+    groupLabel,
+    style: {
+      color: metadata?.[key]?.color || color,
+      line_width: metadata?.[key]?.line_width || style.line_width || 2,
+    },
+    ...extra,
+  });
+
+  if (toolName === 'BollingerBands') {
+    if (!rows.some((r) => r[`${baseKey}_upper`] !== undefined)) return [];
+    return [
+      entry(`${baseKey}_upper`, `${baseKey} Upper`, style.upper_color || style.color || '#EF4444', { subchart: false, dashed: true }),
+      entry(`${baseKey}_middle`, `${baseKey} Middle`, style.middle_color || style.color || '#3B82F6', { subchart: false }),
+      entry(`${baseKey}_lower`, `${baseKey} Lower`, style.lower_color || style.color || '#10B981', { subchart: false, dashed: true }),
+      entry(`${baseKey}_bandwidth`, `${baseKey} Bandwidth`, style.bandwidth_color || style.color || '#8B5CF6', {
+        subchart: true,
+        pane: `${baseKey}_bandwidth`,
+      }),
+    ];
+  }
+
+  if (toolName === 'MACD') {
+    if (!rows.some((r) => r[`${baseKey}_macd`] !== undefined || r[baseKey] !== undefined)) return [];
+    const lineKey = rows.some((r) => r[`${baseKey}_macd`] !== undefined) ? `${baseKey}_macd` : baseKey;
+    const pane = { subchart: true, pane: baseKey, ...OSCILLATORS.MACD };
+    return [
+      entry(lineKey, 'MACD', style.color || '#2563EB', pane),
+      entry(`${baseKey}_signal`, 'Signal', style.signal_color || '#F97316', pane),
+      entry(`${baseKey}_histogram`, 'Histogram', style.histogram_color || '#94A3B8', { ...pane, seriesType: 'bar' }),
+    ].filter((ind) => ind.values.length > 0);
+  }
+
+  if (!rows.some((r) => r[baseKey] !== undefined)) return [];
+  const oscillator = OSCILLATORS[toolName];
+  const subchart = oscillator ? true : !!assignment.subchart;
+  return [entry(baseKey, toolName, style.color || '#3B82F6', {
+    subchart,
+    ...(subchart ? { pane: baseKey } : {}),
+    ...(oscillator || {}),
+  })];
+}
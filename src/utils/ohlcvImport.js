@@ -0,0 +1,390 @@
+/**
+ * Parsing and validation for OHLCV files imported into the market data store (CSV and Parquet).
+ *
+ * A file becomes `{ headers, rows }` (rows are arrays of strings), the user maps columns to
+ * `IMPORT_FIELDS`, and `buildImportBars` turns the rows into bars plus row-level errors.
+ * Timestamps without an offset are read as wall-clock time in the chosen IANA timezone; ISO values
+ * with `Z` / `±hh:mm` and epoch values are instants and ignore it. Daily bars are stored at 00:00 UTC
+ * of their trading date (the date in that timezone), like the rest of the daily history; an instant
+ * at exactly 00:00 UTC already is such a date and is not shifted.
+ */
+
+import { isIntradayBarSize } from './ohlcvResample';
+
+export const IMPORT_FIELDS = [
+  { key: 'timestamp', label: 'Date / time', required: true },
+  { key: 'time', label: 'Time (separate column)', required: false },
+  { key: 'open', label: 'Open', required: true },
+  { key: 'high', label: 'High', required: true },
+  { key: 'low', label: 'Low', required: true },
+  { key: 'close', label: 'Close', required: true },
+  { key: 'volume', label: 'Volume', required: false },
+];
+
+/** Normalized header names recognised for each field, best match first. */
+const FIELD_ALIASES = {
+  timestamp: ['timestamp', 'datetime', 'date', 'tradedate', 'day', 'dt', 'ts', 'time', 't'],
+  time: ['time', 'tradetime', 'hhmm'],
+  open: ['open', 'o', 'openprice', 'opening'],
+  high: ['high', 'h', 'highprice', 'max'],
+  low: ['low', 'l', 'lowprice', 'min'],
+  close: ['close', 'c', 'closeprice', 'last', 'price', 'adjclose'],
+  volume: ['volume', 'vol', 'v', 'qty', 'quantity'],
+};
+
+export const DATE_FORMATS = [
+  { key: 'auto', label: 'Detect automatically' },
+  { key: 'iso', label: 'ISO 8601 (2024-03-15, 2024-03-15 14:30, …T14:30:00Z)' },
+  { key: 'ymd', label: 'YYYYMMDD' },
+  { key: 'mdy', label: 'MM/DD/YYYY' },
+  { key: 'dmy', label: 'DD/MM/YYYY or DD.MM.YYYY' },
+  { key: 'epoch_s', label: 'Unix seconds' },
+  { key: 'epoch_ms', label: 'Unix milliseconds' },
+];
+
+export const IMPORT_TIMEZONES = [
+  'UTC',
+  'America/New_York',
+  'America/Chicago',
+  'Europe/London',
+  'Europe/Berlin',
+  'Asia/Tokyo',
+  'Asia/Hong_Kong',
+  'Australia/Sydney',
+];
+
+/** Bar sizes a file can be imported as; weekly / monthly views are resampled from daily bars. */
+export const IMPORT_BAR_SIZES = ['1m', '5m', '15m', '1h', '1d'];
+
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+const MAX_ERRORS = 500;
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function splitCsvRecords(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+/** Delimiter with the most occurrences (outside quotes) in the header line. */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const count = (d) => firstLine.split(d).length - 1;
+  return CSV_DELIMITERS.reduce((best, d) => (count(d) > count(best) ? d : best));
+}
+
+/**
+ * @param {string} text - CSV / TSV file contents; the first record is the header
+ * @returns {{ headers: string[], rows: string[][], delimiter: string }}
+ */
+export function parseCsv(text) {
+  const body = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(body);
+  const [headerRow, ...rows] = splitCsvRecords(body, delimiter);
+  if (!headerRow) throw new Error('File is empty');
+  const headers = headerRow.map((h, i) => h.trim() || `column_${i + 1}`);
+  return { headers, rows: rows.map((r) => r.map((v) => v.trim())), delimiter };
+}
+
+/**
+ * How a Parquet column's Date values are written out: 'date' for DATE (a calendar day), 'wall' for
+ * TIMESTAMP without isAdjustedToUTC (local time, placed in the chosen timezone), else 'instant'.
+ */
+function parquetDateKind(element) {
+  if (element.converted_type === 'DATE' || element.logical_type?.type === 'DATE') return 'date';
+  if (element.logical_type?.type === 'TIMESTAMP' && !element.logical_type.isAdjustedToUTC) return 'wall';
+  return 'instant';
+}
+
+function parquetValue(value, dateKind = 'instant') {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    if (dateKind === 'date') return iso.slice(0, 10);
+    return dateKind === 'wall' ? iso.slice(0, -1) : iso;
+  }
+  if (typeof value === 'bigint') return String(Number(value));
+  return String(value);
+}
+
+/**
+ * Parquet reader (hyparquet, loaded on first use). DATE columns become YYYY-MM-DD, naive
+ * timestamps offset-less ISO wall times and UTC timestamps ISO instants; int64 values plain
+ * numbers, so both formats share the CSV path.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<{ headers: string[], rows: string[][] }>}
+ */
+export async function parseParquet(buffer) {
+  const { parquetReadObjects, parquetSchema, parquetMetadata } = await import('hyparquet');
+  let records;
+  let columns;
+  try {
+    columns = parquetSchema(parquetMetadata(buffer)).children.map((c) => c.element);
+    records = await parquetReadObjects({ file: buffer });
+  } catch (error) {
+    throw new Error(`File is not a readable Parquet file (${error.message})`);
+  }
+  const headers = columns.map((element) => element.name);
+  const kinds = columns.map(parquetDateKind);
+  return {
+    headers,
+    rows: records.map((record) => headers.map((h, i) => parquetValue(record[h], kinds[i]))),
+  };
+}
+
+/** Column index per field from header names; -1 when nothing matches. */
+export function guessColumnMapping(headers) {
+  const names = headers.map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+  IMPORT_FIELDS.forEach(({ key }) => {
+    const index = FIELD_ALIASES[key]
+      .map((alias) => names.findIndex((name, i) => name === alias && !used.has(i)))
+      .find((i) => i >= 0);
+    mapping[key] = index ?? -1;
+    if (mapping[key] >= 0) used.add(mapping[key]);
+  });
+  // A lone "time" column is the timestamp, not a separate time of day
+  if (mapping.time >= 0 && mapping.timestamp < 0) {
+    mapping.timestamp = mapping.time;
+    mapping.time = -1;
+  }
+  return mapping;
+}
+
+/** Offset (ms) of `timeZone` from UTC at instant `utcMs`. */
+function zoneOffsetMs(timeZone, utcMs) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(new Date(utcMs)).map((p) => [p.type, p.value]),
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/** UTC instant of a wall-clock time (given as if it were UTC ms) in `timeZone`. */
+function wallToUtc(wallMs, timeZone) {
+  if (timeZone === 'UTC') return wallMs;
+  const guess = wallMs - zoneOffsetMs(timeZone, wallMs);
+  return wallMs - zoneOffsetMs(timeZone, guess);
+}
+
+/** Wall-clock time (as UTC ms) of instant `utcMs` in `timeZone`. */
+function utcToWall(utcMs, timeZone) {
+  return timeZone === 'UTC' ? utcMs : utcMs + zoneOffsetMs(timeZone, utcMs);
+}
+
+const TIME_RE = /^(\d{1,2}):?(\d{2})(?::?(\d{2})(?:\.\d+)?)?$/;
+
+function parseTime(value) {
+  if (!value) return 0;
+  const m = TIME_RE.exec(value.trim());
+  if (!m) return null;
+  const [h, min, s] = [Number(m[1]), Number(m[2]), Number(m[3] || 0)];
+  if (h > 23 || min > 59 || s > 59) return null;
+  return ((h * 60 + min) * 60 + s) * 1000;
+}
+
+function wallDate(y, m, d) {
+  const ms = Date.UTC(y, m - 1, d);
+  const check = new Date(ms);
+  return check.getUTCMonth() === m - 1 && check.getUTCDate() === d ? ms : null;
+}
+
+/**
+ * One timestamp value → `{ ms, instant }`: `instant` true when `ms` is a UTC instant (offset /
+ * epoch), false when it is wall-clock time still to be placed in a timezone. null when invalid.
+ */
+function parseTimestamp(value, format) {
+  const v = String(value || '').trim();
+  if (!v) return null;
+  if (format === 'epoch_s' || format === 'epoch_ms') {
+    if (!/^-?\d+(\.\d+)?$/.test(v)) return null;
+    return { ms: Number(v) * (format === 'epoch_s' ? 1000 : 1), instant: true };
+  }
+  if (format === 'iso') {
+    const m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](.+?))?(Z|[+-]\d{2}:?\d{2})?$/i.exec(v);
+    if (!m) return null;
+    const day = wallDate(Number(m[1]), Number(m[2]), Number(m[3]));
+    const time = parseTime(m[4]);
+    if (day === null || time === null) return null;
+    if (!m[5]) return { ms: day + time, instant: false };
+    if (m[5].toUpperCase() === 'Z') return { ms: day + time, instant: true };
+    const sign = m[5][0] === '-' ? -1 : 1;
+    const [oh, om] = [Number(m[5].slice(1, 3)), Number(m[5].slice(-2))];
+    return { ms: day + time - sign * (oh * 60 + om) * 60 * 1000, instant: true };
+  }
+  if (format === 'ymd') {
+    const m = /^(\d{4})(\d{2})(\d{2})(?:[ T](.+))?$/.exec(v);
+    if (!m) return null;
+    const day = wallDate(Number(m[1]), Number(m[2]), Number(m[3]));
+    const time = parseTime(m[4]);
+    return day === null || time === null ? null : { ms: day + time, instant: false };
+  }
+  if (format === 'mdy' || format === 'dmy') {
+    const m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](.+))?$/.exec(v);
+    if (!m) return null;
+    const [a, b] = [Number(m[1]), Number(m[2])];
+    const day = format === 'mdy' ? wallDate(Number(m[3]), a, b) : wallDate(Number(m[3]), b, a);
+    const time = parseTime(m[4]);
+    return day === null || time === null ? null : { ms: day + time, instant: false };
+  }
+  return null;
+}
+
+/** First concrete format that parses every sample; epoch digits are told apart by length. */
+export function detectDateFormat(samples) {
+  const values = samples.map((s) => String(s || '').trim()).filter(Boolean);
+  if (values.length === 0) return 'iso';
+  if (values.every((v) => /^\d{12,14}$/.test(v))) return 'epoch_ms';
+  if (values.every((v) => /^\d{9,11}(\.\d+)?$/.test(v))) return 'epoch_s';
+  return ['iso', 'ymd', 'mdy', 'dmy'].find((format) => values.every((v) => parseTimestamp(v, format))) || 'iso';
+}
+
+function parseNumber(value, decimalSeparator) {
+  let v = String(value ?? '').trim().replace(/[\s_']/g, '');
+  if (!v) return null;
+  if (decimalSeparator === ',') v = v.replace(/\./g, '').replace(',', '.');
+  else v = v.replace(/,/g, '');
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isoDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * Mapped rows → bars for `barSize`, oldest first. Rows with errors are left out; duplicate
+ * timestamps keep the first row.
+ * @param {string[][]} rows
+ * @param {object} mapping - field key → column index (-1 = unmapped)
+ * @param {{ barSize?: string, dateFormat?: string, timeZone?: string, decimalSeparator?: string }} [options]
+ * @returns {{ bars: object[], errors: { row: number, message: string }[], errorCount: number,
+ *   dateFormat: string, firstDate: string|null, lastDate: string|null }}
+ */
+export function buildImportBars(rows, mapping, {
+  barSize = '1d',
+  dateFormat = 'auto',
+  timeZone = 'UTC',
+  decimalSeparator = '.',
+} = {}) {
+  const missing = IMPORT_FIELDS.filter((f) => f.required && !(mapping[f.key] >= 0));
+  if (missing.length > 0) {
+    throw new Error(`Map a column to ${missing.map((f) => f.label).join(', ')}`);
+  }
+  const format = dateFormat === 'auto'
+    ? detectDateFormat(rows.slice(0, 50).map((r) => r[mapping.timestamp]))
+    : dateFormat;
+  const intraday = isIntradayBarSize(barSize);
+  const errors = [];
+  let errorCount = 0;
+  const fail = (row, message) => {
+    errorCount += 1;
+    if (errors.length < MAX_ERRORS) errors.push({ row, message });
+  };
+
+  const seen = new Set();
+  const bars = [];
+  rows.forEach((cells, index) => {
+    // Row numbers as shown in a spreadsheet: the header is row 1
+    const rowNumber = index + 2;
+    const raw = cells[mapping.timestamp];
+    const parsed = parseTimestamp(raw, format);
+    const time = mapping.time >= 0 ? parseTime(cells[mapping.time]) : 0;
+    if (!parsed || time === null) {
+      fail(rowNumber, `Unreadable date "${raw}${mapping.time >= 0 ? ` ${cells[mapping.time]}` : ''}"`);
+      return;
+    }
+    let timestamp;
+    if (intraday) {
+      const ms = parsed.instant ? parsed.ms + time : wallToUtc(parsed.ms + time, timeZone);
+      timestamp = new Date(ms).toISOString();
+    } else {
+      const midnightUtc = parsed.instant && parsed.ms % DAY_MS === 0;
+      const wall = parsed.instant && !midnightUtc ? utcToWall(parsed.ms, timeZone) : parsed.ms;
+      timestamp = `${isoDay(wall)}T00:00:00Z`;
+    }
+
+    const [open, high, low, close] = ['open', 'high', 'low', 'close']
+      .map((key) => parseNumber(cells[mapping[key]], decimalSeparator));
+    const volume = mapping.volume >= 0 ? parseNumber(cells[mapping.volume], decimalSeparator) : 0;
+    if ([open, high, low, close].some((p) => p === null)) {
+      fail(rowNumber, 'Missing or non-numeric price');
+      return;
+    }
+    if ([open, high, low, close].some((p) => p <= 0)) {
+      fail(rowNumber, 'Zero or negative price');
+      return;
+    }
+    if (high < low) {
+      fail(rowNumber, `High ${high} below low ${low}`);
+      return;
+    }
+    if (Math.max(open, close) > high || Math.min(open, close) < low) {
+      fail(rowNumber, `Open ${open} / close ${close} outside ${low}–${high}`);
+      return;
+    }
+    if (volume === null || volume < 0) {
+      fail(rowNumber, 'Volume is not a non-negative number');
+      return;
+    }
+    if (seen.has(timestamp)) {
+      fail(rowNumber, `Duplicate bar at ${intraday ? timestamp : timestamp.slice(0, 10)}`);
+      return;
+    }
+    seen.add(timestamp);
+    bars.push({ timestamp, open, high, low, close, volume });
+  });
+
+  bars.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  return {
+    bars,
+    errors,
+    errorCount,
+    dateFormat: format,
+    firstDate: bars.length ? bars[0].timestamp : null,
+    lastDate: bars.length ? bars[bars.length - 1].timestamp : null,
+  };
+}
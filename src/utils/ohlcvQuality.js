@@ -0,0 +1,219 @@
+/**
+ * OHLCV data-quality scan over daily bars.
+ *
+ * Checks: missing trading days (runs of 2+ missing weekdays; single missing weekdays are counted
+ * as holidays unless there are far more than an exchange calendar has), zero / negative prices,
+ * high < low (or open / close outside the high–low range), overnight gaps matching common split
+ * ratios (likely unadjusted splits) and stale trailing data. No exchange holiday calendar is used.
+ *
+ * Each issue carries the repair it needs: `{ action: 'refetch', start_date, end_date }` (refetch
+ * that range; `start_date` null = from the first stored bar) or `{ action: 'update' }` (fetch the
+ * newest bars).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const QUALITY_CHECKS = {
+  missing_days: 'Missing trading days',
+  non_positive_price: 'Zero / negative prices',
+  high_low: 'High / low violations',
+  split_gap: 'Possible unadjusted splits',
+  stale: 'Stale data',
+};
+
+/** Split ratios checked against overnight gaps (and their reverse splits). */
+const SPLIT_RATIOS = [1.5, 2, 3, 4, 5, 8, 10, 15, 20, 25, 50];
+const SPLIT_TOLERANCE = 0.03;
+/** Single missing weekdays per year still explained by exchange holidays. */
+const HOLIDAYS_PER_YEAR = 12;
+/** Padding (days) around a refetch range so the repair overlaps clean bars. */
+const REPAIR_PADDING_DAYS = 5;
+
+const isoDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+const dayMs = (timestamp) => Date.parse(`${String(timestamp).slice(0, 10)}T00:00:00Z`);
+const isWeekday = (ms) => {
+  const dow = new Date(ms).getUTCDay();
+  return dow !== 0 && dow !== 6;
+};
+
+function weekdaysBetween(fromMs, toMs) {
+  const days = [];
+  for (let t = fromMs + DAY_MS; t < toMs; t += DAY_MS) {
+    if (isWeekday(t)) days.push(t);
+  }
+  return days;
+}
+
+function refetchRange(fromMs, toMs, paddingDays = REPAIR_PADDING_DAYS) {
+  return {
+    action: 'refetch',
+    start_date: isoDay(fromMs - paddingDays * DAY_MS),
+    end_date: isoDay(toMs + paddingDays * DAY_MS),
+  };
+}
+
+function splitRatio(gap) {
+  const ratio = gap >= 1 ? gap : 1 / gap;
+  return SPLIT_RATIOS.find((r) => Math.abs(ratio / r - 1) <= SPLIT_TOLERANCE) || null;
+}
+
+const fmtPrice = (v) => (Number.isFinite(v) ? v.toFixed(2) : String(v));
+/** 3 → '3:1' (or '1:3' reversed), 1.5 → '3:2' */
+function splitLabel(ratio, reverse) {
+  const [a, b] = Number.isInteger(ratio) ? [ratio, 1] : [ratio * 2, 2];
+  return reverse ? `${b}:${a}` : `${a}:${b}`;
+}
+
+/**
+ * @param {object[]} bars - daily OHLCV rows, any order
+ * @param {{ now?: number, staleAfterDays?: number, totalCount?: number }} [options] -
+ *   `staleAfterDays` weekdays without a bar before data counts as stale; `totalCount` is the number of
+ *   stored bars when `bars` is only the newest page
+ * @returns {{ status: 'ok'|'warning'|'error'|'empty', barCount: number, totalCount: number,
+ *   firstDate: string|null, lastDate: string|null, issues: object[], counts: object }}
+ */
+export function scanOhlcvQuality(bars, { now = Date.now(), staleAfterDays = 3, totalCount = null } = {}) {
+  const rows = (bars || [])
+    .map((bar) => ({
+      t: dayMs(bar.timestamp),
+      open: parseFloat(bar.open),
+      high: parseFloat(bar.high),
+      low: parseFloat(bar.low),
+      close: parseFloat(bar.close),
+    }))
+    .filter((row) => Number.isFinite(row.t))
+    .sort((a, b) => a.t - b.t);
+
+  const counts = Object.fromEntries(Object.keys(QUALITY_CHECKS).map((k) => [k, 0]));
+  if (rows.length === 0) {
+    return { status: 'empty', barCount: 0, totalCount: totalCount || 0, firstDate: null, lastDate: null, issues: [], counts };
+  }
+
+  const issues = [];
+  const add = (issue) => {
+    issues.push(issue);
+    counts[issue.check] += 1;
+  };
+
+  let singleMissing = 0;
+  rows.forEach((row, i) => {
+    const date = isoDay(row.t);
+    const prices = [row.open, row.high, row.low, row.close];
+
+    if (prices.some((p) => !Number.isFinite(p) || p <= 0)) {
+      add({
+        check: 'non_positive_price',
+        severity: 'error',
+        date,
+        message: `O ${fmtPrice(row.open)} / H ${fmtPrice(row.high)} / L ${fmtPrice(row.low)} / C ${fmtPrice(row.close)}`,
+        repair: refetchRange(row.t, row.t),
+      });
+    } else if (row.high < row.low) {
+      add({
+        check: 'high_low',
+        severity: 'error',
+        date,
+        message: `High ${fmtPrice(row.high)} below low ${fmtPrice(row.low)}`,
+        repair: refetchRange(row.t, row.t),
+      });
+    } else if (Math.max(row.open, row.close) > row.high || Math.min(row.open, row.close) < row.low) {
+      add({
+        check: 'high_low',
+        severity: 'error',
+        date,
+        message: `Open ${fmtPrice(row.open)} / close ${fmtPrice(row.close)} outside ${fmtPrice(row.low)}–${fmtPrice(row.high)}`,
+        repair: refetchRange(row.t, row.t),
+      });
+    }
+
+    if (i === 0) return;
+    const prev = rows[i - 1];
+
+    const missing = weekdaysBetween(prev.t, row.t);
+    if (missing.length === 1) {
+      singleMissing += 1;
+    } else if (missing.length > 1) {
+      add({
+        check: 'missing_days',
+        severity: 'warning',
+        date: isoDay(missing[0]),
+        endDate: isoDay(missing[missing.length - 1]),
+        message: `${missing.length} weekdays without bars between ${isoDay(prev.t)} and ${date}`,
+        repair: refetchRange(prev.t, row.t),
+      });
+    }
+
+    if (prev.close > 0 && row.open > 0) {
+      const gap = row.open / prev.close;
+      const ratio = splitRatio(gap);
+      if (ratio) {
+        add({
+          check: 'split_gap',
+          severity: 'warning',
+          date,
+          message: `Open ${fmtPrice(row.open)} vs previous close ${fmtPrice(prev.close)} `
+            + `(${splitLabel(ratio, gap > 1)} ${gap > 1 ? 'reverse split' : 'split'}?)`,
+          // Adjusting a split rewrites every earlier bar
+          repair: { action: 'refetch', start_date: null, end_date: isoDay(row.t + REPAIR_PADDING_DAYS * DAY_MS) },
+        });
+      }
+    }
+  });
+
+  const first = rows[0].t;
+  const last = rows[rows.length - 1].t;
+  const years = Math.max((last - first) / (365.25 * DAY_MS), 1);
+  if (singleMissing > HOLIDAYS_PER_YEAR * years) {
+    add({
+      check: 'missing_days',
+      severity: 'warning',
+      date: isoDay(first),
+      endDate: isoDay(last),
+      message: `${singleMissing} isolated missing weekdays — more than holidays explain`,
+      repair: { action: 'refetch', start_date: isoDay(first), end_date: isoDay(last) },
+    });
+  }
+
+  const today = dayMs(new Date(now).toISOString());
+  const staleDays = weekdaysBetween(last, today).length;
+  if (staleDays > staleAfterDays) {
+    add({
+      check: 'stale',
+      severity: staleDays > 20 ? 'error' : 'warning',
+      date: isoDay(last),
+      message: `Last bar ${isoDay(last)}, ${staleDays} weekdays ago`,
+      repair: { action: 'update' },
+    });
+  }
+
+  const status = issues.some((issue) => issue.severity === 'error')
+    ? 'error'
+    : issues.length > 0 ? 'warning' : 'ok';
+  return {
+    status,
+    barCount: rows.length,
+    totalCount: Math.max(totalCount || 0, rows.length),
+    firstDate: isoDay(first),
+    lastDate: isoDay(last),
+    issues,
+    counts,
+  };
+}
+
+/**
+ * One repair per symbol for bulk views: the refetch range covering every refetch issue (`start_date`
+ * null when one needs the full history) and whether the data needs an update.
+ * @returns {{ refetch: { start_date: string|null, end_date: string }|null, update: boolean }}
+ */
+export function combinedRepair(report) {
+  const ranges = (report?.issues || []).map((issue) => issue.repair).filter((r) => r.action === 'refetch');
+  const update = (report?.issues || []).some((issue) => issue.repair.action === 'update');
+  if (ranges.length === 0) return { refetch: null, update };
+  return {
+    refetch: {
+      start_date: ranges.some((r) => !r.start_date) ? null : ranges.map((r) => r.start_date).sort()[0],
+      end_date: ranges.map((r) => r.end_date).sort().pop(),
+    },
+    update,
+  };
+}
@@ -0,0 +1,96 @@
+/**
+ * OHLCV bar sizes and client-side resampling.
+ *
+ * `BAR_SIZES` is ordered fine → coarse; `timeframe` is the value sent to the OHLCV endpoint.
+ * Buckets are aligned in UTC: minutes / hours on the clock, days at 00:00, weeks on Monday,
+ * months on the 1st. A bucket opens with its first bar, closes with its last, takes the extreme
+ * high / low and the summed volume; indicator columns are not carried over.
+ */
+
+export const BAR_SIZES = [
+  { key: '1m', label: '1m', timeframe: '1m', ms: 60 * 1000 },
+  { key: '5m', label: '5m', timeframe: '5m', ms: 5 * 60 * 1000 },
+  { key: '15m', label: '15m', timeframe: '15m', ms: 15 * 60 * 1000 },
+  { key: '1h', label: '1h', timeframe: '1h', ms: 60 * 60 * 1000 },
+  { key: '1d', label: '1D', timeframe: 'daily', ms: 24 * 60 * 60 * 1000 },
+  { key: '1w', label: '1W', timeframe: 'weekly', ms: 7 * 24 * 60 * 60 * 1000 },
+  { key: '1M', label: '1M', timeframe: 'monthly', ms: 30 * 24 * 60 * 60 * 1000 },
+];
+
+export const DEFAULT_BAR_SIZE = '1d';
+
+export function barSizeByKey(key) {
+  return BAR_SIZES.find((b) => b.key === key) || BAR_SIZES.find((b) => b.key === DEFAULT_BAR_SIZE);
+}
+
+/** Bar sizes finer than `key`, nearest first: the sources a coarser bar can be built from. */
+export function finerBarSizes(key) {
+  const index = BAR_SIZES.findIndex((b) => b.key === key);
+  return index > 0 ? BAR_SIZES.slice(0, index).reverse() : [];
+}
+
+export function isIntradayBarSize(key) {
+  return barSizeByKey(key).ms < BAR_SIZES.find((b) => b.key === '1d').ms;
+}
+
+/** Start (ms, UTC) of the bucket holding `t`. */
+export function bucketStart(t, key) {
+  const d = new Date(t);
+  if (key === '1M') return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+  if (key === '1w') {
+    const day = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+    return day - ((d.getUTCDay() + 6) % 7) * barSizeByKey('1d').ms;
+  }
+  const { ms } = barSizeByKey(key);
+  return Math.floor(t / ms) * ms;
+}
+
+/**
+ * @param {object[]} bars - OHLCV rows (`timestamp`, `open`, `high`, `low`, `close`, `volume`), any order
+ * @param {string} key - target bar size
+ * @returns {object[]} resampled rows, newest first like the OHLCV endpoint, with `timeframe` and
+ *   `change_percent` (close vs previous bar close, %)
+ */
+export function resampleOhlcv(bars, key) {
+  const sorted = (bars || [])
+    .map((bar) => ({ bar, t: Date.parse(bar.timestamp) }))
+    .filter(({ t }) => Number.isFinite(t))
+    .sort((a, b) => a.t - b.t);
+
+  const buckets = [];
+  sorted.forEach(({ bar, t }) => {
+    const start = bucketStart(t, key);
+    const open = parseFloat(bar.open);
+    const high = parseFloat(bar.high);
+    const low = parseFloat(bar.low);
+    const close = parseFloat(bar.close);
+    const volume = parseFloat(bar.volume) || 0;
+    if ([open, high, low, close].some((v) => !Number.isFinite(v))) return;
+    const last = buckets[buckets.length - 1];
+    if (last && last.start === start) {
+      last.high = Math.max(last.high, high);
+      last.low = Math.min(last.low, low);
+      last.close = close;
+      last.volume += volume;
+    } else {
+      buckets.push({ start, open, high, low, close, volume });
+    }
+  });
+
+  const { timeframe } = barSizeByKey(key);
+  return buckets
+    .map((b, i) => {
+      const prevClose = i > 0 ? buckets[i - 1].close : null;
+      return {
+        timestamp: new Date(b.start).toISOString(),
+        timeframe,
+        open: b.open,
+        high: b.high,
+        low: b.low,
+        close: b.close,
+        volume: b.volume,
+        change_percent: prevClose ? Math.round(((b.close - prevClose) / prevClose) * 10000) / 100 : null,
+      };
+    })
+    .reverse();
+}
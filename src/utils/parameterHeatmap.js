@@ -0,0 +1,128 @@
+/**
+ * Parameter heatmap: pivot stored symbol runs (one per parameter combination) into a 2D grid of any
+ * metric, sliced on the parameters that are not on an axis.
+ */
+
+/** `better` picks the best run when several land in one cell (and the colour direction). */
+export const HEATMAP_METRICS = [
+  { key: 'sharpe_ratio', label: 'Sharpe ratio', kind: 'ratio', better: 'higher' },
+  { key: 'cagr', label: 'CAGR', kind: 'percent', better: 'higher' },
+  { key: 'max_drawdown', label: 'Max drawdown', kind: 'percent', better: 'lowerAbs' },
+  { key: 'profit_factor', label: 'Profit factor', kind: 'ratio', better: 'higher' },
+  { key: 'win_rate', label: 'Win rate', kind: 'percent', better: 'higher' },
+  { key: 'total_return', label: 'Total return', kind: 'percent', better: 'higher' },
+];
+
+/** Slice value meaning "best run over every value of this parameter". */
+export const SLICE_ANY = '__any__';
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = typeof value === 'string' ? parseFloat(value) : Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function valueKey(value) {
+  return value === undefined ? '' : JSON.stringify(value);
+}
+
+function compareValues(a, b) {
+  const na = toNumber(a);
+  const nb = toNumber(b);
+  if (na !== null && nb !== null) return na - nb;
+  return String(a).localeCompare(String(b));
+}
+
+/** Higher score = better, so magnitudes of drawdown compare the right way round. */
+export function metricScore(metric, value) {
+  const n = toNumber(value);
+  if (n === null) return null;
+  if (metric.better === 'lowerAbs') return -Math.abs(n);
+  if (metric.better === 'lower') return -n;
+  return n;
+}
+
+/**
+ * Parameters with at least two distinct values across the runs, each with its sorted values.
+ * @param {Array<{ params: Record<string, unknown> }>} points
+ * @returns {Array<{ key: string, values: unknown[] }>}
+ */
+export function varyingParameters(points) {
+  const byKey = new Map();
+  points.forEach((p) => {
+    Object.entries(p.params || {}).forEach(([key, value]) => {
+      if (value !== null && typeof value === 'object') return;
+      if (!byKey.has(key)) byKey.set(key, new Map());
+      byKey.get(key).set(valueKey(value), value);
+    });
+  });
+  return [...byKey.entries()]
+    .map(([key, values]) => ({ key, values: [...values.values()].sort(compareValues) }))
+    .filter((p) => p.values.length > 1)
+    .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * @param {Array<{ runId: number, params: Record<string, unknown>, metrics: Record<string, unknown>|null }>} points
+ * @param {{ xKey: string, yKey: string, metric: object, slice: Record<string, unknown> }} opts
+ *   slice: value per non-axis parameter, or SLICE_ANY
+ * @returns {{ xValues: unknown[], yValues: unknown[], cells: Map<string, { runId: number, value: number, count: number }>, worstScore: number|null, bestScore: number|null }}
+ *   cells keyed by `cellKey(x, y)`; scores are `metricScore` values (for colouring)
+ */
+export function buildParameterHeatmap(points, { xKey, yKey, metric, slice }) {
+  const xs = new Map();
+  const ys = new Map();
+  const cells = new Map();
+  let worstScore = null;
+  let bestScore = null;
+
+  points.forEach((p) => {
+    const params = p.params || {};
+    if (!(xKey in params) || !(yKey in params)) return;
+    const inSlice = Object.entries(slice || {}).every(
+      ([key, value]) => value === SLICE_ANY || valueKey(params[key]) === valueKey(value),
+    );
+    if (!inSlice) return;
+    xs.set(valueKey(params[xKey]), params[xKey]);
+    ys.set(valueKey(params[yKey]), params[yKey]);
+
+    const value = toNumber(p.metrics?.[metric.key]);
+    if (value === null) return;
+    const key = cellKey(params[xKey], params[yKey]);
+    const existing = cells.get(key);
+    if (!existing || metricScore(metric, value) > metricScore(metric, existing.value)) {
+      cells.set(key, { runId: p.runId, value, count: (existing?.count || 0) + 1 });
+    } else {
+      existing.count += 1;
+    }
+  });
+
+  cells.forEach(({ value }) => {
+    const score = metricScore(metric, value);
+    if (worstScore === null || score < worstScore) worstScore = score;
+    if (bestScore === null || score > bestScore) bestScore = score;
+  });
+
+  return {
+    xValues: [...xs.values()].sort(compareValues),
+    yValues: [...ys.values()].sort(compareValues),
+    cells,
+    worstScore,
+    bestScore,
+  };
+}
+
+export function cellKey(x, y) {
+  return `${valueKey(x)}|${valueKey(y)}`;
+}
+
+/**
+ * 0 (worst) … 1 (best) position of `value` between the grid's worst and best scores.
+ * @returns {number|null}
+ */
+export function heatmapIntensity(metric, value, worstScore, bestScore) {
+  const score = metricScore(metric, value);
+  if (score === null || worstScore === null || bestScore === null) return null;
+  if (bestScore === worstScore) return 0.5;
+  return (score - worstScore) / (bestScore - worstScore);
+}
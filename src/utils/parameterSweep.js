@@ -0,0 +1,103 @@
+/**
+ * Parameter sweep helpers: per-parameter ranges (from / to / step) expanded into the cartesian
+ * product of strategy parameter sets, one bulk symbol-run submission per combination.
+ */
+
+export const SWEEP_MAX_COMBINATIONS = 200;
+
+/** Guard against runaway ranges (e.g. step 0.0001 over a wide span) before the product is taken. */
+const MAX_VALUES_PER_PARAMETER = 100;
+
+/** Keys of `default_parameters` that can be swept (finite numbers only). */
+export function numericParameterKeys(defaultParameters) {
+  return Object.entries(defaultParameters || {})
+    .filter(([, v]) => typeof v === 'number' && Number.isFinite(v))
+    .map(([k]) => k);
+}
+
+/** Initial range for a parameter: a single value at its current setting. */
+export function defaultSweepRange(value) {
+  const n = Number(value);
+  const v = Number.isFinite(n) ? n : 0;
+  return { enabled: false, from: v, to: v, step: Number.isInteger(v) ? 1 : 0.1 };
+}
+
+function decimalsOf(n) {
+  const s = String(n);
+  const i = s.indexOf('.');
+  return i === -1 ? 0 : s.length - i - 1;
+}
+
+/**
+ * Inclusive values of one range; rounding follows the most precise of from/step so 0.1 steps do not drift.
+ * @param {{ from: number, to: number, step: number }} range
+ * @returns {{ values: number[], error: string|null }}
+ */
+export function sweepRangeValues({ from, to, step }) {
+  const a = Number(from);
+  const b = Number(to);
+  const s = Number(step);
+  if (!Number.isFinite(a) || !Number.isFinite(b)) return { values: [], error: 'From and to must be numbers.' };
+  if (b < a) return { values: [], error: 'To must be greater than or equal to from.' };
+  if (a === b) return { values: [a], error: null };
+  if (!Number.isFinite(s) || s <= 0) return { values: [], error: 'Step must be greater than zero.' };
+
+  const count = Math.floor((b - a) / s + 1e-9) + 1;
+  if (count > MAX_VALUES_PER_PARAMETER) {
+    return { values: [], error: `More than ${MAX_VALUES_PER_PARAMETER} values — increase the step.` };
+  }
+  const decimals = Math.max(decimalsOf(a), decimalsOf(s));
+  const values = [];
+  for (let i = 0; i < count; i += 1) {
+    values.push(Number((a + i * s).toFixed(decimals)));
+  }
+  return { values, error: null };
+}
+
+/**
+ * Cartesian product of the enabled ranges on top of `baseParameters`.
+ * @param {Record<string, unknown>} baseParameters - values for parameters that are not swept
+ * @param {Record<string, { enabled: boolean, from: number, to: number, step: number }>} ranges
+ * @returns {{ combinations: Array<Record<string, unknown>>, sweptKeys: string[], count: number, error: string|null }}
+ */
+export function expandParameterGrid(baseParameters, ranges) {
+  const sweptKeys = Object.keys(ranges || {}).filter((k) => ranges[k]?.enabled);
+  const valuesByKey = {};
+  let count = 1;
+  for (const key of sweptKeys) {
+    const { values, error } = sweepRangeValues(ranges[key]);
+    if (error) {
+      return { combinations: [], sweptKeys, count: 0, error: `${key.replace(/_/g, ' ')}: ${error}` };
+    }
+    valuesByKey[key] = values;
+    count *= values.length;
+  }
+  if (!sweptKeys.length) {
+    return { combinations: [], sweptKeys, count: 0, error: 'Enable at least one parameter to sweep.' };
+  }
+  if (count > SWEEP_MAX_COMBINATIONS) {
+    return {
+      combinations: [],
+      sweptKeys,
+      count,
+      error: `${count} combinations exceeds the limit of ${SWEEP_MAX_COMBINATIONS}.`,
+    };
+  }
+
+  let combinations = [{ ...(baseParameters || {}) }];
+  for (const key of sweptKeys) {
+    const next = [];
+    for (const combo of combinations) {
+      for (const value of valuesByKey[key]) {
+        next.push({ ...combo, [key]: value });
+      }
+    }
+    combinations = next;
+  }
+  return { combinations, sweptKeys, count, error: null };
+}
+
+/** Short run-name suffix for one combination, e.g. `fast 10, slow 50`. */
+export function sweepCombinationLabel(combination, sweptKeys) {
+  return sweptKeys.map((k) => `${k.replace(/_/g, ' ')} ${combination[k]}`).join(', ');
+}
@@ -0,0 +1,112 @@
+/**
+ * Aggregate risk of the open live book: positions netted per symbol, gross / net exposure,
+ * concentration and a one-day historical VaR.
+ *
+ * Positions are marked at the latest stored close (falling back to the entry price). VaR replays
+ * the book's current positions over past daily returns: each date where every priced symbol has a
+ * return is one P&L scenario, and VaR is the loss at the chosen percentile of those scenarios.
+ */
+
+import { tradeSide } from './tradeAnalytics';
+
+/** VaR needs at least this many scenarios to report a number. */
+export const MIN_VAR_SCENARIOS = 20;
+
+/**
+ * @param {object[]} trades - open live trades
+ * @param {Object<string, number>} marks - ticker → latest close
+ * @returns {Array<{ ticker: string, quantity: number, mark: number, markSource: 'close'|'entry',
+ *   value: number, trades: number, deployments: string[] }>} net value (short < 0), largest first
+ */
+export function bookPositions(trades, marks = {}) {
+  const byTicker = new Map();
+  (trades || []).forEach((trade) => {
+    const ticker = trade.symbol || trade.symbol_info?.ticker;
+    const quantity = Number(trade.quantity);
+    if (!ticker || !Number.isFinite(quantity)) return;
+    const row = byTicker.get(ticker) || { ticker, quantity: 0, entryValue: 0, trades: 0, deployments: new Set() };
+    const signed = tradeSide(trade) === 'short' ? -quantity : quantity;
+    row.quantity += signed;
+    row.entryValue += signed * Number(trade.entry_price || 0);
+    row.trades += 1;
+    if (trade.deployment_name) row.deployments.add(trade.deployment_name);
+    byTicker.set(ticker, row);
+  });
+  return [...byTicker.values()]
+    .map((row) => {
+      const close = marks[row.ticker];
+      const hasClose = Number.isFinite(close) && close > 0;
+      const mark = hasClose ? close : (row.quantity !== 0 ? Math.abs(row.entryValue / row.quantity) : 0);
+      return {
+        ticker: row.ticker,
+        quantity: row.quantity,
+        mark,
+        markSource: hasClose ? 'close' : 'entry',
+        value: row.quantity * mark,
+        trades: row.trades,
+        deployments: [...row.deployments],
+      };
+    })
+    .sort((a, b) => Math.abs(b.value) - Math.abs(a.value));
+}
+
+/**
+ * @returns {{ gross: number, net: number, long: number, short: number, longCount: number,
+ *   shortCount: number, concentration: Array<{ ticker: string, value: number, share: number }>,
+ *   largest: { ticker: string, value: number, share: number }|null }} `short` is positive;
+ *   `share` is the fraction of gross exposure
+ */
+export function exposureSummary(positions) {
+  const long = positions.filter((p) => p.value > 0).reduce((s, p) => s + p.value, 0);
+  const short = positions.filter((p) => p.value < 0).reduce((s, p) => s - p.value, 0);
+  const gross = long + short;
+  const concentration = positions
+    .filter((p) => p.value !== 0)
+    .map((p) => ({ ticker: p.ticker, value: p.value, share: gross > 0 ? Math.abs(p.value) / gross : 0 }));
+  return {
+    gross,
+    net: long - short,
+    long,
+    short,
+    longCount: positions.filter((p) => p.value > 0).length,
+    shortCount: positions.filter((p) => p.value < 0).length,
+    concentration,
+    largest: concentration[0] || null,
+  };
+}
+
+/**
+ * One-day historical VaR and expected shortfall (average loss beyond VaR) of the current book.
+ * @param {object[]} positions - bookPositions(...)
+ * @param {Object<string, Map<string, number>>} returnsByTicker - utils/correlation.js dailyReturns
+ * @param {{ confidence?: number }} [options]
+ * @returns {{ var: number|null, expectedShortfall: number|null, confidence: number, scenarios: number,
+ *   excluded: string[], coveredValue: number }} losses as positive amounts; `excluded` symbols
+ *   have no return history and are left out
+ */
+export function historicalVaR(positions, returnsByTicker, { confidence = 0.95 } = {}) {
+  const held = positions.filter((p) => p.value !== 0);
+  const priced = held.filter((p) => returnsByTicker[p.ticker]?.size > 0);
+  const excluded = held.filter((p) => !priced.includes(p)).map((p) => p.ticker);
+  const coveredValue = priced.reduce((s, p) => s + Math.abs(p.value), 0);
+  const empty = { var: null, expectedShortfall: null, confidence, scenarios: 0, excluded, coveredValue };
+  if (priced.length === 0) return empty;
+
+  const [first, ...rest] = priced.map((p) => returnsByTicker[p.ticker]);
+  const dates = [...first.keys()].filter((date) => rest.every((r) => r.has(date)));
+  const pnl = dates
+    .map((date) => priced.reduce((s, p) => s + p.value * returnsByTicker[p.ticker].get(date), 0))
+    .sort((a, b) => a - b);
+  if (pnl.length < MIN_VAR_SCENARIOS) return { ...empty, scenarios: pnl.length };
+
+  const tail = Math.max(1, Math.floor(pnl.length * (1 - confidence)));
+  const worst = pnl.slice(0, tail);
+  return {
+    var: Math.max(0, -pnl[tail - 1]),
+    expectedShortfall: Math.max(0, -worst.reduce((s, v) => s + v, 0) / worst.length),
+    confidence,
+    scenarios: pnl.length,
+    excluded,
+    coveredValue,
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * Distribution analytics over closed trades for the trade analytics tabs: PnL histogram, holding
+ * periods, win/loss streaks, PnL by weekday / calendar month, long vs short and per-trade scatter
+ * points. Works on backtest rows (getAllBacktestTrades / getAllSymbolRunTrades) and live trades
+ * alike — only `pnl`, `pnl_percentage`, the timestamps and the side fields are read.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+export const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/** Holding period buckets, upper bound exclusive (days). */
+export const HOLDING_BUCKETS = [
+  { label: '< 1h', max: 1 / 24 },
+  { label: '1h–1d', max: 1 },
+  { label: '1–2d', max: 2 },
+  { label: '2–5d', max: 5 },
+  { label: '5–10d', max: 10 },
+  { label: '10–20d', max: 20 },
+  { label: '20–60d', max: 60 },
+  { label: '60d+', max: Infinity },
+];
+
+const ts = (value) => {
+  const t = value ? Date.parse(value) : NaN;
+  return Number.isFinite(t) ? t : null;
+};
+
+/** 'long' | 'short' from position_mode (top level or metadata), falling back to trade_type. */
+export function tradeSide(trade) {
+  const mode = trade.position_mode ?? trade.metadata?.position_mode;
+  if (mode === 'long' || mode === 'short') return mode;
+  return (trade.trade_type || trade.tradeType) === 'sell' ? 'short' : 'long';
+}
+
+/** Closed main-leg trades (hedge legs excluded), oldest exit first. */
+export function closedTrades(trades) {
+  return (trades || [])
+    .filter((t) => !t.metadata?.is_hedge_leg
+      && Number.isFinite(Number(t.pnl))
+      && ts(t.exit_timestamp) != null
+      && (t.status == null || t.status === 'closed'))
+    .sort((a, b) => ts(a.exit_timestamp) - ts(b.exit_timestamp));
+}
+
+function holdingDays(trade) {
+  const entry = ts(trade.entry_timestamp);
+  const exit = ts(trade.exit_timestamp);
+  return entry != null && exit != null && exit >= entry ? (exit - entry) / DAY_MS : null;
+}
+
+/** Equal-width PnL bins; a zero edge is kept so no bin mixes winners and losers. */
+export function pnlHistogram(trades, binCount = 20) {
+  const values = trades.map((t) => Number(t.pnl));
+  if (values.length === 0) return [];
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const width = (max - min) / binCount;
+  // Snap the bin origin so 0 falls on an edge (adds at most one bin)
+  const origin = min < 0 && max > 0 ? -Math.ceil(-min / width) * width : min;
+  const count = Math.max(1, Math.ceil((max - origin) / width));
+  const out = Array.from({ length: count }, (_, i) => ({
+    from: origin + i * width,
+    to: origin + (i + 1) * width,
+    count: 0,
+  }));
+  values.forEach((v) => {
+    const i = Math.min(count - 1, Math.max(0, Math.floor((v - origin) / width)));
+    out[i].count += 1;
+  });
+  return out;
+}
+
+/** Trade counts and win rate per HOLDING_BUCKETS bucket. */
+export function holdingDistribution(trades) {
+  const rows = HOLDING_BUCKETS.map((b) => ({ label: b.label, count: 0, wins: 0, pnl: 0 }));
+  trades.forEach((t) => {
+    const days = holdingDays(t);
+    if (days == null) return;
+    const row = rows[HOLDING_BUCKETS.findIndex((b) => days < b.max)];
+    row.count += 1;
+    row.pnl += Number(t.pnl);
+    if (Number(t.pnl) > 0) row.wins += 1;
+  });
+  return rows;
+}
+
+/**
+ * Consecutive winners / losers in exit order.
+ * @returns {{ longestWin: number, longestLoss: number, current: { type: 'win'|'loss', length: number }|null,
+ *   lengths: Array<{ length: number, wins: number, losses: number }> }}
+ */
+export function streaks(trades) {
+  let longestWin = 0;
+  let longestLoss = 0;
+  let current = null;
+  const histogram = new Map();
+  const close = (run) => {
+    if (!run) return;
+    const row = histogram.get(run.length) || { length: run.length, wins: 0, losses: 0 };
+    if (run.type === 'win') row.wins += 1;
+    else row.losses += 1;
+    histogram.set(run.length, row);
+  };
+  trades.forEach((t) => {
+    const type = Number(t.pnl) > 0 ? 'win' : 'loss';
+    if (current && current.type === type) {
+      current.length += 1;
+    } else {
+      close(current);
+      current = { type, length: 1 };
+    }
+    if (type === 'win') longestWin = Math.max(longestWin, current.length);
+    else longestLoss = Math.max(longestLoss, current.length);
+  });
+  close(current);
+  return {
+    longestWin,
+    longestLoss,
+    current,
+    lengths: [...histogram.values()].sort((a, b) => a.length - b.length),
+  };
+}
+
+function groupPnl(trades, keyOf, labels) {
+  const rows = labels.map((label) => ({ label, count: 0, wins: 0, pnl: 0 }));
+  trades.forEach((t) => {
+    const row = rows[keyOf(new Date(ts(t.exit_timestamp)))];
+    row.count += 1;
+    row.pnl += Number(t.pnl);
+    if (Number(t.pnl) > 0) row.wins += 1;
+  });
+  return rows;
+}
+
+/** PnL by exit weekday (UTC, Monday first). */
+export function pnlByWeekday(trades) {
+  return groupPnl(trades, (d) => (d.getUTCDay() + 6) % 7, WEEKDAY_LABELS);
+}
+
+/** PnL by exit calendar month (UTC), all years combined. */
+export function pnlByMonth(trades) {
+  return groupPnl(trades, (d) => d.getUTCMonth(), MONTH_LABELS);
+}
+
+/** Count, win rate (%), total / average PnL and average holding days per side. */
+export function sideBreakdown(trades) {
+  return ['long', 'short'].map((side) => {
+    const rows = trades.filter((t) => tradeSide(t) === side);
+    const pnl = rows.reduce((s, t) => s + Number(t.pnl), 0);
+    const wins = rows.filter((t) => Number(t.pnl) > 0).length;
+    const holds = rows.map(holdingDays).filter((d) => d != null);
+    return {
+      side,
+      count: rows.length,
+      winRate: rows.length ? (wins / rows.length) * 100 : null,
+      pnl,
+      averagePnl: rows.length ? pnl / rows.length : null,
+      averageHoldingDays: holds.length ? holds.reduce((s, d) => s + d, 0) / holds.length : null,
+    };
+  });
+}
+
+/**
+ * One point per trade: return % against holding days, plus the in-trade drawdown (MAE, %) when the
+ * rows carry `max_drawdown` (backtest trades do; live trades don't).
+ */
+export function tradeScatter(trades) {
+  return trades
+    .map((t) => ({
+      id: t.id,
+      side: tradeSide(t),
+      holdingDays: holdingDays(t),
+      returnPct: Number(t.pnl_percentage),
+      mae: t.max_drawdown == null || !Number.isFinite(Number(t.max_drawdown)) ? null : -Math.abs(Number(t.max_drawdown)),
+    }))
+    .filter((p) => p.holdingDays != null && Number.isFinite(p.returnPct));
+}
+
+/** Everything the analytics tab shows, from one trade list. */
+export function analyzeTrades(trades) {
+  const closed = closedTrades(trades);
+  return {
+    trades: closed,
+    histogram: pnlHistogram(closed),
+    holding: holdingDistribution(closed),
+    streaks: streaks(closed),
+    weekday: pnlByWeekday(closed),
+    month: pnlByMonth(closed),
+    sides: sideBreakdown(closed),
+    scatter: tradeScatter(closed),
+  };
+}
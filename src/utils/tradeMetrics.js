@@ -0,0 +1,146 @@
+/**
+ * Performance metrics computed in the browser from a trade list (getAllBacktestTrades /
+ * getAllSymbolRunTrades rows), so any subset — a date range, winners only, one side — gets the same
+ * statistics the backend precomputes for the whole run.
+ *
+ * Keys and units follow the backend statistics (percent values are 0–100, win_rate included), so
+ * results can be shown with the same cards. Sharpe, Sortino and the ulcer index use daily returns of
+ * the business-day equity curve (risk-free rate 0, 252 days a year), which can differ slightly from
+ * backend values computed per trade.
+ */
+
+import { TRADING_DAYS_PER_YEAR, businessDayEquity } from './equityAnalytics';
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+const ts = (value) => {
+  const t = value ? Date.parse(value) : NaN;
+  return Number.isFinite(t) ? t : null;
+};
+
+const round = (value, digits = 2) => (value == null || !Number.isFinite(value)
+  ? null
+  : Math.round(value * 10 ** digits) / 10 ** digits);
+
+/**
+ * Trades closed inside [from, to] (inclusive days) with the given outcome.
+ * @param {object[]} trades
+ * @param {{ from?: string|null, to?: string|null, outcome?: 'all'|'winners'|'losers' }} filters
+ *   from / to are YYYY-MM-DD
+ */
+export function filterTrades(trades, { from = null, to = null, outcome = 'all' } = {}) {
+  const fromMs = from ? Date.parse(`${from}T00:00:00Z`) : null;
+  const toMs = to ? Date.parse(`${to}T23:59:59.999Z`) : null;
+  return (trades || []).filter((t) => {
+    const exit = ts(t.exit_timestamp) ?? ts(t.entry_timestamp);
+    if (fromMs != null && (exit == null || exit < fromMs)) return false;
+    if (toMs != null && (exit == null || exit > toMs)) return false;
+    const pnl = Number(t.pnl);
+    if (outcome === 'winners' && !(pnl > 0)) return false;
+    if (outcome === 'losers' && !(pnl <= 0)) return false;
+    return true;
+  });
+}
+
+/** Share of [start, end] covered by at least one open position, 0–100. */
+function exposurePct(trades, start, end) {
+  if (!(end > start)) return null;
+  const intervals = trades
+    .map((t) => [ts(t.entry_timestamp), ts(t.exit_timestamp) ?? end])
+    .filter(([a, b]) => a != null && b != null && b > a)
+    .map(([a, b]) => [Math.max(a, start), Math.min(b, end)])
+    .filter(([a, b]) => b > a)
+    .sort((p, q) => p[0] - q[0]);
+  let covered = 0;
+  let cursor = -Infinity;
+  intervals.forEach(([a, b]) => {
+    const from = Math.max(a, cursor);
+    if (b > from) covered += b - from;
+    cursor = Math.max(cursor, b);
+  });
+  return (covered / (end - start)) * 100;
+}
+
+/**
+ * @param {object[]} trades - closed trades with `pnl`, `entry_timestamp`, `exit_timestamp`; hedge legs
+ *   (`metadata.is_hedge_leg`) are skipped, as in utils/tradeAnalytics.js
+ * @param {{ initialCapital?: number, startDate?: string|null, endDate?: string|null }} [opts]
+ *   start / end bound CAGR and exposure; default to the first entry and last exit
+ * @returns {object} backend-style statistics plus `equity_curve` ({x,y} points)
+ */
+export function computeTradeMetrics(trades, { initialCapital = 10000, startDate = null, endDate = null } = {}) {
+  const capital = Number(initialCapital) > 0 ? Number(initialCapital) : 10000;
+  const closed = (trades || [])
+    .filter((t) => !t.metadata?.is_hedge_leg
+      && Number.isFinite(Number(t.pnl))
+      && ts(t.exit_timestamp) != null)
+    .sort((a, b) => ts(a.exit_timestamp) - ts(b.exit_timestamp));
+
+  const winners = closed.filter((t) => Number(t.pnl) > 0);
+  const losers = closed.filter((t) => Number(t.pnl) <= 0);
+  const grossWin = winners.reduce((s, t) => s + Number(t.pnl), 0);
+  const grossLoss = Math.abs(losers.reduce((s, t) => s + Number(t.pnl), 0));
+  const totalPnl = grossWin - grossLoss;
+
+  const start = ts(startDate) ?? (closed.length ? Math.min(...closed.map((t) => ts(t.entry_timestamp) ?? ts(t.exit_timestamp))) : null);
+  const end = ts(endDate) ?? (closed.length ? ts(closed[closed.length - 1].exit_timestamp) : null);
+
+  const curve = [];
+  if (start != null) curve.push({ x: start, y: capital });
+  let equity = capital;
+  let peak = capital;
+  let maxDd = 0;
+  closed.forEach((t) => {
+    equity += Number(t.pnl);
+    peak = Math.max(peak, equity);
+    maxDd = Math.max(maxDd, peak > 0 ? (peak - equity) / peak : 0);
+    curve.push({ x: ts(t.exit_timestamp), y: equity });
+  });
+
+  const daily = businessDayEquity(curve);
+  const returns = [];
+  for (let i = 1; i < daily.length; i += 1) returns.push(daily[i].y / daily[i - 1].y - 1);
+  const mean = returns.length ? returns.reduce((s, r) => s + r, 0) / returns.length : 0;
+  const sd = returns.length > 1
+    ? Math.sqrt(returns.reduce((s, r) => s + (r - mean) ** 2, 0) / (returns.length - 1))
+    : 0;
+  const downside = returns.length
+    ? Math.sqrt(returns.reduce((s, r) => s + Math.min(r, 0) ** 2, 0) / returns.length)
+    : 0;
+  const annual = Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+  let runningPeak = -Infinity;
+  const ddSquares = daily.map((p) => {
+    runningPeak = Math.max(runningPeak, p.y);
+    return ((p.y - runningPeak) / runningPeak * 100) ** 2;
+  });
+  const ulcer = ddSquares.length ? Math.sqrt(ddSquares.reduce((s, v) => s + v, 0) / ddSquares.length) : null;
+
+  const years = start != null && end != null ? Math.max((end - start) / YEAR_MS, 1 / 12) : null;
+  const cagr = years && equity > 0 ? ((equity / capital) ** (1 / years) - 1) * 100 : null;
+  const winRate = closed.length ? winners.length / closed.length : 0;
+  const averageWinner = winners.length ? grossWin / winners.length : 0;
+  const averageLoser = losers.length ? -grossLoss / losers.length : 0;
+
+  return {
+    total_trades: closed.length,
+    winning_trades: winners.length,
+    losing_trades: losers.length,
+    win_rate: round(winRate * 100),
+    total_pnl: round(totalPnl),
+    total_return: round((totalPnl / capital) * 100),
+    cagr: round(cagr),
+    sharpe_ratio: sd > 0 ? round((mean / sd) * annual) : null,
+    sortino_ratio: downside > 0 ? round((mean / downside) * annual) : null,
+    max_drawdown: round(maxDd * 100),
+    calmar_ratio: cagr != null && maxDd > 0 ? round(cagr / (maxDd * 100)) : null,
+    profit_factor: grossLoss > 0 ? round(grossWin / grossLoss) : null,
+    expectancy: closed.length ? round(winRate * averageWinner + (1 - winRate) * averageLoser) : null,
+    average_pnl: closed.length ? round(totalPnl / closed.length) : 0,
+    average_winner: round(averageWinner),
+    average_loser: round(averageLoser),
+    ulcer_index: round(ulcer),
+    exposure_pct: start != null && end != null ? round(exposurePct(closed, start, end)) : null,
+    equity_curve: curve,
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * Walk-forward analysis helpers: window generation for queuing one backtest per window, and
+ * stitching each window's out-of-sample (test) segment into one equity curve.
+ *
+ * Each window is submitted as a normal backtest whose `split_ratio` puts the train/test cut at the
+ * window boundary, so the backend needs no walk-forward support of its own.
+ */
+
+export const WALK_FORWARD_MAX_WINDOWS = 24;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addMonths(date, months) {
+  const d = new Date(date.getTime());
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d;
+}
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * `truncated` is set when the range holds more than WALK_FORWARD_MAX_WINDOWS windows; only the first ones are returned.
+ * @param {{ startDate: string|Date, endDate: string|Date, trainMonths: number, testMonths: number, stepMonths?: number, anchored?: boolean }} opts
+ * @returns {{ windows: Array<{ index: number, trainStart: Date, testStart: Date, testEnd: Date, splitRatio: number }>, truncated?: boolean, error: string|null }}
+ */
+export function buildWalkForwardWindows({
+  startDate,
+  endDate,
+  trainMonths,
+  testMonths,
+  stepMonths = null,
+  anchored = false,
+}) {
+  const start = toDate(startDate);
+  const end = toDate(endDate);
+  const train = Math.floor(Number(trainMonths));
+  const test = Math.floor(Number(testMonths));
+  const step = Math.floor(Number(stepMonths || testMonths));
+
+  if (!start || !end || end <= start) {
+    return { windows: [], error: 'End date must be after start date.' };
+  }
+  if (!(train > 0) || !(test > 0) || !(step > 0)) {
+    return { windows: [], error: 'Train, test and step lengths must be at least one month.' };
+  }
+
+  const windows = [];
+  for (let k = 0; ; k += 1) {
+    const trainStart = anchored ? start : addMonths(start, k * step);
+    const testStart = addMonths(start, train + k * step);
+    const testEnd = addMonths(testStart, test);
+    if (testEnd > end) break;
+    if (windows.length >= WALK_FORWARD_MAX_WINDOWS) {
+      return {
+        windows,
+        truncated: true,
+        error: `Limited to ${WALK_FORWARD_MAX_WINDOWS} windows — increase the step or shorten the range.`,
+      };
+    }
+    const trainDays = (testStart - trainStart) / DAY_MS;
+    const totalDays = (testEnd - trainStart) / DAY_MS;
+    windows.push({
+      index: windows.length,
+      trainStart,
+      testStart,
+      testEnd,
+      splitRatio: Math.round((trainDays / totalDays) * 1000) / 1000,
+    });
+  }
+
+  if (!windows.length) {
+    return { windows, error: 'Range is too short for one train + test window.' };
+  }
+  return { windows, error: null };
+}
+
+const WINDOW_NAME_RE = /^(.*) · WF (\d+)\/(\d+)$/;
+
+/** Name of one window's backtest; groupWalkForwardRuns parses it back. */
+export function walkForwardWindowName(baseName, index, total) {
+  return `${baseName} · WF ${index + 1}/${total}`;
+}
+
+/**
+ * Group stored backtests into walk-forward runs by their window names (newest run first).
+ * Backtests from separate runs that share a base name and window count are merged.
+ * @param {object[]} backtests - list rows with `id`, `name`, `status`, `created_at`
+ * @returns {Array<{ key: string, name: string, total: number, backtestIds: number[], statuses: string[], createdAt: string|null }>}
+ */
+export function groupWalkForwardRuns(backtests) {
+  const groups = new Map();
+  (backtests || []).forEach((b) => {
+    const match = WINDOW_NAME_RE.exec(b?.name || '');
+    if (!match) return;
+    const [, name, indexRaw, totalRaw] = match;
+    const key = `${name}|${totalRaw}`;
+    if (!groups.has(key)) {
+      groups.set(key, { key, name, total: Number(totalRaw), windows: [], createdAt: null });
+    }
+    const group = groups.get(key);
+    if (group.windows.some((w) => w.id === b.id)) return;
+    group.windows.push({ id: b.id, index: Number(indexRaw), status: b.status });
+    if (b.created_at && (!group.createdAt || b.created_at > group.createdAt)) group.createdAt = b.created_at;
+  });
+  return [...groups.values()]
+    .map(({ windows, ...group }) => {
+      const ordered = windows.sort((a, b) => a.index - b.index);
+      return { ...group, backtestIds: ordered.map((w) => w.id), statuses: ordered.map((w) => w.status) };
+    })
+    .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+}
+
+/** Train/test boundary of a stored backtest (start + split_ratio of its window). */
+export function backtestTestStart(backtest) {
+  const start = toDate(backtest?.start_date);
+  const end = toDate(backtest?.end_date);
+  const ratio = Number(backtest?.split_ratio);
+  if (!start || !end || !Number.isFinite(ratio)) return null;
+  return new Date(start.getTime() + (end.getTime() - start.getTime()) * ratio);
+}
+
+/**
+ * Return and max drawdown (both in %) of an equity segment.
+ * @param {Array<{x:number,y:number}>} points - sorted by x
+ */
+export function equitySegmentStats(points) {
+  if (!Array.isArray(points) || points.length < 2 || !(points[0].y > 0)) {
+    return { returnPct: null, maxDrawdownPct: null };
+  }
+  let peak = points[0].y;
+  let maxDd = 0;
+  for (const p of points) {
+    if (p.y > peak) peak = p.y;
+    const dd = peak > 0 ? (peak - p.y) / peak : 0;
+    if (dd > maxDd) maxDd = dd;
+  }
+  const first = points[0].y;
+  const last = points[points.length - 1].y;
+  return {
+    returnPct: ((last - first) / first) * 100,
+    maxDrawdownPct: maxDd * 100,
+  };
+}
+
+/**
+ * Chain out-of-sample segments: each segment is rescaled so it starts where the previous one ended.
+ * @param {Array<Array<{x:number,y:number}>>} segments - in window order
+ * @param {number} initialCapital
+ * @returns {Array<{x:number,y:number}>}
+ */
+export function stitchEquitySegments(segments, initialCapital) {
+  const out = [];
+  let equity = Number(initialCapital) > 0 ? Number(initialCapital) : 1;
+  for (const segment of segments) {
+    if (!Array.isArray(segment) || segment.length === 0 || !(segment[0].y > 0)) continue;
+    const scale = equity / segment[0].y;
+    for (const p of segment) {
+      if (out.length && p.x <= out[out.length - 1].x) continue;
+      out.push({ x: p.x, y: p.y * scale });
+    }
+    equity = segment[segment.length - 1].y * scale;
+  }
+  return out;
+}